@@ -0,0 +1,57 @@
+'use strict';
+
+define('admin/advanced/webhooks', ['bootbox', 'alerts', 'api'], function (bootbox, alerts, api) {
+    const Webhooks = {};
+
+    Webhooks.init = function () {
+        $('#create-webhook').on('submit', function () {
+            const $formEl = $(this);
+            api.post('/admin/webhooks', {
+                url: $formEl.find('[name="url"]').val(),
+                hooks: $formEl.find('[name="hooks"]:checked').map((i, el) => el.value).get(),
+                secret: $formEl.find('[name="secret"]').val() || undefined,
+            }).then(() => ajaxify.refresh()).catch(alerts.error);
+            return false;
+        });
+
+        $('.webhooks [data-action="test"]').on('click', function () {
+            const $btn = $(this);
+            $btn.prop('disabled', true);
+            api.post(`/admin/webhooks/${getId($btn)}/test`).then((delivery) => {
+                if (delivery.status === 'success') {
+                    alerts.success('[[admin/advanced/webhooks:test-sent]]');
+                } else {
+                    alerts.error(`[[admin/advanced/webhooks:test-failed, ${delivery.error}]]`);
+                }
+                ajaxify.refresh();
+            }).catch((err) => {
+                $btn.prop('disabled', false);
+                alerts.error(err);
+            });
+        });
+
+        $('.webhooks [data-action="toggle"]').on('click', function () {
+            const enabled = $(this).parents('[data-id]').attr('data-enabled') !== '1';
+            api.put(`/admin/webhooks/${getId($(this))}`, { enabled }).then(() => ajaxify.refresh()).catch(alerts.error);
+        });
+
+        $('.webhooks [data-action="delete"]').on('click', function () {
+            const id = getId($(this));
+            bootbox.confirm('[[admin/advanced/webhooks:confirm-delete]]', (confirm) => {
+                if (confirm) {
+                    api.del(`/admin/webhooks/${id}`).then(() => ajaxify.refresh()).catch(alerts.error);
+                }
+            });
+        });
+
+        $('#filters select').on('change', function () {
+            ajaxify.go('admin/advanced/webhooks?' + $('#filters').serialize());
+        });
+    };
+
+    function getId($el) {
+        return $el.parents('[data-id]').attr('data-id');
+    }
+
+    return Webhooks;
+});
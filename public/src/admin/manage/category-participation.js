@@ -0,0 +1,44 @@
+'use strict';
+
+define('admin/manage/category-participation', ['api', 'alerts'], function (api, alerts) {
+    const CategoryParticipation = {};
+
+    CategoryParticipation.init = function () {
+        // the start is left empty when the report covers everything
+        if (ajaxify.data.start) {
+            $('#participation-start').val(toDateValue(ajaxify.data.start));
+        }
+        $('#participation-end').val(toDateValue(ajaxify.data.end));
+
+        $('#participation-range').on('submit', function () {
+            ajaxify.go('admin/manage/categories/' + ajaxify.data.cid + '/participation?' + $.param(getRange()));
+            return false;
+        });
+
+        $('[data-action="export"]').on('click', function () {
+            api.post('/categories/' + ajaxify.data.cid + '/participation/export', getRange()).then(function () {
+                alerts.success('[[admin/manage/categories:participation.export-started]]');
+            }).catch(alerts.error);
+        });
+    };
+
+    // The report counts whole UTC days, the server widens the end date to the end of its day
+    function getRange() {
+        const range = {};
+        const start = $('#participation-start').val();
+        const end = $('#participation-end').val();
+        if (start) {
+            range.start = Date.parse(start);
+        }
+        if (end) {
+            range.end = Date.parse(end);
+        }
+        return range;
+    }
+
+    function toDateValue(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    }
+
+    return CategoryParticipation;
+});
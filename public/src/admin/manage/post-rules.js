@@ -0,0 +1,50 @@
+'use strict';
+
+define('admin/manage/post-rules', ['bootbox', 'alerts', 'api'], function (bootbox, alerts, api) {
+    const PostRules = {};
+
+    PostRules.init = function () {
+        $('#create-rule').on('submit', function () {
+            const $formEl = $(this);
+            api.post('/admin/post-rules', {
+                name: $formEl.find('[name="name"]').val(),
+                type: $formEl.find('[name="type"]').val(),
+                value: $formEl.find('[name="value"]').val(),
+                interval: $formEl.find('[name="interval"]').val() || undefined,
+                action: $formEl.find('[name="action"]').val(),
+            }).then(() => ajaxify.refresh()).catch(alerts.error);
+            return false;
+        });
+
+        $('.post-rules [data-action="toggle"]').on('click', function () {
+            const enabled = $(this).parents('[data-id]').attr('data-enabled') !== '1';
+            api.put(`/admin/post-rules/${getId($(this))}`, { enabled }).then(() => ajaxify.refresh()).catch(alerts.error);
+        });
+
+        $('.post-rules [data-action="delete"]').on('click', function () {
+            const id = getId($(this));
+            bootbox.confirm('[[admin/manage/post-rules:confirm-delete]]', (confirm) => {
+                if (confirm) {
+                    api.del(`/admin/post-rules/${id}`).then(() => ajaxify.refresh()).catch(alerts.error);
+                }
+            });
+        });
+
+        $('.post-rules [data-action="false-positive"]').on('click', function () {
+            const $hit = $(this).parents('[data-hit-id]');
+            api.put(`/admin/post-rules/hits/${$hit.attr('data-hit-id')}`, {
+                falsePositive: $hit.attr('data-false-positive') !== '1',
+            }).then(() => ajaxify.refresh()).catch(alerts.error);
+        });
+
+        $('#filters select').on('change', function () {
+            ajaxify.go('admin/manage/post-rules?' + $('#filters').serialize());
+        });
+    };
+
+    function getId($el) {
+        return $el.parents('[data-id]').attr('data-id');
+    }
+
+    return PostRules;
+});
@@ -8,7 +8,8 @@ define('forum/account/edit', [
     'hooks',
     'bootbox',
     'alerts',
-], function (header, picture, translator, api, hooks, bootbox, alerts) {
+    'uploader',
+], function (header, picture, translator, api, hooks, bootbox, alerts, uploader) {
     const AccountEdit = {};
 
     AccountEdit.init = function () {
@@ -26,6 +27,7 @@ define('forum/account/edit', [
         updateSignature();
         updateAboutMe();
         handleGroupSort();
+        handleResumeUpload();
     };
 
     function updateProfile() {
@@ -35,6 +37,11 @@ define('forum/account/edit', [
         userData.groupTitle = JSON.stringify(
             Array.isArray(userData.groupTitle) ? userData.groupTitle : [userData.groupTitle]
         );
+        const careerVisibility = {};
+        $('[data-career-visibility]').each(function () {
+            careerVisibility[$(this).attr('data-career-visibility')] = $(this).val();
+        });
+        userData.careerVisibility = JSON.stringify(careerVisibility);
 
         hooks.fire('action:profile.update', userData);
 
@@ -58,6 +65,19 @@ define('forum/account/edit', [
         });
     }
 
+    function handleResumeUpload() {
+        $('#uploadResumeBtn').on('click', function () {
+            uploader.show({
+                title: '[[user:career.upload-resume]]',
+                route: config.relative_path + '/api/v3/users/' + ajaxify.data.uid + '/resume',
+            }, function (url) {
+                $('#resume').val(url);
+                alerts.success('[[user:career.resume-uploaded]]');
+            });
+            return false;
+        });
+    }
+
     function handleAccountDelete() {
         $('#deleteAccountBtn').on('click', function () {
             translator.translate('[[user:delete_account_confirm]]', function (translated) {
@@ -0,0 +1,24 @@
+'use strict';
+
+define('forum/account/tokens', ['forum/account/header', 'components', 'api', 'alerts', 'bootbox'], function (header, components, api, alerts, bootbox) {
+    const Tokens = {};
+
+    Tokens.init = function () {
+        header.init();
+
+        components.get('user/tokens').on('click', '[data-action="revokeToken"]', function () {
+            const itemEl = $(this).parents('[data-token-id]');
+            bootbox.confirm('[[user:api-tokens.revoke-confirm]]', function (confirm) {
+                if (!confirm) {
+                    return;
+                }
+                api.del(`/users/${ajaxify.data.uid}/tokens/${itemEl.attr('data-token-id')}`, {}).then(() => {
+                    itemEl.remove();
+                    alerts.success('[[user:api-tokens.revoked]]');
+                }).catch(alerts.error);
+            });
+        });
+    };
+
+    return Tokens;
+});
@@ -0,0 +1,23 @@
+'use strict';
+
+define('forum/attention', ['categoryFilter', 'api', 'alerts'], function (categoryFilter, api, alerts) {
+    const Attention = {};
+
+    Attention.init = function () {
+        categoryFilter.init($('[component="category/dropdown"]'));
+
+        $('[component="attention/list"]').on('click', '[component="attention/dismiss"]', function () {
+            const btn = $(this);
+            const pid = btn.parents('[component="attention/post"]').attr('data-pid');
+            btn.prop('disabled', true);
+            api.del(`/posts/${pid}/attention`).then(() => {
+                ajaxify.refresh();
+            }).catch((err) => {
+                btn.prop('disabled', false);
+                alerts.error(err);
+            });
+        });
+    };
+
+    return Attention;
+});
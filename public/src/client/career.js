@@ -0,0 +1,113 @@
+'use strict';
+
+define('forum/career', ['api', 'alerts', 'bootbox', 'jquery-form'], function (api, alerts, bootbox) {
+    const Career = {};
+
+    Career.init = function () {
+        $('[component="career/post"]').on('click', function () {
+            openJobModal();
+        });
+
+        const listEl = $('[component="career/list"]');
+        listEl.on('click', '[component="career/edit"]', function () {
+            const jobId = getJobId($(this));
+            api.get(`/careers/${jobId}`).then(openJobModal).catch(alerts.error);
+        });
+        listEl.on('click', '[component="career/delete"]', function () {
+            const jobId = getJobId($(this));
+            bootbox.confirm('[[career:delete-confirm]]', function (confirm) {
+                if (!confirm) {
+                    return;
+                }
+                api.del(`/careers/${jobId}`).then(() => {
+                    alerts.success('[[career:job-deleted]]');
+                    ajaxify.refresh();
+                }).catch(alerts.error);
+            });
+        });
+        listEl.on('click', '[component="career/apply"]', function () {
+            const jobId = getJobId($(this));
+            api.get(`/careers/${jobId}`).then(openApplicationModal).catch(alerts.error);
+        });
+    };
+
+    function getJobId(btn) {
+        return btn.parents('[component="career/job"]').attr('data-job-id');
+    }
+
+    function openJobModal(job) {
+        app.parseAndTranslate('partials/modals/job_modal', {
+            job: job || {},
+            deadline: job ? job.deadlineISO.slice(0, 10) : '',
+            tags: job ? job.tags.join(', ') : '',
+        }, function (html) {
+            const modal = bootbox.dialog({
+                title: job ? '[[career:edit-job]]' : '[[career:post-job]]',
+                message: html,
+                buttons: {
+                    save: {
+                        label: '[[global:save]]',
+                        className: 'btn-primary',
+                        callback: function () {
+                            saveJob(modal, job);
+                            return false;
+                        },
+                    },
+                },
+            });
+        });
+    }
+
+    function saveJob(modal, job) {
+        const data = modal.find('[component="career/job-form"]').serializeObject();
+        const request = job ? api.put(`/careers/${job.jobId}`, data) : api.post('/careers', data);
+        request.then(() => {
+            modal.modal('hide');
+            alerts.success('[[career:job-saved]]');
+            ajaxify.refresh();
+        }).catch(alerts.error);
+    }
+
+    function openApplicationModal(job) {
+        app.parseAndTranslate('partials/modals/job_application_modal', { job }, function (html) {
+            const modal = bootbox.dialog({
+                title: '[[career:apply-title]]',
+                message: html,
+                buttons: {
+                    apply: {
+                        label: '[[career:apply]]',
+                        className: 'btn-primary',
+                        callback: function () {
+                            sendApplication(modal);
+                            return false;
+                        },
+                    },
+                },
+            });
+        });
+    }
+
+    // The résumé goes up with the form, api.post only sends JSON
+    function sendApplication(modal) {
+        const form = modal.find('[component="career/application-form"]');
+        if (!form.find('input[type="file"]').val()) {
+            return alerts.error('[[uploads:select-file-to-upload]]');
+        }
+        form.ajaxSubmit({
+            headers: {
+                'x-csrf-token': config.csrf_token,
+            },
+            success: function () {
+                modal.modal('hide');
+                alerts.success('[[career:application-sent]]');
+                ajaxify.refresh();
+            },
+            error: function (xhr) {
+                const status = xhr.responseJSON && xhr.responseJSON.status;
+                alerts.error(status && status.message ? status.message : '[[error:invalid-file]]');
+            },
+        });
+    }
+
+    return Career;
+});
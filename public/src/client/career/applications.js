@@ -0,0 +1,19 @@
+'use strict';
+
+define('forum/career/applications', ['api', 'alerts'], function (api, alerts) {
+    const Applications = {};
+
+    Applications.init = function () {
+        const listEl = $('[component="career/applications"]');
+        const jobId = listEl.attr('data-job-id');
+        listEl.on('change', '[component="career/application-status"]', function () {
+            const applicationId = $(this).parents('[component="career/application"]').attr('data-application-id');
+            api.put(`/careers/${jobId}/applications/${applicationId}`, { status: $(this).val() }).then(() => {
+                alerts.success('[[career:status-saved]]');
+                ajaxify.refresh();
+            }).catch(alerts.error);
+        });
+    };
+
+    return Applications;
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+define('forum/officehours/queue', ['api', 'alerts', 'bootbox'], function (api, alerts, bootbox) {
+    const Queue = {};
+
+    Queue.init = function () {
+        const cid = ajaxify.data.cid;
+        app.enterRoom('officehours_' + cid);
+
+        socket.removeListener('event:officehours.updated', onUpdated);
+        socket.on('event:officehours.updated', onUpdated);
+
+        $('[component="officehours/toggle"]').on('submit', function () {
+            const request = ajaxify.data.open ?
+                api.del(`/categories/${cid}/officehours`) :
+                api.put(`/categories/${cid}/officehours`, { location: $(this).find('[name="location"]').val() });
+            request.then(() => ajaxify.refresh()).catch(alerts.error);
+            return false;
+        });
+
+        $('[component="officehours/join"]').on('submit', function () {
+            const form = $(this);
+            api.post(`/categories/${cid}/officehours/queue`, {
+                question: form.find('[name="question"]').val(),
+                tid: form.find('[name="tid"]').val() || undefined,
+            }).then(() => ajaxify.refresh()).catch(alerts.error);
+            return false;
+        });
+
+        $('[component="officehours/leave"]').on('click', function () {
+            api.del(`/categories/${cid}/officehours/queue`).then(() => ajaxify.refresh()).catch(alerts.error);
+        });
+
+        const queueEl = $('[component="officehours/queue"]');
+        queueEl.on('click', '[component="officehours/help"]', function () {
+            updateEntry($(this), { status: 'helping' });
+        });
+
+        queueEl.on('click', '[component="officehours/done"]', function () {
+            const btn = $(this);
+            bootbox.prompt('[[officehours:done-topic]]', function (tid) {
+                if (tid === null) {
+                    return;
+                }
+                updateEntry(btn, { status: 'done', tid: tid || undefined });
+            });
+        });
+    };
+
+    function updateEntry(btn, data) {
+        const id = btn.parents('[component="officehours/entry"]').attr('data-id');
+        btn.prop('disabled', true);
+        api.put(`/categories/${ajaxify.data.cid}/officehours/queue/${id}`, data).then(() => {
+            ajaxify.refresh();
+        }).catch((err) => {
+            btn.prop('disabled', false);
+            alerts.error(err);
+        });
+    }
+
+    function onUpdated(data) {
+        if (ajaxify.data.template.name === 'officehours/queue' && parseInt(data.cid, 10) === parseInt(ajaxify.data.cid, 10)) {
+            ajaxify.refresh();
+        }
+    }
+
+    return Queue;
+});
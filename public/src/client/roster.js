@@ -0,0 +1,51 @@
+'use strict';
+
+define('forum/roster', ['api', 'alerts', 'translator'], function (api, alerts, translator) {
+    const Roster = {};
+
+    Roster.init = function () {
+        const formEl = $('[component="roster/form"]');
+        formEl.on('submit', function (e) {
+            e.preventDefault();
+            const file = formEl.find('input[type="file"]').get(0).files[0];
+            if (!file) {
+                return alerts.error('[[roster:no-file]]');
+            }
+
+            const reader = new FileReader();
+            reader.addEventListener('load', function () {
+                importRoster(formEl, reader.result);
+            });
+            reader.readAsText(file);
+        });
+    };
+
+    function importRoster(formEl, csv) {
+        const btn = formEl.find('[component="roster/import"]');
+        btn.prop('disabled', true);
+        const cid = formEl.find('[name="cid"]').val();
+        api.post('/users/imports', {
+            csv,
+            cid: cid ? parseInt(cid, 10) : undefined,
+            dryRun: formEl.find('[name="dryRun"]').is(':checked'),
+            sendInvitations: formEl.find('[name="sendInvitations"]').is(':checked'),
+        }).then(renderResults).catch(alerts.error).finally(() => {
+            btn.prop('disabled', false);
+        });
+    }
+
+    function renderResults(result) {
+        const resultsEl = $('[component="roster/results"]');
+        const summary = `[[roster:${result.dryRun ? 'dry-run-results' : 'results'}, ${result.created}, ${result.updated}, ${result.skipped}, ${result.failed}]]`;
+        translator.translate(summary, function (translated) {
+            resultsEl.find('[component="roster/summary"]').text(translated);
+        });
+        resultsEl.find('[component="roster/report"]').attr('href', `${config.relative_path}/api/v3/users/imports/${result.importId}`);
+        app.parseAndTranslate('roster', 'rows', { rows: result.rows }, function (html) {
+            resultsEl.find('[component="roster/rows"]').html(html);
+            resultsEl.removeClass('hidden');
+        });
+    }
+
+    return Roster;
+});
@@ -6,6 +6,7 @@ define('forum/topic', [
     'forum/topic/postTools',
     'forum/topic/events',
     'forum/topic/posts',
+    'forum/topic/answers',
     'navigator',
     'sort',
     'components',
@@ -15,7 +16,7 @@ define('forum/topic', [
     'alerts',
 ], function (
     infinitescroll, threadTools, postTools,
-    events, posts, navigator, sort,
+    events, posts, answers, navigator, sort,
     components, storage, hooks, api, alerts
 ) {
     const Topic = {};
@@ -48,6 +49,7 @@ define('forum/topic', [
 
         postTools.init(tid);
         threadTools.init(tid, $('.topic'));
+        answers.init(tid);
         events.init();
 
         sort.handleSort('topicPostSort', 'topic/' + ajaxify.data.slug);
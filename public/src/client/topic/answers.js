@@ -0,0 +1,59 @@
+'use strict';
+
+define('forum/topic/answers', [
+    'api', 'bootbox', 'alerts', 'translator',
+], function (api, bootbox, alerts, translator) {
+    const Answers = {};
+
+    Answers.init = function (tid) {
+        const container = $('[component="topic"]');
+        container.off('click', '[component="topic/answer/edit"]').on('click', '[component="topic/answer/edit"]', function () {
+            const answerEl = $(this).parents('[component="topic/answer"]');
+            editAnswer(tid, answerEl.attr('data-type'), answerEl.attr('data-pid'));
+            return false;
+        });
+
+        container.off('click', '[component="topic/answer/history"]').on('click', '[component="topic/answer/history"]', function () {
+            const pid = $(this).parents('[component="topic/answer"]').attr('data-pid');
+            require(['forum/topic/diffs'], function (diffs) {
+                diffs.open(pid);
+            });
+            return false;
+        });
+    };
+
+    Answers.refresh = function (tid) {
+        api.get(`/topics/${tid}/answers`, {}).then(function (answers) {
+            ajaxify.data.answers = answers;
+            return app.parseAndTranslate('partials/topic/answers', { answers, config });
+        }).then(function (html) {
+            $('[component="topic/answers/container"]').html(html);
+            html.find('.timeago').timeago();
+        }).catch(alerts.error);
+    };
+
+    async function editAnswer(tid, type, pid) {
+        // answers are edited as a whole, so start from the raw markdown of the current answer
+        const content = pid ? await socket.emit('posts.getRawPost', pid) : '';
+        const textarea = $('<textarea class="form-control" rows="12"></textarea>').val(content);
+        textarea.attr('placeholder', await translator.translate('[[topic:answer-placeholder]]'));
+
+        bootbox.dialog({
+            title: type === 'instructor' ? '[[topic:instructors-answer]]' : '[[topic:students-answer]]',
+            message: textarea,
+            size: 'large',
+            buttons: {
+                save: {
+                    label: '[[global:save]]',
+                    className: 'btn-primary',
+                    callback: function () {
+                        // the page is updated by event:topic_answered, like for everyone else in the topic
+                        api.put(`/topics/${tid}/answers/${type}`, { content: textarea.val() }).catch(alerts.error);
+                    },
+                },
+            },
+        });
+    }
+
+    return Answers;
+});
@@ -16,6 +16,7 @@ define('forum/topic/events', [
         'event:user_status_change': onUserStatusChange,
         'event:voted': updatePostVotesAndUserReputation,
         'event:bookmarked': updateBookmarkCount,
+        'event:endorsed': updateEndorsedBy,
 
         'event:topic_deleted': threadTools.setDeleteState,
         'event:topic_restored': threadTools.setDeleteState,
@@ -28,6 +29,9 @@ define('forum/topic/events', [
         'event:topic_unpinned': threadTools.setPinnedState,
 
         'event:topic_moved': onTopicMoved,
+        'event:topic_resolved': onTopicResolved,
+        'event:topic_answered': onTopicAnswered,
+        'event:topic_assigned': onTopicAssigned,
 
         'event:post_edited': onPostEdited,
         'event:post_purged': onPostPurged,
@@ -38,6 +42,9 @@ define('forum/topic/events', [
         'posts.bookmark': togglePostBookmark,
         'posts.unbookmark': togglePostBookmark,
 
+        'posts.endorse': togglePostEndorse,
+        'posts.unendorse': togglePostEndorse,
+
         'posts.upvote': togglePostVote,
         'posts.downvote': togglePostVote,
         'posts.unvote': togglePostVote,
@@ -92,6 +99,33 @@ define('forum/topic/events', [
         }
     }
 
+    function onTopicResolved(data) {
+        if (parseInt(data.tid, 10) !== parseInt(ajaxify.data.tid, 10)) {
+            return;
+        }
+        $('[component="topic/labels"] [component="topic/resolved"]').toggleClass('hidden', !data.resolved);
+        ajaxify.data.resolved = data.resolved ? 1 : 0;
+        ajaxify.data.acceptedPid = data.acceptedPid;
+        posts.addTopicEvents(data.events);
+    }
+
+    function onTopicAnswered(data) {
+        if (parseInt(data.tid, 10) !== parseInt(ajaxify.data.tid, 10)) {
+            return;
+        }
+        require(['forum/topic/answers'], function (answers) {
+            answers.refresh(data.tid);
+        });
+    }
+
+    function onTopicAssigned(data) {
+        if (parseInt(data.tid, 10) !== parseInt(ajaxify.data.tid, 10)) {
+            return;
+        }
+        ajaxify.data.assigneeUid = data.assigneeUid;
+        posts.addTopicEvents(data.events);
+    }
+
     function onTopicMoved(data) {
         if (data && data.slug && parseInt(data.tid, 10) === parseInt(ajaxify.data.tid, 10)) {
             ajaxify.go('topic/' + data.slug, null, true);
@@ -219,6 +253,28 @@ define('forum/topic/events', [
         el.find('[component="post/bookmark/off"]').toggleClass('hidden', data.isBookmarked);
     }
 
+    function updateEndorsedBy(data) {
+        const el = $('[data-pid="' + data.post.pid + '"] [component="post/endorsed"]').filter(function (index, el) {
+            return parseInt($(el).closest('[data-pid]').attr('data-pid'), 10) === parseInt(data.post.pid, 10);
+        });
+        el.toggleClass('hidden', !data.post.endorsedBy.length)
+            .attr('title', data.post.endorsedBy.map(function (user) { return user.username; }).join(' '));
+    }
+
+    function togglePostEndorse(data) {
+        const el = $('[data-pid="' + data.post.pid + '"] [component="post/endorse"]').filter(function (index, el) {
+            return parseInt($(el).closest('[data-pid]').attr('data-pid'), 10) === parseInt(data.post.pid, 10);
+        });
+        if (!el.length) {
+            return;
+        }
+
+        el.attr('data-endorsed', data.isEndorsed);
+
+        el.find('[component="post/endorse/on"]').toggleClass('hidden', !data.isEndorsed);
+        el.find('[component="post/endorse/off"]').toggleClass('hidden', data.isEndorsed);
+    }
+
     function togglePostVote(data) {
         const post = $('[data-pid="' + data.post.pid + '"]');
         post.find('[component="post/upvote"]').filter(function (index, el) {
@@ -115,6 +115,14 @@ define('forum/topic/postTools', [
             return bookmarkPost($(this), getData($(this), 'data-pid'));
         });
 
+        postContainer.on('click', '[component="post/accept"]', function () {
+            return acceptPost($(this), getData($(this), 'data-pid'));
+        });
+
+        postContainer.on('click', '[component="post/endorse"]', function () {
+            return endorsePost($(this), getData($(this), 'data-pid'));
+        });
+
         postContainer.on('click', '[component="post/upvote"]', function () {
             return votes.toggleVote($(this), '.upvoted', 1);
         });
@@ -239,6 +247,21 @@ define('forum/topic/postTools', [
             });
         });
 
+        postContainer.on('click', '[component="post/reveal-author"]', function () {
+            revealAuthor($(this));
+        });
+
+        postContainer.on('click', '[component="post/request-attention"]', function () {
+            requestAttention($(this));
+        });
+
+        postContainer.on('click', '[component="post/withdraw-attention"], [component="post/clear-attention"]', function () {
+            const pid = getData($(this), 'data-pid');
+            api.del(`/posts/${pid}/attention`).then(() => {
+                alerts.success('[[topic:attention.cleared]]');
+            }).catch(alerts.error);
+        });
+
         postContainer.on('click', '[component="post/ban-ip"]', function () {
             const ip = $(this).attr('data-ip');
             socket.emit('blacklist.addRule', ip, function (err) {
@@ -254,6 +277,30 @@ define('forum/topic/postTools', [
         });
     }
 
+    function revealAuthor(button) {
+        const pid = getData(button, 'data-pid');
+        bootbox.prompt('[[topic:reveal-author.reason]]', function (reason) {
+            if (!reason) {
+                return;
+            }
+            api.post(`/posts/${pid}/reveal`, { reason }).then((author) => {
+                bootbox.alert(translator.compile('topic:reveal-author.result', `${config.relative_path}/user/${author.userslug}`, author.username));
+            }).catch(alerts.error);
+        });
+    }
+
+    function requestAttention(button) {
+        const pid = getData(button, 'data-pid');
+        bootbox.prompt('[[topic:attention.reason]]', function (reason) {
+            if (!reason) {
+                return;
+            }
+            api.put(`/posts/${pid}/attention`, { reason }).then(() => {
+                alerts.success('[[topic:attention.requested]]');
+            }).catch(alerts.error);
+        });
+    }
+
     async function onReplyClicked(button, tid) {
         const selectedNode = await getSelectedNode();
 
@@ -363,6 +410,32 @@ define('forum/topic/postTools', [
         return false;
     }
 
+    function acceptPost(button, pid) {
+        const tid = ajaxify.data.tid;
+        const request = button.attr('data-accepted') === 'true' ?
+            api.del(`/topics/${tid}/accept`) :
+            api.put(`/topics/${tid}/accept`, { pid: pid });
+
+        request.then(() => {
+            // the accepted answer is moved under the main post
+            ajaxify.refresh();
+        }).catch(alerts.error);
+        return false;
+    }
+
+    function endorsePost(button, pid) {
+        const method = button.attr('data-endorsed') === 'true' ? 'del' : 'put';
+
+        api[method](`/posts/${pid}/endorse`, undefined, function (err) {
+            if (err) {
+                return alerts.error(err);
+            }
+            const type = method === 'put' ? 'endorse' : 'unendorse';
+            hooks.fire(`action:post.${type}`, { pid });
+        });
+        return false;
+    }
+
     function getData(button, data) {
         return button.parents('[data-pid]').attr(data);
     }
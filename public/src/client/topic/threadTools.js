@@ -51,6 +51,21 @@ define('forum/topic/threadTools', [
             return false;
         });
 
+        topicContainer.on('click', '[component="topic/make-public"]', function () {
+            makePublic(false);
+            return false;
+        });
+
+        topicContainer.on('click', '[component="topic/make-public-anonymous"]', function () {
+            makePublic(true);
+            return false;
+        });
+
+        topicContainer.on('click', '[component="topic/receipts"]', function () {
+            showReceipts();
+            return false;
+        });
+
         topicContainer.on('click', '[component="topic/event/delete"]', function () {
             const eventId = $(this).attr('data-topic-event-id');
             const eventEl = $(this).parents('[component="topic/event"]');
@@ -196,6 +211,32 @@ define('forum/topic/threadTools', [
         });
     }
 
+    // only offered to instructors on private topics, anonymizing hides the author from the students
+    function makePublic(anonymize) {
+        const tid = ajaxify.data.tid;
+        bootbox.confirm(`[[topic:thread_tools.make-public${anonymize ? '-anonymous' : ''}_confirm]]`, function (ok) {
+            if (!ok) {
+                return;
+            }
+            api.put(`/topics/${tid}/public`, { anonymize }).then(() => {
+                ajaxify.refresh();
+            }).catch(alerts.error);
+        });
+    }
+
+    function showReceipts() {
+        api.get(`/topics/${ajaxify.data.tid}/receipts`, {}).then((data) => {
+            app.parseAndTranslate('modals/announcement-receipts', data, function (html) {
+                bootbox.dialog({
+                    title: '[[topic:receipts.title]]',
+                    message: html,
+                    onEscape: true,
+                });
+                html.find('.timeago').timeago();
+            });
+        }).catch(alerts.error);
+    }
+
     function topicCommand(method, path, command, onComplete) {
         if (!onComplete) {
             onComplete = function () {};
@@ -0,0 +1,30 @@
+'use strict';
+
+define('forum/unanswered', ['categoryFilter', 'api', 'alerts'], function (categoryFilter, api, alerts) {
+    const Unanswered = {};
+
+    Unanswered.init = function () {
+        categoryFilter.init($('[component="category/dropdown"]'));
+
+        const listEl = $('[component="unanswered/list"]');
+        listEl.on('click', '[component="unanswered/assign"]', function () {
+            toggleAssign($(this), 'put');
+        });
+        listEl.on('click', '[component="unanswered/unassign"]', function () {
+            toggleAssign($(this), 'del');
+        });
+    };
+
+    function toggleAssign(btn, method) {
+        const tid = btn.parents('[component="unanswered/topic"]').attr('data-tid');
+        btn.prop('disabled', true);
+        api[method](`/topics/${tid}/assignee`).then(() => {
+            ajaxify.refresh();
+        }).catch((err) => {
+            btn.prop('disabled', false);
+            alerts.error(err);
+        });
+    }
+
+    return Unanswered;
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const user = require('../user');
+const careers = require('../careers');
+const events = require('../events');
+const utils = require('../utils');
+
+const careersAPI = module.exports;
+
+careersAPI.list = async function (caller, data) {
+    const filter = data.filter || '';
+    if (!careers.filters.includes(filter)) {
+        throw new Error('[[error:invalid-data]]');
+    }
+    const settings = await user.getSettings(caller.uid);
+    const page = Math.max(1, parseInt(data.page, 10) || 1);
+    const start = (page - 1) * settings.topicsPerPage;
+    const stop = start + settings.topicsPerPage - 1;
+    return await careers.getJobs({
+        uid: caller.uid,
+        filter,
+        tag: data.tag,
+        company: data.company,
+        location: data.location,
+        query: data.query,
+        start,
+        stop,
+    });
+};
+
+careersAPI.create = async function (caller, data) {
+    const canPost = await careers.canPost(caller.uid);
+    if (!canPost) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    const job = await careers.create({
+        ...data,
+        deadline: parseDeadline(data.deadline),
+        uid: caller.uid,
+    });
+    await logJobEvent('job-create', caller, job);
+    return job;
+};
+
+careersAPI.get = async function (caller, data) {
+    const job = await careers.get(data.jobId);
+    if (!job) {
+        throw new Error('[[error:no-job]]');
+    }
+    // expired postings stay visible to the people managing them
+    if (job.expired && !await careers.canEdit(data.jobId, caller.uid)) {
+        throw new Error('[[error:no-job]]');
+    }
+    return job;
+};
+
+careersAPI.update = async function (caller, data) {
+    const canEdit = await careers.canEdit(data.jobId, caller.uid);
+    if (!canEdit) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    const job = await careers.edit(data.jobId, {
+        ...data,
+        deadline: data.deadline === undefined ? undefined : parseDeadline(data.deadline),
+        uid: caller.uid,
+    });
+    await logJobEvent('job-edit', caller, job);
+    return job;
+};
+
+careersAPI.delete = async function (caller, data) {
+    const canEdit = await careers.canEdit(data.jobId, caller.uid);
+    if (!canEdit) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    const job = await careers.get(data.jobId);
+    await careers.purge(data.jobId, caller.uid);
+    await logJobEvent('job-purge', caller, job);
+};
+
+careersAPI.apply = async function (caller, data) {
+    return await careers.apply({
+        jobId: data.jobId,
+        uid: caller.uid,
+        note: data.note,
+        resume: data.resume,
+    });
+};
+
+careersAPI.listApplications = async function (caller, data) {
+    await assertCanEdit(data.jobId, caller.uid);
+    const status = data.status || '';
+    if (status && !careers.applicationStatuses.includes(status)) {
+        throw new Error('[[error:invalid-application-status]]');
+    }
+    const settings = await user.getSettings(caller.uid);
+    const page = Math.max(1, parseInt(data.page, 10) || 1);
+    const start = (page - 1) * settings.topicsPerPage;
+    const stop = start + settings.topicsPerPage - 1;
+    return await careers.getApplications(data.jobId, { status, start, stop });
+};
+
+// Applicants can look at their own application, recruiters at the applications to their postings
+careersAPI.getApplication = async function (caller, data) {
+    const application = await getApplication(data);
+    if (application.uid !== parseInt(caller.uid, 10)) {
+        await assertCanEdit(data.jobId, caller.uid);
+    }
+    return application;
+};
+
+careersAPI.setApplicationStatus = async function (caller, data) {
+    await assertCanEdit(data.jobId, caller.uid);
+    await getApplication(data);
+    return await careers.setApplicationStatus(data.applicationId, data.status, caller.uid);
+};
+
+async function assertCanEdit(jobId, uid) {
+    const canEdit = await careers.canEdit(jobId, uid);
+    if (!canEdit) {
+        throw new Error('[[error:no-privileges]]');
+    }
+}
+
+async function getApplication(data) {
+    const application = await careers.getApplication(data.applicationId);
+    if (!application || application.jobId !== parseInt(data.jobId, 10)) {
+        throw new Error('[[error:no-application]]');
+    }
+    return application;
+}
+
+// Accepts a timestamp or a date string, a posting due on "2024-05-31" stays open until the end of that day (UTC)
+function parseDeadline(deadline) {
+    if (utils.isNumber(deadline)) {
+        return parseInt(deadline, 10);
+    }
+    const timestamp = new Date(deadline).getTime();
+    if (isNaN(timestamp)) {
+        throw new Error('[[error:invalid-job-deadline]]');
+    }
+    return /^\d{4}-\d{2}-\d{2}$/.test(deadline) ? timestamp + 86399999 : timestamp;
+}
+
+async function logJobEvent(type, caller, job) {
+    await events.log({
+        type,
+        uid: caller.uid,
+        ip: caller.ip,
+        jobId: job.jobId,
+        title: job.title,
+        company: job.company,
+    });
+}
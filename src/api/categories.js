@@ -1,10 +1,16 @@
 'use strict';
 
+const path = require('path');
+const winston = require('winston');
+
+const db = require('../database');
 const categories = require('../categories');
 const events = require('../events');
 const user = require('../user');
 const groups = require('../groups');
 const privileges = require('../privileges');
+const notifications = require('../notifications');
+const utils = require('../utils');
 
 const categoriesAPI = module.exports;
 
@@ -20,6 +26,33 @@ categoriesAPI.get = async function (caller, data) {
     return category;
 };
 
+categoriesAPI.getTopics = async function (caller, data) {
+    const [userPrivileges, settings] = await Promise.all([
+        privileges.categories.get(data.cid, caller.uid),
+        user.getSettings(caller.uid),
+    ]);
+    if (!userPrivileges.read) {
+        throw new Error('[[error:no-privileges]]');
+    }
+
+    const page = Math.max(1, parseInt(data.page, 10) || 1);
+    const start = (page - 1) * settings.topicsPerPage;
+    const stop = start + settings.topicsPerPage - 1;
+    const { topics } = await categories.getCategoryTopics({
+        uid: caller.uid,
+        cid: data.cid,
+        start,
+        stop,
+        sort: data.sort || settings.categoryTopicSort,
+        settings,
+        filter: data.filter,
+        query: data,
+    });
+    categories.modifyTopicsByPrivilege(topics, userPrivileges);
+
+    return { topics, nextStart: stop + 1 };
+};
+
 categoriesAPI.create = async function (caller, data) {
     const response = await categories.create(data);
     const categoryObjs = await categories.getCategories([response.cid], caller.uid);
@@ -45,6 +78,196 @@ categoriesAPI.delete = async function (caller, data) {
     });
 };
 
+categoriesAPI.createCourse = async function (caller, data) {
+    const course = await categories.createCourse({
+        ...data,
+        archiveDate: parseDate(data.archiveDate),
+        uid: caller.uid,
+    });
+    await logCourseEvent('course-create', caller, [course]);
+    return course;
+};
+
+categoriesAPI.getCourse = async function (caller, data) {
+    const [canRead, course] = await Promise.all([
+        privileges.categories.can('read', data.cid, caller.uid),
+        categories.getCourse(data.cid),
+    ]);
+    if (!canRead) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    if (!course) {
+        throw new Error('[[error:no-course]]');
+    }
+    return course;
+};
+
+categoriesAPI.archiveCourse = async function (caller, data) {
+    const course = await categories.archiveCourse(data.cid, caller.uid);
+    await logCourseEvent('course-archive', caller, [course]);
+    return course;
+};
+
+categoriesAPI.unarchiveCourse = async function (caller, data) {
+    const course = await categories.unarchiveCourse(data.cid, caller.uid);
+    await logCourseEvent('course-unarchive', caller, [course]);
+    return course;
+};
+
+categoriesAPI.archiveTerm = async function (caller, data) {
+    const courses = await categories.archiveTerm(data.term, caller.uid);
+    await logCourseEvent('course-archive', caller, courses);
+    return { courses };
+};
+
+categoriesAPI.unarchiveTerm = async function (caller, data) {
+    const courses = await categories.unarchiveTerm(data.term, caller.uid);
+    await logCourseEvent('course-unarchive', caller, courses);
+    return { courses };
+};
+
+categoriesAPI.cloneCourse = async function (caller, data) {
+    const course = await categories.cloneCourse(data.cid, {
+        ...data,
+        archiveDate: parseDate(data.archiveDate),
+        uid: caller.uid,
+    });
+    await logCourseEvent('course-clone', caller, [course]);
+    return course;
+};
+
+// Accepts a timestamp or a date string, e.g. "2024-05-31"
+function parseDate(date) {
+    if (!date) {
+        return 0;
+    }
+    const timestamp = utils.isNumber(date) ? parseInt(date, 10) : new Date(date).getTime();
+    if (isNaN(timestamp)) {
+        throw new Error('[[error:invalid-data]]');
+    }
+    return timestamp;
+}
+
+categoriesAPI.getParticipation = async function (caller, data) {
+    await assertCanViewParticipation(data.cid, caller.uid);
+    return await categories.getParticipationReport(data.cid, {
+        ...parseParticipationRange(data),
+        showAnonymous: await privileges.posts.canRevealAnonymous(data.cid, caller.uid),
+    });
+};
+
+categoriesAPI.getParticipationExportPath = async function (caller, data) {
+    await assertCanViewParticipation(data.cid, caller.uid);
+    return path.join(__dirname, '../../build/export', `${parseInt(data.cid, 10)}_participation.csv`);
+};
+
+// Same as the user exports, the report is written by a child process and the caller is notified when it is ready
+categoriesAPI.exportParticipation = async function (caller, data) {
+    await assertCanViewParticipation(data.cid, caller.uid);
+    const cid = parseInt(data.cid, 10);
+    const { start, end } = categories.getParticipationRange(parseParticipationRange(data));
+    const showAnonymous = await privileges.posts.canRevealAnonymous(cid, caller.uid);
+
+    const lock = `export:${cid}participation`;
+    const count = await db.incrObjectField('locks', lock);
+    if (count > 1) {
+        throw new Error('[[error:already-exporting]]');
+    }
+
+    const child = require('child_process').fork('./src/user/jobs/export-participation.js', [], {
+        env: process.env,
+    });
+    child.send({ uid: caller.uid, cid, start, end, showAnonymous });
+    child.on('error', async (err) => {
+        winston.error(err.stack);
+        await db.deleteObjectField('locks', lock);
+    });
+    child.on('exit', async () => {
+        await db.deleteObjectField('locks', lock);
+        const name = await categories.getCategoryField(cid, 'name');
+        const n = await notifications.create({
+            bodyShort: `[[notifications:participation-exported, ${String(name).replace(/%/g, '&#37;').replace(/,/g, '&#44;')}]]`,
+            path: `/api/v3/categories/${cid}/participation/export`,
+            nid: `participation:export:${cid}:${caller.uid}`,
+            from: caller.uid,
+        });
+        await notifications.push(n, [caller.uid]);
+        await events.log({
+            type: 'export:participation',
+            uid: caller.uid,
+            ip: caller.ip,
+            cid,
+            start,
+            end,
+        });
+    });
+};
+
+categoriesAPI.getOfficeHours = async function (caller, data) {
+    return await categories.getOfficeHours(data.cid, caller.uid);
+};
+
+categoriesAPI.openOfficeHours = async function (caller, data) {
+    await categories.openOfficeHours(data.cid, caller.uid, data.location);
+    return await categories.getOfficeHours(data.cid, caller.uid);
+};
+
+categoriesAPI.closeOfficeHours = async function (caller, data) {
+    await categories.closeOfficeHours(data.cid, caller.uid);
+    return await categories.getOfficeHours(data.cid, caller.uid);
+};
+
+categoriesAPI.joinOfficeHours = async function (caller, data) {
+    return await categories.joinOfficeHours(data.cid, caller.uid, { question: data.question, tid: data.tid });
+};
+
+categoriesAPI.leaveOfficeHours = async function (caller, data) {
+    await categories.leaveOfficeHours(data.cid, caller.uid);
+};
+
+categoriesAPI.updateOfficeHoursEntry = async function (caller, data) {
+    return await categories.updateOfficeHoursEntry(data.cid, data.id, caller.uid, {
+        status: data.status,
+        tid: data.tid,
+    });
+};
+
+categoriesAPI.getOfficeHoursHistory = async function (caller, data) {
+    return await categories.getOfficeHoursHistory(data.cid, caller.uid, parseParticipationRange(data));
+};
+
+// Administrators of categories, and the moderators of the category, i.e. the instructors of a course
+async function assertCanViewParticipation(cid, uid) {
+    const [exists, isCategoryAdmin, isAdminOrMod] = await Promise.all([
+        categories.exists(cid),
+        privileges.admin.can('admin:categories', uid),
+        privileges.categories.isAdminOrMod(cid, uid),
+    ]);
+    if (!exists) {
+        throw new Error('[[error:no-category]]');
+    }
+    if (!isCategoryAdmin && !isAdminOrMod) {
+        throw new Error('[[error:no-privileges]]');
+    }
+}
+
+function parseParticipationRange(data) {
+    return {
+        start: parseDate(data.start) || undefined,
+        end: parseDate(data.end) || undefined,
+    };
+}
+
+async function logCourseEvent(type, caller, courses) {
+    await Promise.all(courses.map(course => events.log({
+        type,
+        uid: caller.uid,
+        ip: caller.ip,
+        cid: course.cid,
+        term: course.term,
+    })));
+}
+
 categoriesAPI.getPrivileges = async (caller, cid) => {
     let responsePayload;
 
@@ -141,6 +141,8 @@ exports.postCommand = async function (caller, command, eventName, notification,
         filter:post.unvote
         filter:post.bookmark
         filter:post.unbookmark
+        filter:post.endorse
+        filter:post.unendorse
      */
     const filteredData = await plugins.hooks.fire(`filter:post.${command}`, {
         data,
@@ -161,6 +163,8 @@ async function executeCommand(caller, command, eventName, notification, data) {
         socketHelpers.sendNotificationToPostOwner(data.pid, caller.uid, command, notification);
     } else if (result && command === 'unvote') {
         socketHelpers.rescindUpvoteNotification(data.pid, caller.uid);
+    } else if (result && command === 'unendorse') {
+        socketHelpers.rescindEndorseNotification(data.pid, caller.uid);
     }
     return result;
 }
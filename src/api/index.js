@@ -8,4 +8,5 @@ module.exports = {
     chats: require('./chats'),
     categories: require('./categories'),
     flags: require('./flags'),
+    careers: require('./careers'),
 };
@@ -18,15 +18,17 @@ const socketHelpers = require('../socket.io/helpers');
 const postsAPI = module.exports;
 
 postsAPI.get = async function (caller, data) {
-    const [userPrivileges, post, voted] = await Promise.all([
+    const [userPrivileges, post, voted, endorsedBy] = await Promise.all([
         privileges.posts.get([data.pid], caller.uid),
         posts.getPostData(data.pid),
         posts.hasVoted(data.pid, caller.uid),
+        posts.getEndorsedBy([data.pid]),
     ]);
     if (!post) {
         return null;
     }
     Object.assign(post, voted);
+    post.endorsedBy = endorsedBy[0];
 
     const userPrivilege = userPrivileges[0];
     if (!userPrivilege.read || !userPrivilege['topics:read']) {
@@ -38,6 +40,7 @@ postsAPI.get = async function (caller, data) {
     if (post.deleted && !(userPrivilege.isAdminOrMod || selfPost)) {
         post.content = '[[topic:post_is_deleted]]';
     }
+    await posts.anonymize([post], caller.uid);
 
     return post;
 };
@@ -253,6 +256,66 @@ postsAPI.move = async function (caller, data) {
     }
 };
 
+postsAPI.revealAuthor = async function (caller, data) {
+    if (!caller.uid) {
+        throw new Error('[[error:not-logged-in]]');
+    }
+    if (!data || !data.pid) {
+        throw new Error('[[error:invalid-data]]');
+    }
+    const reason = String(data.reason || '').trim();
+    if (!reason) {
+        throw new Error('[[error:reveal-reason-required]]');
+    }
+    const postData = await posts.getPostFields(data.pid, ['pid', 'uid', 'anonymous']);
+    if (!postData.pid) {
+        throw new Error('[[error:no-post]]');
+    }
+    if (!postData.anonymous) {
+        throw new Error('[[error:post-not-anonymous]]');
+    }
+    if (!await privileges.posts.canRevealAuthor(data.pid, caller.uid)) {
+        throw new Error('[[error:no-privileges]]');
+    }
+
+    await posts.revealAuthor(data.pid, caller.uid, reason);
+    await events.log({
+        type: 'anonymous-reveal',
+        uid: caller.uid,
+        ip: caller.ip,
+        pid: data.pid,
+        targetUid: postData.uid,
+        reason,
+    });
+    return await user.getUserFields(postData.uid, ['uid', 'username', 'userslug', 'picture']);
+};
+
+postsAPI.requestAttention = async function (caller, data) {
+    if (!data || !data.pid) {
+        throw new Error('[[error:invalid-data]]');
+    }
+    return await posts.requestAttention(data.pid, caller.uid, data.reason);
+};
+
+// The course staff mark a request as handled, a student can only withdraw their own part of it
+postsAPI.clearAttention = async function (caller, data) {
+    if (!caller.uid) {
+        throw new Error('[[error:not-logged-in]]');
+    }
+    if (!data || !data.pid) {
+        throw new Error('[[error:invalid-data]]');
+    }
+    const [attention] = await posts.getAttention([data.pid]);
+    if (!attention) {
+        throw new Error('[[error:no-attention-request]]');
+    }
+    if (await privileges.posts.canManageAttention(data.pid, caller.uid)) {
+        await posts.clearAttention(data.pid);
+    } else {
+        await posts.withdrawAttention(data.pid, caller.uid);
+    }
+};
+
 postsAPI.upvote = async function (caller, data) {
     return await apiHelpers.postCommand(caller, 'upvote', 'voted', 'notifications:upvoted_your_post_in', data);
 };
@@ -265,6 +328,14 @@ postsAPI.unvote = async function (caller, data) {
     return await apiHelpers.postCommand(caller, 'unvote', 'voted', '', data);
 };
 
+postsAPI.endorse = async function (caller, data) {
+    return await apiHelpers.postCommand(caller, 'endorse', 'endorsed', 'notifications:endorsed_your_post_in', data);
+};
+
+postsAPI.unendorse = async function (caller, data) {
+    return await apiHelpers.postCommand(caller, 'unendorse', 'endorsed', '', data);
+};
+
 postsAPI.bookmark = async function (caller, data) {
     return await apiHelpers.postCommand(caller, 'bookmark', 'bookmarked', '', data);
 };
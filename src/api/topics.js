@@ -1,10 +1,15 @@
 'use strict';
 
+const winston = require('winston');
+
 const user = require('../user');
 const topics = require('../topics');
 const posts = require('../posts');
+const categories = require('../categories');
 const meta = require('../meta');
 const privileges = require('../privileges');
+const events = require('../events');
+const utils = require('../utils');
 
 const apiHelpers = require('./helpers');
 
@@ -29,6 +34,7 @@ topicsAPI.get = async function (caller, data) {
         return null;
     }
 
+    await posts.anonymize([topic], caller.uid);
     return topic;
 };
 
@@ -60,7 +66,10 @@ topicsAPI.create = async function (caller, data) {
 
     socketHelpers.emitToUids('event:new_post', { posts: [result.postData] }, [caller.uid]);
     socketHelpers.emitToUids('event:new_topic', result.topicData, [caller.uid]);
-    socketHelpers.notifyNew(caller.uid, 'newTopic', { posts: [result.postData], topic: result.topicData });
+    // Topics shadow-hidden by a post rule only show up for their author
+    if (!result.postData.deleted) {
+        socketHelpers.notifyNew(caller.uid, 'newTopic', { posts: [result.postData], topic: result.topicData });
+    }
 
     return result.topicData;
 };
@@ -94,7 +103,9 @@ topicsAPI.reply = async function (caller, data) {
         websockets.in('online_guests').emit('event:new_post', result);
     }
 
-    socketHelpers.notifyNew(caller.uid, 'newPost', result);
+    if (!postData.deleted) {
+        socketHelpers.notifyNew(caller.uid, 'newPost', result);
+    }
 
     return postObj[0];
 };
@@ -141,6 +152,90 @@ topicsAPI.unlock = async function (caller, data) {
     });
 };
 
+topicsAPI.accept = async function (caller, data) {
+    const topicData = await topics.tools.accept(data.tid, data.pid, caller.uid);
+    websockets.in(`topic_${data.tid}`).emit('event:topic_resolved', topicData);
+};
+
+topicsAPI.unaccept = async function (caller, data) {
+    const topicData = await topics.tools.unaccept(data.tid, caller.uid);
+    websockets.in(`topic_${data.tid}`).emit('event:topic_resolved', topicData);
+};
+
+topicsAPI.getSimilar = async function (caller, data) {
+    if (!data || !utils.isNumber(data.cid) || typeof data.title !== 'string') {
+        throw new Error('[[error:invalid-data]]');
+    }
+    const similarTopics = await topics.getSimilarTopics({
+        cid: parseInt(data.cid, 10),
+        title: data.title.slice(0, meta.config.maximumTitleLength),
+        uid: caller.uid,
+    });
+    return { topics: similarTopics };
+};
+
+topicsAPI.getUnanswered = async function (caller, data) {
+    if (!await privileges.topics.canViewUnanswered(caller.uid)) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    const filter = data.filter || '';
+    if (!topics.unansweredFilters.includes(filter)) {
+        throw new Error('[[error:invalid-data]]');
+    }
+    const settings = await user.getSettings(caller.uid);
+    const page = Math.max(1, parseInt(data.page, 10) || 1);
+    const start = (page - 1) * settings.topicsPerPage;
+    const stop = start + settings.topicsPerPage - 1;
+    return await topics.getUnansweredTopics({
+        uid: caller.uid,
+        cid: data.cid,
+        filter,
+        start,
+        stop,
+    });
+};
+
+topicsAPI.assign = async function (caller, data) {
+    const topicData = await topics.tools.assign(data.tid, caller.uid);
+    websockets.in(`topic_${data.tid}`).emit('event:topic_assigned', topicData);
+};
+
+topicsAPI.unassign = async function (caller, data) {
+    const topicData = await topics.tools.unassign(data.tid, caller.uid);
+    websockets.in(`topic_${data.tid}`).emit('event:topic_assigned', topicData);
+};
+
+topicsAPI.makePublic = async function (caller, data) {
+    const anonymize = data.anonymize === true || data.anonymize === 'true' || parseInt(data.anonymize, 10) === 1;
+    await topics.tools.makePublic(data.tid, caller.uid, anonymize);
+};
+
+topicsAPI.getReceipts = async function (caller, data) {
+    const userPrivileges = await privileges.topics.get(data.tid, caller.uid);
+    if (!userPrivileges['topics:receipts']) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    return await topics.announcements.getReceipts(data.tid);
+};
+
+topicsAPI.getAnswers = async function (caller, data) {
+    if (!await privileges.topics.can('topics:read', data.tid, caller.uid)) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    return await topics.answers.get(data.tid, caller.uid);
+};
+
+topicsAPI.setAnswer = async function (caller, data) {
+    await topics.answers.save(data.tid, data.type, {
+        uid: caller.uid,
+        content: data.content,
+        req: apiHelpers.buildReqObject(caller),
+    });
+    const answers = await topics.answers.get(data.tid, caller.uid);
+    websockets.in(`topic_${data.tid}`).emit('event:topic_answered', { tid: data.tid, type: data.type });
+    return answers;
+};
+
 topicsAPI.follow = async function (caller, data) {
     await topics.follow(data.tid, caller.uid);
 };
@@ -152,3 +247,130 @@ topicsAPI.ignore = async function (caller, data) {
 topicsAPI.unfollow = async function (caller, data) {
     await topics.unfollow(data.tid, caller.uid);
 };
+
+// The privilege a bulk action needs on each of its topics
+const bulkPrivileges = {
+    move: 'isAdminOrMod',
+    lock: 'isAdminOrMod',
+    unlock: 'isAdminOrMod',
+    pin: 'isAdminOrMod',
+    unpin: 'isAdminOrMod',
+    delete: 'canDelete',
+    restore: 'canDelete',
+    tag: 'canEdit',
+    merge: 'isAdminOrMod',
+};
+
+topicsAPI.bulk = async function (caller, data) {
+    if (!data || !topics.bulkActions.includes(data.action)) {
+        throw new Error('[[error:invalid-data]]');
+    }
+    const tids = await topics.getBulkTids(caller.uid, data);
+    const action = await getBulkAction(caller, data, tids);
+    const job = await topics.createBulkJob(caller.uid, data.action, tids);
+
+    topics.runBulkJob(job.jobId, async (tid) => {
+        if (!await topics.exists(tid)) {
+            throw new Error('[[error:no-topic]]');
+        }
+        if (!await privileges.topics[bulkPrivileges[data.action]](tid, caller.uid)) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        await action(tid);
+    }).catch((err) => {
+        winston.error(`[api/topics] Bulk job ${job.jobId} stopped\n${err.stack}`);
+    });
+
+    await events.log({
+        type: 'topic-bulk',
+        uid: caller.uid,
+        ip: caller.ip,
+        jobId: job.jobId,
+        action: data.action,
+        total: job.total,
+    });
+    return job;
+};
+
+topicsAPI.getBulkJob = async function (caller, { jobId }) {
+    const [job, isAdmin] = await Promise.all([
+        topics.getBulkJob(jobId),
+        user.isAdministrator(caller.uid),
+    ]);
+    if (!job) {
+        throw new Error('[[error:no-bulk-job]]');
+    }
+    if (job.uid !== parseInt(caller.uid, 10) && !isAdmin) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    return job;
+};
+
+// What a bulk job does to each topic, the options of the action are checked before the job is created
+async function getBulkAction(caller, data, tids) {
+    if (data.action === 'move') {
+        if (!await categories.exists(data.cid)) {
+            throw new Error('[[error:no-category]]');
+        }
+        if (!await privileges.categories.isAdminOrMod(data.cid, caller.uid)) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        const uids = await user.getUidsFromSet('users:online', 0, -1);
+        return async tid => await moveTopic(caller, tid, data.cid, uids);
+    }
+    if (data.action === 'tag') {
+        if (!Array.isArray(data.tags) || !data.tags.length) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        return async (tid) => {
+            const cid = await topics.getTopicField(tid, 'cid');
+            await topics.validateTags(data.tags, cid, caller.uid, tid);
+            await topics.addTags(await topics.filterTags(data.tags, cid), [tid]);
+        };
+    }
+    if (data.action === 'merge') {
+        // like Topics.merge, the topics are merged into the oldest one unless told otherwise
+        const mainTid = data.mainTid ? parseInt(data.mainTid, 10) : Math.min(...tids);
+        if (!tids.includes(mainTid)) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        if (!await privileges.topics.isAdminOrMod(mainTid, caller.uid)) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        return async tid => await mergeTopic(caller, tid, mainTid);
+    }
+    return async tid => await topicsAPI[data.action](caller, { tids: [tid] });
+}
+
+async function moveTopic(caller, tid, cid, uids) {
+    const topicData = await topics.getTopicFields(tid, ['tid', 'cid', 'slug', 'deleted']);
+    await topics.tools.move(tid, { cid, uid: caller.uid });
+
+    const notifyUids = await privileges.categories.filterUids('topics:read', topicData.cid, uids);
+    socketHelpers.emitToUids('event:topic_moved', topicData, notifyUids);
+    if (!topicData.deleted) {
+        socketHelpers.sendNotificationToTopicOwner(tid, caller.uid, 'move', 'notifications:moved_your_topic');
+    }
+    await events.log({
+        type: 'topic-move',
+        uid: caller.uid,
+        ip: caller.ip,
+        tid,
+        fromCid: topicData.cid,
+        toCid: cid,
+    });
+}
+
+async function mergeTopic(caller, tid, mainTid) {
+    if (tid === mainTid) {
+        return;
+    }
+    await topics.merge([mainTid, tid], caller.uid, { mainTid });
+    await events.log({
+        type: 'topic-merge',
+        uid: caller.uid,
+        ip: caller.ip,
+        mergeIntoTid: mainTid,
+        tids: String([mainTid, tid]),
+    });
+}
@@ -476,3 +476,46 @@ usersAPI.generateExport = async (caller, { uid, type }) => {
         });
     });
 };
+
+usersAPI.importRoster = async function (caller, data) {
+    if (!data || typeof data.csv !== 'string') {
+        throw new Error('[[error:invalid-data]]');
+    }
+    const canImport = await privileges.users.canImportRoster(caller.uid, data.cid);
+    if (!canImport) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    const result = await user.importRoster(data.csv, {
+        uid: caller.uid,
+        cid: data.cid,
+        dryRun: !!data.dryRun,
+        sendInvitations: !!data.sendInvitations,
+    });
+    if (!result.dryRun) {
+        await events.log({
+            type: 'roster-import',
+            uid: caller.uid,
+            ip: caller.ip,
+            importId: result.importId,
+            created: result.created,
+            updated: result.updated,
+            skipped: result.skipped,
+            failed: result.failed,
+        });
+    }
+    return result;
+};
+
+usersAPI.getRosterReport = async function (caller, { importId }) {
+    const [rosterImport, isAdmin] = await Promise.all([
+        user.getRosterImport(importId),
+        user.isAdministrator(caller.uid),
+    ]);
+    if (!rosterImport) {
+        throw new Error('[[error:no-roster-import]]');
+    }
+    if (rosterImport.uid !== parseInt(caller.uid, 10) && !isAdmin) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    return await user.getRosterReportCSV(importId);
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+const _ = require('lodash');
+const nconf = require('nconf');
+const validator = require('validator');
+
+const db = require('../database');
+const file = require('../file');
+const user = require('../user');
+const meta = require('../meta');
+const notifications = require('../notifications');
+const plugins = require('../plugins');
+const utils = require('../utils');
+
+const intFields = ['applicationId', 'jobId', 'uid', 'timestamp', 'updated'];
+
+/**
+ * Students apply to an open posting with a résumé and a cover note, once per posting.
+ * Applications live in `application:<applicationId>`, the inbox of a posting in `job:<jobId>:applications`
+ * and `job:<jobId>:applicants` maps the applicants to their application. Each status change notifies the applicant.
+ * Résumés are private files, only handed out through `/api/v3/careers/<jobId>/applications/<applicationId>/resume`.
+ */
+module.exports = function (Careers) {
+    Careers.applicationStatuses = ['submitted', 'reviewed', 'interview', 'rejected'];
+
+    Careers.canApply = async function (jobId, uid) {
+        const job = await Careers.get(jobId);
+        if (!job) {
+            throw new Error('[[error:no-job]]');
+        }
+        if (job.expired) {
+            throw new Error('[[error:job-expired]]');
+        }
+        if (!(parseInt(uid, 10) > 0) || job.uid === parseInt(uid, 10)) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        if (await Careers.hasApplied(jobId, uid)) {
+            throw new Error('[[error:already-applied]]');
+        }
+    };
+
+    Careers.hasApplied = async function (jobId, uid) {
+        return await db.isSortedSetMember(`job:${jobId}:applicants`, uid);
+    };
+
+    Careers.apply = async function (data) {
+        if (!data.resume || !data.resume.file) {
+            throw new Error('[[error:invalid-file]]');
+        }
+        const note = typeof data.note === 'string' ? data.note.trim() : '';
+        if (note.length > meta.config.maximumPostLength) {
+            throw new Error(`[[error:content-too-long, ${meta.config.maximumPostLength}]]`);
+        }
+
+        // A double submit must not overwrite the application it raced with
+        const lock = `apply:${data.jobId}:${data.uid}`;
+        const count = await db.incrObjectField('locks', lock);
+        if (count > 1) {
+            throw new Error('[[error:already-applied]]');
+        }
+        try {
+            await Careers.canApply(data.jobId, data.uid);
+            return await createApplication(data, note);
+        } finally {
+            await db.deleteObjectField('locks', lock);
+        }
+    };
+
+    async function createApplication(data, note) {
+        const applicationId = await db.incrObjectField('global', 'nextApplicationId');
+        const timestamp = Date.now();
+        let application = {
+            applicationId,
+            jobId: parseInt(data.jobId, 10),
+            uid: data.uid,
+            note: validator.escape(note),
+            resumeFile: data.resume.file,
+            resumeName: validator.escape(String(data.resume.name || '')),
+            status: 'submitted',
+            timestamp,
+            updated: 0,
+        };
+        ({ application } = await plugins.hooks.fire('filter:career.apply', { application, data }));
+
+        await db.setObject(`application:${applicationId}`, application);
+        await db.sortedSetAddBulk([
+            [`job:${data.jobId}:applications`, timestamp, applicationId],
+            [`job:${data.jobId}:applicants`, applicationId, data.uid],
+            [`uid:${data.uid}:jobs:applied`, timestamp, data.jobId],
+        ]);
+        plugins.hooks.fire('action:career.apply', { application });
+        return await Careers.getApplication(applicationId);
+    }
+
+    Careers.getApplication = async function (applicationId) {
+        const [application] = await Careers.getApplicationsByIds([applicationId]);
+        return application || null;
+    };
+
+    Careers.getApplicationsByIds = async function (applicationIds) {
+        const applications = (await db.getObjects(applicationIds.map(id => `application:${id}`))).filter(Boolean);
+        const users = await user.getUsersFields(
+            _.uniq(applications.map(application => application.uid)),
+            ['uid', 'username', 'userslug', 'picture']
+        );
+        const uidToUser = _.zipObject(users.map(u => u.uid), users);
+        applications.forEach((application) => {
+            db.parseIntFields(application, intFields, []);
+            application.user = uidToUser[application.uid];
+            application.resumeUrl = `${nconf.get('relative_path')}/api/v3/careers/${application.jobId}/applications/${application.applicationId}/resume`;
+            delete application.resumeFile;
+            application.timestampISO = utils.toISOString(application.timestamp);
+            application.updatedISO = application.updated ? utils.toISOString(application.updated) : '';
+        });
+        return applications;
+    };
+
+    // The inbox of a posting, oldest first so applicants are looked at in the order they applied
+    Careers.getApplications = async function (jobId, params) {
+        const applicationIds = await db.getSortedSetRange(`job:${jobId}:applications`, 0, -1);
+        let applications = await Careers.getApplicationsByIds(applicationIds);
+        if (params.status) {
+            applications = applications.filter(application => application.status === params.status);
+        }
+        const start = params.start || 0;
+        const stop = params.stop === undefined ? -1 : params.stop;
+        return {
+            applications: applications.slice(start, stop !== -1 ? stop + 1 : undefined),
+            applicationCount: applications.length,
+            nextStart: stop + 1,
+        };
+    };
+
+    // The application of `uid` to each posting, or null where they did not apply
+    Careers.getUserApplications = async function (jobIds, uid) {
+        const applicationIds = await Promise.all(jobIds.map(jobId => db.sortedSetScore(`job:${jobId}:applicants`, uid)));
+        const applications = await Careers.getApplicationsByIds(applicationIds.filter(Boolean));
+        const idToApplication = _.zipObject(applications.map(a => a.applicationId), applications);
+        return applicationIds.map(applicationId => idToApplication[applicationId] || null);
+    };
+
+    Careers.getResumePath = async function (applicationId) {
+        const resumeFile = await db.getObjectField(`application:${applicationId}`, 'resumeFile');
+        return resumeFile ? file.getPrivatePath(resumeFile) : null;
+    };
+
+    Careers.getApplicationCounts = async function (jobIds) {
+        return await db.sortedSetsCard(jobIds.map(jobId => `job:${jobId}:applications`));
+    };
+
+    Careers.setApplicationStatus = async function (applicationId, status, uid) {
+        if (!Careers.applicationStatuses.slice(1).includes(status)) {
+            throw new Error('[[error:invalid-application-status]]');
+        }
+        const application = await Careers.getApplication(applicationId);
+        if (!application) {
+            throw new Error('[[error:no-application]]');
+        }
+        if (application.status === status) {
+            return application;
+        }
+        await db.setObject(`application:${applicationId}`, { status, updated: Date.now() });
+        plugins.hooks.fire('action:career.applicationStatus', { application, status, uid });
+        await notifyApplicant(application, status, uid);
+        return await Careers.getApplication(applicationId);
+    };
+
+    Careers.purgeApplications = async function (jobId) {
+        const [applicationIds, uids] = await Promise.all([
+            db.getSortedSetRange(`job:${jobId}:applications`, 0, -1),
+            db.getSortedSetRange(`job:${jobId}:applicants`, 0, -1),
+        ]);
+        const resumes = await db.getObjectsFields(applicationIds.map(id => `application:${id}`), ['resumeFile']);
+        const resumeFiles = resumes.map(resume => resume && resume.resumeFile).filter(Boolean);
+        await Promise.all(resumeFiles.map(resumeFile => file.delete(file.getPrivatePath(resumeFile))));
+        await db.sortedSetRemoveBulk(uids.map(uid => [`uid:${uid}:jobs:applied`, jobId]));
+        await db.deleteAll([
+            ...applicationIds.map(applicationId => `application:${applicationId}`),
+            `job:${jobId}:applications`,
+            `job:${jobId}:applicants`,
+        ]);
+    };
+
+    async function notifyApplicant(application, status, uid) {
+        const job = await Careers.get(application.jobId);
+        const titleEscaped = job.title.replace(/%/g, '&#37;').replace(/,/g, '&#44;');
+        const companyEscaped = job.company.replace(/%/g, '&#37;').replace(/,/g, '&#44;');
+        const notification = await notifications.create({
+            type: 'job-application',
+            bodyShort: `[[notifications:job-application-${status}, ${titleEscaped}, ${companyEscaped}]]`,
+            nid: `job:${application.jobId}:application:${application.applicationId}:${status}`,
+            path: '/career?filter=applied',
+            from: uid,
+        });
+        await notifications.push(notification, [application.uid]);
+    }
+};
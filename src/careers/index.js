@@ -0,0 +1,269 @@
+'use strict';
+
+const _ = require('lodash');
+const validator = require('validator');
+const winston = require('winston');
+const { CronJob } = require('cron');
+
+const db = require('../database');
+const batch = require('../batch');
+const user = require('../user');
+const meta = require('../meta');
+const plugins = require('../plugins');
+const utils = require('../utils');
+
+/**
+ * Job postings are written by recruiters and listed on the career page until their deadline.
+ * Every posting is in `jobs:jobId` and the postings of a recruiter in `uid:<uid>:jobs`, both scored by creation time.
+ * Open postings are also in `jobs:open` and `jobs:deadline`, the hourly job takes them out once their deadline passes.
+ */
+const Careers = module.exports;
+
+const intFields = ['jobId', 'uid', 'deadline', 'timestamp', 'edited', 'expired'];
+
+Careers.filters = ['', 'mine', 'applied'];
+// A search lists at most this many of the newest matching postings
+Careers.searchMaxJobs = 500;
+
+Careers.startJobs = function () {
+    winston.verbose('[careers] Starting jobs.');
+    new CronJob('0 * * * *', Careers.expireJobs, null, true);
+};
+
+Careers.exists = async function (jobId) {
+    return await db.isSortedSetMember('jobs:jobId', jobId);
+};
+
+Careers.canPost = async function (uid) {
+    const [isRecruiter, isAdmin] = await Promise.all([
+        user.isRecruiter(parseInt(uid, 10)),
+        user.isAdministrator(uid),
+    ]);
+    return isRecruiter || isAdmin;
+};
+
+// Recruiters manage their own postings, administrators every posting
+Careers.canEdit = async function (jobId, uid) {
+    const [owner, isAdmin] = await Promise.all([
+        db.getObjectField(`job:${jobId}`, 'uid'),
+        user.isAdministrator(uid),
+    ]);
+    return isAdmin || (parseInt(uid, 10) > 0 && parseInt(owner, 10) === parseInt(uid, 10));
+};
+
+Careers.create = async function (data) {
+    const job = validate(data);
+    const jobId = await db.incrObjectField('global', 'nextJobId');
+    const timestamp = Date.now();
+    let jobData = {
+        ...job,
+        jobId,
+        uid: data.uid,
+        timestamp,
+        edited: 0,
+        expired: 0,
+    };
+    ({ job: jobData } = await plugins.hooks.fire('filter:career.create', { job: jobData, data }));
+
+    await db.setObject(`job:${jobId}`, jobData);
+    await db.sortedSetAddBulk([
+        ['jobs:jobId', timestamp, jobId],
+        ['jobs:open', timestamp, jobId],
+        ['jobs:deadline', jobData.deadline, jobId],
+        [`uid:${data.uid}:jobs`, timestamp, jobId],
+    ]);
+    plugins.hooks.fire('action:career.create', { job: jobData });
+    return await Careers.get(jobId);
+};
+
+Careers.get = async function (jobId) {
+    const [job] = await Careers.getJobsByIds([jobId]);
+    return job || null;
+};
+
+Careers.getJobsByIds = async function (jobIds) {
+    const jobs = (await db.getObjects(jobIds.map(jobId => `job:${jobId}`))).filter(Boolean);
+    const users = await user.getUsersFields(_.uniq(jobs.map(job => job.uid)), ['uid', 'username', 'userslug', 'picture']);
+    const uidToUser = _.zipObject(users.map(u => u.uid), users);
+    const now = Date.now();
+    jobs.forEach((job) => {
+        db.parseIntFields(job, intFields, []);
+        job.tags = job.tags ? job.tags.split(',') : [];
+        job.user = uidToUser[job.uid];
+        // the hourly job may not have run yet, a posting past its deadline is expired either way
+        job.expired = job.expired === 1 || job.deadline <= now;
+        job.deadlineISO = utils.toISOString(job.deadline);
+        job.timestampISO = utils.toISOString(job.timestamp);
+        job.editedISO = job.edited ? utils.toISOString(job.edited) : '';
+    });
+    const result = await plugins.hooks.fire('filter:career.getJobs', { jobs });
+    return result.jobs;
+};
+
+/**
+ * Lists the open postings, newest first. The `mine` filter lists every posting of the calling recruiter,
+ * and `applied` every posting the calling user applied to, expired ones included.
+ * `tag`, `company`, `location` and `query` narrow the list down, matching is case-insensitive.
+ * Only the postings of the page are read, a search reads the postings a range at a time
+ * and lists at most Careers.searchMaxJobs.
+ */
+Careers.getJobs = async function (params) {
+    const { uid } = params;
+    const sets = {
+        mine: `uid:${uid}:jobs`,
+        applied: `uid:${uid}:jobs:applied`,
+    };
+    const set = sets[params.filter] || 'jobs:open';
+    if (!sets[params.filter]) {
+        // the hourly job may not have run yet, postings past their deadline must not take a place on the page
+        await Careers.expireJobs();
+    }
+    const start = params.start || 0;
+    const stop = params.stop === undefined ? -1 : params.stop;
+
+    if (!isSearch(params)) {
+        const [jobIds, jobCount] = await Promise.all([
+            db.getSortedSetRevRange(set, start, stop),
+            db.sortedSetCard(set),
+        ]);
+        return {
+            jobs: await Careers.getJobsByIds(jobIds),
+            jobCount,
+            nextStart: stop + 1,
+        };
+    }
+
+    const batchSize = Careers.searchMaxJobs;
+    let jobs = [];
+    for (let i = 0; jobs.length < Careers.searchMaxJobs; i += batchSize) {
+        /* eslint-disable no-await-in-loop */
+        const jobIds = await db.getSortedSetRevRange(set, i, i + batchSize - 1);
+        jobs = jobs.concat((await Careers.getJobsByIds(jobIds)).filter(job => matches(job, params)));
+        if (jobIds.length < batchSize) {
+            break;
+        }
+    }
+    jobs = jobs.slice(0, Careers.searchMaxJobs);
+    return {
+        jobs: jobs.slice(start, stop !== -1 ? stop + 1 : undefined),
+        jobCount: jobs.length,
+        nextStart: stop + 1,
+    };
+};
+
+function isSearch(params) {
+    return ['tag', 'company', 'location', 'query'].some(field => !!params[field]);
+}
+
+function matches(job, params) {
+    const contains = (value, search) => !search || String(value).toLowerCase().includes(String(search).toLowerCase());
+    return (!params.tag || job.tags.includes(String(params.tag).toLowerCase())) &&
+        contains(job.company, params.company) &&
+        contains(job.location, params.location) &&
+        (!params.query || contains(job.title, params.query) || contains(job.description, params.query) ||
+            contains(job.company, params.query));
+}
+
+Careers.getTags = async function () {
+    let tags = [];
+    await batch.processSortedSet('jobs:open', async (jobIds) => {
+        const jobs = await db.getObjectsFields(jobIds.map(jobId => `job:${jobId}`), ['tags', 'deadline']);
+        const now = Date.now();
+        const open = jobs.filter(job => job && job.tags && parseInt(job.deadline, 10) > now);
+        tags = _.uniq(tags.concat(_.flatten(open.map(job => job.tags.split(',')))));
+    }, {
+        batch: 500,
+    });
+    return tags.sort();
+};
+
+// Fields that are left out keep their value, moving the deadline of an expired posting back into the future reopens it
+Careers.edit = async function (jobId, data) {
+    const job = validate(data, true);
+    const jobData = await db.getObjectFields(`job:${jobId}`, ['jobId', 'timestamp', 'deadline']);
+    if (!jobData.jobId) {
+        throw new Error('[[error:no-job]]');
+    }
+    job.edited = Date.now();
+    if (job.deadline) {
+        job.expired = 0;
+        await db.sortedSetAddBulk([
+            ['jobs:open', jobData.timestamp, jobId],
+            ['jobs:deadline', job.deadline, jobId],
+        ]);
+    }
+    await db.setObject(`job:${jobId}`, job);
+    plugins.hooks.fire('action:career.edit', { job: { ...job, jobId }, uid: data.uid });
+    return await Careers.get(jobId);
+};
+
+Careers.purge = async function (jobId, uid) {
+    const jobData = await Careers.get(jobId);
+    if (!jobData) {
+        throw new Error('[[error:no-job]]');
+    }
+    await db.sortedSetsRemove(['jobs:jobId', 'jobs:open', 'jobs:deadline', `uid:${jobData.uid}:jobs`], jobId);
+    await Careers.purgeApplications(jobId);
+    await db.delete(`job:${jobId}`);
+    plugins.hooks.fire('action:career.purge', { job: jobData, uid });
+};
+
+Careers.expireJobs = async function () {
+    const jobIds = await db.getSortedSetRangeByScore('jobs:deadline', 0, -1, '-inf', Date.now());
+    if (!jobIds.length) {
+        return;
+    }
+    await db.sortedSetRemoveBulk(_.flatten(jobIds.map(jobId => [['jobs:open', jobId], ['jobs:deadline', jobId]])));
+    await db.setObjectBulk(jobIds.map(jobId => [`job:${jobId}`, { expired: 1 }]));
+    plugins.hooks.fire('action:career.expire', { jobIds: jobIds.map(jobId => parseInt(jobId, 10)) });
+};
+
+function validate(data, partial) {
+    const job = {};
+    ['title', 'company', 'description'].forEach((field) => {
+        if (partial && data[field] === undefined) {
+            return;
+        }
+        if (typeof data[field] !== 'string' || !data[field].trim()) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        job[field] = data[field].trim();
+    });
+    if (job.title !== undefined && job.title.length > meta.config.maximumTitleLength) {
+        throw new Error(`[[error:title-too-long, ${meta.config.maximumTitleLength}]]`);
+    }
+    if (job.description !== undefined && job.description.length > meta.config.maximumPostLength) {
+        throw new Error(`[[error:content-too-long, ${meta.config.maximumPostLength}]]`);
+    }
+    if (!partial || data.location !== undefined) {
+        job.location = typeof data.location === 'string' ? data.location.trim() : '';
+    }
+    Object.keys(job).forEach((field) => {
+        job[field] = validator.escape(job[field]);
+    });
+
+    if (!partial || data.deadline !== undefined) {
+        if (!utils.isNumber(data.deadline) || parseInt(data.deadline, 10) <= Date.now()) {
+            throw new Error('[[error:invalid-job-deadline]]');
+        }
+        job.deadline = parseInt(data.deadline, 10);
+    }
+    if (!partial || data.tags !== undefined) {
+        job.tags = cleanTags(data.tags).join(',');
+    }
+    return job;
+}
+
+function cleanTags(tags) {
+    if (typeof tags === 'string') {
+        tags = tags.split(',');
+    }
+    if (!Array.isArray(tags)) {
+        return [];
+    }
+    tags = _.uniq(tags.map(tag => utils.cleanUpTag(String(tag), meta.config.maximumTagLength)).filter(Boolean));
+    return tags.slice(0, meta.config.maximumTagsPerTopic);
+}
+
+require('./applications')(Careers);
+require('../promisify')(Careers);
@@ -0,0 +1,282 @@
+'use strict';
+
+const winston = require('winston');
+const { CronJob } = require('cron');
+
+const db = require('../database');
+const groups = require('../groups');
+const posts = require('../posts');
+const plugins = require('../plugins');
+const privileges = require('../privileges');
+const utils = require('../utils');
+
+const intFields = ['cid', 'archiveDate', 'archived', 'clonedFromCid', 'timestamp'];
+
+/**
+ * A course is a root category with a term, a roster group, an instructors group and an archive date.
+ * Its subcategories belong to the course as well. Course data lives in `course:<cid>`,
+ * the category hash is left untouched so courses work with every category feature.
+ */
+module.exports = function (Categories) {
+    Categories.startJobs = function () {
+        winston.verbose('[courses] Starting jobs.');
+        new CronJob('0 * * * *', Categories.archiveExpiredCourses, null, true);
+    };
+
+    Categories.createCourse = async function (data) {
+        validateCourseData(data);
+        const category = await Categories.create({
+            name: data.name,
+            description: data.description,
+            parentCid: data.parentCid,
+            uid: data.uid,
+        });
+        const course = await setCourse(category.cid, data);
+        await assignCourseGroups(category.cid, course);
+
+        plugins.hooks.fire('action:category.course.create', { course, uid: data.uid });
+        return await Categories.getCourse(category.cid);
+    };
+
+    Categories.getCourse = async function (cid) {
+        const [course, name] = await Promise.all([
+            db.getObject(`course:${cid}`),
+            Categories.getCategoryField(cid, 'name'),
+        ]);
+        if (!course) {
+            return null;
+        }
+        db.parseIntFields(course, intFields, []);
+        course.name = name;
+        course.archiveDateISO = course.archiveDate ? utils.toISOString(course.archiveDate) : '';
+        return course;
+    };
+
+    Categories.isCourse = async function (cid) {
+        return await db.isSortedSetMember('courses:cid', cid);
+    };
+
+    // The course a category belongs to, itself or the closest of its parents, 0 when it is not part of a course
+    Categories.getCourseCid = async function (cid) {
+        const cids = [parseInt(cid, 10), ...(await Categories.getParentCids(cid)).reverse()].filter(Boolean);
+        const isCourse = await db.isSortedSetMembers('courses:cid', cids);
+        const index = isCourse.indexOf(true);
+        return index !== -1 ? parseInt(cids[index], 10) : 0;
+    };
+
+    Categories.getCourseCids = async function (term) {
+        const cids = await db.getSortedSetRange(term ? `courses:term:${term}` : 'courses:cid', 0, -1);
+        return cids.map(cid => parseInt(cid, 10));
+    };
+
+    // Archiving makes every category of the course read-only, see privileges.categories.archive
+    Categories.archiveCourse = async function (cid, uid) {
+        const course = await getCourseOrThrow(cid);
+        if (!course.archived) {
+            await setArchived(course, true);
+            plugins.hooks.fire('action:category.course.archive', { course, uid });
+        }
+        return await Categories.getCourse(cid);
+    };
+
+    Categories.unarchiveCourse = async function (cid, uid) {
+        const course = await getCourseOrThrow(cid);
+        if (course.archived) {
+            await setArchived(course, false);
+            plugins.hooks.fire('action:category.course.unarchive', { course, uid });
+        }
+        return await Categories.getCourse(cid);
+    };
+
+    Categories.archiveTerm = async function (term, uid) {
+        const cids = await Categories.getCourseCids(term);
+        return await Promise.all(cids.map(cid => Categories.archiveCourse(cid, uid)));
+    };
+
+    Categories.unarchiveTerm = async function (term, uid) {
+        const cids = await Categories.getCourseCids(term);
+        return await Promise.all(cids.map(cid => Categories.unarchiveCourse(cid, uid)));
+    };
+
+    Categories.archiveExpiredCourses = async function () {
+        const cids = await db.getSortedSetRangeByScore('courses:archiveDate', 0, -1, '-inf', Date.now());
+        for (const cid of cids) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                await Categories.archiveCourse(cid, 'system');
+            } catch (err) {
+                winston.error(`[courses] Could not archive course ${cid}\n${err.stack}`);
+            }
+        }
+    };
+
+    /**
+     * Copies a course into a new term: the category tree with its settings and privileges,
+     * and the pinned topics of every category. The new term gets its own roster group,
+     * the instructors group is kept unless another one is given.
+     */
+    Categories.cloneCourse = async function (cid, data) {
+        const source = await getCourseOrThrow(cid);
+        const parentCid = await Categories.getCategoryField(cid, 'parentCid');
+        data = {
+            ...data,
+            name: data.name || utils.decodeHTMLEntities(source.name),
+            instructorsGroup: data.instructorsGroup || source.instructorsGroup,
+        };
+        validateCourseData(data);
+
+        const newCid = await cloneCategory(cid, parentCid, { ...data, archived: source.archived }, data.name);
+        const course = await setCourse(newCid, { ...data, clonedFromCid: cid });
+        const cids = [newCid, ...await Categories.getChildrenCids(newCid)];
+        await Promise.all(cids.map(async (cid) => {
+            await moveGroupPrivileges(cid, source.rosterGroup, course.rosterGroup);
+            await moveGroupPrivileges(cid, source.instructorsGroup, course.instructorsGroup);
+        }));
+
+        plugins.hooks.fire('action:category.course.clone', { course, fromCid: cid, uid: data.uid });
+        return await Categories.getCourse(newCid);
+    };
+
+    function validateCourseData(data) {
+        if (!data || typeof data.name !== 'string' || !data.name.trim() ||
+            typeof data.term !== 'string' || !data.term.trim()) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        if (data.archiveDate && !utils.isNumber(data.archiveDate)) {
+            throw new Error('[[error:invalid-data]]');
+        }
+    }
+
+    async function getCourseOrThrow(cid) {
+        const course = await Categories.getCourse(cid);
+        if (!course) {
+            throw new Error('[[error:no-course]]');
+        }
+        return course;
+    }
+
+    async function setCourse(cid, data) {
+        const term = data.term.trim();
+        const course = {
+            cid,
+            term,
+            rosterGroup: data.rosterGroup || `${data.name} ${term} Students`,
+            instructorsGroup: data.instructorsGroup || `${data.name} ${term} Instructors`,
+            archiveDate: parseInt(data.archiveDate, 10) || 0,
+            archived: 0,
+            clonedFromCid: data.clonedFromCid || 0,
+            timestamp: Date.now(),
+        };
+        await Promise.all([course.rosterGroup, course.instructorsGroup].map(createGroup));
+        await db.setObject(`course:${cid}`, course);
+        await db.sortedSetAddBulk([
+            ['courses:cid', course.timestamp, cid],
+            [`courses:term:${term}`, course.timestamp, cid],
+            ...(course.archiveDate ? [['courses:archiveDate', course.archiveDate, cid]] : []),
+        ]);
+        return course;
+    }
+
+    async function createGroup(name) {
+        if (await groups.exists(name)) {
+            return;
+        }
+        await groups.create({
+            name,
+            hidden: 1,
+            private: 1,
+            disableJoinRequests: 1,
+        });
+    }
+
+    // Courses are closed: the roster takes over the privileges of registered users, guests lose theirs
+    async function assignCourseGroups(cid, course) {
+        const [moderatorPrivileges, guestPrivileges] = await Promise.all([
+            privileges.categories.groupPrivileges(cid, 'Global Moderators'),
+            privileges.categories.groupPrivileges(cid, 'guests'),
+        ]);
+        await moveGroupPrivileges(cid, 'registered-users', course.rosterGroup);
+        await privileges.categories.give(
+            Object.keys(moderatorPrivileges).filter(privilege => moderatorPrivileges[privilege]).concat('groups:moderate'),
+            cid,
+            course.instructorsGroup
+        );
+        await privileges.categories.rescind(
+            Object.keys(guestPrivileges).filter(privilege => guestPrivileges[privilege]),
+            cid,
+            ['guests', 'spiders']
+        );
+    }
+
+    async function moveGroupPrivileges(cid, fromGroup, toGroup) {
+        if (!fromGroup || !toGroup || fromGroup === toGroup) {
+            return;
+        }
+        const groupPrivileges = await privileges.categories.groupPrivileges(cid, fromGroup);
+        const held = Object.keys(groupPrivileges).filter(privilege => groupPrivileges[privilege]);
+        await privileges.categories.give(held, cid, toGroup);
+        await privileges.categories.rescind(held, cid, fromGroup);
+    }
+
+    async function setArchived(course, archived) {
+        const cids = [course.cid, ...await Categories.getChildrenCids(course.cid)];
+        const method = archived ? 'archive' : 'unarchive';
+        await Promise.all(cids.map(cid => privileges.categories[method](cid)));
+        await db.setObjectField(`course:${course.cid}`, 'archived', archived ? 1 : 0);
+        if (archived) {
+            await db.sortedSetRemove('courses:archiveDate', course.cid);
+        }
+    }
+
+    async function cloneCategory(fromCid, parentCid, data, name) {
+        const source = await Categories.getCategoryFields(fromCid, ['name', 'description', 'order']);
+        const category = await Categories.create({
+            name: name || utils.decodeHTMLEntities(source.name),
+            description: utils.decodeHTMLEntities(source.description),
+            parentCid,
+            order: source.order,
+            cloneFromCid: fromCid,
+            uid: data.uid,
+        });
+
+        // copySettingsFrom copies the read-only privileges of an archived course, put the original ones back
+        const archivedPrivileges = data.archived ? await privileges.categories.getArchivedPrivileges(fromCid) : null;
+        if (archivedPrivileges) {
+            await Promise.all(Object.keys(archivedPrivileges).map(
+                privilege => privileges.categories.give([privilege], category.cid, archivedPrivileges[privilege])
+            ));
+        }
+        await copyPinnedTopics(fromCid, category.cid, data.uid);
+
+        const childCids = await db.getSortedSetRange(`cid:${fromCid}:children`, 0, -1);
+        for (const childCid of childCids) {
+            // eslint-disable-next-line no-await-in-loop
+            await cloneCategory(parseInt(childCid, 10), category.cid, data);
+        }
+        return category.cid;
+    }
+
+    // Pinned topics hold the resources of a course (syllabus, policies...), the user cloning it posts them again
+    async function copyPinnedTopics(fromCid, toCid, uid) {
+        const topics = require('../topics');
+        const tids = await db.getSortedSetRange(`cid:${fromCid}:tids:pinned`, 0, -1);
+        const topicsData = (await topics.getTopicsFields(tids, ['tid', 'mainPid', 'title', 'deleted']))
+            .filter(topic => topic && topic.tid && !topic.deleted);
+        const [contents, tags] = await Promise.all([
+            posts.getPostsFields(topicsData.map(topic => topic.mainPid), ['content']),
+            topics.getTopicsTags(topicsData.map(topic => topic.tid)),
+        ]);
+        for (const [index, topic] of topicsData.entries()) {
+            /* eslint-disable no-await-in-loop */
+            const result = await topics.post({
+                uid,
+                cid: toCid,
+                title: utils.decodeHTMLEntities(topic.title),
+                content: contents[index].content,
+                tags: tags[index],
+            });
+            await topics.tools.pin(result.topicData.tid, uid);
+            /* eslint-enable no-await-in-loop */
+        }
+    }
+};
@@ -6,6 +6,7 @@ const _ = require('lodash');
 const db = require('../database');
 const plugins = require('../plugins');
 const privileges = require('../privileges');
+const user = require('../user');
 const utils = require('../utils');
 const slugify = require('../slugify');
 const cache = require('../cache');
@@ -44,6 +45,7 @@ module.exports = function (Categories) {
             imageClass: 'cover',
             isSection: 0,
             subCategoriesPerPage: 10,
+            anonymousPosting: 'allow',
         };
 
         if (data.backgroundImage) {
@@ -67,9 +69,11 @@ module.exports = function (Categories) {
         const modPrivileges = defaultPrivileges.concat([
             'groups:topics:schedule',
             'groups:posts:view_deleted',
+            'groups:posts:reveal_anonymous',
             'groups:purge',
         ]);
         const guestPrivileges = ['groups:find', 'groups:read', 'groups:topics:read'];
+        const instructorPrivileges = ['groups:posts:reveal_anonymous'];
 
         const result = await plugins.hooks.fire('filter:category.create', {
             category,
@@ -77,6 +81,7 @@ module.exports = function (Categories) {
             defaultPrivileges,
             modPrivileges,
             guestPrivileges,
+            instructorPrivileges,
         });
         category = result.category;
 
@@ -94,6 +99,7 @@ module.exports = function (Categories) {
         await privileges.categories.give(result.defaultPrivileges, category.cid, 'registered-users');
         await privileges.categories.give(result.modPrivileges, category.cid, ['administrators', 'Global Moderators']);
         await privileges.categories.give(result.guestPrivileges, category.cid, ['guests', 'spiders']);
+        await privileges.categories.give(result.instructorPrivileges, category.cid, user.instructors.groupName);
 
         cache.del([
             'categories:cid',
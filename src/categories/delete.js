@@ -31,6 +31,10 @@ module.exports = function (Categories) {
         if (categoryData && categoryData.name) {
             bulkRemove.push(['categories:name', `${categoryData.name.slice(0, 200).toLowerCase()}:${cid}`]);
         }
+        const term = await db.getObjectField(`course:${cid}`, 'term');
+        if (term) {
+            bulkRemove.push(['courses:cid', cid], [`courses:term:${term}`, cid], ['courses:archiveDate', cid]);
+        }
         await db.sortedSetRemoveBulk(bulkRemove);
 
         await removeFromParent(cid);
@@ -41,6 +45,9 @@ module.exports = function (Categories) {
             `cid:${cid}:tids:posts`,
             `cid:${cid}:tids:votes`,
             `cid:${cid}:tids:views`,
+            `cid:${cid}:tids:resolved`,
+            `cid:${cid}:tids:unresolved`,
+            `cid:${cid}:tids:noinstructor`,
             `cid:${cid}:tids:lastposttime`,
             `cid:${cid}:recent_tids`,
             `cid:${cid}:pids`,
@@ -48,7 +55,9 @@ module.exports = function (Categories) {
             `cid:${cid}:uid:watch:state`,
             `cid:${cid}:children`,
             `cid:${cid}:tag:whitelist`,
+            `cid:${cid}:privileges:archived`,
             `category:${cid}`,
+            `course:${cid}`,
         ]);
         const privilegeList = await privileges.categories.getPrivilegeList();
         await groups.destroy(privilegeList.map(privilege => `cid:${cid}:privileges:${privilege}`));
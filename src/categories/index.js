@@ -22,6 +22,9 @@ require('./recentreplies')(Categories);
 require('./update')(Categories);
 require('./watch')(Categories);
 require('./search')(Categories);
+require('./courses')(Categories);
+require('./participation')(Categories);
+require('./officehours')(Categories);
 
 Categories.exists = async function (cids) {
     return await db.exists(
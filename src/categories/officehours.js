@@ -0,0 +1,270 @@
+'use strict';
+
+const _ = require('lodash');
+const validator = require('validator');
+
+const db = require('../database');
+const user = require('../user');
+const privileges = require('../privileges');
+const plugins = require('../plugins');
+const utils = require('../utils');
+
+const intFields = ['id', 'cid', 'uid', 'tid', 'joinedAt', 'helperUid', 'helpedAt', 'doneAt'];
+const maxQuestionLength = 255;
+
+/**
+ * Every course has one office hours queue, opened and closed by its staff.
+ * Students join the queue (`waiting`), staff call them (`helping`) and mark them as `done`, students
+ * can also leave on their own (`left`). Entries live in `officehours:<id>`, the live queue in
+ * `course:<cid>:officehours:queue` and finished entries in `course:<cid>:officehours:history`.
+ * Sessions can point at a topic of the course where the answer is written down.
+ * Clients in the `officehours_<cid>` room are told to reload the queue on every change.
+ */
+module.exports = function (Categories) {
+    Categories.canManageOfficeHours = async function (cid, uid) {
+        if (parseInt(uid, 10) <= 0) {
+            return false;
+        }
+        const [isInstructor, isAdminOrMod] = await Promise.all([
+            user.isInstructor(parseInt(uid, 10)),
+            privileges.categories.isAdminOrMod(cid, uid),
+        ]);
+        return isInstructor || isAdminOrMod;
+    };
+
+    /**
+     * The queue as seen by `uid`: staff get every entry,
+     * students only get their own entry, their position and how many are waiting.
+     */
+    Categories.getOfficeHours = async function (cid, uid) {
+        const course = await getCourseOrThrow(cid);
+        const [state, isStaff, canRead, ids, ownId] = await Promise.all([
+            db.getObject(`course:${cid}:officehours`),
+            Categories.canManageOfficeHours(cid, uid),
+            privileges.categories.can('topics:read', cid, uid),
+            db.getSortedSetRange(`course:${cid}:officehours:queue`, 0, -1),
+            db.getObjectField(`course:${cid}:officehours:active`, uid),
+        ]);
+        if (!canRead && !isStaff) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        const entries = await getEntries(ids);
+        const waiting = entries.filter(entry => entry.status === 'waiting');
+        const ownIndex = waiting.findIndex(entry => entry.id === parseInt(ownId, 10));
+
+        return {
+            cid: course.cid,
+            name: course.name,
+            open: parseInt(state && state.open, 10) === 1,
+            location: (state && state.location) || '',
+            isStaff,
+            waitingCount: waiting.length,
+            entry: entries.find(entry => entry.id === parseInt(ownId, 10)) || null,
+            position: ownIndex !== -1 ? ownIndex + 1 : 0,
+            queue: isStaff ? entries : [],
+        };
+    };
+
+    Categories.openOfficeHours = async function (cid, uid, location) {
+        await assertStaff(cid, uid);
+        location = String(location || '').trim();
+        if (location.length > maxQuestionLength) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        await db.setObject(`course:${cid}:officehours`, {
+            open: 1,
+            location: validator.escape(location),
+            openedBy: uid,
+            openedAt: Date.now(),
+        });
+        plugins.hooks.fire('action:officehours.open', { cid: parseInt(cid, 10), uid, location });
+        notifyRoom(cid);
+    };
+
+    // Closing only stops new students from joining, staff can still work through the rest of the queue
+    Categories.closeOfficeHours = async function (cid, uid) {
+        await assertStaff(cid, uid);
+        await db.setObjectField(`course:${cid}:officehours`, 'open', 0);
+        plugins.hooks.fire('action:officehours.close', { cid: parseInt(cid, 10), uid });
+        notifyRoom(cid);
+    };
+
+    Categories.joinOfficeHours = async function (cid, uid, data) {
+        const course = await getCourseOrThrow(cid);
+        if (parseInt(uid, 10) <= 0) {
+            throw new Error('[[error:not-logged-in]]');
+        }
+        const [open, canRead, activeId] = await Promise.all([
+            db.getObjectField(`course:${cid}:officehours`, 'open'),
+            privileges.categories.can('topics:read', cid, uid),
+            db.getObjectField(`course:${cid}:officehours:active`, uid),
+        ]);
+        if (!canRead) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        if (parseInt(open, 10) !== 1) {
+            throw new Error('[[error:office-hours-closed]]');
+        }
+        if (activeId) {
+            throw new Error('[[error:already-in-office-hours-queue]]');
+        }
+        const question = String((data && data.question) || '').trim();
+        if (question.length > maxQuestionLength) {
+            throw new Error(`[[error:office-hours-question-too-long, ${maxQuestionLength}]]`);
+        }
+        const tid = await validateTopic(course.cid, data && data.tid, uid);
+
+        const id = await db.incrObjectField('global', 'nextOfficeHoursId');
+        const entry = {
+            id,
+            cid: course.cid,
+            uid,
+            question: validator.escape(question),
+            tid,
+            status: 'waiting',
+            joinedAt: Date.now(),
+        };
+        await db.setObject(`officehours:${id}`, entry);
+        await Promise.all([
+            db.sortedSetAdd(`course:${cid}:officehours:queue`, entry.joinedAt, id),
+            db.setObjectField(`course:${cid}:officehours:active`, uid, id),
+        ]);
+        plugins.hooks.fire('action:officehours.join', { entry });
+        notifyRoom(cid);
+        return (await getEntries([id]))[0];
+    };
+
+    Categories.leaveOfficeHours = async function (cid, uid) {
+        await getCourseOrThrow(cid);
+        const id = await db.getObjectField(`course:${cid}:officehours:active`, uid);
+        if (!id) {
+            throw new Error('[[error:not-in-office-hours-queue]]');
+        }
+        await finishEntry(cid, id, { status: 'left' });
+        plugins.hooks.fire('action:officehours.leave', { cid: parseInt(cid, 10), uid, id: parseInt(id, 10) });
+        notifyRoom(cid, [uid]);
+    };
+
+    /**
+     * Staff move an entry forward, `helping` calls the student and `done` takes them off the queue.
+     * `tid` attaches a topic of the course where the answer is written down.
+     */
+    Categories.updateOfficeHoursEntry = async function (cid, id, uid, data) {
+        await assertStaff(cid, uid);
+        const [entry] = await getEntries([id]);
+        if (!entry || entry.cid !== parseInt(cid, 10) || !['waiting', 'helping'].includes(entry.status)) {
+            throw new Error('[[error:no-office-hours-entry]]');
+        }
+        const status = data && data.status;
+        if (!['helping', 'done'].includes(status) || (status === 'helping' && entry.status !== 'waiting')) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        const tid = data.tid ? await validateTopic(entry.cid, data.tid, uid) : entry.tid;
+
+        if (status === 'helping') {
+            await db.setObject(`officehours:${id}`, { status, helperUid: uid, helpedAt: Date.now(), tid });
+        } else {
+            await finishEntry(cid, id, {
+                status,
+                tid,
+                helperUid: entry.helperUid || uid,
+                helpedAt: entry.helpedAt || Date.now(),
+            });
+        }
+        plugins.hooks.fire('action:officehours.update', { cid: parseInt(cid, 10), id: entry.id, uid, status });
+        notifyRoom(cid, [entry.uid]);
+        return (await getEntries([id]))[0];
+    };
+
+    // Finished sessions, newest first, for the staff to look back at the resolutions
+    Categories.getOfficeHoursHistory = async function (cid, uid, params) {
+        await assertStaff(cid, uid);
+        const { start, end } = Categories.getParticipationRange(params);
+        const ids = await db.getSortedSetRevRangeByScore(`course:${cid}:officehours:history`, 0, -1, end, start);
+        return { entries: await getEntries(ids) };
+    };
+
+    // Used by the participation report, only sessions that were done count, leaving the queue does not
+    Categories.getOfficeHoursCounts = async function (cid, uids, start, end) {
+        return await Promise.all(uids.map(uid => db.sortedSetCount(
+            `course:${cid}:officehours:uid:${uid}`, start, end
+        )));
+    };
+
+    async function finishEntry(cid, id, fields) {
+        const entry = await db.getObjectFields(`officehours:${id}`, ['uid']);
+        const doneAt = Date.now();
+        await db.setObject(`officehours:${id}`, { ...fields, doneAt });
+        await Promise.all([
+            db.sortedSetRemove(`course:${cid}:officehours:queue`, id),
+            db.sortedSetAdd(`course:${cid}:officehours:history`, doneAt, id),
+            db.deleteObjectField(`course:${cid}:officehours:active`, entry.uid),
+            fields.status === 'done' ? db.sortedSetAdd(`course:${cid}:officehours:uid:${entry.uid}`, doneAt, id) : null,
+        ]);
+    }
+
+    async function getEntries(ids) {
+        const topics = require('../topics');
+        const entries = (await db.getObjects(ids.map(id => `officehours:${id}`))).filter(Boolean);
+        entries.forEach(entry => db.parseIntFields(entry, intFields, []));
+        const [usersData, helpersData, topicsData] = await Promise.all([
+            user.getUsersFields(entries.map(entry => entry.uid), ['uid', 'username', 'userslug']),
+            user.getUsersFields(entries.map(entry => entry.helperUid || 0), ['uid', 'username', 'userslug']),
+            topics.getTopicsFields(entries.map(entry => entry.tid || 0), ['tid', 'title', 'slug']),
+        ]);
+        return entries.map((entry, index) => ({
+            ...entry,
+            user: usersData[index],
+            helper: entry.helperUid ? helpersData[index] : null,
+            topic: entry.tid && topicsData[index] && topicsData[index].tid ?
+                _.pick(topicsData[index], ['tid', 'title', 'slug']) : null,
+            joinedAtISO: utils.toISOString(entry.joinedAt),
+            helpedAtISO: entry.helpedAt ? utils.toISOString(entry.helpedAt) : '',
+            doneAtISO: entry.doneAt ? utils.toISOString(entry.doneAt) : '',
+        }));
+    }
+
+    // Attached topics have to be readable and belong to the course
+    async function validateTopic(courseCid, tid, uid) {
+        if (!tid) {
+            return 0;
+        }
+        const topics = require('../topics');
+        const topicCid = await topics.getTopicField(tid, 'cid');
+        const [topicCourseCid, canRead] = await Promise.all([
+            Categories.getCourseCid(topicCid),
+            privileges.topics.can('topics:read', tid, uid),
+        ]);
+        if (!topicCid || topicCourseCid !== courseCid || !canRead) {
+            throw new Error('[[error:invalid-office-hours-topic]]');
+        }
+        return parseInt(tid, 10);
+    }
+
+    async function getCourseOrThrow(cid) {
+        const course = await Categories.getCourse(cid);
+        if (!course) {
+            throw new Error('[[error:no-course]]');
+        }
+        return course;
+    }
+
+    async function assertStaff(cid, uid) {
+        await getCourseOrThrow(cid);
+        if (!await Categories.canManageOfficeHours(cid, uid)) {
+            throw new Error('[[error:no-privileges]]');
+        }
+    }
+
+    function notifyRoom(cid, uids = []) {
+        const websockets = require('../socket.io');
+        if (!websockets.server) {
+            return;
+        }
+        const payload = { cid: parseInt(cid, 10) };
+        websockets.in(`officehours_${cid}`).emit('event:officehours.updated', payload);
+        uids.forEach((uid) => {
+            websockets.in(`uid_${uid}`).emit('event:officehours.updated', payload);
+        });
+    }
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+const _ = require('lodash');
+
+const db = require('../database');
+const user = require('../user');
+const groups = require('../groups');
+const posts = require('../posts');
+const plugins = require('../plugins');
+const utils = require('../utils');
+
+const dayInMs = 86400000;
+
+/**
+ * The participation report of a category and its subcategories, used by instructors to grade the forum.
+ * Each student gets a row counting the topics they started (`cid:<cid>:uid:<uid>:tids`), their replies
+ * (`uid:<uid>:posts`), their posts endorsed or upvoted by course staff and their anonymous posts.
+ * For a course, the office hours sessions they were helped in are counted as well.
+ * Anonymous posts are only counted, the report never says which posts they are. The count of each student
+ * is only given with `showAnonymous` (see privileges.posts.canRevealAnonymous), everyone else gets the total.
+ * Ranges are whole days, narrowing the range to a single post would tell who wrote it as well.
+ */
+module.exports = function (Categories) {
+    Categories.participationFields = ['uid', 'username', 'topics', 'replies', 'endorsed', 'anonymous', 'officeHours'];
+
+    Categories.getParticipationReport = async function (cid, params) {
+        const { start, end } = Categories.getParticipationRange(params);
+        const cids = [parseInt(cid, 10), ...await Categories.getChildrenCids(cid)];
+        const course = await Categories.getCourse(cid);
+        const [staffUids, uids] = await Promise.all([
+            getStaffUids(cids, course),
+            getStudentUids(cids, course, start, end),
+        ]);
+
+        const students = await user.getUsersFields(
+            uids.filter(uid => !staffUids.includes(uid)),
+            ['uid', 'username', 'userslug']
+        );
+        let rows = await Promise.all(students.filter(student => student.uid > 0).map(async student => ({
+            ...student,
+            ...await getCounts(student.uid, cids, staffUids, start, end),
+        })));
+        rows = _.sortBy(rows, row => String(row.username).toLowerCase());
+        const officeHours = course ?
+            await Categories.getOfficeHoursCounts(course.cid, rows.map(row => row.uid), start, end) : [];
+        rows.forEach((row, index) => {
+            row.officeHours = officeHours[index] || 0;
+        });
+        const anonymousCount = _.sumBy(rows, 'anonymous');
+        if (!params.showAnonymous) {
+            rows.forEach((row) => {
+                delete row.anonymous;
+            });
+        }
+
+        const report = await plugins.hooks.fire('filter:category.participation', {
+            cid: parseInt(cid, 10),
+            start,
+            end,
+            startISO: utils.toISOString(start),
+            endISO: utils.toISOString(end),
+            showAnonymous: !!params.showAnonymous,
+            anonymousCount,
+            rows,
+        });
+        return report;
+    };
+
+    // Timestamps widened to whole days (UTC), the range defaults to everything up to the end of today
+    Categories.getParticipationRange = function (params) {
+        const start = params.start !== undefined && params.start !== '' ? params.start : 0;
+        const end = params.end !== undefined && params.end !== '' ? params.end : Date.now();
+        if (!utils.isNumber(start) || !utils.isNumber(end) || parseInt(start, 10) > parseInt(end, 10)) {
+            throw new Error('[[error:invalid-date-range]]');
+        }
+        return {
+            start: Math.floor(parseInt(start, 10) / dayInMs) * dayInMs,
+            end: (Math.floor(parseInt(end, 10) / dayInMs) * dayInMs) + dayInMs - 1,
+        };
+    };
+
+    // Instructors, forum staff, the instructors of the course and the moderators of its categories don't get a row
+    async function getStaffUids(cids, course) {
+        const groupNames = [
+            user.instructors.groupName, 'administrators', 'Global Moderators',
+            ...(course ? [course.instructorsGroup] : []),
+        ];
+        const [members, moderatorUids] = await Promise.all([
+            groups.getMembersOfGroups(groupNames),
+            Categories.getModeratorUids(cids),
+        ]);
+        return _.uniq(_.flatten([...members, ...moderatorUids])).map(uid => parseInt(uid, 10));
+    }
+
+    // Everyone on the roster of a course, and everyone who posted in the categories during the range
+    async function getStudentUids(cids, course, start, end) {
+        const [rosterUids, pids] = await Promise.all([
+            course ? groups.getMembers(course.rosterGroup, 0, -1) : [],
+            db.getSortedSetRangeByScore(cids.map(cid => `cid:${cid}:pids`), 0, -1, start, end),
+        ]);
+        const postsData = await posts.getPostsFields(pids, ['uid']);
+        return _.uniq([...rosterUids, ...postsData.map(post => post.uid)].map(uid => parseInt(uid, 10)))
+            .filter(uid => uid > 0);
+    }
+
+    async function getCounts(uid, cids, staffUids, start, end) {
+        const topics = require('../topics');
+        const [tids, pids] = await Promise.all([
+            db.getSortedSetRangeByScore(cids.map(cid => `cid:${cid}:uid:${uid}:tids`), 0, -1, start, end),
+            db.getSortedSetRangeByScore(`uid:${uid}:posts`, 0, -1, start, end),
+        ]);
+        const [topicsData, allPostsData] = await Promise.all([
+            topics.getTopicsFields(tids, ['tid', 'deleted']),
+            posts.getPostsFields(pids, ['pid', 'tid', 'deleted', 'anonymous']),
+        ]);
+        // posts don't know their category, it comes from their topic
+        const postTopics = await topics.getTopicsFields(
+            _.uniq(allPostsData.map(post => post && post.tid).filter(Boolean)),
+            ['tid', 'cid', 'mainPid', 'deleted']
+        );
+        const tidToTopic = _.zipObject(postTopics.map(topic => topic.tid), postTopics);
+        const postsData = allPostsData.filter((post) => {
+            const topic = post && tidToTopic[post.tid];
+            return topic && cids.includes(topic.cid) && !topic.deleted && !post.deleted;
+        });
+
+        const postPids = postsData.map(post => post.pid);
+        const [endorsementCounts, upvoters] = await Promise.all([
+            db.sortedSetsCard(postPids.map(pid => `pid:${pid}:endorsements`)),
+            db.getSetsMembers(postPids.map(pid => `pid:${pid}:upvote`)),
+        ]);
+        const endorsed = postPids.filter((pid, index) => endorsementCounts[index] > 0 ||
+            upvoters[index].some(upvoterUid => staffUids.includes(parseInt(upvoterUid, 10))));
+
+        return {
+            topics: topicsData.filter(topic => topic && topic.tid && !topic.deleted).length,
+            replies: postsData.filter(post => tidToTopic[post.tid].mainPid !== post.pid).length,
+            endorsed: endorsed.length,
+            anonymous: postsData.filter(post => parseInt(post.anonymous, 10) === 1).length,
+        };
+    }
+};
@@ -97,7 +97,7 @@ module.exports = function (Categories) {
     async function getTopics(tids, uid) {
         const topicData = await topics.getTopicsFields(
             tids,
-            ['tid', 'mainPid', 'slug', 'title', 'teaserPid', 'cid', 'postcount']
+            ['tid', 'mainPid', 'slug', 'title', 'teaserPid', 'cid', 'postcount', 'instructorAnswerPid', 'studentAnswerPid']
         );
         topicData.forEach((topic) => {
             if (topic) {
@@ -1,5 +1,7 @@
 'use strict';
 
+const _ = require('lodash');
+
 const db = require('../database');
 const topics = require('../topics');
 const plugins = require('../plugins');
@@ -8,6 +10,9 @@ const privileges = require('../privileges');
 const user = require('../user');
 
 module.exports = function (Categories) {
+    // Each filter is backed by a `cid:<cid>:tids:<filter>` set
+    Categories.resolvedFilters = ['resolved', 'unresolved', 'noinstructor'];
+
     Categories.getCategoryTopics = async function (data) {
         let results = await plugins.hooks.fire('filter:category.topics.prepare', data);
         const tids = await Categories.getTopicIds(results);
@@ -116,6 +121,10 @@ module.exports = function (Categories) {
             set = (Array.isArray(set) ? set : [set]).concat([`cid:${cid}:uid:${data.targetUid}:tids`]);
         }
 
+        if (Categories.resolvedFilters.includes(data.filter)) {
+            set = (Array.isArray(set) ? set : [set]).concat([`cid:${cid}:tids:${data.filter}`]);
+        }
+
         const result = await plugins.hooks.fire('filter:categories.buildTopicsSortedSet', {
             set,
             data,
@@ -145,11 +154,18 @@ module.exports = function (Categories) {
             });
             return result && result.pinnedTids;
         }
-        const [allPinnedTids, canSchedule] = await Promise.all([
+        const [announcementTids, allPinnedTids, canSchedule] = await Promise.all([
+            topics.announcements.getTids(data.cid),
             db.getSortedSetRevRange(`cid:${data.cid}:tids:pinned`, data.start, data.stop),
             privileges.categories.can('topics:schedule', data.cid, data.uid),
         ]);
-        const pinnedTids = canSchedule ? allPinnedTids : await filterScheduledTids(allPinnedTids);
+        // course announcements come first in every category of the course
+        const categoryPinnedTids = canSchedule ? allPinnedTids : await filterScheduledTids(allPinnedTids);
+        let pinnedTids = _.uniq(announcementTids.concat(categoryPinnedTids));
+        if (Categories.resolvedFilters.includes(data.filter)) {
+            const isMember = await db.isSortedSetMembers(`cid:${data.cid}:tids:${data.filter}`, pinnedTids);
+            pinnedTids = pinnedTids.filter((tid, index) => isMember[index]);
+        }
 
         return await topics.tools.checkPinExpiry(pinnedTids);
     };
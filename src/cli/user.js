@@ -40,6 +40,15 @@ module.exports = () => {
                 .choices(['purge', 'account', 'content']).default('purge')
         )
         .action((...args) => execute(userCommands.deleteUser, args));
+    userCmd
+        .command('import')
+        .description('Create or update user accounts from a roster CSV file')
+        .arguments('<file>')
+        .option('-c, --cid <cid>', 'Import into this course, the accounts join its roster group')
+        .option('-d, --dry-run', 'Report what would change without changing any account', false)
+        .option('-s, --send-invitations', 'Email the new accounts an invitation once they confirm their email address', false)
+        .option('-r, --report <file>', 'Write the report of the import to this file', 'roster-import-report.csv')
+        .action((...args) => execute(userCommands.importRoster, args));
 
     const make = userCmd.command('make')
         .description('Make user(s) admin, global mod, moderator or a regular user.')
@@ -262,6 +271,23 @@ ${pwGenerated ? ` Generated password: ${password}` : ''}`);
         }
     }
 
+    async function importRoster(file, { cid, dryRun, sendInvitations, report }) {
+        const fs = require('fs');
+        const path = require('path');
+
+        const csv = await fs.promises.readFile(path.resolve(file), 'utf8');
+        const adminUid = await getAdminUidOrFail();
+        if (!dryRun) {
+            await setupApp();
+        }
+
+        const result = await user.importRoster(csv, { uid: adminUid, cid, dryRun, sendInvitations });
+        await fs.promises.writeFile(path.resolve(report), await user.getRosterReportCSV(result.importId));
+
+        winston.info(`[userCmd/import] ${dryRun ? 'Dry run: ' : ''}${result.created} created, ${result.updated} updated, \
+${result.skipped} skipped, ${result.failed} failed. Report written to ${report}.`);
+    }
+
     async function makeAdmin(uids) {
         uids = argParsers.intArrayParse(uids, 'uids');
         await Promise.all(uids.map(uid => groups.join('administrators', uid)));
@@ -303,6 +329,7 @@ ${pwGenerated ? ` Generated password: ${password}` : ''}`);
         create,
         reset,
         deleteUser,
+        importRoster,
         makeAdmin,
         makeGlobalMod,
         makeMod,
@@ -15,6 +15,8 @@ const accountsController = {
     blocks: require('./accounts/blocks'),
     uploads: require('./accounts/uploads'),
     consent: require('./accounts/consent'),
+    reveals: require('./accounts/reveals'),
+    tokens: require('./accounts/tokens'),
 };
 
 module.exports = accountsController;
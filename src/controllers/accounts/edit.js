@@ -32,6 +32,10 @@ editController.get = async function (req, res, next) {
     userData.allowSignature = canUseSignature && (!userData.isSelf || !!meta.config['reputation:disabled'] || userData.reputation >= meta.config['min:rep:signature']);
     userData.profileImageDimension = meta.config.profileImageDimension;
     userData.defaultAvatar = user.getDefaultAvatar();
+    userData.careerVisibilityOptions = Object.fromEntries(user.careerFields.map(field => [
+        field,
+        user.careerVisibilities.map(value => ({ value, selected: userData.careerVisibility[field] === value })),
+    ]));
 
     userData.groups = userData.groups.filter(g => g && g.userTitleEnabled && !groups.isPrivilegeGroup(g.name) && g.name !== 'registered-users');
 
@@ -99,6 +99,7 @@ helpers.getUserDataByUserSlug = async function (userslug, callerUID, query = {})
 
     userData.fullname = escape(userData.fullname);
     userData.location = escape(userData.location);
+    parseCareerProfile(userData);
     userData.signature = escape(userData.signature);
     userData.birthday = validator.escape(String(userData.birthday || ''));
     userData.moderationNote = validator.escape(String(userData.moderationNote || ''));
@@ -123,13 +124,30 @@ helpers.getUserDataByUserSlug = async function (userslug, callerUID, query = {})
     return hookData.userData;
 };
 
+// Hidden career fields are already empty here, see user.hideCareerData
+function parseCareerProfile(userData) {
+    const toLink = url => escape(url.startsWith('http') || url.startsWith('/') ? url : `http://${url}`);
+    userData.portfolioLinks = String(userData.portfolio || '').split('\n').filter(Boolean).map(link => ({
+        url: toLink(link),
+        name: escape(link.replace(/^https?:\/\//, '')),
+    }));
+    userData.resumeLink = userData.resume ? toLink(userData.resume) : '';
+    userData.major = escape(userData.major);
+    userData.skills = escape(userData.skills);
+    userData.portfolio = escape(userData.portfolio);
+    userData.resume = escape(userData.resume);
+    userData.skillList = userData.skills ? userData.skills.split(', ') : [];
+    userData.hasCareerProfile = !!(userData.graduationYear || userData.major || userData.skills ||
+        userData.portfolio || userData.resume);
+}
+
 function escape(value) {
     return translator.escape(validator.escape(String(value || '')));
 }
 
 async function getAllData(uid, callerUID) {
     return await utils.promiseParallel({
-        userData: user.getUserData(uid),
+        userData: user.getUserData(uid, callerUID),
         isTargetAdmin: user.isAdministrator(uid),
         userSettings: user.getSettings(uid),
         isAdmin: user.isAdministrator(callerUID),
@@ -25,6 +25,7 @@ const templateToData = {
     },
     'account/posts': {
         type: 'posts',
+        authored: true,
         noItemsFoundKey: '[[user:has_no_posts]]',
         crumb: '[[global:posts]]',
         getSets: async function (callerUid, userData) {
@@ -50,6 +51,7 @@ const templateToData = {
     },
     'account/best': {
         type: 'posts',
+        authored: true,
         noItemsFoundKey: '[[user:has_no_best_posts]]',
         crumb: '[[global:best]]',
         getSets: async function (callerUid, userData) {
@@ -69,6 +71,7 @@ const templateToData = {
     },
     'account/controversial': {
         type: 'posts',
+        authored: true,
         noItemsFoundKey: '[[user:has_no_controversial_posts]]',
         crumb: '[[global:controversial]]',
         getSets: async function (callerUid, userData) {
@@ -129,6 +132,7 @@ const templateToData = {
     },
     'account/topics': {
         type: 'topics',
+        authored: true,
         noItemsFoundKey: '[[user:has_no_topics]]',
         crumb: '[[global:topics]]',
         getSets: async function (callerUid, userData) {
@@ -211,6 +215,10 @@ async function getPostsFromUserSet(template, req, res, next) {
     }
     const { itemCount, itemData } = result;
     userData[data.type] = itemData[data.type];
+    if (data.authored) {
+        // anonymous items come back without their author unless the caller may see it, don't list them here
+        userData[data.type] = userData[data.type].filter(item => !item.anonymous || item.uid === userData.uid);
+    }
     userData.nextStart = itemData.nextStart;
 
     const pageCount = Math.ceil(itemCount / itemsPerPage);
@@ -120,7 +120,7 @@ async function getPosts(callerUid, userData, setSuffix) {
             }));
             const p = await posts.getPostSummaryByPids(pids, callerUid, { stripTags: false });
             postData.push(...p.filter(
-                p => p && p.topic && (isAdmin || cidToIsMod[p.topic.cid] ||
+                p => p && p.topic && (!p.anonymous || p.uid === userData.uid) && (isAdmin || cidToIsMod[p.topic.cid] ||
                     (p.topic.scheduled && cidToCanSchedule[p.topic.cid]) || (!p.deleted && !p.topic.deleted))
             ));
         }
@@ -0,0 +1,32 @@
+'use strict';
+
+const db = require('../../database');
+const posts = require('../../posts');
+const helpers = require('../helpers');
+const pagination = require('../../pagination');
+const accountHelpers = require('./helpers');
+
+const revealsController = module.exports;
+
+revealsController.get = async function (req, res, next) {
+    const userData = await accountHelpers.getUserDataByUserSlug(req.params.userslug, req.uid, req.query);
+    if (!userData) {
+        return next();
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const itemsPerPage = 25;
+    const start = (page - 1) * itemsPerPage;
+    const stop = start + itemsPerPage - 1;
+    const [itemCount, reveals] = await Promise.all([
+        db.sortedSetCard(`uid:${userData.uid}:anonymous:reveals`),
+        posts.getAuthorReveals(userData.uid, start, stop),
+    ]);
+
+    userData.reveals = reveals;
+    const pageCount = Math.ceil(itemCount / itemsPerPage);
+    userData.pagination = pagination.create(page, pageCount, req.query);
+    userData.title = '[[pages:account/reveals]]';
+    userData.breadcrumbs = helpers.buildBreadcrumbs([{ text: userData.username, url: `/user/${userData.userslug}` }, { text: '[[user:anonymous-reveals]]' }]);
+    res.render('account/reveals', userData);
+};
@@ -185,7 +185,9 @@ async function getNotificationSettings(userData) {
         privilegedTypes.push('notificationType_new-register');
     }
     if (privileges.isAdmin || privileges.isGlobalMod || privileges.isModeratorOfAnyCategory) {
-        privilegedTypes.push('notificationType_post-queue', 'notificationType_new-post-flag');
+        privilegedTypes.push(
+            'notificationType_post-queue', 'notificationType_new-post-flag', 'notificationType_attention-request'
+        );
     }
     if (privileges.isAdmin || privileges.isGlobalMod) {
         privilegedTypes.push('notificationType_new-user-flag');
@@ -0,0 +1,20 @@
+'use strict';
+
+const tokens = require('../../tokens');
+const helpers = require('../helpers');
+const accountHelpers = require('./helpers');
+
+const tokensController = module.exports;
+
+tokensController.get = async function (req, res, next) {
+    const userData = await accountHelpers.getUserDataByUserSlug(req.params.userslug, req.uid, req.query);
+    if (!userData) {
+        return next();
+    }
+
+    userData.tokens = await tokens.list(userData.uid);
+    userData.title = '[[pages:account/tokens]]';
+    userData.breadcrumbs = helpers.buildBreadcrumbs([{ text: userData.username, url: `/user/${userData.userslug}` }, { text: '[[user:api-tokens]]' }]);
+
+    res.render('account/tokens', userData);
+};
@@ -11,6 +11,7 @@ const adminController = {
     tags: require('./admin/tags'),
     groups: require('./admin/groups'),
     digest: require('./admin/digest'),
+    postRules: require('./admin/post-rules'),
     appearance: require('./admin/appearance'),
     extend: {
         widgets: require('./admin/widgets'),
@@ -18,6 +19,7 @@ const adminController = {
     },
     events: require('./admin/events'),
     hooks: require('./admin/hooks'),
+    webhooks: require('./admin/webhooks'),
     logs: require('./admin/logs'),
     errors: require('./admin/errors'),
     database: require('./admin/database'),
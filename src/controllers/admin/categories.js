@@ -9,6 +9,7 @@ const translator = require('../../translator');
 const meta = require('../../meta');
 const helpers = require('../helpers');
 const pagination = require('../../pagination');
+const privileges = require('../../privileges');
 
 const categoriesController = module.exports;
 
@@ -141,3 +142,22 @@ categoriesController.getAnalytics = async function (req, res) {
         analytics: analyticsData,
     });
 };
+
+categoriesController.getParticipation = async function (req, res, next) {
+    const [name, showAnonymous] = await Promise.all([
+        categories.getCategoryField(req.params.category_id, 'name'),
+        privileges.posts.canRevealAnonymous(req.params.category_id, req.uid),
+    ]);
+    if (!name) {
+        return next();
+    }
+    const report = await categories.getParticipationReport(req.params.category_id, {
+        start: req.query.start,
+        end: req.query.end,
+        showAnonymous,
+    });
+    res.render('admin/manage/category-participation', {
+        name,
+        ...report,
+    });
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const posts = require('../../posts');
+const user = require('../../user');
+const pagination = require('../../pagination');
+
+const postRulesController = module.exports;
+
+postRulesController.get = async function (req, res) {
+    const page = parseInt(req.query.page, 10) || 1;
+    const itemsPerPage = 20;
+    const start = (page - 1) * itemsPerPage;
+    const stop = start + itemsPerPage - 1;
+    const ruleId = parseInt(req.query.ruleId, 10) || 0;
+
+    const [rules, { hits, count }] = await Promise.all([
+        posts.rules.list(),
+        posts.rules.getHitLog({ ruleId, start, stop }),
+    ]);
+    const pageCount = Math.max(1, Math.ceil(count / itemsPerPage));
+    // uid 0 for guests and anonymous posts, hits do not keep who wrote those
+    const usersData = await user.getUsersFields(hits.map(hit => hit.uid), ['username', 'userslug']);
+    const ruleNames = Object.fromEntries(rules.map(rule => [rule.id, rule.name]));
+
+    res.render('admin/manage/post-rules', {
+        rules: rules.map(rule => ({
+            ...rule,
+            selected: rule.id === ruleId,
+        })),
+        types: posts.rules.types,
+        actions: posts.rules.actions,
+        hits: hits.map((hit, index) => ({
+            ...hit,
+            username: hit.uid ? usersData[index].username : '',
+            userslug: hit.uid ? usersData[index].userslug : '',
+            ruleName: ruleNames[hit.ruleId] || '',
+        })),
+        pagination: pagination.create(page, pageCount, req.query),
+        query: req.query,
+    });
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const webhooks = require('../../webhooks');
+const pagination = require('../../pagination');
+
+const webhooksController = module.exports;
+
+webhooksController.get = async function (req, res) {
+    const page = parseInt(req.query.page, 10) || 1;
+    const itemsPerPage = 20;
+    const start = (page - 1) * itemsPerPage;
+    const stop = start + itemsPerPage - 1;
+    const webhookId = parseInt(req.query.webhookId, 10) || 0;
+
+    const [webhookList, { deliveries, count }] = await Promise.all([
+        webhooks.list(),
+        webhooks.getDeliveryLog({ webhookId, start, stop }),
+    ]);
+    const pageCount = Math.max(1, Math.ceil(count / itemsPerPage));
+
+    res.render('admin/advanced/webhooks', {
+        webhooks: webhookList.map(webhook => ({
+            ...webhook,
+            selected: webhook.id === webhookId,
+        })),
+        hooks: webhooks.hooks,
+        deliveries: deliveries.map(delivery => ({
+            ...delivery,
+            success: delivery.status === 'success',
+            failed: delivery.status === 'failed',
+        })),
+        pagination: pagination.create(page, pageCount, req.query),
+        query: req.query,
+    });
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const querystring = require('querystring');
+
+const pagination = require('../pagination');
+const user = require('../user');
+const posts = require('../posts');
+const privileges = require('../privileges');
+const helpers = require('./helpers');
+
+const attentionController = module.exports;
+
+attentionController.get = async function (req, res) {
+    const { cid } = req.query;
+    const [canView, categoryData, userSettings] = await Promise.all([
+        privileges.topics.canViewUnanswered(req.uid),
+        helpers.getSelectedCategory(cid),
+        user.getSettings(req.uid),
+    ]);
+    if (!canView) {
+        return helpers.notAllowed(req, res);
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const start = Math.max(0, (page - 1) * userSettings.postsPerPage);
+    const stop = start + userSettings.postsPerPage - 1;
+    const data = await posts.getAttentionQueue({
+        cid,
+        uid: req.uid,
+        start,
+        stop,
+    });
+
+    data.title = '[[pages:attention]]';
+    data.breadcrumbs = helpers.buildBreadcrumbs([{ text: '[[attention:title]]' }]);
+    data.pageCount = Math.max(1, Math.ceil(data.postCount / userSettings.postsPerPage));
+    data.pagination = pagination.create(page, data.pageCount, req.query);
+    helpers.addLinkTags({ url: 'attention', res: req.res, tags: data.pagination.rel });
+
+    if (page < 1 || page > data.pageCount) {
+        req.query.page = Math.max(1, Math.min(data.pageCount, page));
+        return helpers.redirect(res, `/attention?${querystring.stringify(req.query)}`);
+    }
+
+    data.allCategoriesUrl = `attention${helpers.buildQueryString(req.query, 'cid', '')}`;
+    data.selectedCategory = categoryData.selectedCategory;
+    data.selectedCids = categoryData.selectedCids;
+
+    res.render('attention', data);
+};
@@ -104,8 +104,7 @@ authenticationController.register = async function (req, res) {
             throw new Error('[[error:password-too-long]]');
         }
 
-        if (!userData['account-type'] ||
-            (userData['account-type'] !== 'student' && userData['account-type'] !== 'instructor')) {
+        if (!['student', 'instructor', 'recruiter'].includes(userData['account-type'])) {
             throw new Error('Invalid account type');
         }
 
@@ -1,8 +1,130 @@
 'use strict';
 
+const querystring = require('querystring');
+const validator = require('validator');
+
+const pagination = require('../pagination');
+const user = require('../user');
+const careers = require('../careers');
+const utils = require('../utils');
+const helpers = require('./helpers');
+
 const careerController = module.exports;
 
-careerController.get = async function (req, res) {
-    const careerData = {};
+careerController.get = async function (req, res, next) {
+    const filter = req.query.filter || '';
+    if (!careers.filters.includes(filter)) {
+        return next();
+    }
+    const search = {
+        tag: req.query.tag || '',
+        company: req.query.company || '',
+        location: req.query.location || '',
+        query: req.query.query || '',
+    };
+
+    const [userSettings, canPost, isAdmin, tags] = await Promise.all([
+        user.getSettings(req.uid),
+        careers.canPost(req.uid),
+        user.isAdministrator(req.uid),
+        careers.getTags(),
+    ]);
+    const page = parseInt(req.query.page, 10) || 1;
+    const start = Math.max(0, (page - 1) * userSettings.topicsPerPage);
+    const stop = start + userSettings.topicsPerPage - 1;
+    const careerData = await careers.getJobs({
+        uid: req.uid,
+        filter,
+        ...search,
+        start,
+        stop,
+    });
+
+    careerData.title = '[[pages:career]]';
+    careerData.breadcrumbs = helpers.buildBreadcrumbs([{ text: '[[career:title]]' }]);
+    careerData.pageCount = Math.max(1, Math.ceil(careerData.jobCount / userSettings.topicsPerPage));
+    careerData.pagination = pagination.create(page, careerData.pageCount, req.query);
+    helpers.addLinkTags({ url: 'career', res: req.res, tags: careerData.pagination.rel });
+
+    if (page < 1 || page > careerData.pageCount) {
+        req.query.page = Math.max(1, Math.min(careerData.pageCount, page));
+        return helpers.redirect(res, `/career?${querystring.stringify(req.query)}`);
+    }
+
+    careerData.canPost = canPost;
+    careerData.filter = filter;
+    careerData.search = Object.fromEntries(
+        Object.entries(search).map(([key, value]) => [key, validator.escape(String(value))])
+    );
+    // changing the tag starts over from the first page
+    const query = { ...req.query };
+    delete query.page;
+    careerData.tags = tags.map(tag => ({
+        tag,
+        url: `career${helpers.buildQueryString(query, 'tag', tag)}`,
+        selected: tag === search.tag,
+    }));
+    careerData.allTagsUrl = `career${helpers.buildQueryString(query, 'tag', '')}`;
+
+    const jobIds = careerData.jobs.map(job => job.jobId);
+    const [applications, applicationCounts] = await Promise.all([
+        careers.getUserApplications(jobIds, req.uid),
+        careers.getApplicationCounts(jobIds),
+    ]);
+    careerData.jobs.forEach((job, index) => {
+        job.canEdit = isAdmin || job.uid === req.uid;
+        job.application = applications[index];
+        job.canApply = !job.expired && !job.application && job.uid !== req.uid;
+        if (job.canEdit) {
+            job.applicationCount = applicationCounts[index];
+        }
+    });
+
     res.render('career', careerData);
 };
+
+careerController.applications = async function (req, res, next) {
+    const { jobId } = req.params;
+    const status = req.query.status || '';
+    if (!utils.isNumber(jobId) || (status && !careers.applicationStatuses.includes(status))) {
+        return next();
+    }
+    const [job, canEdit, userSettings] = await Promise.all([
+        careers.get(jobId),
+        careers.canEdit(jobId, req.uid),
+        user.getSettings(req.uid),
+    ]);
+    if (!job) {
+        return next();
+    }
+    if (!canEdit) {
+        return helpers.notAllowed(req, res);
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const start = Math.max(0, (page - 1) * userSettings.topicsPerPage);
+    const stop = start + userSettings.topicsPerPage - 1;
+    const applicationData = await careers.getApplications(jobId, { status, start, stop });
+
+    applicationData.title = `[[pages:career-applications, ${job.title.replace(/,/g, '&#44;')}]]`;
+    applicationData.breadcrumbs = helpers.buildBreadcrumbs([
+        { text: '[[career:title]]', url: '/career' },
+        { text: job.title },
+    ]);
+    applicationData.job = job;
+    applicationData.pageCount = Math.max(1, Math.ceil(applicationData.applicationCount / userSettings.topicsPerPage));
+    applicationData.pagination = pagination.create(page, applicationData.pageCount, req.query);
+    applicationData.status = status;
+    applicationData.statuses = careers.applicationStatuses.map(name => ({
+        name,
+        selected: name === status,
+    }));
+    applicationData.applications.forEach((application) => {
+        application.statuses = careers.applicationStatuses.slice(1).map(name => ({
+            name,
+            selected: name === application.status,
+        }));
+    });
+
+    res.render('career/applications', applicationData);
+};
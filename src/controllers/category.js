@@ -67,6 +67,7 @@ categoryController.get = async function (req, res, next) {
     }
 
     const targetUid = await user.getUidByUserslug(req.query.author);
+    const filter = categories.resolvedFilters.includes(req.query.filter) ? req.query.filter : '';
     const start = ((currentPage - 1) * userSettings.topicsPerPage) + topicIndex;
     const stop = start + userSettings.topicsPerPage - 1;
 
@@ -79,6 +80,7 @@ categoryController.get = async function (req, res, next) {
         settings: userSettings,
         query: req.query,
         tag: req.query.tag,
+        filter,
         targetUid,
     });
     if (!categoryData) {
@@ -117,6 +119,14 @@ categoryController.get = async function (req, res, next) {
     categoryData.selectCategoryLabel = '[[category:subcategories]]';
     categoryData.description = translator.escape(categoryData.description);
     categoryData.privileges = userPrivileges;
+    categoryData.filters = [{
+        name: '[[unread:all-topics]]',
+        url: `category/${categoryData.slug}${helpers.buildQueryString(req.query, 'filter', '')}`,
+        selected: filter === '',
+        filter: '',
+        icon: 'fa-book',
+    }, ...helpers.buildResolvedFilters(`category/${categoryData.slug}`, filter, req.query)];
+    categoryData.selectedFilter = categoryData.filters.find(filter => filter && filter.selected);
     categoryData.showSelect = userPrivileges.editable;
     categoryData.showTopicTools = userPrivileges.editable;
     categoryData.topicIndex = topicIndex;
@@ -97,6 +97,29 @@ helpers.buildFilters = function (url, filter, query) {
     }];
 };
 
+// Topics with or without an accepted answer, see Topics.tools.accept
+helpers.buildResolvedFilters = function (url, filter, query) {
+    return [{
+        name: '[[unread:resolved-topics]]',
+        url: url + helpers.buildQueryString(query, 'filter', 'resolved'),
+        selected: filter === 'resolved',
+        filter: 'resolved',
+        icon: 'fa-check-circle',
+    }, {
+        name: '[[unread:unresolved-topics]]',
+        url: url + helpers.buildQueryString(query, 'filter', 'unresolved'),
+        selected: filter === 'unresolved',
+        filter: 'unresolved',
+        icon: 'fa-question-circle',
+    }, {
+        name: '[[unread:noinstructor-topics]]',
+        url: url + helpers.buildQueryString(query, 'filter', 'noinstructor'),
+        selected: filter === 'noinstructor',
+        filter: 'noinstructor',
+        icon: 'fa-graduation-cap',
+    }];
+};
+
 helpers.buildTerms = function (url, term, query) {
     return [{
         name: '[[recent:alltime]]',
@@ -478,6 +501,11 @@ helpers.formatApiResponse = async (statusCode, res, payload) => {
             Object.assign(response, { params });
         }
 
+        // Requests that don't match the OpenAPI spec, see middleware.validate
+        if (payload.validationErrors) {
+            Object.assign(response, { errors: payload.validationErrors });
+        }
+
         const returnPayload = await helpers.generateError(statusCode, message, res);
         returnPayload.response = response;
 
@@ -20,6 +20,10 @@ Controllers.categories = require('./categories');
 Controllers.category = require('./category');
 Controllers.unread = require('./unread');
 Controllers.recent = require('./recent');
+Controllers.unanswered = require('./unanswered');
+Controllers.attention = require('./attention');
+Controllers.officehours = require('./officehours');
+Controllers.roster = require('./roster');
 Controllers.popular = require('./popular');
 Controllers.top = require('./top');
 Controllers.tags = require('./tags');
@@ -187,7 +191,8 @@ Controllers.register = async function (req, res, next) {
                     html: `
                         <select class="form-control" name="account-type" aria-label="Account Type">
                             <option value="student" selected>Student</option>
-                            <option value="instructor">Instructor</option>
+                            <option value="instructor">Instructor (requires approval)</option>
+                            <option value="recruiter">Recruiter (requires approval)</option>
                         </select>
                     `,
                 },
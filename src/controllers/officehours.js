@@ -0,0 +1,57 @@
+'use strict';
+
+const categories = require('../categories');
+const privileges = require('../privileges');
+const utils = require('../utils');
+const helpers = require('./helpers');
+
+const officeHoursController = module.exports;
+
+const oneDay = 86400000;
+
+// The courses the user can read, archived courses no longer hold office hours
+officeHoursController.list = async function (req, res) {
+    let cids = await categories.getCourseCids();
+    cids = await privileges.categories.filterCids('topics:read', cids, req.uid);
+    const courses = (await Promise.all(cids.map(cid => categories.getCourse(cid))))
+        .filter(course => course && !course.archived);
+    const queues = await Promise.all(courses.map(course => categories.getOfficeHours(course.cid, req.uid)));
+
+    res.render('officehours', {
+        title: '[[pages:officehours]]',
+        breadcrumbs: helpers.buildBreadcrumbs([{ text: '[[officehours:title]]' }]),
+        courses: queues.map((queue, index) => ({
+            cid: queue.cid,
+            name: queue.name,
+            term: courses[index].term,
+            open: queue.open,
+            location: queue.location,
+            waitingCount: queue.waitingCount,
+        })),
+    });
+};
+
+officeHoursController.get = async function (req, res, next) {
+    const { cid } = req.params;
+    if (!utils.isNumber(cid) || !await categories.isCourse(cid)) {
+        return next();
+    }
+    const [canRead, isStaff] = await Promise.all([
+        privileges.categories.can('topics:read', cid, req.uid),
+        categories.canManageOfficeHours(cid, req.uid),
+    ]);
+    if (!canRead && !isStaff) {
+        return helpers.notAllowed(req, res);
+    }
+
+    const data = await categories.getOfficeHours(cid, req.uid);
+    // staff see who they helped during the last day
+    data.history = isStaff ?
+        (await categories.getOfficeHoursHistory(cid, req.uid, { start: Date.now() - oneDay })).entries : [];
+    data.title = `[[pages:officehours-course, ${data.name}]]`;
+    data.breadcrumbs = helpers.buildBreadcrumbs([
+        { text: '[[officehours:title]]', url: '/officehours' },
+        { text: data.name },
+    ]);
+    res.render('officehours/queue', data);
+};
@@ -78,7 +78,8 @@ recentController.getData = async function (req, url, sort) {
         data.rssFeedUrl += `?uid=${req.uid}&token=${rssToken}`;
     }
 
-    data.filters = helpers.buildFilters(baseUrl, filter, req.query);
+    data.filters = helpers.buildFilters(baseUrl, filter, req.query)
+        .concat(helpers.buildResolvedFilters(baseUrl, filter, req.query));
     data.selectedFilter = data.filters.find(filter => filter && filter.selected);
     data.terms = helpers.buildTerms(baseUrl, term, req.query);
     data.selectedTerm = data.terms.find(term => term && term.selected);
@@ -0,0 +1,24 @@
+'use strict';
+
+const user = require('../user');
+const privileges = require('../privileges');
+const helpers = require('./helpers');
+
+const rosterController = module.exports;
+
+rosterController.get = async function (req, res) {
+    const [isAdmin, courses] = await Promise.all([
+        privileges.admin.can('admin:users', req.uid),
+        user.getRosterCourses(req.uid),
+    ]);
+    if (!isAdmin && !courses.length) {
+        return helpers.notAllowed(req, res);
+    }
+
+    res.render('roster', {
+        title: '[[pages:roster]]',
+        courses: courses.map(course => ({ cid: course.cid, name: course.name, term: course.term })),
+        canImportWithoutCourse: isAdmin,
+        breadcrumbs: helpers.buildBreadcrumbs([{ text: '[[roster:title]]' }]),
+    });
+};
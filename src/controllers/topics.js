@@ -111,6 +111,7 @@ topicsController.get = async function getTopic(req, res, next) {
         addTags(topicData, req, res),
         incrementViewCount(req, tid),
         markAsRead(req, tid),
+        topicData.announcement ? topics.announcements.markRead(tid, req.uid) : null,
         analytics.increment([`pageviews:byCid:${topicData.category.cid}`]),
     ]);
 
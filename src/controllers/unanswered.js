@@ -0,0 +1,74 @@
+'use strict';
+
+const querystring = require('querystring');
+
+const pagination = require('../pagination');
+const user = require('../user');
+const topics = require('../topics');
+const privileges = require('../privileges');
+const helpers = require('./helpers');
+
+const unansweredController = module.exports;
+
+unansweredController.get = async function (req, res, next) {
+    const { cid } = req.query;
+    const filter = req.query.filter || '';
+    if (!topics.unansweredFilters.includes(filter)) {
+        return next();
+    }
+
+    const [canView, categoryData, userSettings] = await Promise.all([
+        privileges.topics.canViewUnanswered(req.uid),
+        helpers.getSelectedCategory(cid),
+        user.getSettings(req.uid),
+    ]);
+    if (!canView) {
+        return helpers.notAllowed(req, res);
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const start = Math.max(0, (page - 1) * userSettings.topicsPerPage);
+    const stop = start + userSettings.topicsPerPage - 1;
+    const data = await topics.getUnansweredTopics({
+        cid,
+        uid: req.uid,
+        filter,
+        start,
+        stop,
+    });
+
+    data.title = '[[pages:unanswered]]';
+    data.breadcrumbs = helpers.buildBreadcrumbs([{ text: '[[unanswered:title]]' }]);
+    data.pageCount = Math.max(1, Math.ceil(data.topicCount / userSettings.topicsPerPage));
+    data.pagination = pagination.create(page, data.pageCount, req.query);
+    helpers.addLinkTags({ url: 'unanswered', res: req.res, tags: data.pagination.rel });
+
+    if (page < 1 || page > data.pageCount) {
+        req.query.page = Math.max(1, Math.min(data.pageCount, page));
+        return helpers.redirect(res, `/unanswered?${querystring.stringify(req.query)}`);
+    }
+
+    data.allCategoriesUrl = `unanswered${helpers.buildQueryString(req.query, 'cid', '')}`;
+    data.selectedCategory = categoryData.selectedCategory;
+    data.selectedCids = categoryData.selectedCids;
+    data.filters = [{
+        name: '[[unanswered:all-questions]]',
+        filter: '',
+        icon: 'fa-question-circle',
+    }, {
+        name: '[[unanswered:assigned-to-me]]',
+        filter: 'mine',
+        icon: 'fa-user',
+    }, {
+        name: '[[unanswered:unassigned]]',
+        filter: 'unassigned',
+        icon: 'fa-user-o',
+    }].map(item => ({
+        ...item,
+        url: `unanswered${helpers.buildQueryString(req.query, 'filter', item.filter)}`,
+        selected: item.filter === filter,
+    }));
+    data.selectedFilter = data.filters.find(item => item.selected);
+
+    res.render('unanswered', data);
+};
@@ -3,6 +3,7 @@
 const path = require('path');
 const nconf = require('nconf');
 const validator = require('validator');
+const _ = require('lodash');
 
 const user = require('../user');
 const meta = require('../meta');
@@ -10,11 +11,14 @@ const file = require('../file');
 const plugins = require('../plugins');
 const image = require('../image');
 const privileges = require('../privileges');
+const utils = require('../utils');
 
 const helpers = require('./helpers');
 
 const uploadsController = module.exports;
 
+const resumeExtensions = ['.pdf', '.doc', '.docx', '.odt', '.rtf', '.txt'];
+
 uploadsController.upload = async function (req, res, filesIterator) {
     let files;
     try {
@@ -178,6 +182,36 @@ uploadsController.uploadFile = async function (uid, uploadedFile) {
     return await saveFileToLocal(uid, 'files', uploadedFile);
 };
 
+// Résumés are kept out of the public uploads and away from upload plugins,
+// the routes that hand them out check who is asking
+uploadsController.uploadResume = async function (uid, uploadedFile) {
+    validateResume(uploadedFile);
+
+    const extension = path.extname(uploadedFile.name).toLowerCase();
+    const upload = await file.saveFileToPrivate(`${uid}-${utils.generateUUID()}${extension}`, 'resumes', uploadedFile.path);
+    return {
+        file: upload.file,
+        name: uploadedFile.name,
+    };
+};
+
+// Résumés can be documents even when the forum does not allow them in posts
+function validateResume(uploadedFile) {
+    if (!uploadedFile) {
+        throw new Error('[[error:invalid-file]]');
+    }
+
+    if (uploadedFile.size > meta.config.maximumFileSize * 1024) {
+        throw new Error(`[[error:file-too-big, ${meta.config.maximumFileSize}]]`);
+    }
+
+    const allowed = file.allowedExtensions();
+    const extension = path.extname(uploadedFile.name).toLowerCase();
+    if (allowed.length > 0 && !resumeExtensions.includes(extension) && !allowed.includes(extension)) {
+        throw new Error(`[[error:invalid-file-type, ${_.uniq(resumeExtensions.concat(allowed)).join('&#44; ')}]]`);
+    }
+}
+
 async function saveFileToLocal(uid, folder, uploadedFile) {
     const name = uploadedFile.name || 'upload';
     const extension = path.extname(name) || '';
@@ -69,7 +69,7 @@ userController.getUserDataByUID = async function (callerUid, uid) {
         throw new Error('[[error:no-privileges]]');
     }
 
-    let userData = await user.getUserData(uid);
+    let userData = await user.getUserData(uid, callerUid);
     if (!userData) {
         throw new Error('[[error:no-user]]');
     }
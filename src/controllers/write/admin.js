@@ -3,6 +3,8 @@
 const meta = require('../../meta');
 const privileges = require('../../privileges');
 const analytics = require('../../analytics');
+const webhooks = require('../../webhooks');
+const posts = require('../../posts');
 
 const helpers = require('../helpers');
 
@@ -40,3 +42,45 @@ Admin.getAnalyticsData = async (req, res) => {
     const getStats = req.query.units === 'days' ? analytics.getDailyStatsForSet : analytics.getHourlyStatsForSet;
     helpers.formatApiResponse(200, res, await getStats(`analytics:${req.params.set}`, parseInt(req.query.until, 10) || Date.now(), req.query.amount));
 };
+
+Admin.listWebhooks = async (req, res) => {
+    helpers.formatApiResponse(200, res, { webhooks: await webhooks.list() });
+};
+
+Admin.createWebhook = async (req, res) => {
+    helpers.formatApiResponse(200, res, await webhooks.create(req.body));
+};
+
+Admin.updateWebhook = async (req, res) => {
+    helpers.formatApiResponse(200, res, await webhooks.update(req.params.webhookId, req.body));
+};
+
+Admin.deleteWebhook = async (req, res) => {
+    await webhooks.delete(req.params.webhookId);
+    helpers.formatApiResponse(200, res);
+};
+
+Admin.testWebhook = async (req, res) => {
+    helpers.formatApiResponse(200, res, await webhooks.sendTest(req.params.webhookId, req.uid));
+};
+
+Admin.listPostRules = async (req, res) => {
+    helpers.formatApiResponse(200, res, { rules: await posts.rules.list() });
+};
+
+Admin.createPostRule = async (req, res) => {
+    helpers.formatApiResponse(200, res, await posts.rules.create(req.body));
+};
+
+Admin.updatePostRule = async (req, res) => {
+    helpers.formatApiResponse(200, res, await posts.rules.update(req.params.ruleId, req.body));
+};
+
+Admin.deletePostRule = async (req, res) => {
+    await posts.rules.delete(req.params.ruleId);
+    helpers.formatApiResponse(200, res);
+};
+
+Admin.markPostRuleHit = async (req, res) => {
+    helpers.formatApiResponse(200, res, await posts.rules.markFalsePositive(req.params.hitId, req.body.falsePositive));
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const path = require('path');
+const validator = require('validator');
+
+const api = require('../../api');
+const careers = require('../../careers');
+const file = require('../../file');
+const helpers = require('../helpers');
+const uploadsController = require('../uploads');
+
+const Careers = module.exports;
+
+Careers.list = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.careers.list(req, req.query));
+};
+
+Careers.create = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.careers.create(req, req.body));
+};
+
+Careers.get = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.careers.get(req, req.params));
+};
+
+Careers.update = async (req, res) => {
+    const job = await api.careers.update(req, { ...req.body, jobId: req.params.jobId });
+    helpers.formatApiResponse(200, res, job);
+};
+
+Careers.delete = async (req, res) => {
+    await api.careers.delete(req, req.params);
+    helpers.formatApiResponse(200, res);
+};
+
+// The résumé is only stored once the caller is known to be able to apply
+Careers.apply = async (req, res) => {
+    let { files } = req.files;
+    if (Array.isArray(files[0])) {
+        [files] = files;
+    }
+    let resume;
+    try {
+        await careers.canApply(req.params.jobId, req.uid);
+        resume = await uploadsController.uploadResume(req.uid, files[0]);
+        const application = await api.careers.apply(req, { ...req.body, jobId: req.params.jobId, resume });
+        helpers.formatApiResponse(200, res, application);
+    } catch (err) {
+        if (resume) {
+            await file.delete(file.getPrivatePath(resume.file));
+        }
+        throw err;
+    } finally {
+        files.forEach(fileObj => file.delete(fileObj.path));
+    }
+};
+
+Careers.listApplications = async (req, res) => {
+    const applications = await api.careers.listApplications(req, { ...req.query, jobId: req.params.jobId });
+    helpers.formatApiResponse(200, res, applications);
+};
+
+Careers.getApplication = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.careers.getApplication(req, req.params));
+};
+
+// Résumés are private files, they are only sent to those who can see the application
+Careers.getResume = async (req, res) => {
+    const application = await api.careers.getApplication(req, req.params);
+    const resumePath = await careers.getResumePath(application.applicationId);
+    if (!resumePath) {
+        return helpers.formatApiResponse(404, res);
+    }
+    res.download(resumePath, validator.unescape(application.resumeName) || path.basename(resumePath));
+};
+
+Careers.setApplicationStatus = async (req, res) => {
+    const application = await api.careers.setApplicationStatus(req, { ...req.body, ...req.params });
+    helpers.formatApiResponse(200, res, application);
+};
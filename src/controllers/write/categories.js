@@ -1,5 +1,9 @@
 'use strict';
 
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
 const privileges = require('../../privileges');
 const categories = require('../../categories');
 const api = require('../../api');
@@ -19,6 +23,10 @@ Categories.get = async (req, res) => {
     helpers.formatApiResponse(200, res, await api.categories.get(req, req.params));
 };
 
+Categories.getTopics = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.categories.getTopics(req, { ...req.query, cid: req.params.cid }));
+};
+
 Categories.create = async (req, res) => {
     await hasAdminPrivilege(req.uid);
 
@@ -43,6 +51,119 @@ Categories.delete = async (req, res) => {
     helpers.formatApiResponse(200, res);
 };
 
+Categories.createCourse = async (req, res) => {
+    await hasAdminPrivilege(req.uid);
+
+    helpers.formatApiResponse(200, res, await api.categories.createCourse(req, req.body));
+};
+
+Categories.getCourse = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.categories.getCourse(req, req.params));
+};
+
+Categories.archiveCourse = async (req, res) => {
+    await hasAdminPrivilege(req.uid);
+
+    const method = req.method === 'PUT' ? 'archiveCourse' : 'unarchiveCourse';
+    helpers.formatApiResponse(200, res, await api.categories[method](req, req.params));
+};
+
+Categories.archiveTerm = async (req, res) => {
+    await hasAdminPrivilege(req.uid);
+
+    const method = req.method === 'PUT' ? 'archiveTerm' : 'unarchiveTerm';
+    helpers.formatApiResponse(200, res, await api.categories[method](req, req.params));
+};
+
+Categories.cloneCourse = async (req, res) => {
+    await hasAdminPrivilege(req.uid);
+
+    helpers.formatApiResponse(200, res, await api.categories.cloneCourse(req, { ...req.body, cid: req.params.cid }));
+};
+
+Categories.getParticipation = async (req, res) => {
+    const report = await api.categories.getParticipation(req, { ...req.query, cid: req.params.cid });
+    helpers.formatApiResponse(200, res, report);
+};
+
+Categories.getOfficeHours = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.categories.getOfficeHours(req, req.params));
+};
+
+Categories.openOfficeHours = async (req, res) => {
+    const method = req.method === 'PUT' ? 'openOfficeHours' : 'closeOfficeHours';
+    helpers.formatApiResponse(200, res, await api.categories[method](req, { ...req.body, cid: req.params.cid }));
+};
+
+Categories.joinOfficeHours = async (req, res) => {
+    const entry = await api.categories.joinOfficeHours(req, { ...req.body, cid: req.params.cid });
+    helpers.formatApiResponse(200, res, entry);
+};
+
+Categories.leaveOfficeHours = async (req, res) => {
+    await api.categories.leaveOfficeHours(req, req.params);
+    helpers.formatApiResponse(200, res);
+};
+
+Categories.updateOfficeHoursEntry = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.categories.updateOfficeHoursEntry(req, {
+        ...req.body,
+        cid: req.params.cid,
+        id: req.params.entryId,
+    }));
+};
+
+Categories.getOfficeHoursHistory = async (req, res) => {
+    const history = await api.categories.getOfficeHoursHistory(req, { ...req.query, cid: req.params.cid });
+    helpers.formatApiResponse(200, res, history);
+};
+
+const prepareParticipationExport = async (req, res) => {
+    const filePath = await api.categories.getParticipationExportPath(req, req.params);
+    try {
+        const stat = await fs.stat(filePath);
+        const modified = new Date(stat.mtimeMs);
+        res.set('Last-Modified', modified.toUTCString());
+        res.set('ETag', `"${crypto.createHash('md5').update(String(stat.mtimeMs)).digest('hex')}"`);
+        res.status(204);
+        return filePath;
+    } catch (e) {
+        res.status(404);
+        return null;
+    }
+};
+
+Categories.checkParticipationExport = async (req, res) => {
+    await prepareParticipationExport(req, res);
+    res.end();
+};
+
+Categories.getParticipationExport = async (req, res) => {
+    const filePath = await prepareParticipationExport(req, res);
+    if (!filePath) {
+        return res.end();
+    }
+
+    const filename = path.basename(filePath);
+    res.status(200);
+    res.sendFile(filename, {
+        root: path.dirname(filePath),
+        headers: {
+            'Content-Type': 'text/csv',
+            'Content-Disposition': `attachment; filename=${filename}`,
+        },
+    }, (err) => {
+        if (err) {
+            throw err;
+        }
+    });
+};
+
+Categories.exportParticipation = async (req, res) => {
+    await api.categories.exportParticipation(req, { ...req.body, cid: req.params.cid });
+    helpers.formatApiResponse(202, res);
+};
+
 Categories.getPrivileges = async (req, res) => {
     if (!await privileges.admin.can('admin:privileges', req.uid)) {
         throw new Error('[[error:no-privileges]]');
@@ -9,6 +9,7 @@ Write.topics = require('./topics');
 Write.posts = require('./posts');
 Write.chats = require('./chats');
 Write.flags = require('./flags');
+Write.careers = require('./careers');
 Write.admin = require('./admin');
 Write.files = require('./files');
 Write.utilities = require('./utilities');
@@ -47,6 +47,25 @@ Posts.move = async (req, res) => {
     helpers.formatApiResponse(200, res);
 };
 
+Posts.revealAuthor = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.posts.revealAuthor(req, {
+        pid: req.params.pid,
+        reason: req.body.reason,
+    }));
+};
+
+Posts.requestAttention = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.posts.requestAttention(req, {
+        pid: req.params.pid,
+        reason: req.body.reason,
+    }));
+};
+
+Posts.clearAttention = async (req, res) => {
+    await api.posts.clearAttention(req, { pid: req.params.pid });
+    helpers.formatApiResponse(200, res);
+};
+
 async function mock(req) {
     const tid = await posts.getPostField(req.params.pid, 'tid');
     return { pid: req.params.pid, room_id: `topic_${tid}` };
@@ -71,6 +90,18 @@ Posts.unvote = async (req, res) => {
     helpers.formatApiResponse(200, res);
 };
 
+Posts.endorse = async (req, res) => {
+    const data = await mock(req);
+    await api.posts.endorse(req, data);
+    helpers.formatApiResponse(200, res);
+};
+
+Posts.unendorse = async (req, res) => {
+    const data = await mock(req);
+    await api.posts.unendorse(req, data);
+    helpers.formatApiResponse(200, res);
+};
+
 Posts.bookmark = async (req, res) => {
     const data = await mock(req);
     await api.posts.bookmark(req, data);
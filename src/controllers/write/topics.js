@@ -91,6 +91,64 @@ Topics.unlock = async (req, res) => {
     helpers.formatApiResponse(200, res);
 };
 
+Topics.accept = async (req, res) => {
+    await api.topics.accept(req, { tid: req.params.tid, pid: req.body.pid });
+    helpers.formatApiResponse(200, res);
+};
+
+Topics.unaccept = async (req, res) => {
+    await api.topics.unaccept(req, { tid: req.params.tid });
+    helpers.formatApiResponse(200, res);
+};
+
+Topics.getSimilar = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.topics.getSimilar(req, req.query));
+};
+
+Topics.getUnanswered = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.topics.getUnanswered(req, req.query));
+};
+
+// The job runs in the background, GET /api/v3/topics/bulk/:jobId reports its progress
+Topics.bulk = async (req, res) => {
+    helpers.formatApiResponse(202, res, await api.topics.bulk(req, req.body));
+};
+
+Topics.getBulkJob = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.topics.getBulkJob(req, req.params));
+};
+
+Topics.assign = async (req, res) => {
+    await api.topics.assign(req, { tid: req.params.tid });
+    helpers.formatApiResponse(200, res);
+};
+
+Topics.unassign = async (req, res) => {
+    await api.topics.unassign(req, { tid: req.params.tid });
+    helpers.formatApiResponse(200, res);
+};
+
+Topics.makePublic = async (req, res) => {
+    await api.topics.makePublic(req, { tid: req.params.tid, anonymize: req.body.anonymize });
+    helpers.formatApiResponse(200, res);
+};
+
+Topics.getReceipts = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.topics.getReceipts(req, { tid: req.params.tid }));
+};
+
+Topics.getAnswers = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.topics.getAnswers(req, { tid: req.params.tid }));
+};
+
+Topics.setAnswer = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.topics.setAnswer(req, {
+        tid: req.params.tid,
+        type: req.params.type,
+        content: req.body.content,
+    }));
+};
+
 Topics.follow = async (req, res) => {
     await api.topics.follow(req, req.params);
     helpers.formatApiResponse(200, res);
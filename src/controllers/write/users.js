@@ -12,9 +12,10 @@ const groups = require('../../groups');
 const meta = require('../../meta');
 const privileges = require('../../privileges');
 const user = require('../../user');
-const utils = require('../../utils');
+const tokens = require('../../tokens');
 
 const helpers = require('../helpers');
+const uploadsController = require('../uploads');
 
 const Users = module.exports;
 
@@ -49,12 +50,23 @@ Users.create = async (req, res) => {
     helpers.formatApiResponse(200, res, userObj);
 };
 
+Users.importRoster = async (req, res) => {
+    helpers.formatApiResponse(200, res, await api.users.importRoster(req, req.body));
+};
+
+Users.getRosterReport = async (req, res) => {
+    const csv = await api.users.getRosterReport(req, req.params);
+    res.set('Content-Type', 'text/csv')
+        .set('Content-Disposition', `attachment; filename="roster-import-${req.params.importId}.csv"`)
+        .send(csv);
+};
+
 Users.exists = async (req, res) => {
     helpers.formatApiResponse(200, res);
 };
 
 Users.get = async (req, res) => {
-    const userData = await user.getUserData(req.params.uid);
+    const userData = await user.getUserData(req.params.uid, req.uid);
     const publicUserData = await user.hidePrivateData(userData, req.uid);
     helpers.formatApiResponse(200, res, publicUserData);
 };
@@ -90,6 +102,28 @@ Users.changePicture = async (req, res) => {
     helpers.formatApiResponse(200, res);
 };
 
+Users.uploadResume = async (req, res) => {
+    if (!await privileges.users.canEdit(req.uid, req.params.uid)) {
+        return helpers.formatApiResponse(403, res);
+    }
+
+    await uploadsController.upload(req, res, async (uploadedFile) => {
+        const resume = await uploadsController.uploadResume(req.params.uid, uploadedFile);
+        return {
+            url: await user.setResume(req.params.uid, resume),
+            name: resume.name,
+        };
+    }); // response is handled here
+};
+
+Users.getResume = async (req, res) => {
+    const resumePath = await user.getResumePath(req.params.uid, req.uid);
+    if (!resumePath) {
+        return helpers.formatApiResponse(404, res);
+    }
+    res.download(resumePath);
+};
+
 Users.updateSettings = async (req, res) => {
     const settings = await api.users.updateSettings(req, { ...req.body, uid: req.params.uid });
     helpers.formatApiResponse(200, res, settings);
@@ -130,41 +164,51 @@ Users.unmute = async (req, res) => {
     helpers.formatApiResponse(200, res);
 };
 
+// Listed tokens are masked, and scoped tokens can't list the tokens of their user at all
+Users.listTokens = async (req, res) => {
+    if (res.locals.tokenScopes) {
+        return helpers.formatApiResponse(403, res, new Error('[[error:api.token-list-scoped]]'));
+    }
+    if (parseInt(req.params.uid, 10) !== parseInt(req.uid, 10)) {
+        await hasAdminPrivilege(req.uid, 'settings');
+    }
+    helpers.formatApiResponse(200, res, { tokens: await tokens.list(req.params.uid) });
+};
+
 Users.generateToken = async (req, res) => {
     await hasAdminPrivilege(req.uid, 'settings');
     if (parseInt(req.params.uid, 10) !== parseInt(req.user.uid, 10)) {
         return helpers.formatApiResponse(401, res);
     }
 
-    const settings = await meta.settings.get('core.api');
-    settings.tokens = settings.tokens || [];
+    // A scoped token can't be used to create a token with more power than its own
+    const scopes = tokens.parseScopes(req.body.scopes);
+    const callerScopes = res.locals.tokenScopes;
+    if (callerScopes && (!scopes.length || scopes.some(scope => !callerScopes.includes(scope)))) {
+        throw new Error('[[error:no-privileges]]');
+    }
 
-    const newToken = {
-        token: utils.generateUUID(),
+    const newToken = await tokens.generate({
         uid: req.user.uid,
-        description: req.body.description || '',
-        timestamp: Date.now(),
-    };
-    settings.tokens.push(newToken);
-    await meta.settings.set('core.api', settings);
+        description: req.body.description,
+        scopes,
+        expiry: req.body.expiry,
+    });
     helpers.formatApiResponse(200, res, newToken);
 };
 
+// Users can revoke their own tokens, admins allowed to manage the settings can revoke anyone's
 Users.deleteToken = async (req, res) => {
-    await hasAdminPrivilege(req.uid, 'settings');
-    if (parseInt(req.params.uid, 10) !== parseInt(req.user.uid, 10)) {
-        return helpers.formatApiResponse(401, res);
+    if (parseInt(req.params.uid, 10) !== parseInt(req.uid, 10)) {
+        await hasAdminPrivilege(req.uid, 'settings');
     }
 
-    const settings = await meta.settings.get('core.api');
-    const beforeLen = settings.tokens.length;
-    settings.tokens = settings.tokens.filter(tokenObj => tokenObj.token !== req.params.token);
-    if (beforeLen !== settings.tokens.length) {
-        await meta.settings.set('core.api', settings);
-        helpers.formatApiResponse(200, res);
-    } else {
-        helpers.formatApiResponse(404, res);
+    const tokenObj = await tokens.getById(req.params.tokenId);
+    if (!tokenObj || tokenObj.uid !== parseInt(req.params.uid, 10)) {
+        return helpers.formatApiResponse(404, res);
     }
+    await tokens.revoke(tokenObj.token);
+    helpers.formatApiResponse(200, res);
 };
 
 const getSessionAsync = util.promisify((sid, callback) => {
@@ -21,6 +21,14 @@ events.types = [
     'config-change',
     'settings-change',
     'category-purge',
+    'course-create',
+    'course-clone',
+    'course-archive',
+    'course-unarchive',
+    'roster-import',
+    'job-create',
+    'job-edit',
+    'job-purge',
     'privilege-change',
     'post-delete',
     'post-restore',
@@ -28,6 +36,7 @@ events.types = [
     'post-edit',
     'post-move',
     'post-change-owner',
+    'anonymous-reveal',
     'post-queue-reply-accept',
     'post-queue-topic-accept',
     'post-queue-reply-reject',
@@ -70,8 +79,15 @@ events.types = [
     'group-invite-accept',
     'group-invite-reject',
     'group-kick',
+    'instructor-request',
+    'instructor-grant',
+    'instructor-revoke',
+    'recruiter-request',
+    'recruiter-grant',
+    'recruiter-revoke',
     'theme-set',
     'export:uploads',
+    'export:participation',
     'account-locked',
     'getUsersCSV',
     // To add new types from plugins, just Array.push() to this array
@@ -34,6 +34,28 @@ file.saveFileToLocal = async function (filename, folder, tempPath) {
     };
 };
 
+// Private files are not served statically, only routes that check who is asking hand them out
+file.saveFileToPrivate = async function (filename, folder, tempPath) {
+    filename = filename.split('.').map(name => slugify(name)).join('.');
+
+    const privatePath = file.getPrivatePath(`${folder}/${filename}`);
+    winston.verbose(`Saving private file ${filename} to : ${privatePath}`);
+    await mkdirp(path.dirname(privatePath));
+    await fs.promises.copyFile(tempPath, privatePath);
+    return {
+        file: `${folder}/${filename}`,
+        path: privatePath,
+    };
+};
+
+file.getPrivatePath = function (relativePath) {
+    const privatePath = path.join(nconf.get('private_upload_path'), String(relativePath));
+    if (!privatePath.startsWith(nconf.get('private_upload_path'))) {
+        throw new Error('[[error:invalid-path]]');
+    }
+    return privatePath;
+};
+
 file.base64ToLocal = async function (imageData, uploadPath) {
     const buffer = Buffer.from(imageData.slice(imageData.indexOf('base64') + 7), 'base64');
     uploadPath = path.join(nconf.get('upload_path'), uploadPath);
@@ -427,6 +427,16 @@ async function createGlobalModeratorsGroup() {
     await groups.show('Global Moderators');
 }
 
+async function createInstructorsGroup() {
+    const user = require('./user');
+    await user.instructors.createGroup();
+}
+
+async function createRecruitersGroup() {
+    const user = require('./user');
+    await user.recruiters.createGroup();
+}
+
 async function giveGlobalPrivileges() {
     const privileges = require('./privileges');
     const defaultPrivileges = [
@@ -581,6 +591,8 @@ install.setup = async function () {
         await createDefaultUserGroups();
         const adminInfo = await createAdministrator();
         await createGlobalModeratorsGroup();
+        await createInstructorsGroup();
+        await createRecruitersGroup();
         await giveGlobalPrivileges();
         await createMenuItems();
         await createWelcomePost();
@@ -8,6 +8,7 @@ const db = require('../database');
 const pubsub = require('../pubsub');
 const plugins = require('../plugins');
 const utils = require('../utils');
+const tokens = require('../tokens');
 const Meta = require('./index');
 const cacheBuster = require('./cacheBuster');
 const defaults = require('../../install/data/defaults.json');
@@ -153,14 +154,17 @@ Configs.registerHooks = () => {
         method: async ({ plugin, settings, quiet }) => {
             if (plugin === 'core.api' && Array.isArray(settings.tokens)) {
                 // Generate tokens if not present already
-                settings.tokens.forEach((set) => {
+                settings.tokens = settings.tokens.map((set) => {
                     if (set.token === '') {
                         set.token = utils.generateUUID();
+                        set.timestamp = set.timestamp || Date.now();
                     }
 
                     if (isNaN(parseInt(set.uid, 10))) {
                         set.uid = 0;
                     }
+
+                    return tokens.normalize(set);
                 });
             }
 
@@ -172,14 +176,7 @@ Configs.registerHooks = () => {
         hook: 'filter:settings.get',
         method: async ({ plugin, values }) => {
             if (plugin === 'core.api' && Array.isArray(values.tokens)) {
-                values.tokens = values.tokens.map((tokenObj) => {
-                    tokenObj.uid = parseInt(tokenObj.uid, 10);
-                    if (tokenObj.timestamp) {
-                        tokenObj.timestampISO = new Date(parseInt(tokenObj.timestamp, 10)).toISOString();
-                    }
-
-                    return tokenObj;
-                });
+                values.tokens = await tokens.decorate(values.tokens);
             }
 
             return { plugin, values };
@@ -15,6 +15,7 @@ const topics = require('../topics');
 const posts = require('../posts');
 const messaging = require('../messaging');
 const flags = require('../flags');
+const careers = require('../careers');
 const slugify = require('../slugify');
 
 const helpers = require('./helpers');
@@ -64,6 +65,14 @@ Assert.flag = helpers.try(async (req, res, next) => {
     next();
 });
 
+Assert.job = helpers.try(async (req, res, next) => {
+    if (!await careers.exists(req.params.jobId)) {
+        return controllerHelpers.formatApiResponse(404, res, new Error('[[error:no-job]]'));
+    }
+
+    next();
+});
+
 Assert.path = helpers.try(async (req, res, next) => {
     // file: URL support
     if (req.body.path.startsWith('file:///')) {
@@ -79,6 +79,7 @@ middleware.renderHeader = async function renderHeader(req, res, data) {
         isAdmin: user.isAdministrator(req.uid),
         isGlobalMod: user.isGlobalModerator(req.uid),
         isModerator: user.isModeratorOfAnyCategory(req.uid),
+        isInstructor: user.isInstructor(req.uid),
         privileges: privileges.global.get(req.uid),
         user: user.getUserData(req.uid),
         isEmailConfirmSent: req.uid <= 0 ? false : await user.email.isValidationPending(req.uid),
@@ -99,6 +100,7 @@ middleware.renderHeader = async function renderHeader(req, res, data) {
     results.user.isAdmin = results.isAdmin;
     results.user.isGlobalMod = results.isGlobalMod;
     results.user.isMod = !!results.isModerator;
+    results.user.isInstructor = results.isInstructor;
     results.user.privileges = results.privileges;
     results.user.timeagoCode = results.timeagoCode;
     results.user[results.user.status] = true;
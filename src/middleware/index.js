@@ -64,6 +64,7 @@ middleware.uploads = require('./uploads');
 require('./headers')(middleware);
 require('./expose')(middleware);
 middleware.assert = require('./assert');
+middleware.validate = require('./validate');
 
 middleware.stripLeadingSlashes = function stripLeadingSlashes(req, res, next) {
     const target = req.originalUrl.replace(relative_path, '');
@@ -242,13 +243,3 @@ middleware.validateAuth = helpers.try(async (req, res, next) => {
     }
 });
 
-middleware.checkRequired = function (fields, req, res, next) {
-    // Used in API calls to ensure that necessary parameters/data values are present
-    const missing = fields.filter(field => !req.body.hasOwnProperty(field));
-
-    if (!missing.length) {
-        return next();
-    }
-
-    controllers.helpers.formatApiResponse(400, res, new Error(`[[error:required-parameters-missing, ${missing.join(' ')}]]`));
-};
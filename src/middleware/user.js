@@ -9,6 +9,7 @@ const util = require('util');
 const user = require('../user');
 const privileges = require('../privileges');
 const plugins = require('../plugins');
+const tokens = require('../tokens');
 const helpers = require('./helpers');
 const auth = require('../routes/authentication');
 const writeRouter = require('../routes/write');
@@ -53,6 +54,15 @@ module.exports = function (middleware) {
             const user = await passportAuthenticateAsync(req, res);
             if (!user) { return true; }
 
+            if (user.scopes && user.scopes.length) {
+                // Scoped tokens only work for the write api routes covered by a scope, checkTokenScope checks which one
+                const mountedPath = getMountedPath(req);
+                if (!mountedPath.startsWith('/api/v3/') || !tokens.scopes.includes(tokens.getScope(req.method, mountedPath))) {
+                    throw new Error('[[error:api.token-write-api-only]]');
+                }
+                res.locals.tokenScopes = user.scopes;
+            }
+
             if (user.hasOwnProperty('uid')) {
                 return await finishLogin(req, user);
             } else if (user.hasOwnProperty('master') && user.master === true) {
@@ -91,7 +101,7 @@ module.exports = function (middleware) {
             },
         });
 
-        const mountedPath = path.join(req.baseUrl, req.path).replace(nconf.get('relative_path'), '');
+        const mountedPath = getMountedPath(req);
         const method = req.method.toLowerCase();
         if (skip[method] && skip[method].includes(mountedPath)) {
             return next();
@@ -103,6 +113,21 @@ module.exports = function (middleware) {
         next();
     });
 
+    middleware.checkTokenScope = helpers.try(async (req, res, next) => {
+        if (!res.locals.tokenScopes) {
+            return next();
+        }
+        const scope = tokens.getScope(req.method, getMountedPath(req));
+        if (!res.locals.tokenScopes.includes(scope)) {
+            return controllers.helpers.formatApiResponse(403, res, new Error(`[[error:api.token-scope, ${scope}]]`));
+        }
+        next();
+    });
+
+    function getMountedPath(req) {
+        return path.join(req.baseUrl, req.path).replace(nconf.get('relative_path'), '');
+    }
+
     middleware.ensureSelfOrGlobalPrivilege = helpers.try(async (req, res, next) => {
         await ensureSelfOrMethod(user.isAdminOrGlobalMod, req, res, next);
     });
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Validates the requests of the write API against its OpenAPI spec (`public/openapi/write.yaml`).
+ * The path parameters, the query string and the JSON body of every route registered through
+ * `setupApiRoute` are checked against the schemas of its operation, a request that does not match
+ * gets a 400 listing what is wrong in `response.errors`. Values are only checked, what the
+ * controllers get is left as it was sent. The write API is not served without its spec, a spec that
+ * cannot be loaded fails the startup instead of letting requests through unchecked.
+ */
+
+const _ = require('lodash');
+const path = require('path');
+const nconf = require('nconf');
+const winston = require('winston');
+const Ajv = require('ajv');
+const SwaggerParser = require('@apidevtools/swagger-parser');
+
+const helpers = require('./helpers');
+const controllerHelpers = require('../controllers/helpers');
+
+const Validate = module.exports;
+
+const specPath = path.join(__dirname, '../../public/openapi/write.yaml');
+const ajv = new Ajv({
+    strict: false,
+    allErrors: true,
+    coerceTypes: 'array',
+    validateFormats: false,
+});
+
+let spec = null;
+let validators = new Map();
+
+Validate.load = async function () {
+    try {
+        spec = await SwaggerParser.dereference(specPath);
+    } catch (err) {
+        winston.error(`[api/validate] Unable to load the OpenAPI spec of the write api\n${err.stack}`);
+        throw err;
+    }
+    validators = new Map();
+};
+
+// The operation of the spec for an express route, e.g. `get` and `/api/v3/users/:uid/tokens`
+Validate.getOperation = function (method, routePath) {
+    const specPathName = routePath
+        .replace(nconf.get('relative_path'), '')
+        .replace(/^\/api\/v3/, '')
+        .replace(/\/:([^\\/]+)/g, '/{$1}')
+        .replace(/\?/g, '');
+    const pathItem = spec && spec.paths[specPathName];
+    return (pathItem && pathItem[method.toLowerCase()]) || null;
+};
+
+Validate.request = helpers.try(async (req, res, next) => {
+    if (!spec) {
+        throw new Error('[[error:api.spec-not-loaded]]');
+    }
+
+    const routePath = req.baseUrl + req.route.path;
+    const key = `${req.method} ${routePath}`;
+    if (!validators.has(key)) {
+        const operation = Validate.getOperation(req.method === 'HEAD' ? 'get' : req.method, routePath);
+        if (!operation) {
+            winston.warn(`[api/validate] ${key} is not in the OpenAPI spec, its requests are not validated`);
+        }
+        validators.set(key, operation && compile(operation));
+    }
+    const validator = validators.get(key);
+    if (!validator) {
+        return next();
+    }
+
+    const errors = _.flatten(Object.keys(validator).map((location) => {
+        // Validate a copy, type coercion must not change what the controllers get
+        let data = _.cloneDeep(req[location === 'path' ? 'params' : location]) || {};
+        if (location === 'query') {
+            // `?page=` is the same as leaving the parameter out
+            data = _.omitBy(data, value => value === '');
+        }
+        return validator[location](data) ? [] : formatErrors(location, validator[location].errors);
+    }));
+    if (!errors.length) {
+        return next();
+    }
+
+    const missing = errors.filter(error => error.in === 'body' && error.keyword === 'required' && !error.field.includes('.'));
+    const err = missing.length === errors.length ?
+        new Error(`[[error:required-parameters-missing, ${missing.map(error => error.field).join(' ')}]]`) :
+        new Error('[[error:api.invalid-request]]');
+    err.validationErrors = errors;
+    controllerHelpers.formatApiResponse(400, res, err);
+});
+
+function compile(operation) {
+    const validator = {};
+    const parameters = (operation.parameters || []).filter(param => param.schema);
+    ['path', 'query'].forEach((location) => {
+        const params = parameters.filter(param => param.in === location);
+        if (params.length) {
+            validator[location] = ajv.compile({
+                type: 'object',
+                properties: _.fromPairs(params.map(param => [param.name, param.schema])),
+                required: params.filter(param => param.required).map(param => param.name),
+            });
+        }
+    });
+
+    const content = operation.requestBody && operation.requestBody.content;
+    if (content && content['application/json'] && content['application/json'].schema) {
+        validator.body = ajv.compile(content['application/json'].schema);
+    }
+    return validator;
+}
+
+function formatErrors(location, errors) {
+    return errors.map((error) => {
+        const pointer = error.keyword === 'required' ?
+            `${error.instancePath}/${error.params.missingProperty}` :
+            error.instancePath;
+        return {
+            in: location,
+            field: pointer.replace(/^\//, '').replace(/\//g, '.'),
+            keyword: error.keyword,
+            message: error.message,
+        };
+    });
+}
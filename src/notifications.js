@@ -20,6 +20,7 @@ const Notifications = module.exports;
 
 Notifications.baseTypes = [
     'notificationType_upvote',
+    'notificationType_endorse',
     'notificationType_new-topic',
     'notificationType_new-reply',
     'notificationType_post-edit',
@@ -29,6 +30,7 @@ Notifications.baseTypes = [
     'notificationType_group-invite',
     'notificationType_group-leave',
     'notificationType_group-request-membership',
+    'notificationType_job-application',
 ];
 
 Notifications.privilegedTypes = [
@@ -36,6 +38,7 @@ Notifications.privilegedTypes = [
     'notificationType_post-queue',
     'notificationType_new-post-flag',
     'notificationType_new-user-flag',
+    'notificationType_attention-request',
 ];
 
 const notificationPruneCutoff = 2592000000; // one month
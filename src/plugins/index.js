@@ -11,6 +11,7 @@ const request = require('request-promise-native');
 const user = require('../user');
 const posts = require('../posts');
 const meta = require('../meta');
+const webhooks = require('../webhooks');
 
 const { pluginNamePattern, themeNamePattern, paths } = require('../constants');
 
@@ -126,6 +127,10 @@ Plugins.reload = async function () {
     // Core hooks
     posts.registerHooks();
     meta.configs.registerHooks();
+    user.instructors.registerHooks();
+    user.recruiters.registerHooks();
+    user.registerRosterHooks();
+    webhooks.registerHooks();
 
     // Deprecation notices
     Plugins.hooks._deprecated.forEach((deprecation, hook) => {
@@ -0,0 +1,118 @@
+'use strict';
+
+const _ = require('lodash');
+
+const db = require('../database');
+const user = require('../user');
+const utils = require('../utils');
+
+module.exports = function (Posts) {
+    Posts.anonymousUser = {
+        uid: 0,
+        username: '[[global:anonymous]]',
+        displayname: '[[global:anonymous]]',
+        userslug: '',
+        fullname: '[[global:anonymous]]',
+        picture: '',
+        'icon:text': '?',
+        'icon:bgColor': '#817a6e',
+        groupTitle: '',
+        status: 'offline',
+        reputation: 0,
+        postcount: 0,
+        'email:confirmed': 0,
+    };
+
+    Posts.anonymousNames = [
+        'Beaver', 'Otter', 'Badger', 'Heron', 'Falcon', 'Lynx', 'Moose', 'Panda',
+        'Koala', 'Walrus', 'Puffin', 'Gecko', 'Bison', 'Raven', 'Marmot', 'Ibis',
+    ];
+
+    /**
+     * Returns the pseudonym of a user within a topic, e.g. "Beaver".
+     * Pseudonyms are handed out in order of first anonymous post and stay the same for the life of the topic.
+     * The number is taken from an atomic counter, so two authors posting at the same time never share one.
+     * A user cannot post twice at the same time, the posting lock of the write api makes the second post wait.
+     */
+    Posts.getAnonymousName = async function (tid, uid) {
+        const key = `tid:${tid}:anonymous`;
+        let index = await db.sortedSetScore(key, uid);
+        if (index === null) {
+            index = await db.incrObjectField(`${key}:counter`, 'count') - 1;
+            await db.sortedSetAdd(key, index, uid);
+        }
+        const names = Posts.anonymousNames;
+        const round = Math.floor(index / names.length);
+        return names[index % names.length] + (round ? ` ${round + 1}` : '');
+    };
+
+    // Strips the author of a post or topic object, works on both as they share `uid` and `user`
+    Posts.anonymizeAuthor = function (item) {
+        item.uid = 0;
+        item.user = { ...Posts.anonymousUser, groupTitleArray: [] };
+        if (item.anonymousName) {
+            const name = `${Posts.anonymousUser.displayname} ${item.anonymousName}`;
+            item.user.username = name;
+            item.user.displayname = name;
+            item.user.fullname = name;
+            item.user['icon:text'] = item.anonymousName.charAt(0);
+        }
+        item.handle = undefined;
+        item.ip = undefined;
+        return item;
+    };
+
+    /**
+     * Hides the author of anonymous posts or topics from everyone except the author.
+     * Privileged users go through Posts.revealAuthor, so every reveal is recorded.
+     * Items need `anonymous` and `uid`.
+     */
+    Posts.anonymize = async function (items, uid) {
+        items.forEach((item) => {
+            if (item && item.anonymous && parseInt(item.uid, 10) !== parseInt(uid, 10)) {
+                Posts.anonymizeAuthor(item);
+            }
+        });
+        return items;
+    };
+
+    // Records who revealed the author of an anonymous post, the author can list these on their account page
+    Posts.revealAuthor = async function (pid, uid, reason) {
+        const [authorUid, id] = await Promise.all([
+            Posts.getPostField(pid, 'uid'),
+            db.incrObjectField('global', 'nextAnonymousRevealId'),
+        ]);
+        const timestamp = Date.now();
+        await db.setObject(`anonymous:reveal:${id}`, {
+            id,
+            pid,
+            uid,
+            authorUid,
+            reason,
+            timestamp,
+        });
+        await db.sortedSetsAdd([
+            `uid:${authorUid}:anonymous:reveals`,
+            `pid:${pid}:anonymous:reveals`,
+        ], timestamp, id);
+        return authorUid;
+    };
+
+    Posts.getAuthorReveals = async function (authorUid, start, stop) {
+        const ids = await db.getSortedSetRevRange(`uid:${authorUid}:anonymous:reveals`, start, stop);
+        const reveals = (await db.getObjects(ids.map(id => `anonymous:reveal:${id}`))).filter(Boolean);
+        const pids = _.uniq(reveals.map(reveal => reveal.pid));
+        const [usersData, postsData] = await Promise.all([
+            user.getUsersFields(reveals.map(reveal => reveal.uid), ['uid', 'username', 'userslug', 'picture']),
+            Posts.getPostSummaryByPids(pids, authorUid, { stripTags: true }),
+        ]);
+        const pidToPost = _.zipObject(postsData.map(post => post.pid), postsData);
+        // the reason stays in the event log for administrators
+        return reveals.map((reveal, index) => ({
+            timestamp: parseInt(reveal.timestamp, 10),
+            timestampISO: utils.toISOString(reveal.timestamp),
+            user: usersData[index],
+            post: pidToPost[reveal.pid] || null,
+        }));
+    };
+};
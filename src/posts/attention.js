@@ -0,0 +1,229 @@
+'use strict';
+
+const _ = require('lodash');
+const validator = require('validator');
+
+const db = require('../database');
+const topics = require('../topics');
+const categories = require('../categories');
+const groups = require('../groups');
+const notifications = require('../notifications');
+const privileges = require('../privileges');
+const plugins = require('../plugins');
+const utils = require('../utils');
+
+const maxReasonLength = 255;
+
+/**
+ * Attention requests let students ask the course staff to look at a post, they are not moderation flags.
+ * A post has at most one request in `attention:<pid>`, every student asking again is added to it
+ * (`attention:<pid>:uids`, reasons in `attention:<pid>:reasons`). Open requests are in `posts:attention`
+ * and `tid:<tid>:attention`, the latter is cleared as soon as a member of the course staff replies to the topic.
+ */
+module.exports = function (Posts) {
+    // The queue lists at most this many of the oldest requests
+    Posts.attentionMaxPosts = 500;
+
+    Posts.requestAttention = async function (pid, uid, reason) {
+        if (parseInt(uid, 10) <= 0) {
+            throw new Error('[[error:not-logged-in]]');
+        }
+        reason = String(reason || '').trim();
+        if (!reason) {
+            throw new Error('[[error:attention-reason-required]]');
+        }
+        if (reason.length > maxReasonLength) {
+            throw new Error(`[[error:attention-reason-too-long, ${maxReasonLength}]]`);
+        }
+
+        const [postData, canRead, hasRequested] = await Promise.all([
+            Posts.getPostFields(pid, ['pid', 'tid', 'deleted']),
+            privileges.posts.can('topics:read', pid, uid),
+            Posts.hasRequestedAttention(pid, uid),
+        ]);
+        if (!postData.pid || postData.deleted) {
+            throw new Error('[[error:no-post]]');
+        }
+        if (!canRead) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        if (hasRequested) {
+            throw new Error('[[error:already-requested-attention]]');
+        }
+
+        const timestamp = Date.now();
+        const isNew = !await db.exists(`attention:${pid}`);
+        if (isNew) {
+            await db.setObject(`attention:${pid}`, { pid, tid: postData.tid, timestamp });
+            await db.sortedSetsAdd(['posts:attention', `tid:${postData.tid}:attention`], timestamp, pid);
+        }
+        await Promise.all([
+            db.sortedSetAdd(`attention:${pid}:uids`, timestamp, uid),
+            db.setObjectField(`attention:${pid}:reasons`, uid, validator.escape(reason)),
+        ]);
+        if (isNew) {
+            await notifyStaff(pid, uid);
+        }
+
+        plugins.hooks.fire('action:post.requestAttention', { pid, uid, reason });
+        return (await Posts.getAttention([pid]))[0];
+    };
+
+    // A student takes back their own request, the request is gone once nobody is left on it
+    Posts.withdrawAttention = async function (pid, uid) {
+        if (!await Posts.hasRequestedAttention(pid, uid)) {
+            throw new Error('[[error:no-attention-request]]');
+        }
+        await Promise.all([
+            db.sortedSetRemove(`attention:${pid}:uids`, uid),
+            db.deleteObjectField(`attention:${pid}:reasons`, uid),
+        ]);
+        if (!await db.sortedSetCard(`attention:${pid}:uids`)) {
+            await Posts.clearAttention(pid);
+        }
+        plugins.hooks.fire('action:post.withdrawAttention', { pid, uid });
+    };
+
+    Posts.clearAttention = async function (pids) {
+        pids = Array.isArray(pids) ? pids : [pids];
+        const requests = await db.getObjectsFields(pids.map(pid => `attention:${pid}`), ['pid', 'tid']);
+        const cleared = requests.filter(request => request && request.pid);
+        if (!cleared.length) {
+            return;
+        }
+        await Promise.all([
+            db.sortedSetRemove('posts:attention', cleared.map(request => request.pid)),
+            db.sortedSetRemoveBulk(cleared.map(request => [`tid:${request.tid}:attention`, request.pid])),
+            db.deleteAll(_.flatten(cleared.map(request => [
+                `attention:${request.pid}`,
+                `attention:${request.pid}:uids`,
+                `attention:${request.pid}:reasons`,
+            ]))),
+        ]);
+        plugins.hooks.fire('action:post.clearAttention', { pids: cleared.map(request => parseInt(request.pid, 10)) });
+    };
+
+    // Called for every new post, a reply from the course staff answers every request in the topic
+    Posts.clearAttentionOnReply = async function (postData) {
+        const pids = await db.getSortedSetRange(`tid:${postData.tid}:attention`, 0, -1);
+        if (!pids.length || !await privileges.posts.canManageAttention(postData.pid, postData.uid)) {
+            return;
+        }
+        await Posts.clearAttention(pids);
+    };
+
+    Posts.hasRequestedAttention = async function (pid, uid) {
+        if (parseInt(uid, 10) <= 0) {
+            return false;
+        }
+        return await db.isSortedSetMember(`attention:${pid}:uids`, uid);
+    };
+
+    /**
+     * Returns the open request of each post, or `null`.
+     * Requests only carry the reasons and how many students asked,
+     * so they never point at the author of an anonymous post.
+     */
+    Posts.getAttention = async function (pids) {
+        const [requests, counts, reasons] = await Promise.all([
+            db.getObjects(pids.map(pid => `attention:${pid}`)),
+            db.sortedSetsCard(pids.map(pid => `attention:${pid}:uids`)),
+            db.getObjects(pids.map(pid => `attention:${pid}:reasons`)),
+        ]);
+        return requests.map((request, index) => {
+            if (!request || !request.pid) {
+                return null;
+            }
+            return {
+                timestamp: parseInt(request.timestamp, 10),
+                timestampISO: utils.toISOString(request.timestamp),
+                requestCount: counts[index],
+                reasons: Object.values(reasons[index] || {}),
+            };
+        });
+    };
+
+    /**
+     * The queue of posts waiting for the course staff, oldest first, at most Posts.attentionMaxPosts.
+     * Staff see the categories they see on the unanswered page, see Topics.getUnansweredCids.
+     */
+    Posts.getAttentionQueue = async function (params) {
+        const { uid } = params;
+        let cids = await topics.getUnansweredCids(uid);
+        if (params.cid) {
+            const selectedCids = (Array.isArray(params.cid) ? params.cid : [params.cid]).map(String);
+            cids = cids.filter(cid => selectedCids.includes(String(cid)));
+        }
+
+        // Requests of every category share the set, so it is read a range at a time until the queue is full
+        const batchSize = Posts.attentionMaxPosts;
+        let pids = [];
+        for (let start = 0; cids.length && pids.length < Posts.attentionMaxPosts; start += batchSize) {
+            /* eslint-disable no-await-in-loop */
+            const batch = await db.getSortedSetRange('posts:attention', start, start + batchSize - 1);
+            pids = pids.concat(await filterQueue(batch, cids, uid));
+            if (batch.length < batchSize) {
+                break;
+            }
+        }
+        pids = pids.slice(0, Posts.attentionMaxPosts);
+
+        const start = params.start || 0;
+        const stop = params.stop === undefined ? -1 : params.stop;
+        const pagePids = pids.slice(start, stop !== -1 ? stop + 1 : undefined);
+        const [summaries, requests] = await Promise.all([
+            Posts.getPostSummaryByPids(pagePids, uid, { stripTags: true }),
+            Posts.getAttention(pagePids),
+        ]);
+        const pidToRequest = _.zipObject(pagePids.map(String), requests);
+        summaries.forEach((post) => {
+            post.attention = pidToRequest[String(post.pid)];
+        });
+
+        return {
+            posts: summaries.filter(post => post.attention),
+            postCount: pids.length,
+            nextStart: stop + 1,
+        };
+    };
+
+    async function filterQueue(pids, cids, uid) {
+        const [postCids, postsData] = await Promise.all([
+            Posts.getCidsByPids(pids),
+            Posts.getPostsFields(pids, ['deleted']),
+        ]);
+        pids = pids.filter((pid, index) => cids.map(String).includes(String(postCids[index])) &&
+            !postsData[index].deleted);
+        return await privileges.posts.filter('topics:read', pids, uid);
+    }
+
+    // The moderators of the category and the instructors of its course
+    async function getStaffUids(cid) {
+        const [[modUids], courseCid] = await Promise.all([
+            categories.getModeratorUids([cid]),
+            categories.getCourseCid(cid),
+        ]);
+        const course = courseCid ? await categories.getCourse(courseCid) : null;
+        const instructorUids = course ? await groups.getMembers(course.instructorsGroup, 0, -1) : [];
+        return _.uniq(modUids.concat(instructorUids).map(staffUid => parseInt(staffUid, 10)));
+    }
+
+    async function notifyStaff(pid, uid) {
+        const [title, cid] = await Promise.all([
+            topics.getTitleByPid(pid),
+            Posts.getCidByPid(pid),
+        ]);
+        const staffUids = await getStaffUids(cid);
+        const titleEscaped = utils.decodeHTMLEntities(title).replace(/%/g, '&#37;').replace(/,/g, '&#44;');
+        // the requester is left out, the post may be their own anonymous post
+        const notifObj = await notifications.create({
+            type: 'attention-request',
+            bodyShort: `[[notifications:attention_requested_in, ${titleEscaped}]]`,
+            nid: `attention:${pid}`,
+            pid,
+            path: `/post/${pid}`,
+            topicTitle: title,
+        });
+        await notifications.push(notifObj, staffUids.filter(staffUid => staffUid !== parseInt(uid, 10)));
+    }
+};
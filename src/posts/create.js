@@ -45,6 +45,14 @@ module.exports = function (Posts) {
         if (data.handle && !parseInt(uid, 10)) {
             postData.handle = data.handle;
         }
+        // the role at posting time is what counts towards the topic's instructorcount, see Topics.addPostToTopic
+        if (await user.isInstructor(parseInt(uid, 10))) {
+            postData.instructor = 1;
+        }
+        if (parseInt(data.anonymous, 10) === 1) {
+            postData.anonymous = 1;
+            postData.anonymousName = await Posts.getAnonymousName(tid, uid);
+        }
 
         let result = await plugins.hooks.fire('filter:post.create', { post: postData, data });
         postData = result.post;
@@ -63,10 +71,11 @@ module.exports = function (Posts) {
             addReplyTo(postData, timestamp),
             Posts.uploads.sync(postData.pid),
         ]);
+        await Posts.clearAttentionOnReply(postData);
 
         result = await plugins.hooks.fire('filter:post.get', { post: postData, uid: data.uid });
         result.post.isMain = isMain;
-        plugins.hooks.fire('action:post.save', { post: _.clone(result.post) });
+        plugins.hooks.fire('action:post.save', { post: _.clone(result.post), data });
         return result.post;
     };
 
@@ -26,12 +26,13 @@ module.exports = function (Posts) {
             deleted: isDeleting ? 1 : 0,
             deleterUid: isDeleting ? uid : 0,
         });
-        const postData = await Posts.getPostFields(pid, ['pid', 'tid', 'uid', 'content', 'timestamp']);
+        const postData = await Posts.getPostFields(pid, ['pid', 'tid', 'uid', 'content', 'timestamp', 'instructor']);
         const topicData = await topics.getTopicFields(postData.tid, ['tid', 'cid', 'pinned']);
         postData.cid = topicData.cid;
         await Promise.all([
             topics.updateLastPostTimeFromLastPid(postData.tid),
             topics.updateTeaser(postData.tid),
+            postData.instructor && topics.increaseInstructorCount(postData.tid, isDeleting ? -1 : 1),
             isDeleting ?
                 db.sortedSetRemove(`cid:${topicData.cid}:pids`, pid) :
                 db.sortedSetAdd(`cid:${topicData.cid}:pids`, postData.timestamp, pid),
@@ -76,6 +77,8 @@ module.exports = function (Posts) {
             deleteFromCategoryRecentPosts(postData),
             deleteFromUsersBookmarks(pids),
             deleteFromUsersVotes(pids),
+            db.deleteAll(pids.map(pid => `pid:${pid}:endorsements`)),
+            Posts.clearAttention(pids),
             deleteFromReplies(postData),
             deleteFromGroups(pids),
             deleteDiffs(pids),
@@ -84,6 +87,7 @@ module.exports = function (Posts) {
         ]);
 
         await resolveFlags(postData, uid);
+        await Promise.all(postData.map(p => topics.tools.unacceptRemovedPost(p.tid, p.pid)));
 
         // deprecated hook
         Promise.all(postData.map(p => plugins.hooks.fire('action:post.purge', { post: p, uid })));
@@ -117,7 +121,9 @@ module.exports = function (Posts) {
         const topicTasks = [];
         const zsetIncrBulk = [];
         for (const [tid, posts] of Object.entries(postsByTopic)) {
-            incrObjectBulk.push([`topic:${tid}`, { postcount: -posts.length }]);
+            // deleted posts were already taken out of instructorcount by Posts.delete
+            const instructorPosts = posts.filter(p => p.instructor && !p.deleted).length;
+            incrObjectBulk.push([`topic:${tid}`, { postcount: -posts.length, instructorcount: -instructorPosts }]);
             if (posts.length && posts[0]) {
                 const topicData = posts[0].topic;
                 const newPostCount = topicData.postcount - posts.length;
@@ -135,9 +141,10 @@ module.exports = function (Posts) {
             topicTasks.push(db.sortedSetIncrByBulk(zsetIncrBulk));
         }
 
+        await db.incrObjectFieldByBulk(incrObjectBulk);
         await Promise.all([
-            db.incrObjectFieldByBulk(incrObjectBulk),
             db.sortedSetAddBulk(topicPostCountTasks),
+            ...Object.keys(postsByTopic).map(tid => topics.updateInstructorIndex(tid)),
             ...topicTasks,
             user.updatePostCount(_.uniq(postData.map(p => p.uid))),
             notifications.rescind(...postData.map(p => `new_post:tid:${p.tid}:pid:${p.pid}:uid:${p.uid}`)),
@@ -0,0 +1,82 @@
+'use strict';
+
+const db = require('../database');
+const user = require('../user');
+const plugins = require('../plugins');
+const privileges = require('../privileges');
+
+module.exports = function (Posts) {
+    // Endorsements are kept apart from votes, so they never change reputation or vote based sorting
+    Posts.endorse = async function (pid, uid) {
+        return await toggleEndorse('endorse', pid, uid);
+    };
+
+    Posts.unendorse = async function (pid, uid) {
+        return await toggleEndorse('unendorse', pid, uid);
+    };
+
+    async function toggleEndorse(type, pid, uid) {
+        if (parseInt(uid, 10) <= 0) {
+            throw new Error('[[error:not-logged-in]]');
+        }
+
+        const isEndorsing = type === 'endorse';
+
+        const [postData, hasEndorsed, canEndorse] = await Promise.all([
+            Posts.getPostFields(pid, ['pid', 'uid']),
+            Posts.hasEndorsed(pid, uid),
+            privileges.posts.canEndorse(pid, uid),
+        ]);
+
+        if (!canEndorse) {
+            throw new Error('[[error:no-privileges]]');
+        }
+
+        if (isEndorsing && hasEndorsed) {
+            throw new Error('[[error:already-endorsed]]');
+        }
+
+        if (!isEndorsing && !hasEndorsed) {
+            throw new Error('[[error:already-unendorsed]]');
+        }
+
+        if (isEndorsing) {
+            await db.sortedSetAdd(`pid:${pid}:endorsements`, Date.now(), uid);
+        } else {
+            await db.sortedSetRemove(`pid:${pid}:endorsements`, uid);
+        }
+        postData.endorsedBy = (await Posts.getEndorsedBy([pid]))[0];
+
+        plugins.hooks.fire(`action:post.${type}`, {
+            pid,
+            uid,
+            owner: postData.uid,
+            current: hasEndorsed ? 'endorsed' : 'unendorsed',
+        });
+
+        return {
+            post: postData,
+            isEndorsed: isEndorsing,
+        };
+    }
+
+    Posts.hasEndorsed = async function (pid, uid) {
+        if (parseInt(uid, 10) <= 0) {
+            return Array.isArray(pid) ? pid.map(() => false) : false;
+        }
+
+        if (Array.isArray(pid)) {
+            return await db.isMemberOfSortedSets(pid.map(pid => `pid:${pid}:endorsements`), uid);
+        }
+        return await db.isSortedSetMember(`pid:${pid}:endorsements`, uid);
+    };
+
+    Posts.getEndorsedBy = async function (pids) {
+        const uids = await db.getSortedSetsMembers(pids.map(pid => `pid:${pid}:endorsements`));
+        const usersData = await user.getUsersFields(
+            uids.flat(),
+            ['uid', 'username', 'userslug', 'picture']
+        );
+        return uids.map(endorserUids => usersData.splice(0, endorserUids.length));
+    };
+};
@@ -23,9 +23,14 @@ require('./recent')(Posts);
 require('./tools')(Posts);
 require('./votes')(Posts);
 require('./bookmarks')(Posts);
+require('./endorse')(Posts);
 require('./queue')(Posts);
 require('./diffs')(Posts);
 require('./uploads')(Posts);
+require('./anonymous')(Posts);
+require('./attention')(Posts);
+
+Posts.rules = require('./rules');
 
 Posts.exists = async function (pids) {
     return await db.exists(
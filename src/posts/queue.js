@@ -79,16 +79,18 @@ module.exports = function (Posts) {
     }
 
     Posts.shouldQueue = async function (uid, data) {
+        // Rules that reject the post throw, the ones that queue it queue it whatever the settings
+        const { actions } = await Posts.rules.check(uid, data);
         const [userData, isMemberOfExempt, categoryQueueEnabled] = await Promise.all([
             user.getUserFields(uid, ['uid', 'reputation', 'postcount']),
             groups.isMemberOfAny(uid, meta.config.groupsExemptFromPostQueue),
             isCategoryQueueEnabled(data),
         ]);
 
-        const shouldQueue = meta.config.postQueue && categoryQueueEnabled &&
+        const shouldQueue = actions.includes('queue') || (meta.config.postQueue && categoryQueueEnabled &&
             !isMemberOfExempt &&
             (!userData.uid || userData.reputation < meta.config.postQueueReputationThreshold ||
-                userData.postcount <= 0);
+                userData.postcount <= 0));
         const result = await plugins.hooks.fire('filter:post.shouldQueue', {
             shouldQueue: !!shouldQueue,
             uid,
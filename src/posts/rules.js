@@ -0,0 +1,339 @@
+'use strict';
+
+const _ = require('lodash');
+
+const db = require('../database');
+const user = require('../user');
+const meta = require('../meta');
+const groups = require('../groups');
+const topics = require('../topics');
+const privileges = require('../privileges');
+const flags = require('../flags');
+const plugins = require('../plugins');
+const translator = require('../translator');
+const utils = require('../utils');
+
+/**
+ * Auto-moderation rules, checked by Posts.shouldQueue before a new topic or reply is posted.
+ * Rules are in `post:rule:<id>` (`post:rules:id` lists them). A matching rule queues the post,
+ * rejects it, flags it or shadow-hides it: the post is published but deleted by the system right away,
+ * so only its author and the moderators see it and nobody is notified. Rejecting wins over queueing,
+ * and a queued post is not flagged or hidden, moderators review it anyway.
+ * Every match is a hit in `post:rule:hit:<hitId>`, logged in `post:rules:hits` and `post:rule:<id>:hits`,
+ * moderators mark the false positives to tune the rules. Hits never tell who wrote an anonymous post.
+ * Administrators, moderators and the groups exempt from the post queue are not checked.
+ */
+const Rules = module.exports;
+
+const intFields = ['id', 'interval', 'enabled', 'hits', 'falsePositives', 'timestamp'];
+const hitIntFields = ['hitId', 'ruleId', 'uid', 'cid', 'tid', 'pid', 'falsePositive', 'timestamp'];
+
+Rules.types = ['keywords', 'regex', 'links', 'first-post', 'account-age', 'velocity', 'similarity'];
+Rules.actions = ['queue', 'reject', 'flag', 'shadow-hide'];
+Rules.defaultInterval = 60; // minutes
+Rules.similarPostCount = 50;
+
+// Whether a rule matches the post, `context` is built by getContext
+const tests = {
+    keywords: async (rule, { text }) => rule.value.split(/[\n,]/).map(keyword => keyword.trim()).filter(Boolean)
+        .some(keyword => new RegExp(`(^|\\W)${utils.escapeRegexChars(keyword)}($|\\W)`, 'i').test(text)),
+    regex: async (rule, { text }) => new RegExp(rule.value, 'i').test(text),
+    links: async (rule, { content }) => (content.match(/(?:https?:\/\/|\bwww\.)[^\s)\]]+/gi) || []).length > parseInt(rule.value, 10),
+    'first-post': async (rule, { uid, cid }) => !uid || !await db.sortedSetCard(`cid:${cid}:uid:${uid}:pids`),
+    'account-age': async (rule, { uid, now }) => {
+        const joindate = uid ? await user.getUserField(uid, 'joindate') : now;
+        return joindate > now - (parseFloat(rule.value) * 3600000);
+    },
+    velocity: async (rule, { uid, now }) => {
+        if (!uid) {
+            return false;
+        }
+        const count = await db.sortedSetCount(`uid:${uid}:posts`, now - (rule.interval * 60000), '+inf');
+        return count >= parseInt(rule.value, 10);
+    },
+    similarity: async (rule, { uid, cid, content, now }) => {
+        const words = getWords(content);
+        if (words.size < 3) {
+            return false;
+        }
+        const since = now - (rule.interval * 60000);
+        const pids = _.uniq(_.flatten(await Promise.all([
+            db.getSortedSetRevRangeByScore(`cid:${cid}:pids`, 0, Rules.similarPostCount, '+inf', since),
+            uid ? db.getSortedSetRevRangeByScore(`uid:${uid}:posts`, 0, Rules.similarPostCount, '+inf', since) : [],
+        ])));
+        const posts = require('.');
+        const postsData = await posts.getPostsFields(pids, ['content']);
+        const threshold = parseInt(rule.value, 10) / 100;
+        return postsData.some(post => post && getSimilarity(words, getWords(post.content)) >= threshold);
+    },
+};
+
+Rules.create = async function (data) {
+    const rule = validate(data);
+    const id = await db.incrObjectField('global', 'nextPostRuleId');
+    const ruleData = {
+        id,
+        ...rule,
+        hits: 0,
+        falsePositives: 0,
+        timestamp: Date.now(),
+    };
+    await db.setObject(`post:rule:${id}`, ruleData);
+    await db.sortedSetAdd('post:rules:id', ruleData.timestamp, id);
+    plugins.hooks.fire('action:post.rule.create', { rule: ruleData });
+    return await Rules.get(id);
+};
+
+Rules.update = async function (id, data) {
+    const ruleData = await Rules.get(id);
+    const rule = validate({ ...ruleData, ...data });
+    await db.setObject(`post:rule:${id}`, rule);
+    plugins.hooks.fire('action:post.rule.update', { id: ruleData.id, data: rule });
+    return await Rules.get(id);
+};
+
+Rules.delete = async function (id) {
+    const ruleData = await Rules.get(id);
+    const hitIds = await db.getSortedSetRange(`post:rule:${id}:hits`, 0, -1);
+    await Promise.all([
+        db.deleteAll([`post:rule:${id}`, `post:rule:${id}:hits`, ...hitIds.map(hitId => `post:rule:hit:${hitId}`)]),
+        db.sortedSetRemove('post:rules:id', id),
+        db.sortedSetRemove('post:rules:hits', hitIds),
+    ]);
+    plugins.hooks.fire('action:post.rule.delete', { rule: ruleData });
+};
+
+Rules.get = async function (id) {
+    const [rule] = await Rules.getRules([id]);
+    if (!rule) {
+        throw new Error('[[error:no-post-rule]]');
+    }
+    return rule;
+};
+
+Rules.getRules = async function (ids) {
+    const rules = await db.getObjects(ids.map(id => `post:rule:${id}`));
+    return rules.map((rule) => {
+        if (!rule) {
+            return null;
+        }
+        db.parseIntFields(rule, intFields, []);
+        rule.value = rule.value || '';
+        rule.timestampISO = utils.toISOString(rule.timestamp);
+        return rule;
+    });
+};
+
+Rules.list = async function () {
+    const ids = await db.getSortedSetRange('post:rules:id', 0, -1);
+    return (await Rules.getRules(ids)).filter(Boolean);
+};
+
+/**
+ * Checks a new post against the enabled rules, called by Posts.shouldQueue.
+ * What the matching rules decided is kept in `data.postRules` for Rules.apply once the post is created.
+ * @param {number} uid - The author
+ * @param {Object} data - The post being created, with `cid` for topics and `tid` for replies
+ * @returns {Promise<Object>} `{ hitIds, actions, names }`
+ */
+Rules.check = async function (uid, data) {
+    // `postRules` is only ever set here, whatever the request sent must not reach Rules.apply
+    delete data.postRules;
+    const noHits = { hitIds: [], actions: [], names: [] };
+    const rules = (await Rules.list()).filter(rule => rule.enabled);
+    if (!rules.length || data.fromQueue) {
+        return noHits;
+    }
+    const context = await getContext(uid, data);
+    if (await isExempt(context.uid, context.cid)) {
+        return noHits;
+    }
+
+    const matches = await Promise.all(rules.map(rule => tests[rule.type](rule, context)));
+    const matched = rules.filter((rule, index) => matches[index]);
+    if (!matched.length) {
+        return noHits;
+    }
+
+    let actions = _.uniq(matched.map(rule => rule.action));
+    if (actions.includes('reject')) {
+        actions = ['reject'];
+    } else if (actions.includes('queue')) {
+        actions = ['queue'];
+    }
+    const hitIds = await Promise.all(matched.map(rule => logHit(rule, context)));
+    data.postRules = { hitIds, actions, names: matched.map(rule => rule.name) };
+    plugins.hooks.fire('action:post.rule.hit', { uid, rules: matched, actions });
+
+    if (actions.includes('reject')) {
+        throw new Error('[[error:post-rejected]]');
+    }
+    return data.postRules;
+};
+
+// Whether the rules matched by a new post will hide it once it is saved
+Rules.isShadowHidden = function (postRules) {
+    return !!postRules && Array.isArray(postRules.actions) && postRules.actions.includes('shadow-hide');
+};
+
+// Flags or shadow-hides a new post as its rules decided, returns whether the post was hidden
+Rules.apply = async function (postData, postRules) {
+    if (!postRules || !Array.isArray(postRules.hitIds) || !postRules.hitIds.length) {
+        return false;
+    }
+    await db.setObjectBulk(postRules.hitIds.map(hitId => [`post:rule:hit:${hitId}`, { pid: postData.pid, tid: postData.tid }]));
+
+    if (postRules.actions.includes('flag')) {
+        const adminUid = await user.getFirstAdminUid();
+        const reason = await translator.translate(translator.compile('flags:auto-flagged-by-rule', postRules.names.join(', ')));
+        const flagObj = await flags.create('post', postData.pid, adminUid, reason, null, true);
+        await flags.notify(flagObj, adminUid, true);
+    }
+    if (!Rules.isShadowHidden(postRules)) {
+        return false;
+    }
+    if (postData.isMain) {
+        await topics.delete(postData.tid, 0);
+    } else {
+        const posts = require('.');
+        await posts.delete(postData.pid, 0);
+    }
+    postData.deleted = 1;
+    return true;
+};
+
+Rules.markFalsePositive = async function (hitId, falsePositive) {
+    const [hit] = await Rules.getHits([hitId]);
+    if (!hit) {
+        throw new Error('[[error:no-post-rule-hit]]');
+    }
+    const value = falsePositive === true || falsePositive === 'true' || parseInt(falsePositive, 10) === 1 ? 1 : 0;
+    if (value !== hit.falsePositive) {
+        await db.setObjectField(`post:rule:hit:${hitId}`, 'falsePositive', value);
+        await db.incrObjectFieldBy(`post:rule:${hit.ruleId}`, 'falsePositives', value ? 1 : -1);
+    }
+    return (await Rules.getHits([hitId]))[0];
+};
+
+Rules.getHitLog = async function ({ ruleId, start, stop }) {
+    const set = ruleId ? `post:rule:${ruleId}:hits` : 'post:rules:hits';
+    const [hitIds, count] = await Promise.all([
+        db.getSortedSetRevRange(set, start, stop),
+        db.sortedSetCard(set),
+    ]);
+    return { hits: await Rules.getHits(hitIds), count };
+};
+
+Rules.getHits = async function (hitIds) {
+    const hits = await db.getObjects(hitIds.map(hitId => `post:rule:hit:${hitId}`));
+    return hits.filter(Boolean).map((hit) => {
+        db.parseIntFields(hit, hitIntFields, []);
+        return {
+            ...hit,
+            title: hit.title || '',
+            timestampISO: utils.toISOString(hit.timestamp),
+        };
+    });
+};
+
+async function getContext(uid, data) {
+    const cid = data.cid || await topics.getTopicField(data.tid, 'cid');
+    const title = String(data.title || '');
+    const content = String(data.content || '');
+    return {
+        uid: parseInt(uid, 10) || 0,
+        cid: parseInt(cid, 10),
+        tid: parseInt(data.tid, 10) || 0,
+        anonymous: data.anonymous === true || data.anonymous === 'true' || parseInt(data.anonymous, 10) === 1,
+        title,
+        content,
+        text: `${title}\n${content}`,
+        now: Date.now(),
+    };
+}
+
+async function isExempt(uid, cid) {
+    if (!uid) {
+        return false;
+    }
+    const [isExemptMember, isAdminOrMod] = await Promise.all([
+        groups.isMemberOfAny(uid, meta.config.groupsExemptFromPostQueue),
+        privileges.categories.isAdminOrMod(cid, uid),
+    ]);
+    return isExemptMember || isAdminOrMod;
+}
+
+async function logHit(rule, context) {
+    const hitId = await db.incrObjectField('global', 'nextPostRuleHitId');
+    const hit = {
+        hitId,
+        ruleId: rule.id,
+        action: rule.action,
+        uid: context.anonymous ? 0 : context.uid,
+        cid: context.cid,
+        tid: context.tid,
+        pid: 0,
+        title: context.title,
+        content: context.content.slice(0, 500),
+        falsePositive: 0,
+        timestamp: context.now,
+    };
+    await db.setObject(`post:rule:hit:${hitId}`, hit);
+    await db.sortedSetsAdd(['post:rules:hits', `post:rule:${rule.id}:hits`], hit.timestamp, hitId);
+    await db.incrObjectField(`post:rule:${rule.id}`, 'hits');
+    return hitId;
+}
+
+// Lowercased words of a post, compared like the titles of Topics.getSimilarTopics
+function getWords(content) {
+    return new Set(String(content || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+}
+
+// Dice coefficient of the two sets of words
+function getSimilarity(words, otherWords) {
+    if (!words.size || !otherWords.size) {
+        return 0;
+    }
+    const common = [...words].filter(word => otherWords.has(word)).length;
+    return (2 * common) / (words.size + otherWords.size);
+}
+
+function validate(data) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+        throw new Error('[[error:invalid-post-rule-name]]');
+    }
+    if (!Rules.types.includes(data.type)) {
+        throw new Error('[[error:invalid-post-rule-type]]');
+    }
+    if (!Rules.actions.includes(data.action)) {
+        throw new Error('[[error:invalid-post-rule-action]]');
+    }
+    const value = String(data.value === undefined || data.value === null ? '' : data.value).trim();
+    if (data.type === 'regex') {
+        try {
+            new RegExp(value, 'i');
+        } catch (err) {
+            throw new Error('[[error:invalid-post-rule-value]]');
+        }
+    }
+    const needsNumber = ['links', 'account-age', 'velocity', 'similarity'].includes(data.type);
+    if ((needsNumber && (!utils.isNumber(value) || parseFloat(value) < 0)) ||
+        (['keywords', 'regex'].includes(data.type) && !value) ||
+        (data.type === 'similarity' && parseFloat(value) > 100)) {
+        throw new Error('[[error:invalid-post-rule-value]]');
+    }
+    const interval = data.interval === undefined || data.interval === '' ? Rules.defaultInterval : parseInt(data.interval, 10);
+    if (!(interval > 0)) {
+        throw new Error('[[error:invalid-post-rule-value]]');
+    }
+    return {
+        name,
+        type: data.type,
+        value,
+        interval,
+        action: data.action,
+        enabled: data.enabled === undefined || data.enabled === true || parseInt(data.enabled, 10) === 1 ||
+            data.enabled === 'true' ? 1 : 0,
+    };
+}
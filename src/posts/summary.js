@@ -19,7 +19,7 @@ module.exports = function (Posts) {
         options.parse = options.hasOwnProperty('parse') ? options.parse : true;
         options.extraFields = options.hasOwnProperty('extraFields') ? options.extraFields : [];
 
-        const fields = ['pid', 'tid', 'content', 'uid', 'timestamp', 'deleted', 'upvotes', 'downvotes', 'replies', 'handle'].concat(options.extraFields);
+        const fields = ['pid', 'tid', 'content', 'uid', 'timestamp', 'deleted', 'upvotes', 'downvotes', 'replies', 'handle', 'anonymous', 'anonymousName'].concat(options.extraFields);
 
         let posts = await Posts.getPostsFields(pids, fields);
         posts = posts.filter(Boolean);
@@ -54,6 +54,10 @@ module.exports = function (Posts) {
         });
 
         posts = posts.filter(post => tidToTopic[post.tid]);
+        await Promise.all([
+            Posts.anonymize(posts, uid),
+            Posts.anonymize(topicsAndCategories.topics, uid),
+        ]);
 
         posts = await parsePosts(posts, options);
         const result = await plugins.hooks.fire('filter:post.getPostSummaryByPids', { posts, uid });
@@ -77,7 +81,7 @@ module.exports = function (Posts) {
     async function getTopicAndCategories(tids) {
         const topicsData = await topics.getTopicsFields(tids, [
             'uid', 'tid', 'title', 'cid', 'tags', 'slug',
-            'deleted', 'scheduled', 'postcount', 'mainPid', 'teaserPid',
+            'deleted', 'scheduled', 'postcount', 'mainPid', 'teaserPid', 'anonymous', 'anonymousName',
         ]);
         const cids = _.uniq(topicsData.map(topic => topic && topic.cid));
         const categoriesData = await categories.getCategoriesFields(cids, [
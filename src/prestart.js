@@ -52,6 +52,7 @@ function loadConfig(configFile) {
         base_dir: paths.baseDir,
         themes_path: paths.themes,
         upload_path: 'public/uploads',
+        private_upload_path: 'private/uploads',
         views_dir: path.join(paths.baseDir, 'build/public/templates'),
         version: pkg.version,
         isCluster: false,
@@ -78,6 +79,7 @@ function loadConfig(configFile) {
 
     nconf.set('upload_path', path.resolve(nconf.get('base_dir'), nconf.get('upload_path')));
     nconf.set('upload_url', '/assets/uploads');
+    nconf.set('private_upload_path', path.resolve(nconf.get('base_dir'), nconf.get('private_upload_path')));
 
     // nconf defaults, if not set in config
     if (!nconf.get('sessionKey')) {
@@ -35,6 +35,7 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 const _ = __importStar(require("lodash"));
+const database_1 = __importDefault(require("../database"));
 const categories_1 = __importDefault(require("../categories"));
 const user_1 = __importDefault(require("../user"));
 const groups_1 = __importDefault(require("../groups"));
@@ -63,6 +64,7 @@ const _privilegeMap = new Map([
     ['posts:downvote', { label: '[[admin/manage/privileges:downvote-posts]]' }],
     ['topics:delete', { label: '[[admin/manage/privileges:delete-topics]]' }],
     ['posts:view_deleted', { label: '[[admin/manage/privileges:view_deleted]]' }],
+    ['posts:reveal_anonymous', { label: '[[admin/manage/privileges:reveal-anonymous]]' }],
     ['purge', { label: '[[admin/manage/privileges:purge]]' }],
     ['moderate', { label: '[[admin/manage/privileges:moderate]]' }],
 ]);
@@ -176,12 +178,6 @@ const privsCategories = {
                 // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
                 this.isUserAllowedTo(privilege, cid, uid),
             ]);
-            // For Endorse Answers Only.
-            let isInstructor;
-            if (privilege === 'posts:upvote') {
-                isInstructor = yield user_1.default.isInstructor(uid);
-                return !disabled && (isInstructor || isAdmin);
-            }
             return !disabled && (isAllowed || isAdmin);
         });
     },
@@ -270,5 +266,56 @@ const privsCategories = {
             return yield helpers_1.default.userOrGroupPrivileges(cid, groupName, groupPrivilegeList);
         });
     },
+    // Privileges taken away from every user and group while the course of a category is archived
+    writePrivileges: [
+        'topics:create', 'topics:reply', 'topics:schedule', 'topics:tag',
+        'posts:edit', 'posts:delete', 'posts:upvote', 'posts:downvote', 'topics:delete',
+    ],
+    // The write privileges a category had before it was archived, keyed by privilege, or null if it is not archived
+    getArchivedPrivileges: function (cid) {
+        return __awaiter(this, void 0, void 0, function* () {
+            // The next line calls a function in a module that has not been updated to TS yet
+            // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
+            const archived = yield database_1.default.getObject(`cid:${cid}:privileges:archived`);
+            if (!archived) {
+                return null;
+            }
+            const privileges = {};
+            Object.keys(archived).forEach((privilege) => {
+                privileges[privilege] = JSON.parse(archived[privilege]);
+            });
+            return privileges;
+        });
+    },
+    // Makes a category read-only, the privileges it had are kept so `unarchive` can give them back
+    archive: function (cid) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (yield this.getArchivedPrivileges(cid)) {
+                return;
+            }
+            const privilegeList = this.writePrivileges.concat(this.writePrivileges.map(privilege => `groups:${privilege}`));
+            // The next line calls a function in a module that has not been updated to TS yet
+            // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
+            const members = yield database_1.default.getSortedSetsMembers(privilegeList.map(privilege => `group:cid:${cid}:privileges:${privilege}:members`));
+            // The next line calls a function in a module that has not been updated to TS yet
+            // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
+            yield database_1.default.setObject(`cid:${cid}:privileges:archived`, _.zipObject(privilegeList, members.map(m => JSON.stringify(m))));
+            yield Promise.all(privilegeList.map((privilege, index) => helpers_1.default.giveOrRescind(groups_1.default.leave, [privilege], cid, members[index])));
+            yield plugins_1.default.hooks.fire('action:privileges.categories.archive', { cid, privileges: privilegeList });
+        });
+    },
+    unarchive: function (cid) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const archived = yield this.getArchivedPrivileges(cid);
+            if (!archived) {
+                return;
+            }
+            yield Promise.all(Object.keys(archived).map(privilege => helpers_1.default.giveOrRescind(groups_1.default.join, [privilege], cid, archived[privilege])));
+            // The next line calls a function in a module that has not been updated to TS yet
+            // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
+            yield database_1.default.delete(`cid:${cid}:privileges:archived`);
+            yield plugins_1.default.hooks.fire('action:privileges.categories.unarchive', { cid, privileges: Object.keys(archived) });
+        });
+    },
 };
 module.exports = privsCategories;
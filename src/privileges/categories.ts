@@ -1,5 +1,6 @@
 import * as _ from 'lodash';
 
+import db from '../database';
 import categories from '../categories';
 import user from '../user';
 import groups from '../groups';
@@ -26,6 +27,10 @@ interface PrivsCategories {
     canMoveAllTopics: (currentCid: number, targetCid: number, uid: number) => Promise<boolean>;
     userPrivileges: (cid: number, uid: number) => Promise<Record<string, boolean>> ;
     groupPrivileges: (cid: number, groupName: string) => Promise<Record<string, boolean>> ;
+    writePrivileges: string[];
+    getArchivedPrivileges: (cid: number) => Promise<Record<string, string[]> | null>;
+    archive: (this: PrivsCategories, cid: number) => Promise<void>;
+    unarchive: (this: PrivsCategories, cid: number) => Promise<void>;
 }
 
 interface PrivilegeEntry {
@@ -89,6 +94,7 @@ const _privilegeMap = new Map<string, PrivilegeEntry>([
     ['posts:downvote', { label: '[[admin/manage/privileges:downvote-posts]]' }],
     ['topics:delete', { label: '[[admin/manage/privileges:delete-topics]]' }],
     ['posts:view_deleted', { label: '[[admin/manage/privileges:view_deleted]]' }],
+    ['posts:reveal_anonymous', { label: '[[admin/manage/privileges:reveal-anonymous]]' }],
     ['purge', { label: '[[admin/manage/privileges:purge]]' }],
     ['moderate', { label: '[[admin/manage/privileges:moderate]]' }],
 ]);
@@ -224,13 +230,6 @@ const privsCategories: PrivsCategories = {
             this.isUserAllowedTo(privilege, cid, uid) as boolean,
         ]);
 
-        // For Endorse Answers Only.
-        let isInstructor;
-        if (privilege === 'posts:upvote') {
-            isInstructor = await user.isInstructor(uid);
-            return !disabled && (isInstructor || isAdmin) as boolean;
-        }
-
         return !disabled && (isAllowed || isAdmin);
     },
 
@@ -336,6 +335,62 @@ const privsCategories: PrivsCategories = {
         const groupPrivilegeList = await this.getGroupPrivilegeList();
         return await helpers.userOrGroupPrivileges(cid, groupName, groupPrivilegeList);
     },
+
+    // Privileges taken away from every user and group while the course of a category is archived
+    writePrivileges: [
+        'topics:create', 'topics:reply', 'topics:schedule', 'topics:tag',
+        'posts:edit', 'posts:delete', 'posts:upvote', 'posts:downvote', 'topics:delete',
+    ],
+
+    // The write privileges a category had before it was archived, keyed by privilege, or null if it is not archived
+    getArchivedPrivileges: async function (cid: number): Promise<Record<string, string[]> | null> {
+        // The next line calls a function in a module that has not been updated to TS yet
+        // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
+        const archived = await db.getObject(`cid:${cid}:privileges:archived`) as Record<string, string> | null;
+        if (!archived) {
+            return null;
+        }
+        const privileges: Record<string, string[]> = {};
+        Object.keys(archived).forEach((privilege) => {
+            privileges[privilege] = JSON.parse(archived[privilege]) as string[];
+        });
+        return privileges;
+    },
+
+    // Makes a category read-only, the privileges it had are kept so `unarchive` can give them back
+    archive: async function (this: PrivsCategories, cid: number): Promise<void> {
+        if (await this.getArchivedPrivileges(cid)) {
+            return;
+        }
+        const privilegeList = this.writePrivileges.concat(this.writePrivileges.map(privilege => `groups:${privilege}`));
+        // The next line calls a function in a module that has not been updated to TS yet
+        // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
+        const members = await db.getSortedSetsMembers(
+            privilegeList.map(privilege => `group:cid:${cid}:privileges:${privilege}:members`)
+        ) as string[][];
+
+        // The next line calls a function in a module that has not been updated to TS yet
+        // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
+        await db.setObject(`cid:${cid}:privileges:archived`, _.zipObject(privilegeList, members.map(m => JSON.stringify(m))));
+        await Promise.all(privilegeList.map(
+            (privilege, index) => helpers.giveOrRescind(groups.leave, [privilege], cid, members[index])
+        ));
+        await plugins.hooks.fire('action:privileges.categories.archive', { cid, privileges: privilegeList });
+    },
+
+    unarchive: async function (this: PrivsCategories, cid: number): Promise<void> {
+        const archived = await this.getArchivedPrivileges(cid);
+        if (!archived) {
+            return;
+        }
+        await Promise.all(Object.keys(archived).map(
+            privilege => helpers.giveOrRescind(groups.join, [privilege], cid, archived[privilege])
+        ));
+        // The next line calls a function in a module that has not been updated to TS yet
+        // eslint-disable-next-line @typescript-eslint/no-unsafe-member-access, @typescript-eslint/no-unsafe-call
+        await db.delete(`cid:${cid}:privileges:archived`);
+        await plugins.hooks.fire('action:privileges.categories.unarchive', { cid, privileges: Object.keys(archived) });
+    },
 };
 
 export = privsCategories;
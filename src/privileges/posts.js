@@ -30,6 +30,7 @@ privsPosts.get = async function (pids, uid) {
         'posts:edit': helpers.isAllowedTo('posts:edit', uid, uniqueCids),
         'posts:history': helpers.isAllowedTo('posts:history', uid, uniqueCids),
         'posts:view_deleted': helpers.isAllowedTo('posts:view_deleted', uid, uniqueCids),
+        canViewPrivate: canViewPrivate(pids, uid),
     });
 
     const isModerator = _.zipObject(uniqueCids, results.isModerator);
@@ -50,7 +51,7 @@ privsPosts.get = async function (pids, uid) {
             editable,
             move: isAdminOrMod,
             isAdminOrMod,
-            'topics:read': privData['topics:read'][cid] || results.isAdmin,
+            'topics:read': results.canViewPrivate[i] && (privData['topics:read'][cid] || results.isAdmin),
             read: privData.read[cid] || results.isAdmin,
             'posts:history': viewHistory,
             'posts:view_deleted': viewDeletedPosts,
@@ -61,10 +62,24 @@ privsPosts.get = async function (pids, uid) {
 };
 
 privsPosts.can = async function (privilege, pid, uid) {
-    const cid = await posts.getCidByPid(pid);
-    return await privsCategories.can(privilege, cid, uid);
+    const [cid, [visible]] = await Promise.all([
+        posts.getCidByPid(pid),
+        canViewPrivate([pid], uid),
+    ]);
+    return visible && await privsCategories.can(privilege, cid, uid);
 };
 
+// Posts in private topics are only readable by the people who can read the topic, see privileges.topics.filterPrivate
+async function canViewPrivate(pids, uid) {
+    const tids = await posts.getPostsFields(pids, ['tid']);
+    const topicData = await topics.getTopicsFields(_.uniq(tids.map(post => post && post.tid).filter(Boolean)), [
+        'tid', 'cid', 'uid', 'private',
+    ]);
+    const visible = await privsTopics.filterPrivate(topicData.filter(Boolean), uid);
+    const hiddenTids = new Set(_.difference(topicData.filter(Boolean), visible).map(topic => topic.tid));
+    return tids.map(post => !post || !hiddenTids.has(post.tid));
+}
+
 privsPosts.filter = async function (privilege, pids, uid) {
     if (!Array.isArray(pids) || !pids.length) {
         return [];
@@ -73,7 +88,9 @@ privsPosts.filter = async function (privilege, pids, uid) {
     pids = _.uniq(pids);
     const postData = await posts.getPostsFields(pids, ['uid', 'tid', 'deleted']);
     const tids = _.uniq(postData.map(post => post && post.tid).filter(Boolean));
-    const topicData = await topics.getTopicsFields(tids, ['deleted', 'scheduled', 'cid']);
+    const topicData = await topics.getTopicsFields(tids, ['tid', 'uid', 'deleted', 'scheduled', 'cid', 'private']);
+    const visibleTopics = await privsTopics.filterPrivate(topicData.filter(Boolean), uid);
+    const visibleTids = new Set(visibleTopics.map(topic => topic.tid));
 
     const tidToTopic = _.zipObject(tids, topicData);
 
@@ -98,6 +115,7 @@ privsPosts.filter = async function (privilege, pids, uid) {
     pids = postData.filter(post => (
         post.topic &&
         cidsSet.has(post.topic.cid) &&
+        visibleTids.has(post.topic.tid) &&
         (privsTopics.canViewDeletedScheduled({
             deleted: post.topic.deleted || post.deleted,
             scheduled: post.topic.scheduled,
@@ -119,7 +137,7 @@ privsPosts.canEdit = async function (pid, uid) {
         isMod: posts.isModerator([pid], uid),
         owner: posts.isOwner(pid, uid),
         edit: privsPosts.can('posts:edit', pid, uid),
-        postData: posts.getPostFields(pid, ['tid', 'timestamp', 'deleted', 'deleterUid']),
+        postData: posts.getPostFields(pid, ['tid', 'timestamp', 'deleted', 'deleterUid', 'answer']),
         userData: user.getUserFields(uid, ['reputation']),
     });
 
@@ -128,6 +146,13 @@ privsPosts.canEdit = async function (pid, uid) {
         return { flag: true };
     }
 
+    // Answers are wiki posts, they are not bound to their author or the edit duration
+    const { tid, answer } = results.postData;
+    if (answer) {
+        const canEditAnswer = await privsTopics.canEditAnswer(tid, answer, parseInt(uid, 10));
+        return { flag: canEditAnswer, message: '[[error:no-privileges]]' };
+    }
+
     if (
         !results.isMod &&
         meta.config.postEditDuration &&
@@ -224,6 +249,63 @@ privsPosts.canPurge = async function (pid, uid) {
     return (results.purge && (results.owner || results.isModerator)) || results.isAdmin;
 };
 
+// Instructors endorse posts in the categories of their own courses, see privileges.topics.isCourseInstructor
+privsPosts.canEndorse = async function (pid, uid) {
+    if (parseInt(uid, 10) <= 0) {
+        return false;
+    }
+    const cid = await posts.getCidByPid(pid);
+    const [isInstructor, isAdminOrModerator] = await Promise.all([
+        privsTopics.isCourseInstructor(uid, cid),
+        privsCategories.isAdminOrMod(cid, uid),
+    ]);
+    return isInstructor || isAdminOrModerator;
+};
+
+// Instructors and the moderators of the category handle attention requests, see Posts.requestAttention
+privsPosts.canManageAttention = async function (pid, uid) {
+    if (parseInt(uid, 10) <= 0) {
+        return false;
+    }
+    const [isInstructor, isAdminOrModerator] = await Promise.all([
+        user.isInstructor(parseInt(uid, 10)),
+        isAdminOrMod(pid, uid),
+    ]);
+    return isInstructor || isAdminOrModerator;
+};
+
+// Seeing who wrote an anonymous post always goes through the audited reveal, see api.posts.revealAuthor
+privsPosts.canRevealAuthor = async function (pid, uid) {
+    if (parseInt(uid, 10) <= 0) {
+        return false;
+    }
+    const [cid, tid] = await Promise.all([
+        posts.getCidByPid(pid),
+        posts.getPostField(pid, 'tid'),
+    ]);
+    if (!tid) {
+        return false;
+    }
+    // the post has to be readable as well, e.g. private topics are only revealed by their course staff
+    const [canRead, canReveal] = await Promise.all([
+        privsTopics.can('topics:read', tid, parseInt(uid, 10)),
+        privsPosts.canRevealAnonymous(cid, uid),
+    ]);
+    return canRead && canReveal;
+};
+
+// Whether `uid` may learn who wrote the anonymous posts of a category
+privsPosts.canRevealAnonymous = async function (cid, uid) {
+    if (parseInt(uid, 10) <= 0) {
+        return false;
+    }
+    const [allowed, isAdmin] = await Promise.all([
+        privsCategories.isUserAllowedTo('posts:reveal_anonymous', cid, uid),
+        user.isAdministrator(uid),
+    ]);
+    return allowed || isAdmin;
+};
+
 async function isAdminOrMod(pid, uid) {
     if (parseInt(uid, 10) <= 0) {
         return false;
@@ -3,7 +3,9 @@
 const _ = require('lodash');
 const assert = require('assert');
 
+const db = require('../database');
 const meta = require('../meta');
+const groups = require('../groups');
 const topics = require('../topics');
 const user = require('../user');
 const helpers = require('./helpers');
@@ -30,14 +32,16 @@ privsTopics.get = async function (tid, uid) {
         'topics:delete', 'posts:edit', 'posts:history',
         'posts:delete', 'posts:view_deleted', 'read', 'purge',
     ];
-    const topicData = await topics.getTopicFields(tid, ['cid', 'uid', 'locked', 'deleted', 'scheduled']);
-    const [userPrivileges, isAdministrator, isModerator, isInstructor, disabled] = await Promise.all([
+    const topicData = await topics.getTopicFields(tid, ['cid', 'uid', 'locked', 'deleted', 'scheduled', 'private']);
+    const [userPrivileges, isAdministrator, isModerator, isInstructor, disabled, visible] = await Promise.all([
         helpers.isAllowedTo(privs, uid, topicData.cid),
         user.isAdministrator(uid),
         user.isModerator(uid, topicData.cid),
-        user.isInstructor(uid),
+        privsTopics.isCourseInstructor(uid, topicData.cid),
         categories.getCategoryField(topicData.cid, 'disabled'),
+        privsTopics.filterPrivate([topicData], uid),
     ]);
+    const canViewPrivate = visible.length > 0;
     const privData = _.zipObject(privs, userPrivileges);
     const isOwner = uid > 0 && uid === topicData.uid;
     const isAdminOrMod = isAdministrator || isModerator;
@@ -46,15 +50,22 @@ privsTopics.get = async function (tid, uid) {
     const mayReply = privsTopics.canViewDeletedScheduled(topicData, {}, false, privData['topics:schedule']);
 
     const result = await plugins.hooks.fire('filter:privileges.topics.get', {
-        'topics:reply': (privData['topics:reply'] && ((!topicData.locked && mayReply) || isModerator)) || isAdministrator,
-        'topics:read': privData['topics:read'] || isAdministrator,
+        'topics:reply': canViewPrivate && (
+            (privData['topics:reply'] && ((!topicData.locked && mayReply) || isModerator)) || isAdministrator
+        ),
+        'topics:read': canViewPrivate && (privData['topics:read'] || isAdministrator),
         'topics:schedule': privData['topics:schedule'] || isAdministrator,
         'topics:tag': privData['topics:tag'] || isAdministrator,
         'topics:delete': (privData['topics:delete'] && (isOwner || isModerator)) || isAdministrator,
+        'topics:accept': isOwner || isInstructor || isAdminOrMod,
+        'topics:assign': isInstructor || isAdminOrMod,
+        'topics:publish': isInstructor || isAdminOrMod,
+        'topics:receipts': isInstructor || isAdminOrMod,
         'posts:edit': (privData['posts:edit'] && (!topicData.locked || isModerator)) || isAdministrator,
         'posts:history': privData['posts:history'] || isAdministrator,
         'posts:delete': (privData['posts:delete'] && (!topicData.locked || isModerator)) || isAdministrator,
         'posts:view_deleted': privData['posts:view_deleted'] || isAdministrator,
+        'posts:endorse': isInstructor || isAdminOrMod,
         read: privData.read || isAdministrator,
         purge: (privData.purge && (isOwner || isModerator)) || isAdministrator,
         view_thread_tools: editable || deletable,
@@ -86,8 +97,12 @@ privsTopics.can = async function (privilege, tid, uid) {
     assert(typeof privilege === 'string', 'Expected privilege to be a string');
     assert(typeof tid === 'number' || typeof tid === 'string', 'Expected tid to be a number or string');
     assert(typeof uid === 'number', '[[error:no-privileges]]');
-    const cid = await topics.getTopicField(tid, 'cid');
-    const canResult = await privsCategories.can(privilege, cid, uid);
+    const topicData = await topics.getTopicFields(tid, ['cid', 'uid', 'private']);
+    const [allowed, visible] = await Promise.all([
+        privsCategories.can(privilege, topicData && topicData.cid, uid),
+        privsTopics.filterPrivate([topicData], uid),
+    ]);
+    const canResult = allowed && visible.length > 0;
     // Assert function return types in the body
     assert(typeof canResult === 'boolean', 'result should be a boolean');
     return canResult;
@@ -107,7 +122,8 @@ privsTopics.filterTids = async function (privilege, tids, uid) {
     }
     assert(typeof privilege === 'string', 'Expected privilege to be a string');
     assert(typeof uid === 'number', '[[error:no-privileges]]');
-    const topicsData = await topics.getTopicsFields(tids, ['tid', 'cid', 'deleted', 'scheduled']);
+    let topicsData = await topics.getTopicsFields(tids, ['tid', 'cid', 'uid', 'deleted', 'scheduled', 'private']);
+    topicsData = await privsTopics.filterPrivate(topicsData, uid);
     const cids = _.uniq(topicsData.map(topic => topic.cid));
     const results = await privsCategories.getBase(privilege, cids, uid);
 
@@ -151,24 +167,92 @@ privsTopics.filterUids = async function (privilege, tid, uids) {
     assert(typeof privilege === 'string', 'Expected privilege to be a string');
     assert(typeof tid === 'number' || typeof tid === 'string', 'Expected tid to be a number or stirng');
     uids = _.uniq(uids);
-    const topicData = await topics.getTopicFields(tid, ['tid', 'cid', 'deleted', 'scheduled']);
+    const topicData = await topics.getTopicFields(tid, ['tid', 'cid', 'uid', 'deleted', 'scheduled', 'private']);
     const [disabled, allowedTo, isAdmins] = await Promise.all([
         categories.getCategoryField(topicData.cid, 'disabled'),
         helpers.isUsersAllowedTo(privilege, uids, topicData.cid),
         user.isAdministrator(uids),
     ]);
 
+    const canViewPrivate = await canUsersViewPrivate(topicData, uids, isAdmins);
+
     if (topicData.scheduled) {
         const canViewScheduled = await helpers.isUsersAllowedTo('topics:schedule', uids, topicData.cid);
         uids = uids.filter((uid, index) => canViewScheduled[index]);
     }
-    const uidsResult = uids.filter((uid, index) => !disabled &&
+    const uidsResult = uids.filter((uid, index) => !disabled && canViewPrivate[uid] &&
         ((allowedTo[index] && (topicData.scheduled || !topicData.deleted)) || isAdmins[index]));
     // Assert function return types in the body
     assert(typeof uidsResult === 'object', 'Expected result to be an object');
     return uidsResult;
 };
 
+// Keyed by uid, every user can view a topic that is not private
+async function canUsersViewPrivate(topicData, uids, isAdmins) {
+    if (!topicData.private) {
+        return _.zipObject(uids, uids.map(() => true));
+    }
+    const [isModerators, instructorsGroup] = await Promise.all([
+        user.isModerator(uids, topicData.cid),
+        getInstructorsGroup(topicData.cid),
+    ]);
+    const isInstructors = instructorsGroup ? await groups.isMembers(uids, instructorsGroup) : uids.map(() => false);
+    return _.zipObject(uids, uids.map((uid, index) => (
+        parseInt(uid, 10) === topicData.uid || isAdmins[index] || isModerators[index] || isInstructors[index]
+    )));
+}
+
+// The instructors group of the course a category belongs to, its subcategories included
+async function getInstructorsGroup(cid) {
+    const courseCid = await categories.getCourseCid(cid);
+    return courseCid ? await db.getObjectField(`course:${courseCid}`, 'instructorsGroup') : null;
+}
+
+/**
+ * Checks if user is in the instructors group of the course each category belongs to
+ * @param {number} uid
+ * @param {Array<number>|number} cids
+ * @returns {Promise<Array<boolean>|boolean>}
+ */
+privsTopics.isCourseInstructor = async function (uid, cids) {
+    const isArray = Array.isArray(cids);
+    cids = isArray ? cids : [cids];
+    let result = cids.map(() => false);
+    if (parseInt(uid, 10) > 0) {
+        const instructorsGroups = await Promise.all(cids.map(getInstructorsGroup));
+        result = await Promise.all(
+            instructorsGroups.map(groupName => !!groupName && groups.isMember(uid, groupName))
+        );
+    }
+    return isArray ? result : result[0];
+};
+
+/**
+ * Private topics are readable by their author, administrators, the moderators of their category,
+ * which includes global moderators, and the instructors of the course the category belongs to.
+ * @param {Array<object>} topicsData - Topics with `cid`, `uid` and `private`
+ * @param {number} uid
+ * @returns {Promise<Array<object>>} - The topics the user can read
+ */
+privsTopics.filterPrivate = async function (topicsData, uid) {
+    uid = parseInt(uid, 10);
+    const hidden = topicsData.filter(topic => topic && topic.private && !(uid > 0 && topic.uid === uid));
+    if (!hidden.length) {
+        return topicsData;
+    }
+    const cids = _.uniq(hidden.map(topic => topic.cid));
+    const [isAdministrator, isModerator, isInstructor] = await Promise.all([
+        user.isAdministrator(uid),
+        user.isModerator(uid, cids),
+        privsTopics.isCourseInstructor(uid, cids),
+    ]);
+    if (isAdministrator) {
+        return topicsData;
+    }
+    const moderatedCids = new Set(cids.filter((cid, index) => isModerator[index] || isInstructor[index]));
+    return topicsData.filter(topic => !hidden.includes(topic) || moderatedCids.has(topic.cid));
+};
+
 /**
  * Checks if topic is purgable
  * @param {Promise<string> || Promise<number>} tid
@@ -245,6 +329,58 @@ privsTopics.canEdit = async function (tid, uid) {
     return result;
 };
 
+/**
+ * Checks if user can write the instructors' or students' answer of a topic, see Topics.answers
+ * @param {Promise<string> || Promise<number>} tid
+ * @param {Promise<string>} type
+ * @param {Promise<number>} uid
+* @returns {Promise<boolean>}
+ */
+privsTopics.canEditAnswer = async function (tid, type, uid) {
+    // Assert function parameter types in the body
+    assert(typeof tid === 'number' || typeof tid === 'string', 'Expected tid to be a number or string');
+    assert(typeof uid === 'number', 'Expected uid to be a number');
+    if (uid <= 0) {
+        return false;
+    }
+    const topicData = await topics.getTopicFields(tid, ['cid', 'locked']);
+    const [isInstructor, isAdminOrMod, canReply] = await Promise.all([
+        user.isInstructor(uid),
+        privsCategories.isAdminOrMod(topicData.cid, uid),
+        privsCategories.can('topics:reply', topicData.cid, uid),
+    ]);
+    let result = isAdminOrMod;
+    if (type === 'instructor') {
+        result = result || isInstructor;
+    } else if (type === 'student') {
+        result = result || (canReply && !topicData.locked);
+    }
+    // Assert function return types in the body
+    assert(typeof result === 'boolean', 'Expected result to be a boolean');
+    return result;
+};
+
+/**
+ * Checks if user is course staff who can work through the unanswered questions queue
+ * @param {Promise<number>} uid
+* @returns {Promise<boolean>}
+ */
+privsTopics.canViewUnanswered = async function (uid) {
+    // Assert function parameter types in the body
+    assert(typeof uid === 'number', 'Expected uid to be a number');
+    if (uid <= 0) {
+        return false;
+    }
+    const [isInstructor, isPrivileged] = await Promise.all([
+        user.isInstructor(uid),
+        user.isPrivileged(uid),
+    ]);
+    const result = isInstructor || isPrivileged;
+    // Assert function return types in the body
+    assert(typeof result === 'boolean', 'Expected result to be a boolean');
+    return result;
+};
+
 /**
  * Checks if user is owner, admin, or mod of topic
  * @param {Promise<string> || Promise<number>} tid
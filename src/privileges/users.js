@@ -123,6 +123,17 @@ privsUsers.canMuteUser = async function (callerUid, uid) {
     return data.canMute;
 };
 
+// Administrators manage every account, the instructors of a course provision its roster
+privsUsers.canImportRoster = async function (uid, cid) {
+    const privsAdmin = require('./admin');
+    const categories = require('../categories');
+    const [canAdminUsers, course] = await Promise.all([
+        privsAdmin.can('admin:users', uid),
+        cid ? categories.getCourse(cid) : null,
+    ]);
+    return canAdminUsers || (!!course && await groups.isMember(uid, course.instructorsGroup));
+};
+
 privsUsers.canFlag = async function (callerUid, uid) {
     const [userReputation, targetPrivileged, reporterPrivileged] = await Promise.all([
         user.getUserField(callerUid, 'reputation'),
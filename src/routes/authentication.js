@@ -6,10 +6,10 @@ const passportLocal = require('passport-local').Strategy;
 const BearerStrategy = require('passport-http-bearer').Strategy;
 const winston = require('winston');
 
-const meta = require('../meta');
 const controllers = require('../controllers');
 const helpers = require('../controllers/helpers');
 const plugins = require('../plugins');
+const tokens = require('../tokens');
 
 let loginStrategies = [];
 
@@ -58,18 +58,20 @@ Auth.getLoginStrategies = function () {
 };
 
 Auth.verifyToken = async function (token, done) {
-    const { tokens = [] } = await meta.settings.get('core.api');
-    const tokenObj = tokens.find(t => t.token === token);
+    const tokenObj = await tokens.verify(token);
     const uid = tokenObj ? tokenObj.uid : undefined;
 
     if (uid !== undefined) {
+        await tokens.log(token);
         if (parseInt(uid, 10) > 0) {
             done(null, {
                 uid,
+                scopes: tokenObj.scopeList,
             });
         } else {
             done(null, {
                 master: true,
+                scopes: tokenObj.scopeList,
             });
         }
     } else {
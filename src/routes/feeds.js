@@ -77,7 +77,12 @@ async function generateForTopic(req, res, next) {
     }
 
     if (await validateTokenIfRequiresLogin(!userPrivileges['topics:read'], topic.cid, req, res)) {
-        const topicData = await topics.getTopicWithPosts(topic, `tid:${tid}:posts`, req.uid || req.query.uid || 0, 0, 24, true);
+        // the token only grants access to the category, a private topic also needs a reader who may see it
+        const readerUid = req.uid || parseInt(req.query.uid, 10) || 0;
+        if (!(await privileges.topics.filterPrivate([topic], readerUid)).length) {
+            return helpers.notAllowed(req, res);
+        }
+        const topicData = await topics.getTopicWithPosts(topic, `tid:${tid}:posts`, readerUid, 0, 24, true);
 
         topics.modifyPostsByPrivilege(topicData, userPrivileges);
 
@@ -388,13 +393,15 @@ async function generateForUserTopics(req, res, next) {
         return next();
     }
     const userData = await user.getUserFields(uid, ['uid', 'username']);
-    await sendTopicsFeed({
+    const { topics: userTopics } = await topics.getTopicsFromSet(`uid:${userData.uid}:topics`, req.uid, 0, 19);
+    const feed = await generateTopicsFeed({
         uid: req.uid,
         title: `Topics by ${userData.username}`,
         description: `A list of topics that are posted by ${userData.username}`,
         feed_url: `/user/${userslug}/topics.rss`,
         site_url: `/user/${userslug}/topics`,
-    }, `uid:${userData.uid}:topics`, res);
+    }, userTopics.filter(topic => !topic.anonymous || topic.uid === userData.uid));
+    sendFeed(feed, res);
 }
 
 async function generateForTag(req, res) {
@@ -54,6 +54,9 @@ helpers.setupApiRoute = function (...args) {
 
     middlewares = [
         middleware.authenticateRequest,
+        middleware.checkTokenScope,
+        // Malformed requests are turned away before any route middleware looks at them
+        middleware.validate.request,
         middleware.maintenanceMode,
         middleware.registrationComplete,
         middleware.pluginHooks,
@@ -82,6 +82,11 @@ _mounts.category = (app, name, middleware, controllers) => {
     setupPageRoute(app, '/recent', [], controllers.recent.get);
     setupPageRoute(app, '/top', [], controllers.top.get);
     setupPageRoute(app, '/unread', [middleware.ensureLoggedIn], controllers.unread.get);
+    setupPageRoute(app, '/unanswered', [middleware.ensureLoggedIn], controllers.unanswered.get);
+    setupPageRoute(app, '/attention', [middleware.ensureLoggedIn], controllers.attention.get);
+    setupPageRoute(app, '/officehours', [middleware.ensureLoggedIn], controllers.officehours.list);
+    setupPageRoute(app, '/officehours/:cid', [middleware.ensureLoggedIn], controllers.officehours.get);
+    setupPageRoute(app, '/roster', [middleware.ensureLoggedIn], controllers.roster.get);
 
     setupPageRoute(app, `/${name}/:category_id/:slug/:topic_index`, [], controllers.category.get);
     setupPageRoute(app, `/${name}/:category_id/:slug?`, [], controllers.category.get);
@@ -91,6 +96,7 @@ _mounts.career = (app, name, middleware, controllers) => {
     const middlewares = [middleware.ensureLoggedIn];
 
     setupPageRoute(app, `/${name}`, middlewares, controllers.career.get);
+    setupPageRoute(app, `/${name}/:jobId/applications`, middlewares, controllers.career.applications);
 };
 
 _mounts.users = (app, name, middleware, controllers) => {
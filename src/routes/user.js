@@ -46,6 +46,8 @@ module.exports = function (app, name, middleware, controllers) {
     setupPageRoute(app, `/${name}/:userslug/consent`, accountMiddlewares, controllers.accounts.consent.get);
     setupPageRoute(app, `/${name}/:userslug/blocks`, accountMiddlewares, controllers.accounts.blocks.getBlocks);
     setupPageRoute(app, `/${name}/:userslug/sessions`, accountMiddlewares, controllers.accounts.sessions.get);
+    setupPageRoute(app, `/${name}/:userslug/reveals`, accountMiddlewares, controllers.accounts.reveals.get);
+    setupPageRoute(app, `/${name}/:userslug/tokens`, accountMiddlewares, controllers.accounts.tokens.get);
 
     setupPageRoute(app, '/notifications', [middleware.ensureLoggedIn], controllers.accounts.notifications.get);
     setupPageRoute(app, `/${name}/:userslug/chats/:roomid?`, middlewares, controllers.accounts.chats.get);
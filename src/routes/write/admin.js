@@ -10,10 +10,22 @@ const { setupApiRoute } = routeHelpers;
 module.exports = function () {
     const middlewares = [middleware.ensureLoggedIn, middleware.admin.checkPrivileges];
 
-    setupApiRoute(router, 'put', '/settings/:setting', [...middlewares, middleware.checkRequired.bind(null, ['value'])], controllers.write.admin.updateSetting);
+    setupApiRoute(router, 'put', '/settings/:setting', [...middlewares], controllers.write.admin.updateSetting);
 
     setupApiRoute(router, 'get', '/analytics', [...middlewares], controllers.write.admin.getAnalyticsKeys);
     setupApiRoute(router, 'get', '/analytics/:set', [...middlewares], controllers.write.admin.getAnalyticsData);
 
+    setupApiRoute(router, 'get', '/webhooks', [...middlewares], controllers.write.admin.listWebhooks);
+    setupApiRoute(router, 'post', '/webhooks', [...middlewares], controllers.write.admin.createWebhook);
+    setupApiRoute(router, 'put', '/webhooks/:webhookId', [...middlewares], controllers.write.admin.updateWebhook);
+    setupApiRoute(router, 'delete', '/webhooks/:webhookId', [...middlewares], controllers.write.admin.deleteWebhook);
+    setupApiRoute(router, 'post', '/webhooks/:webhookId/test', [...middlewares], controllers.write.admin.testWebhook);
+
+    setupApiRoute(router, 'get', '/post-rules', [...middlewares], controllers.write.admin.listPostRules);
+    setupApiRoute(router, 'post', '/post-rules', [...middlewares], controllers.write.admin.createPostRule);
+    setupApiRoute(router, 'put', '/post-rules/hits/:hitId', [...middlewares], controllers.write.admin.markPostRuleHit);
+    setupApiRoute(router, 'put', '/post-rules/:ruleId', [...middlewares], controllers.write.admin.updatePostRule);
+    setupApiRoute(router, 'delete', '/post-rules/:ruleId', [...middlewares], controllers.write.admin.deletePostRule);
+
     return router;
 };
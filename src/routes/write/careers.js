@@ -0,0 +1,30 @@
+'use strict';
+
+const router = require('express').Router();
+const middleware = require('../../middleware');
+const controllers = require('../../controllers');
+const routeHelpers = require('../helpers');
+
+const { setupApiRoute } = routeHelpers;
+
+module.exports = function () {
+    const middlewares = [middleware.ensureLoggedIn];
+
+    const multipart = require('connect-multiparty');
+    const multipartMiddleware = multipart();
+
+    setupApiRoute(router, 'get', '/', [...middlewares], controllers.write.careers.list);
+    setupApiRoute(router, 'post', '/', [...middlewares], controllers.write.careers.create);
+
+    setupApiRoute(router, 'get', '/:jobId', [...middlewares, middleware.assert.job], controllers.write.careers.get);
+    setupApiRoute(router, 'put', '/:jobId', [...middlewares, middleware.assert.job], controllers.write.careers.update);
+    setupApiRoute(router, 'delete', '/:jobId', [...middlewares, middleware.assert.job], controllers.write.careers.delete);
+
+    setupApiRoute(router, 'get', '/:jobId/applications', [...middlewares, middleware.assert.job], controllers.write.careers.listApplications);
+    setupApiRoute(router, 'post', '/:jobId/applications', [multipartMiddleware, middleware.validateFiles, middleware.uploads.ratelimit, ...middlewares, middleware.assert.job], controllers.write.careers.apply);
+    setupApiRoute(router, 'get', '/:jobId/applications/:applicationId', [...middlewares, middleware.assert.job], controllers.write.careers.getApplication);
+    setupApiRoute(router, 'get', '/:jobId/applications/:applicationId/resume', [...middlewares, middleware.assert.job], controllers.write.careers.getResume);
+    setupApiRoute(router, 'put', '/:jobId/applications/:applicationId', [...middlewares, middleware.assert.job], controllers.write.careers.setApplicationStatus);
+
+    return router;
+};
@@ -10,14 +10,37 @@ const { setupApiRoute } = routeHelpers;
 module.exports = function () {
     const middlewares = [middleware.ensureLoggedIn];
 
-    setupApiRoute(router, 'post', '/', [...middlewares, middleware.checkRequired.bind(null, ['name'])], controllers.write.categories.create);
+    setupApiRoute(router, 'post', '/', [...middlewares], controllers.write.categories.create);
+    setupApiRoute(router, 'post', '/courses', [...middlewares], controllers.write.categories.createCourse);
+    setupApiRoute(router, 'put', '/courses/terms/:term/archive', [...middlewares], controllers.write.categories.archiveTerm);
+    setupApiRoute(router, 'delete', '/courses/terms/:term/archive', [...middlewares], controllers.write.categories.archiveTerm);
     setupApiRoute(router, 'get', '/:cid', [], controllers.write.categories.get);
     setupApiRoute(router, 'put', '/:cid', [...middlewares], controllers.write.categories.update);
     setupApiRoute(router, 'delete', '/:cid', [...middlewares], controllers.write.categories.delete);
 
+    setupApiRoute(router, 'get', '/:cid/topics', [], controllers.write.categories.getTopics);
+
+    setupApiRoute(router, 'get', '/:cid/course', [], controllers.write.categories.getCourse);
+    setupApiRoute(router, 'put', '/:cid/course/archive', [...middlewares], controllers.write.categories.archiveCourse);
+    setupApiRoute(router, 'delete', '/:cid/course/archive', [...middlewares], controllers.write.categories.archiveCourse);
+    setupApiRoute(router, 'post', '/:cid/course/clone', [...middlewares], controllers.write.categories.cloneCourse);
+
+    setupApiRoute(router, 'get', '/:cid/participation', [...middlewares], controllers.write.categories.getParticipation);
+    setupApiRoute(router, 'head', '/:cid/participation/export', [...middlewares], controllers.write.categories.checkParticipationExport);
+    setupApiRoute(router, 'get', '/:cid/participation/export', [...middlewares], controllers.write.categories.getParticipationExport);
+    setupApiRoute(router, 'post', '/:cid/participation/export', [...middlewares], controllers.write.categories.exportParticipation);
+
+    setupApiRoute(router, 'get', '/:cid/officehours', [...middlewares], controllers.write.categories.getOfficeHours);
+    setupApiRoute(router, 'put', '/:cid/officehours', [...middlewares], controllers.write.categories.openOfficeHours);
+    setupApiRoute(router, 'delete', '/:cid/officehours', [...middlewares], controllers.write.categories.openOfficeHours);
+    setupApiRoute(router, 'get', '/:cid/officehours/history', [...middlewares], controllers.write.categories.getOfficeHoursHistory);
+    setupApiRoute(router, 'post', '/:cid/officehours/queue', [...middlewares], controllers.write.categories.joinOfficeHours);
+    setupApiRoute(router, 'delete', '/:cid/officehours/queue', [...middlewares], controllers.write.categories.leaveOfficeHours);
+    setupApiRoute(router, 'put', '/:cid/officehours/queue/:entryId', [...middlewares], controllers.write.categories.updateOfficeHoursEntry);
+
     setupApiRoute(router, 'get', '/:cid/privileges', [...middlewares], controllers.write.categories.getPrivileges);
-    setupApiRoute(router, 'put', '/:cid/privileges/:privilege', [...middlewares, middleware.checkRequired.bind(null, ['member'])], controllers.write.categories.setPrivilege);
-    setupApiRoute(router, 'delete', '/:cid/privileges/:privilege', [...middlewares, middleware.checkRequired.bind(null, ['member'])], controllers.write.categories.setPrivilege);
+    setupApiRoute(router, 'put', '/:cid/privileges/:privilege', [...middlewares], controllers.write.categories.setPrivilege);
+    setupApiRoute(router, 'delete', '/:cid/privileges/:privilege', [...middlewares], controllers.write.categories.setPrivilege);
 
     setupApiRoute(router, 'put', '/:cid/moderator/:uid', [...middlewares], controllers.write.categories.setModerator);
     setupApiRoute(router, 'delete', '/:cid/moderator/:uid', [...middlewares], controllers.write.categories.setModerator);
@@ -12,18 +12,15 @@ module.exports = function () {
 
     // setupApiRoute(router, 'put', '/', [
     //  ...middlewares,
-    //  middleware.checkRequired.bind(null, ['path']),
     //  middleware.assert.folder
     // ], controllers.write.files.upload);
     setupApiRoute(router, 'delete', '/', [
         ...middlewares,
-        middleware.checkRequired.bind(null, ['path']),
         middleware.assert.path,
     ], controllers.write.files.delete);
 
     setupApiRoute(router, 'put', '/folder', [
         ...middlewares,
-        middleware.checkRequired.bind(null, ['path', 'folderName']),
         middleware.assert.path,
         // Should come after assert.path
         middleware.assert.folderName,
@@ -10,7 +10,7 @@ const { setupApiRoute } = routeHelpers;
 module.exports = function () {
     const middlewares = [middleware.ensureLoggedIn];
 
-    setupApiRoute(router, 'post', '/', [...middlewares, middleware.checkRequired.bind(null, ['name'])], controllers.write.groups.create);
+    setupApiRoute(router, 'post', '/', [...middlewares], controllers.write.groups.create);
     setupApiRoute(router, 'head', '/:slug', [middleware.assert.group], controllers.write.groups.exists);
     setupApiRoute(router, 'put', '/:slug', [...middlewares, middleware.assert.group], controllers.write.groups.update);
     setupApiRoute(router, 'delete', '/:slug', [...middlewares, middleware.assert.group], controllers.write.groups.delete);
@@ -11,6 +11,7 @@ const Write = module.exports;
 
 Write.reload = async (params) => {
     const { router } = params;
+    await middleware.validate.load();
     let apiSettings = await meta.settings.get('core.api');
     plugins.hooks.register('core', {
         hook: 'action:settings.set',
@@ -39,6 +40,7 @@ Write.reload = async (params) => {
     router.use('/api/v3/posts', require('./posts')());
     router.use('/api/v3/chats', require('./chats')());
     router.use('/api/v3/flags', require('./flags')());
+    router.use('/api/v3/careers', require('./careers')());
     router.use('/api/v3/admin', require('./admin')());
     router.use('/api/v3/files', require('./files')());
     router.use('/api/v3/utilities', require('./utilities')());
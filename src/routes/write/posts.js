@@ -12,17 +12,25 @@ module.exports = function () {
 
     setupApiRoute(router, 'get', '/:pid', [], controllers.write.posts.get);
     // There is no POST route because you POST to a topic to create a new post. Intuitive, no?
-    setupApiRoute(router, 'put', '/:pid', [...middlewares, middleware.checkRequired.bind(null, ['content'])], controllers.write.posts.edit);
+    setupApiRoute(router, 'put', '/:pid', [...middlewares], controllers.write.posts.edit);
     setupApiRoute(router, 'delete', '/:pid', [...middlewares, middleware.assert.post], controllers.write.posts.purge);
 
     setupApiRoute(router, 'put', '/:pid/state', [...middlewares, middleware.assert.post], controllers.write.posts.restore);
     setupApiRoute(router, 'delete', '/:pid/state', [...middlewares, middleware.assert.post], controllers.write.posts.delete);
 
-    setupApiRoute(router, 'put', '/:pid/move', [...middlewares, middleware.assert.post, middleware.checkRequired.bind(null, ['tid'])], controllers.write.posts.move);
+    setupApiRoute(router, 'put', '/:pid/move', [...middlewares, middleware.assert.post], controllers.write.posts.move);
 
-    setupApiRoute(router, 'put', '/:pid/vote', [...middlewares, middleware.checkRequired.bind(null, ['delta']), middleware.assert.post], controllers.write.posts.vote);
+    setupApiRoute(router, 'post', '/:pid/reveal', [...middlewares, middleware.assert.post], controllers.write.posts.revealAuthor);
+
+    setupApiRoute(router, 'put', '/:pid/attention', [...middlewares, middleware.assert.post], controllers.write.posts.requestAttention);
+    setupApiRoute(router, 'delete', '/:pid/attention', [...middlewares, middleware.assert.post], controllers.write.posts.clearAttention);
+
+    setupApiRoute(router, 'put', '/:pid/vote', [...middlewares, middleware.assert.post], controllers.write.posts.vote);
     setupApiRoute(router, 'delete', '/:pid/vote', [...middlewares, middleware.assert.post], controllers.write.posts.unvote);
 
+    setupApiRoute(router, 'put', '/:pid/endorse', [...middlewares, middleware.assert.post], controllers.write.posts.endorse);
+    setupApiRoute(router, 'delete', '/:pid/endorse', [...middlewares, middleware.assert.post], controllers.write.posts.unendorse);
+
     setupApiRoute(router, 'put', '/:pid/bookmark', [...middlewares, middleware.assert.post], controllers.write.posts.bookmark);
     setupApiRoute(router, 'delete', '/:pid/bookmark', [...middlewares, middleware.assert.post], controllers.write.posts.unbookmark);
 
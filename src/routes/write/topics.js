@@ -13,9 +13,13 @@ module.exports = function () {
     const multipart = require('connect-multiparty');
     const multipartMiddleware = multipart();
 
-    setupApiRoute(router, 'post', '/', [middleware.checkRequired.bind(null, ['cid', 'title', 'content'])], controllers.write.topics.create);
+    setupApiRoute(router, 'post', '/', [], controllers.write.topics.create);
+    setupApiRoute(router, 'get', '/unanswered', [...middlewares], controllers.write.topics.getUnanswered);
+    setupApiRoute(router, 'get', '/similar', [], controllers.write.topics.getSimilar);
+    setupApiRoute(router, 'post', '/bulk', [...middlewares], controllers.write.topics.bulk);
+    setupApiRoute(router, 'get', '/bulk/:jobId', [...middlewares], controllers.write.topics.getBulkJob);
     setupApiRoute(router, 'get', '/:tid', [], controllers.write.topics.get);
-    setupApiRoute(router, 'post', '/:tid', [middleware.checkRequired.bind(null, ['content']), middleware.assert.topic], controllers.write.topics.reply);
+    setupApiRoute(router, 'post', '/:tid', [middleware.assert.topic], controllers.write.topics.reply);
     setupApiRoute(router, 'delete', '/:tid', [...middlewares], controllers.write.topics.purge);
 
     setupApiRoute(router, 'put', '/:tid/state', [...middlewares], controllers.write.topics.restore);
@@ -27,19 +31,31 @@ module.exports = function () {
     setupApiRoute(router, 'put', '/:tid/lock', [...middlewares], controllers.write.topics.lock);
     setupApiRoute(router, 'delete', '/:tid/lock', [...middlewares], controllers.write.topics.unlock);
 
+    setupApiRoute(router, 'put', '/:tid/accept', [...middlewares, middleware.assert.topic], controllers.write.topics.accept);
+    setupApiRoute(router, 'delete', '/:tid/accept', [...middlewares, middleware.assert.topic], controllers.write.topics.unaccept);
+
+    setupApiRoute(router, 'put', '/:tid/assignee', [...middlewares, middleware.assert.topic], controllers.write.topics.assign);
+    setupApiRoute(router, 'delete', '/:tid/assignee', [...middlewares, middleware.assert.topic], controllers.write.topics.unassign);
+
+    setupApiRoute(router, 'put', '/:tid/public', [...middlewares, middleware.assert.topic], controllers.write.topics.makePublic);
+    setupApiRoute(router, 'get', '/:tid/receipts', [...middlewares, middleware.assert.topic], controllers.write.topics.getReceipts);
+
+    setupApiRoute(router, 'get', '/:tid/answers', [middleware.assert.topic], controllers.write.topics.getAnswers);
+    setupApiRoute(router, 'put', '/:tid/answers/:type', [...middlewares, middleware.assert.topic], controllers.write.topics.setAnswer);
+
     setupApiRoute(router, 'put', '/:tid/follow', [...middlewares, middleware.assert.topic], controllers.write.topics.follow);
     setupApiRoute(router, 'delete', '/:tid/follow', [...middlewares, middleware.assert.topic], controllers.write.topics.unfollow);
     setupApiRoute(router, 'put', '/:tid/ignore', [...middlewares, middleware.assert.topic], controllers.write.topics.ignore);
     setupApiRoute(router, 'delete', '/:tid/ignore', [...middlewares, middleware.assert.topic], controllers.write.topics.unfollow); // intentional, unignore == unfollow
 
-    setupApiRoute(router, 'put', '/:tid/tags', [...middlewares, middleware.checkRequired.bind(null, ['tags']), middleware.assert.topic], controllers.write.topics.addTags);
+    setupApiRoute(router, 'put', '/:tid/tags', [...middlewares, middleware.assert.topic], controllers.write.topics.addTags);
     setupApiRoute(router, 'delete', '/:tid/tags', [...middlewares, middleware.assert.topic], controllers.write.topics.deleteTags);
 
     setupApiRoute(router, 'get', '/:tid/thumbs', [], controllers.write.topics.getThumbs);
     setupApiRoute(router, 'post', '/:tid/thumbs', [multipartMiddleware, middleware.validateFiles, middleware.uploads.ratelimit, ...middlewares], controllers.write.topics.addThumb);
-    setupApiRoute(router, 'put', '/:tid/thumbs', [...middlewares, middleware.checkRequired.bind(null, ['tid'])], controllers.write.topics.migrateThumbs);
-    setupApiRoute(router, 'delete', '/:tid/thumbs', [...middlewares, middleware.checkRequired.bind(null, ['path'])], controllers.write.topics.deleteThumb);
-    setupApiRoute(router, 'put', '/:tid/thumbs/order', [...middlewares, middleware.checkRequired.bind(null, ['path', 'order'])], controllers.write.topics.reorderThumbs);
+    setupApiRoute(router, 'put', '/:tid/thumbs', [...middlewares], controllers.write.topics.migrateThumbs);
+    setupApiRoute(router, 'delete', '/:tid/thumbs', [...middlewares], controllers.write.topics.deleteThumb);
+    setupApiRoute(router, 'put', '/:tid/thumbs/order', [...middlewares], controllers.write.topics.reorderThumbs);
 
     setupApiRoute(router, 'get', '/:tid/events', [middleware.assert.topic], controllers.write.topics.getEvents);
     setupApiRoute(router, 'delete', '/:tid/events/:eventId', [middleware.assert.topic], controllers.write.topics.deleteEvent);
@@ -15,20 +15,28 @@ function guestRoutes() {
 function authenticatedRoutes() {
     const middlewares = [middleware.ensureLoggedIn];
 
-    setupApiRoute(router, 'post', '/', [...middlewares, middleware.checkRequired.bind(null, ['username'])], controllers.write.users.create);
-    setupApiRoute(router, 'delete', '/', [...middlewares, middleware.checkRequired.bind(null, ['uids'])], controllers.write.users.deleteMany);
+    const multipart = require('connect-multiparty');
+    const multipartMiddleware = multipart();
+
+    setupApiRoute(router, 'post', '/', [...middlewares], controllers.write.users.create);
+    setupApiRoute(router, 'delete', '/', [...middlewares], controllers.write.users.deleteMany);
+
+    setupApiRoute(router, 'post', '/imports', [...middlewares], controllers.write.users.importRoster);
+    setupApiRoute(router, 'get', '/imports/:importId', middlewares, controllers.write.users.getRosterReport);
 
     setupApiRoute(router, 'head', '/:uid', [middleware.assert.user], controllers.write.users.exists);
     setupApiRoute(router, 'get', '/:uid', [...middlewares, middleware.assert.user], controllers.write.users.get);
     setupApiRoute(router, 'put', '/:uid', [...middlewares, middleware.assert.user], controllers.write.users.update);
     setupApiRoute(router, 'delete', '/:uid', [...middlewares, middleware.assert.user], controllers.write.users.delete);
     setupApiRoute(router, 'put', '/:uid/picture', [...middlewares, middleware.assert.user], controllers.write.users.changePicture);
+    setupApiRoute(router, 'post', '/:uid/resume', [multipartMiddleware, middleware.validateFiles, middleware.uploads.ratelimit, ...middlewares, middleware.assert.user], controllers.write.users.uploadResume);
+    setupApiRoute(router, 'get', '/:uid/resume', [middleware.assert.user], controllers.write.users.getResume);
     setupApiRoute(router, 'delete', '/:uid/content', [...middlewares, middleware.assert.user], controllers.write.users.deleteContent);
     setupApiRoute(router, 'delete', '/:uid/account', [...middlewares, middleware.assert.user], controllers.write.users.deleteAccount);
 
-    setupApiRoute(router, 'put', '/:uid/settings', [...middlewares, middleware.checkRequired.bind(null, ['settings'])], controllers.write.users.updateSettings);
+    setupApiRoute(router, 'put', '/:uid/settings', [...middlewares], controllers.write.users.updateSettings);
 
-    setupApiRoute(router, 'put', '/:uid/password', [...middlewares, middleware.checkRequired.bind(null, ['newPassword']), middleware.assert.user], controllers.write.users.changePassword);
+    setupApiRoute(router, 'put', '/:uid/password', [...middlewares, middleware.assert.user], controllers.write.users.changePassword);
 
     setupApiRoute(router, 'put', '/:uid/follow', [...middlewares, middleware.assert.user], controllers.write.users.follow);
     setupApiRoute(router, 'delete', '/:uid/follow', [...middlewares, middleware.assert.user], controllers.write.users.unfollow);
@@ -39,8 +47,9 @@ function authenticatedRoutes() {
     setupApiRoute(router, 'put', '/:uid/mute', [...middlewares, middleware.assert.user], controllers.write.users.mute);
     setupApiRoute(router, 'delete', '/:uid/mute', [...middlewares, middleware.assert.user], controllers.write.users.unmute);
 
+    setupApiRoute(router, 'get', '/:uid/tokens', [...middlewares, middleware.assert.user], controllers.write.users.listTokens);
     setupApiRoute(router, 'post', '/:uid/tokens', [...middlewares, middleware.assert.user], controllers.write.users.generateToken);
-    setupApiRoute(router, 'delete', '/:uid/tokens/:token', [...middlewares, middleware.assert.user], controllers.write.users.deleteToken);
+    setupApiRoute(router, 'delete', '/:uid/tokens/:tokenId', [...middlewares, middleware.assert.user], controllers.write.users.deleteToken);
 
     setupApiRoute(router, 'delete', '/:uid/sessions/:uuid', [...middlewares, middleware.assert.user], controllers.write.users.revokeSession);
 
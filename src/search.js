@@ -80,6 +80,9 @@ async function searchInContent(data) {
     let allPids = mainPids.concat(pids).filter(Boolean);
 
     allPids = await privileges.posts.filter('topics:read', allPids, data.uid);
+    if (searchUids.length) {
+        allPids = await filterAnonymousPosts(allPids, data.uid);
+    }
     allPids = await filterAndSort(allPids, data);
 
     const metadata = await plugins.hooks.fire('filter:search.inContent', {
@@ -115,6 +118,13 @@ async function searchInContent(data) {
     return Object.assign(returnData, metadata);
 }
 
+// Searching by author must not match anonymous posts the caller can't attribute
+async function filterAnonymousPosts(pids, uid) {
+    const postsData = await posts.getPostsFields(pids, ['pid', 'uid', 'tid', 'anonymous']);
+    await posts.anonymize(postsData, uid);
+    return postsData.filter(post => post && (!post.anonymous || post.uid)).map(post => post.pid);
+}
+
 async function filterAndSort(pids, data) {
     if (data.sortBy === 'relevance' && !data.replies && !data.timeRange && !data.hasTags && !plugins.hooks.hasListeners('filter:search.filterAndSort')) {
         return pids;
@@ -70,6 +70,7 @@ SocketCategories.loadMore = async function (socket, data) {
         settings,
         query: data.query,
         tag: data.query.tag,
+        filter: data.query.filter,
         targetUid,
     });
     categories.modifyTopicsByPrivilege(result.topics, userPrivileges);
@@ -27,7 +27,7 @@ SocketHelpers.notifyNew = async function (uid, type, result) {
 };
 
 async function notifyUids(uid, uids, type, result) {
-    const post = result.posts[0];
+    let post = result.posts[0];
     const { tid } = post.topic;
     const { cid } = post.topic;
     uids = await privileges.topics.filterUids('topics:read', tid, uids);
@@ -48,6 +48,10 @@ async function notifyUids(uid, uids, type, result) {
     });
 
     post.ip = undefined;
+    if (post.anonymous || post.topic.anonymous) {
+        result = anonymizeNewPost(result);
+        post = result.posts[0];
+    }
 
     data.uidsTo.forEach((toUid) => {
         post.categoryWatchState = categoryWatchStates[toUid];
@@ -59,6 +63,22 @@ async function notifyUids(uid, uids, type, result) {
     });
 }
 
+// The same payload goes to every recipient, so anonymous authors are hidden from all of them
+function anonymizeNewPost(result) {
+    const post = { ...result.posts[0], topic: { ...result.posts[0].topic } };
+    if (post.anonymous) {
+        posts.anonymizeAuthor(post);
+    }
+    if (post.topic.anonymous) {
+        posts.anonymizeAuthor(post.topic);
+    }
+    const anonResult = { ...result, posts: [post] };
+    if (result.topic && result.topic.anonymous) {
+        anonResult.topic = posts.anonymizeAuthor({ ...result.topic, mainPost: post });
+    }
+    return anonResult;
+}
+
 async function getWatchStates(uids, tid, cid) {
     return await utils.promiseParallel({
         topicFollowed: db.isSetMembers(`tid:${tid}:followers`, uids),
@@ -192,6 +212,13 @@ SocketHelpers.rescindUpvoteNotification = async function (pid, fromuid) {
     websockets.in(`uid_${uid}`).emit('event:notifications.updateCount', count);
 };
 
+SocketHelpers.rescindEndorseNotification = async function (pid, fromuid) {
+    await notifications.rescind(`endorse:post:${pid}:uid:${fromuid}`);
+    const uid = await posts.getPostField(pid, 'uid');
+    const count = await user.notifications.getUnreadCount(uid);
+    websockets.in(`uid_${uid}`).emit('event:notifications.updateCount', count);
+};
+
 SocketHelpers.emitToUids = async function (event, data, uids) {
     uids.forEach(toUid => websockets.in(`uid_${toUid}`).emit(event, data));
 };
@@ -19,7 +19,7 @@ module.exports = function (SocketPosts) {
         }
 
         const results = await utils.promiseParallel({
-            posts: posts.getPostFields(data.pid, ['deleted', 'bookmarks', 'uid', 'ip', 'flagId']),
+            posts: posts.getPostFields(data.pid, ['deleted', 'bookmarks', 'uid', 'ip', 'flagId', 'anonymous']),
             isAdmin: user.isAdministrator(socket.uid),
             isGlobalMod: user.isGlobalModerator(socket.uid),
             isModerator: user.isModerator(socket.uid, data.cid),
@@ -27,6 +27,10 @@ module.exports = function (SocketPosts) {
             canDelete: privileges.posts.canDelete(data.pid, socket.uid),
             canPurge: privileges.posts.canPurge(data.pid, socket.uid),
             canFlag: privileges.posts.canFlag(data.pid, socket.uid),
+            canRevealAuthor: privileges.posts.canRevealAuthor(data.pid, socket.uid),
+            canManageAttention: privileges.posts.canManageAttention(data.pid, socket.uid),
+            attention: posts.getAttention([data.pid]),
+            requestedAttention: posts.hasRequestedAttention(data.pid, socket.uid),
             flagged: flags.exists('post', data.pid, socket.uid), // specifically, whether THIS calling user flagged
             bookmarked: posts.hasBookmarked(data.pid, socket.uid),
             postSharing: social.getActivePostSharing(),
@@ -47,6 +51,7 @@ module.exports = function (SocketPosts) {
         postData.display_change_owner_tools = results.isAdmin || results.isModerator;
         postData.display_ip_ban = (results.isAdmin || results.isGlobalMod) && !postData.selfPost;
         postData.display_history = results.history;
+        postData.display_reveal_tools = postData.anonymous && !postData.selfPost && results.canRevealAuthor;
         postData.flags = {
             flagId: parseInt(results.posts.flagId, 10) || null,
             can: results.canFlag.flag,
@@ -54,10 +59,20 @@ module.exports = function (SocketPosts) {
             flagged: results.flagged,
             state: await db.getObjectField(`flag:${postData.flagId}`, 'state'),
         };
+        postData.attention = {
+            exists: !!results.attention[0],
+            requested: results.requestedAttention,
+            canRequest: socket.uid > 0 && !results.requestedAttention,
+            canClear: !!results.attention[0] && results.canManageAttention,
+        };
 
         if (!results.isAdmin && !results.canViewInfo) {
             postData.ip = undefined;
         }
+        if (postData.anonymous && !postData.selfPost) {
+            postData.uid = 0;
+            postData.ip = undefined;
+        }
         const { tools } = await plugins.hooks.fire('filter:post.tools', {
             pid: data.pid,
             post: postData,
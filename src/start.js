@@ -39,6 +39,9 @@ start.start = async function () {
             require('./user').startJobs();
             require('./plugins').startJobs();
             require('./topics').scheduled.startJobs();
+            require('./categories').startJobs();
+            require('./careers').startJobs();
+            require('./webhooks').startJobs();
             await db.delete('locks');
         }
 
@@ -0,0 +1,176 @@
+'use strict';
+
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const db = require('./database');
+const meta = require('./meta');
+const plugins = require('./plugins');
+const utils = require('./utils');
+
+const Tokens = module.exports;
+
+/**
+ * Bearer tokens of the write API, kept in the `tokens` list of the `core.api` settings.
+ * A token can be limited to scopes, `<resource>:read` for GET requests and `<resource>:write` for
+ * the others, `admin:<section>` for the routes of `/api/v3/admin/<section>`. Tokens without scopes
+ * keep the full power of their user, as they always did. Expired tokens stop authenticating,
+ * and `tokens:lastSeen` keeps when each token was last used.
+ * A token is only shown once, when it is generated. Users see their tokens through Tokens.list,
+ * by their `tokenId` (a hash of the token) and a masked copy, and revoke them by `tokenId`.
+ */
+Tokens.resources = ['users', 'groups', 'categories', 'topics', 'posts', 'chats', 'flags', 'careers', 'files'];
+Tokens.adminSections = ['settings', 'analytics', 'webhooks', 'post-rules'];
+Tokens.scopes = [
+    ...Tokens.resources.flatMap(resource => [`${resource}:read`, `${resource}:write`]),
+    ...Tokens.adminSections.map(section => `admin:${section}`),
+];
+
+const storedFields = ['token', 'uid', 'description', 'timestamp', 'scopes', 'expiry'];
+
+Tokens.getAll = async function () {
+    const { tokens = [] } = await meta.settings.get('core.api');
+    return tokens;
+};
+
+Tokens.get = async function (token) {
+    return (await Tokens.getAll()).find(tokenObj => tokenObj.token === token) || null;
+};
+
+// The tokens of a user without their secret
+Tokens.list = async function (uid) {
+    return (await Tokens.getAll())
+        .filter(tokenObj => tokenObj.uid === parseInt(uid, 10))
+        .map(tokenObj => _.omit(tokenObj, ['token']));
+};
+
+Tokens.getId = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16);
+};
+
+Tokens.getById = async function (tokenId) {
+    return (await Tokens.getAll()).find(tokenObj => tokenObj.tokenId === tokenId) || null;
+};
+
+// Only tokens that exist and have not expired authenticate
+Tokens.verify = async function (token) {
+    const tokenObj = await Tokens.get(token);
+    return tokenObj && !tokenObj.expired ? tokenObj : null;
+};
+
+Tokens.generate = async function ({ uid, description, scopes, expiry }) {
+    const tokenObj = {
+        token: utils.generateUUID(),
+        uid: parseInt(uid, 10),
+        description: description || '',
+        timestamp: Date.now(),
+        scopes: Tokens.parseScopes(scopes).join(','),
+        expiry: Tokens.parseExpiry(expiry),
+    };
+    if (tokenObj.expiry && tokenObj.expiry <= tokenObj.timestamp) {
+        throw new Error('[[error:invalid-token-expiry]]');
+    }
+    await save([...await Tokens.getAll(), tokenObj]);
+    plugins.hooks.fire('action:tokens.generate', { token: _.omit(tokenObj, ['token']) });
+    return await Tokens.get(tokenObj.token);
+};
+
+Tokens.revoke = async function (token) {
+    const tokens = await Tokens.getAll();
+    const remaining = tokens.filter(tokenObj => tokenObj.token !== token);
+    if (remaining.length === tokens.length) {
+        return false;
+    }
+    await save(remaining);
+    await db.sortedSetRemove('tokens:lastSeen', token);
+    plugins.hooks.fire('action:tokens.revoke', { uid: tokens.find(tokenObj => tokenObj.token === token).uid });
+    return true;
+};
+
+Tokens.log = async function (token) {
+    await db.sortedSetAdd('tokens:lastSeen', Date.now(), token);
+};
+
+// Scopes come in as an array or as the comma separated list of the ACP form
+Tokens.parseScopes = function (scopes) {
+    if (!Array.isArray(scopes)) {
+        scopes = String(scopes || '').split(',');
+    }
+    scopes = _.uniq(scopes.map(scope => String(scope).trim()).filter(Boolean));
+    if (scopes.some(scope => !Tokens.scopes.includes(scope))) {
+        throw new Error('[[error:invalid-token-scopes]]');
+    }
+    return scopes;
+};
+
+// A timestamp, or a date string like the one of the ACP form, 0 never expires
+Tokens.parseExpiry = function (expiry) {
+    if (!expiry) {
+        return 0;
+    }
+    expiry = utils.isNumber(expiry) ? parseInt(expiry, 10) : new Date(expiry).getTime();
+    if (isNaN(expiry) || expiry < 0) {
+        throw new Error('[[error:invalid-token-expiry]]');
+    }
+    return expiry;
+};
+
+/**
+ * What is kept of a token saved through the `core.api` settings, by the ACP form or by Tokens.generate.
+ * The form sends the scopes as text and the expiry as a day, `expiry` only changes if that day did.
+ */
+Tokens.normalize = function (tokenObj) {
+    const normalized = _.pick(tokenObj, storedFields);
+    normalized.scopes = Tokens.parseScopes(tokenObj.scopes).join(',');
+    normalized.expiry = Tokens.parseExpiry(tokenObj.expiry);
+    if (tokenObj.expiryDate !== undefined && tokenObj.expiryDate !== toDate(normalized.expiry)) {
+        normalized.expiry = Tokens.parseExpiry(tokenObj.expiryDate);
+    }
+    return normalized;
+};
+
+// The scope a request needs, `mountedPath` is the path below the relative path, e.g. `/api/v3/topics/1/pin`
+Tokens.getScope = function (method, mountedPath) {
+    const [resource, section] = mountedPath.replace(/^\/api\/v3\//, '').split('/');
+    if (resource === 'admin') {
+        return `admin:${section}`;
+    }
+    return `${resource}:${['GET', 'HEAD'].includes(method.toUpperCase()) ? 'read' : 'write'}`;
+};
+
+// Called by the `filter:settings.get` hook of `core.api`, see Configs.registerHooks
+Tokens.decorate = async function (tokens) {
+    const now = Date.now();
+    const lastSeen = await db.sortedSetScores('tokens:lastSeen', tokens.map(tokenObj => tokenObj.token));
+    return tokens.map((tokenObj, index) => {
+        const timestamp = parseInt(tokenObj.timestamp, 10) || 0;
+        const expiry = parseInt(tokenObj.expiry, 10) || 0;
+        return {
+            ...tokenObj,
+            tokenId: Tokens.getId(tokenObj.token),
+            masked: `••••${String(tokenObj.token).slice(-4)}`,
+            uid: parseInt(tokenObj.uid, 10),
+            description: tokenObj.description || '',
+            timestamp,
+            timestampISO: timestamp ? utils.toISOString(timestamp) : '',
+            scopes: tokenObj.scopes || '',
+            scopeList: String(tokenObj.scopes || '').split(',').filter(Boolean),
+            expiry,
+            expiryISO: expiry ? utils.toISOString(expiry) : '',
+            expiryDate: toDate(expiry),
+            expired: expiry > 0 && expiry <= now,
+            lastSeen: lastSeen[index] || 0,
+            lastSeenISO: lastSeen[index] ? utils.toISOString(lastSeen[index]) : '',
+        };
+    });
+};
+
+async function save(tokens) {
+    const settings = await meta.settings.get('core.api');
+    settings.tokens = tokens;
+    await meta.settings.set('core.api', settings);
+}
+
+function toDate(timestamp) {
+    return timestamp ? utils.toISOString(timestamp).slice(0, 10) : '';
+}
@@ -0,0 +1,117 @@
+'use strict';
+
+const _ = require('lodash');
+
+const topics = require('./index');
+const db = require('../database');
+const user = require('../user');
+const groups = require('../groups');
+const categories = require('../categories');
+const notifications = require('../notifications');
+const plugins = require('../plugins');
+const utils = require('../utils');
+
+const Announcements = module.exports;
+
+/**
+ * Announcements are topics posted by the course staff for the whole course.
+ * They are pinned in every category of the course by `course:<cid>:announcements`, scored by their
+ * publish time so scheduled announcements only show up once published, until their optional expiry.
+ * The roster of the course is notified on publish, and `tid:<tid>:readers` keeps when each user first opened them.
+ */
+Announcements.add = async function (tid, courseCid, timestamp) {
+    await db.sortedSetAdd(`course:${courseCid}:announcements`, timestamp, tid);
+};
+
+// Pin expiry is checked when listing pinned topics (see Topics.tools.checkPinExpiry), announcements do the same
+Announcements.getTids = async function (cid) {
+    const courseCid = await categories.getCourseCid(cid);
+    if (!courseCid) {
+        return [];
+    }
+    const now = Date.now();
+    const tids = await db.getSortedSetRevRangeByScore(`course:${courseCid}:announcements`, 0, -1, now, '-inf');
+    const topicsData = await topics.getTopicsFields(tids, ['tid', 'announcementExpiry']);
+    const expired = tids.filter((tid, index) => !topicsData[index] || !topicsData[index].tid ||
+        (topicsData[index].announcementExpiry && topicsData[index].announcementExpiry <= now));
+    if (expired.length) {
+        await db.sortedSetRemove(`course:${courseCid}:announcements`, expired);
+        plugins.hooks.fire('action:topics.announcements.expire', { cid: courseCid, tids: expired });
+    }
+    return tids.filter(tid => !expired.includes(tid));
+};
+
+// Every member of the roster is notified, there is no setting to turn course announcements off
+Announcements.notify = async function (topicData) {
+    const courseCid = await categories.getCourseCid(topicData.cid);
+    const course = courseCid && await categories.getCourse(courseCid);
+    if (!course) {
+        return;
+    }
+    const title = utils.decodeHTMLEntities(topicData.title);
+    const escape = text => text.replace(/%/g, '&#37;').replace(/,/g, '&#44;');
+    const notifObj = await notifications.create({
+        type: 'announcement',
+        bodyShort: `[[notifications:new_announcement_in, ${escape(utils.decodeHTMLEntities(course.name))}, ${escape(title)}]]`,
+        nid: `announcement:${topicData.tid}`,
+        tid: topicData.tid,
+        path: `/topic/${topicData.slug}`,
+        topicTitle: title,
+    });
+    await notifications.pushGroup(notifObj, course.rosterGroup);
+};
+
+Announcements.markRead = async function (tid, uid) {
+    if (parseInt(uid, 10) <= 0 || await db.isSortedSetMember(`tid:${tid}:readers`, uid)) {
+        return;
+    }
+    await db.sortedSetAdd(`tid:${tid}:readers`, Date.now(), uid);
+};
+
+/**
+ * Which students of the roster have opened the announcement and which have not.
+ * Staff opening it are not listed, only the roster counts.
+ */
+Announcements.getReceipts = async function (tid) {
+    const topicData = await topics.getTopicFields(tid, ['tid', 'cid', 'announcement']);
+    if (!topicData.announcement) {
+        throw new Error('[[error:topic-not-announcement]]');
+    }
+    const courseCid = await categories.getCourseCid(topicData.cid);
+    const course = courseCid && await categories.getCourse(courseCid);
+    if (!course) {
+        throw new Error('[[error:no-course]]');
+    }
+
+    const rosterUids = (await groups.getMembers(course.rosterGroup, 0, -1)).map(uid => parseInt(uid, 10));
+    const readTimes = await db.sortedSetScores(`tid:${tid}:readers`, rosterUids);
+    const usersData = await user.getUsersFields(rosterUids, ['uid', 'username', 'userslug']);
+    const rows = usersData.map((userData, index) => ({
+        uid: userData.uid,
+        username: userData.username,
+        userslug: userData.userslug,
+        readAt: readTimes[index] || 0,
+        readAtISO: readTimes[index] ? utils.toISOString(readTimes[index]) : '',
+    }));
+    const [read, unread] = _.partition(
+        _.sortBy(rows, row => String(row.username).toLowerCase()),
+        row => row.readAt > 0
+    );
+
+    return {
+        tid: topicData.tid,
+        readCount: read.length,
+        unreadCount: unread.length,
+        read,
+        unread,
+    };
+};
+
+Announcements.purge = async function (tid) {
+    const cid = await topics.getTopicField(tid, 'cid');
+    const courseCid = await categories.getCourseCid(cid);
+    await Promise.all([
+        db.delete(`tid:${tid}:readers`),
+        courseCid ? db.sortedSetRemove(`course:${courseCid}:announcements`, tid) : null,
+    ]);
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const _ = require('lodash');
+
+const topics = require('./index');
+const db = require('../database');
+const user = require('../user');
+const posts = require('../posts');
+const plugins = require('../plugins');
+const privileges = require('../privileges');
+const utils = require('../utils');
+
+const Answers = module.exports;
+
+/**
+ * Every topic can hold one instructors' answer and one students' answer.
+ * Both are wiki posts: anyone allowed to write an answer can edit it, and every edit
+ * goes through Posts.edit so its history is kept by Posts.diffs.
+ * Answer posts are not part of `tid:<tid>:posts`, the replies stay as follow-up discussion.
+ */
+Answers.types = ['instructor', 'student'];
+
+Answers.fields = {
+    instructor: 'instructorAnswerPid',
+    student: 'studentAnswerPid',
+};
+
+Answers.getPids = async function (tid) {
+    const topicData = await db.getObjectFields(`topic:${tid}`, Object.values(Answers.fields));
+    return _.mapValues(Answers.fields, field => parseInt(topicData[field], 10) || 0);
+};
+
+// `uid` may come from a query string, e.g. the token of an RSS feed
+Answers.get = async function (tid, uid) {
+    uid = parseInt(uid, 10) || 0;
+    const answerPids = await Answers.getPids(tid);
+    const pids = Answers.types.map(type => answerPids[type]);
+    const [postsData, canEdit] = await Promise.all([
+        posts.getPostsFields(pids, ['pid', 'tid', 'content', 'timestamp', 'edited', 'editor']),
+        Promise.all(Answers.types.map(type => privileges.topics.canEditAnswer(tid, type, uid))),
+    ]);
+    const editors = await user.getUsersFields(
+        postsData.map(post => (post && post.pid ? post.editor : 0)),
+        ['uid', 'username', 'userslug', 'picture']
+    );
+
+    const answers = {};
+    await Promise.all(Answers.types.map(async (type, index) => {
+        const post = postsData[index];
+        if (!post || !post.pid) {
+            answers[type] = null;
+            return;
+        }
+        await posts.parsePost(post);
+        answers[type] = {
+            pid: post.pid,
+            type,
+            content: post.content,
+            timestamp: post.timestamp,
+            timestampISO: utils.toISOString(post.timestamp),
+            edited: post.edited,
+            editedISO: post.edited ? utils.toISOString(post.edited) : '',
+            editor: editors[index],
+        };
+    }));
+    answers.canEdit = _.zipObject(Answers.types, canEdit);
+    return answers;
+};
+
+Answers.save = async function (tid, type, data) {
+    if (!Answers.types.includes(type) || typeof data.content !== 'string') {
+        throw new Error('[[error:invalid-data]]');
+    }
+    topics.checkContent(data.content);
+    const canEdit = await privileges.topics.canEditAnswer(tid, type, data.uid);
+    if (!canEdit) {
+        throw new Error('[[error:no-privileges]]');
+    }
+    const answerPids = await Answers.getPids(tid);
+    let pid = answerPids[type];
+    if (!pid) {
+        pid = await create(tid, type, data);
+    } else {
+        await posts.edit({
+            pid,
+            uid: data.uid,
+            content: data.content,
+            req: data.req,
+        });
+    }
+    plugins.hooks.fire('action:topic.answer', { tid, type, pid, uid: data.uid });
+    return pid;
+};
+
+// The first edit writes the post, the edits that follow are diffed against it
+async function create(tid, type, data) {
+    const pid = await db.incrObjectField('global', 'nextPid');
+    const timestamp = Date.now();
+    await db.setObject(`post:${pid}`, {
+        pid,
+        uid: data.uid,
+        tid,
+        content: data.content,
+        timestamp,
+        edited: timestamp,
+        editor: data.uid,
+        answer: type,
+    });
+    await db.setObjectField(`topic:${tid}`, Answers.fields[type], pid);
+    return pid;
+}
+
+Answers.purge = async function (tid) {
+    const answerPids = Object.values(await Answers.getPids(tid)).filter(Boolean);
+    const diffKeys = _.flatten(await Promise.all(answerPids.map(async (pid) => {
+        const timestamps = await posts.diffs.list(pid);
+        return timestamps.map(t => `diff:${pid}.${t}`);
+    })));
+    await db.deleteAll([
+        ...answerPids.map(pid => `post:${pid}`),
+        ...answerPids.map(pid => `post:${pid}:diffs`),
+        ...diffKeys,
+    ]);
+};
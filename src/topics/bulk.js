@@ -0,0 +1,147 @@
+'use strict';
+
+const _ = require('lodash');
+
+const db = require('../database');
+const batch = require('../batch');
+const plugins = require('../plugins');
+const privileges = require('../privileges');
+const utils = require('../utils');
+
+const jobExpiry = 604800000; // one week
+
+/**
+ * Bulk moderation jobs run one action of the write API on many topics, given as a list of tids or
+ * found by a filter on their category, author and creation date. A job goes through its topics in the
+ * background with batch.processArray and saves its progress after every batch, the result of each topic
+ * is kept in the list `topics:bulk:<jobId>:results`. Jobs and their results are kept for a week.
+ * Filtering by author never matches anonymous topics, a job must not tell who wrote them.
+ */
+module.exports = function (Topics) {
+    Topics.bulkActions = ['move', 'lock', 'unlock', 'pin', 'unpin', 'delete', 'restore', 'tag', 'merge'];
+    Topics.bulkMaxTopics = 1000;
+    Topics.bulkBatchSize = 50;
+
+    Topics.getBulkTids = async function (uid, data) {
+        let tids;
+        if (Array.isArray(data.tids) && data.tids.length) {
+            tids = data.tids;
+        } else if (data.filter && typeof data.filter === 'object') {
+            tids = await getFilteredTids(uid, data.filter);
+        } else {
+            throw new Error('[[error:invalid-data]]');
+        }
+
+        tids = _.uniq(tids.map(tid => parseInt(tid, 10)));
+        if (tids.some(tid => !utils.isNumber(tid) || tid <= 0)) {
+            throw new Error('[[error:invalid-tid]]');
+        }
+        if (!tids.length) {
+            throw new Error('[[error:bulk-no-topics]]');
+        }
+        if (tids.length > Topics.bulkMaxTopics) {
+            throw new Error(`[[error:bulk-too-many-topics, ${Topics.bulkMaxTopics}]]`);
+        }
+        return tids;
+    };
+
+    Topics.createBulkJob = async function (uid, action, tids) {
+        if (!Topics.bulkActions.includes(action)) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        const jobId = await db.incrObjectField('global', 'nextTopicBulkJobId');
+        const now = Date.now();
+        await db.setObject(`topics:bulk:${jobId}`, {
+            jobId,
+            uid,
+            action,
+            status: 'queued',
+            tids: JSON.stringify(tids),
+            total: tids.length,
+            processed: 0,
+            succeeded: 0,
+            failed: 0,
+            timestamp: now,
+            finishedAt: 0,
+        });
+        await db.pexpireAt(`topics:bulk:${jobId}`, now + jobExpiry);
+        return await Topics.getBulkJob(jobId);
+    };
+
+    Topics.getBulkJob = async function (jobId) {
+        const job = await db.getObject(`topics:bulk:${jobId}`);
+        if (!job) {
+            return null;
+        }
+        db.parseIntFields(job, ['jobId', 'uid', 'total', 'processed', 'succeeded', 'failed', 'timestamp', 'finishedAt'], []);
+        const results = await db.getListRange(`topics:bulk:${jobId}:results`, 0, -1);
+        return {
+            ..._.omit(job, ['tids']),
+            timestampISO: utils.toISOString(job.timestamp),
+            finishedAtISO: job.finishedAt ? utils.toISOString(job.finishedAt) : '',
+            results: (results || []).map(result => JSON.parse(result)),
+        };
+    };
+
+    // `process` acts on one topic, its error is recorded as the result of that topic and the job goes on
+    Topics.runBulkJob = async function (jobId, process) {
+        const key = `topics:bulk:${jobId}`;
+        const { tids, timestamp } = await db.getObjectFields(key, ['tids', 'timestamp']);
+        await db.setObjectField(key, 'status', 'running');
+
+        await batch.processArray(JSON.parse(tids), async (currentTids) => {
+            const results = [];
+            for (const tid of currentTids) {
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    await process(tid);
+                    results.push({ tid, status: 'success', error: '' });
+                } catch (err) {
+                    results.push({ tid, status: 'error', error: err.message });
+                }
+            }
+            await db.listAppend(`${key}:results`, results.map(result => JSON.stringify(result)));
+            await db.pexpireAt(`${key}:results`, parseInt(timestamp, 10) + jobExpiry);
+            const counts = _.countBy(results, 'status');
+            await Promise.all([
+                db.incrObjectFieldBy(key, 'processed', results.length),
+                db.incrObjectFieldBy(key, 'succeeded', counts.success || 0),
+                db.incrObjectFieldBy(key, 'failed', counts.error || 0),
+            ]);
+        }, { batch: Topics.bulkBatchSize });
+
+        await db.setObject(key, { status: 'complete', finishedAt: Date.now() });
+        const job = await Topics.getBulkJob(jobId);
+        plugins.hooks.fire('action:topics.bulk', { job: _.omit(job, ['results']) });
+        return job;
+    };
+
+    // The readable topics created in the date range, in a category, by an author or both
+    async function getFilteredTids(uid, filter) {
+        const cid = parseInt(filter.cid, 10) || 0;
+        const authorUid = parseInt(filter.uid, 10) || 0;
+        const start = parseInt(filter.start, 10) || 0;
+        const end = parseInt(filter.end, 10) || Date.now();
+        if (!cid && !authorUid && !filter.start && !filter.end) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        if (start > end) {
+            throw new Error('[[error:invalid-date-range]]');
+        }
+
+        let tids;
+        if (cid && authorUid) {
+            tids = await db.getSortedSetRangeByScore(`cid:${cid}:uid:${authorUid}:tids`, 0, -1, start, end);
+        } else if (cid) {
+            // the topics of a category are sorted by their last post, and the pinned ones are apart
+            tids = await db.getSortedSetRange([`cid:${cid}:tids`, `cid:${cid}:tids:pinned`], 0, -1);
+        } else {
+            tids = await db.getSortedSetRangeByScore(authorUid ? `uid:${authorUid}:topics` : 'topics:tid', 0, -1, start, end);
+        }
+        const topicsData = await Topics.getTopicsFields(tids, ['tid', 'timestamp', 'anonymous']);
+        tids = topicsData.filter(topic => topic && topic.tid &&
+            topic.timestamp >= start && topic.timestamp <= end &&
+            !(authorUid && topic.anonymous)).map(topic => topic.tid);
+        return await privileges.topics.filterTids('topics:read', tids, uid);
+    }
+};
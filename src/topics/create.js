@@ -42,14 +42,19 @@ module.exports = function (Topics) {
             postcount: 0,
             viewcount: 0,
             instructorcount: 0,
-            anonymous: 0,
+            resolved: 0,
+            acceptedPid: 0,
+            anonymous: parseInt(data.anonymous, 10) === 1 ? 1 : 0,
+            private: parseInt(data.private, 10) === 1 ? 1 : 0,
         };
+        if (data.announcement) {
+            topicData.announcement = 1;
+            topicData.announcementExpiry = parseInt(data.announcementExpiry, 10) || 0;
+        }
+        if (topicData.anonymous) {
+            topicData.anonymousName = await posts.getAnonymousName(tid, data.uid);
+        }
         if (Array.isArray(data.tags) && data.tags.length) {
-            for (const itag of data.tags) {
-                if (itag === 'anonymous') {
-                    topicData.anonymous = 1;
-                }
-            }
             topicData.tags = data.tags.join(',');
         }
 
@@ -62,6 +67,8 @@ module.exports = function (Topics) {
             'topics:tid',
             `cid:${topicData.cid}:tids`,
             `cid:${topicData.cid}:uid:${topicData.uid}:tids`,
+            `cid:${topicData.cid}:tids:unresolved`,
+            `cid:${topicData.cid}:tids:noinstructor`,
         ];
 
         const scheduled = timestamp > Date.now();
@@ -136,8 +143,15 @@ module.exports = function (Topics) {
         if (!data.fromQueue) {
             await user.isReadyToPost(uid, data.cid);
         }
+        data.anonymous = await resolveAnonymous(data);
+        data.private = resolvePrivate(data);
+        const announcementCid = await resolveAnnouncement(data);
+        data.announcement = announcementCid ? 1 : 0;
 
         const tid = await Topics.create(data);
+        if (announcementCid) {
+            await Topics.announcements.add(tid, announcementCid, data.timestamp || Date.now());
+        }
 
         let postData = data;
         postData.tid = tid;
@@ -145,6 +159,8 @@ module.exports = function (Topics) {
         postData.isMain = true;
         postData = await posts.create(postData);
         postData = await onNewPost(postData, data);
+        // Shadow-hidden topics are deleted by the system like scheduled ones, nobody gets notified
+        const hidden = await posts.rules.apply(postData, data.postRules);
 
         const [settings, topics] = await Promise.all([
             user.getSettings(uid),
@@ -163,7 +179,6 @@ module.exports = function (Topics) {
         topicData.mainPost = postData;
         topicData.index = 0;
         postData.index = 0;
-        postData.anonymous = topicData.anonymous;
 
         if (topicData.scheduled) {
             await Topics.delete(tid);
@@ -172,9 +187,12 @@ module.exports = function (Topics) {
         analytics.increment(['topics', `topics:byCid:${topicData.cid}`]);
         plugins.hooks.fire('action:topic.post', { topic: topicData, post: postData, data });
 
-        if (parseInt(uid, 10) && !topicData.scheduled) {
+        if (parseInt(uid, 10) && !topicData.scheduled && !hidden) {
             user.notifications.sendTopicNotificationToFollowers(uid, topicData, postData);
         }
+        if (topicData.announcement && !topicData.scheduled && !hidden) {
+            await Topics.announcements.notify(topicData);
+        }
         if (typeof topicData !== 'object') {
             throw new TypeError('topicData needs to be an object');
         }
@@ -218,10 +236,10 @@ module.exports = function (Topics) {
         }
 
         data.ip = data.req ? data.req.ip : null;
+        data.anonymous = await resolveAnonymous(data);
         let postData = await posts.create(data);
-        postData.anonymous = topicData.anonymous;
         postData = await onNewPost(postData, data);
-        postData.anonymous = topicData.anonymous;
+        const hidden = await posts.rules.apply(postData, data.postRules);
 
         const settings = await user.getSettings(uid);
         if (uid > 0 && settings.followTopicsOnReply) {
@@ -232,8 +250,10 @@ module.exports = function (Topics) {
             user.setUserField(uid, 'lastonline', Date.now());
         }
 
-        if (parseInt(uid, 10) || meta.config.allowGuestReplyNotifications) {
-            const { displayname } = postData.user;
+        if (!hidden && (parseInt(uid, 10) || meta.config.allowGuestReplyNotifications)) {
+            const { displayname } = postData.anonymous ?
+                posts.anonymizeAuthor({ anonymousName: postData.anonymousName }).user :
+                postData.user;
 
             Topics.notifyFollowers(postData, uid, {
                 type: 'new-reply',
@@ -272,7 +292,9 @@ module.exports = function (Topics) {
             topicInfo,
         ] = await Promise.all([
             posts.getUserInfoForPosts([postData.uid], uid),
-            Topics.getTopicFields(tid, ['tid', 'uid', 'title', 'slug', 'cid', 'postcount', 'mainPid', 'scheduled']),
+            Topics.getTopicFields(tid, [
+                'tid', 'uid', 'title', 'slug', 'cid', 'postcount', 'mainPid', 'scheduled', 'anonymous', 'anonymousName',
+            ]),
             Topics.addParentPosts([postData]),
             Topics.syncBacklinks(postData),
             posts.parsePost(postData),
@@ -378,6 +400,68 @@ module.exports = function (Topics) {
         }
     }
     /**
+    * Applies the anonymous posting policy of the category to the author's choice
+    * @param {Object} data - Post data, with `cid`, `uid` and the optional `anonymous` toggle
+    * @return {Promise<number>} - 1 if the post should be anonymous, 0 otherwise
+    */
+    async function resolveAnonymous(data) {
+        const requested = data.anonymous === true || data.anonymous === 'true' || parseInt(data.anonymous, 10) === 1;
+        if (!(parseInt(data.uid, 10) > 0)) {
+            return 0;
+        }
+        const policy = await categories.getCategoryField(data.cid, 'anonymousPosting');
+        if (policy === 'force') {
+            return 1;
+        }
+        if (policy === 'forbid' && requested) {
+            throw new Error('[[error:anonymous-posting-forbidden]]');
+        }
+        return requested ? 1 : 0;
+    }
+    /**
+    * Private topics are only readable by their author and the course staff, see privileges.topics.filterPrivate
+    * @param {Object} data - Topic data, with `uid` and the optional `private` toggle
+    * @return {number} - 1 if the topic should be private, 0 otherwise
+    */
+    function resolvePrivate(data) {
+        const requested = data.private === true || data.private === 'true' || parseInt(data.private, 10) === 1;
+        if (requested && !(parseInt(data.uid, 10) > 0)) {
+            throw new Error('[[error:not-logged-in]]');
+        }
+        return requested ? 1 : 0;
+    }
+    /**
+    * Announcements are posted by the course staff to a whole course, see Topics.announcements
+    * @param {Object} data - Topic data, with the optional `announcement` toggle and `announcementExpiry` timestamp
+    * @return {Promise<number>} - The cid of the course to announce to, 0 if the topic is not an announcement
+    */
+    async function resolveAnnouncement(data) {
+        const requested = data.announcement === true || data.announcement === 'true' ||
+            parseInt(data.announcement, 10) === 1;
+        if (!requested) {
+            return 0;
+        }
+        const [isInstructor, isAdminOrMod, courseCid] = await Promise.all([
+            user.isInstructor(parseInt(data.uid, 10)),
+            privileges.categories.isAdminOrMod(data.cid, data.uid),
+            categories.getCourseCid(data.cid),
+        ]);
+        if (!(parseInt(data.uid, 10) > 0) || (!isInstructor && !isAdminOrMod)) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        if (!courseCid) {
+            throw new Error('[[error:no-course]]');
+        }
+        if (data.private) {
+            throw new Error('[[error:announcement-cannot-be-private]]');
+        }
+        const expiry = data.announcementExpiry;
+        if (expiry && (!utils.isNumber(expiry) || parseInt(expiry, 10) <= (data.timestamp || Date.now()))) {
+            throw new Error('[[error:invalid-announcement-expiry]]');
+        }
+        return courseCid;
+    }
+    /**
     * Checks if user can reply to a topic
     * @param {Object} data - User data
     * @param {Object} topicData - Topic data
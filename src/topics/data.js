@@ -13,7 +13,9 @@ const intFields = [
     'tid', 'cid', 'uid', 'mainPid', 'postcount',
     'viewcount', 'postercount', 'deleted', 'locked', 'pinned',
     'pinExpiry', 'timestamp', 'upvotes', 'downvotes', 'lastposttime',
-    'deleterUid', 'instructorcount', 'anonymous',
+    'deleterUid', 'instructorcount', 'anonymous', 'resolved', 'acceptedPid',
+    'instructorAnswerPid', 'studentAnswerPid', 'assigneeUid', 'private',
+    'announcement', 'announcementExpiry',
 ];
 
 module.exports = function (Topics) {
@@ -78,6 +78,8 @@ module.exports = function (Topics) {
                 `tid:${tid}:posts:votes`,
                 `tid:${tid}:bookmarks`,
                 `tid:${tid}:posters`,
+                `tid:${tid}:anonymous`,
+                `tid:${tid}:anonymous:counter`,
             ]),
             db.sortedSetsRemove([
                 'topics:tid',
@@ -91,6 +93,8 @@ module.exports = function (Topics) {
             Topics.deleteTopicTags(tid),
             Topics.events.purge(tid),
             Topics.thumbs.deleteAll(tid),
+            Topics.answers.purge(tid),
+            Topics.announcements.purge(tid),
             reduceCounters(tid),
         ]);
         plugins.hooks.fire('action:topic.purge', { topic: deletedTopic, uid });
@@ -117,6 +121,9 @@ module.exports = function (Topics) {
                 `cid:${topicData.cid}:tids:lastposttime`,
                 `cid:${topicData.cid}:tids:votes`,
                 `cid:${topicData.cid}:tids:views`,
+                `cid:${topicData.cid}:tids:resolved`,
+                `cid:${topicData.cid}:tids:unresolved`,
+                `cid:${topicData.cid}:tids:noinstructor`,
                 `cid:${topicData.cid}:recent_tids`,
                 `cid:${topicData.cid}:uid:${topicData.uid}:tids`,
                 `uid:${topicData.uid}:topics`,
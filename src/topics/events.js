@@ -64,6 +64,26 @@ Events._types = {
         icon: 'fa-code-fork',
         text: '[[topic:forked-by]]',
     },
+    accept: {
+        icon: 'fa-check-circle',
+        text: '[[topic:accepted-by]]',
+    },
+    unaccept: {
+        icon: 'fa-circle-o',
+        text: '[[topic:unaccepted-by]]',
+    },
+    assign: {
+        icon: 'fa-user-plus',
+        text: '[[topic:assigned-to]]',
+    },
+    unassign: {
+        icon: 'fa-user-times',
+        text: '[[topic:unassigned-by]]',
+    },
+    public: {
+        icon: 'fa-eye',
+        text: '[[topic:made-public-by]]',
+    },
 };
 
 Events.init = async () => {
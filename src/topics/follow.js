@@ -161,16 +161,20 @@ module.exports = function (Topics) {
             title = utils.decodeHTMLEntities(title);
         }
 
-        const notification = await notifications.create({
+        const notifObj = {
             subject: title,
             bodyLong: postData.content,
             pid: postData.pid,
             path: `/post/${postData.pid}`,
             tid: postData.topic.tid,
-            from: exceptUid,
             topicTitle: title,
             ...notifData,
-        });
+        };
+        // anonymous posts must not carry the author's avatar into the notification
+        if (!postData.anonymous) {
+            notifObj.from = exceptUid;
+        }
+        const notification = await notifications.create(notifObj);
         notifications.push(notification, followers);
     };
 };
@@ -20,6 +20,7 @@ require('./create')(Topics);
 require('./delete')(Topics);
 require('./sorted')(Topics);
 require('./unread')(Topics);
+require('./unanswered')(Topics);
 require('./recent')(Topics);
 require('./user')(Topics);
 require('./fork')(Topics);
@@ -33,7 +34,10 @@ require('./tools')(Topics);
 Topics.thumbs = require('./thumbs');
 require('./bookmarks')(Topics);
 require('./merge')(Topics);
+require('./bulk')(Topics);
 Topics.events = require('./events');
+Topics.answers = require('./answers');
+Topics.announcements = require('./announcements');
 
 Topics.exists = async function (tids) {
     return await db.exists(
@@ -142,10 +146,13 @@ Topics.getTopicsByTids = async function (tids, options) {
                 Math.max(1, topic.postcount + 2 - bookmarks[i]) :
                 Math.min(topic.postcount, bookmarks[i] + 1);
             topic.unreplied = !topic.teaser;
+            topic.hasInstructorAnswer = topic.instructorAnswerPid > 0;
+            topic.hasStudentAnswer = topic.studentAnswerPid > 0;
 
             topic.icons = [];
         }
     });
+    await posts.anonymize(result.topics, uid);
 
     const filteredTopics = result.topics.filter(topic => topic && topic.category && !topic.category.disabled);
 
@@ -167,6 +174,7 @@ Topics.getTopicWithPosts = async function (topicData, set, uid, start, stop, rev
         related,
         thumbs,
         events,
+        answers,
     ] = await Promise.all([
         Topics.getTopicPosts(topicData, set, start, stop, uid, reverse),
         categories.getCategoryData(topicData.cid),
@@ -180,11 +188,13 @@ Topics.getTopicWithPosts = async function (topicData, set, uid, start, stop, rev
         Topics.getRelatedTopics(topicData, uid),
         Topics.thumbs.load([topicData]),
         Topics.events.get(topicData.tid, uid, reverse),
+        Topics.answers.get(topicData.tid, uid),
     ]);
 
     topicData.thumbs = thumbs[0];
     topicData.posts = posts;
     topicData.events = events;
+    topicData.answers = answers;
     topicData.posts.forEach((p) => {
         p.events = events.filter(
             event => event.timestamp >= p.eventStart && event.timestamp < p.eventEnd
@@ -212,6 +222,7 @@ Topics.getTopicWithPosts = async function (topicData, set, uid, start, stop, rev
     topicData.related = related || [];
     topicData.unreplied = topicData.postcount === 1;
     topicData.icons = [];
+    await posts.anonymize([topicData], uid);
 
     const result = await plugins.hooks.fire('filter:topic.get', { topic: topicData, uid });
     return result.topic;
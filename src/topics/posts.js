@@ -77,6 +77,10 @@ module.exports = function (Topics) {
         }
 
         Topics.calculatePostIndices(replies, repliesStart);
+        let acceptedPost = null;
+        if (topicData.acceptedPid && topicData.mainPid && start === 0) {
+            acceptedPost = await takeAcceptedPost(topicData, postData, set, reverse, uid);
+        }
         await addEventStartEnd(postData, set, reverse, topicData);
         const allPosts = postData.slice();
         postData = await user.blocks.filter(uid, postData);
@@ -88,6 +92,13 @@ module.exports = function (Topics) {
                 }
             });
         }
+        if (acceptedPost) {
+            const isMainPostShown = postData[0] && postData[0].pid === topicData.mainPid;
+            postData.splice(isMainPostShown ? 1 : 0, 0, ...await user.blocks.filter(uid, [acceptedPost]));
+        }
+        postData.forEach((p) => {
+            p.accepted = p.pid === topicData.acceptedPid;
+        });
 
         const result = await plugins.hooks.fire('filter:topic.getPosts', {
             topic: topicData,
@@ -100,6 +111,20 @@ module.exports = function (Topics) {
         return postsResult;
     };
 
+    // The accepted answer is shown right under the main post, so it is taken out of its place on the first page
+    async function takeAcceptedPost(topicData, postData, set, reverse, uid) {
+        const index = postData.findIndex(p => p && p.pid === topicData.acceptedPid);
+        if (index !== -1) {
+            return postData.splice(index, 1)[0];
+        }
+        const [acceptedPost] = await posts.getPostsByPids([topicData.acceptedPid], uid);
+        if (acceptedPost) {
+            const rank = await db[reverse ? 'sortedSetRevRank' : 'sortedSetRank'](set, acceptedPost.pid);
+            acceptedPost.index = rank === null ? 0 : rank + 1;
+        }
+        return acceptedPost || null;
+    }
+
     // Adds start and end of event
     /**
      * @param {Promise<object[]>} postData
@@ -163,12 +188,16 @@ module.exports = function (Topics) {
         const [
             bookmarks,
             voteData,
+            endorsed,
+            endorsedBy,
             userData,
             editors,
             replies,
         ] = await Promise.all([
             posts.hasBookmarked(pids, uid),
             posts.getVoteStatusByPostIDs(pids, uid),
+            posts.hasEndorsed(pids, uid),
+            posts.getEndorsedBy(pids),
             getPostUserData('uid', async uids => await posts.getUserInfoForPosts(uids, uid)),
             getPostUserData('editor', async uids => await user.getUsersFields(uids, ['uid', 'username', 'userslug'])),
             getPostReplies(pids, uid),
@@ -183,6 +212,8 @@ module.exports = function (Topics) {
                 postObj.upvoted = voteData.upvotes[i];
                 postObj.downvoted = voteData.downvotes[i];
                 postObj.votes = postObj.votes || 0;
+                postObj.endorsed = endorsed[i];
+                postObj.endorsedBy = endorsedBy[i];
                 postObj.replies = replies[i];
                 postObj.selfPost = parseInt(uid, 10) > 0 && parseInt(uid, 10) === postObj.uid;
 
@@ -193,6 +224,7 @@ module.exports = function (Topics) {
                 }
             }
         });
+        await posts.anonymize(postData, uid);
 
         const result = await plugins.hooks.fire('filter:topics.addPostData', {
             posts: postData,
@@ -349,7 +381,7 @@ module.exports = function (Topics) {
             ], [postData.timestamp, votes], postData.pid);
         }
         await Topics.increasePostCount(tid);
-        if (await user.isInstructor(postData.uid)) {
+        if (postData.instructor && !postData.deleted) {
             await Topics.increaseInstructorCount(tid);
         }
         await db.sortedSetIncrBy(`tid:${tid}:posters`, 1, postData.uid);
@@ -373,7 +405,7 @@ module.exports = function (Topics) {
             `tid:${tid}:posts:votes`,
         ], postData.pid);
         await Topics.decreasePostCount(tid);
-        if (user.isInstructor(postData.uid)) {
+        if (postData.instructor && !postData.deleted) {
             await Topics.decreaseInstructorCount(tid);
         }
         await db.sortedSetIncrBy(`tid:${tid}:posters`, -1, postData.uid);
@@ -381,6 +413,7 @@ module.exports = function (Topics) {
         const posterCount = await db.sortedSetCard(`tid:${tid}:posters`);
         await Topics.setTopicField(tid, 'postercount', posterCount);
         await Topics.updateTeaser(tid);
+        await Topics.tools.unacceptRemovedPost(tid, postData.pid);
     };
 
     // Removes post to topic
@@ -438,26 +471,49 @@ module.exports = function (Topics) {
         incrementFieldAndUpdateSortedSet(tid, 'viewcount', 1, ['topics:views', `cid:${cid}:tids:views`]);
     };
 
-    // Increases the instructor count
+    // Increases the instructor count, i.e. the number of visible posts made by instructors
     /**
      * @param {Promise<string> || Promise<number>} tid
+     * @param {Promise<number>} by
      * @returns {Promise<void>}
     */
-    Topics.increaseInstructorCount = async function (tid) {
+    Topics.increaseInstructorCount = async function (tid, by = 1) {
     // Assert function parameter types in the body
         assert(typeof tid === 'number' || typeof tid === 'string', 'tid must be a number or string');
-        await db.incrObjectFieldBy(`topic:${tid}`, 'instructorcount', 1);
+        await db.incrObjectFieldBy(`topic:${tid}`, 'instructorcount', by);
+        await Topics.updateInstructorIndex(tid);
     };
 
     // Decreases the instructor count
     /**
      * @param {Promise<string> || Promise<number>} tid
+     * @param {Promise<number>} by
      * @returns {Promise<void>}
     */
-    Topics.decreaseInstructorCount = async function (tid) {
+    Topics.decreaseInstructorCount = async function (tid, by = 1) {
     // Assert function parameter types in the body
         assert(typeof tid === 'number' || typeof tid === 'string', 'tid must be a number or string');
-        await db.incrObjectFieldBy(`topic:${tid}`, 'instructorcount', -1);
+        await Topics.increaseInstructorCount(tid, -by);
+    };
+
+    // Keeps `cid:<cid>:tids:noinstructor`, the topics without an instructor post, in sync with the instructor count
+    /**
+     * @param {Promise<string> || Promise<number>} tid
+     * @returns {Promise<void>}
+    */
+    Topics.updateInstructorIndex = async function (tid) {
+    // Assert function parameter types in the body
+        assert(typeof tid === 'number' || typeof tid === 'string', 'tid must be a number or string');
+        const topicData = await Topics.getTopicFields(tid, ['cid', 'timestamp', 'instructorcount']);
+        if (!topicData.cid) {
+            return;
+        }
+        const set = `cid:${topicData.cid}:tids:noinstructor`;
+        if (topicData.instructorcount > 0) {
+            await db.sortedSetRemove(set, tid);
+        } else {
+            await db.sortedSetAdd(set, topicData.timestamp, tid);
+        }
     };
 
     // Increments field and updates sorted set
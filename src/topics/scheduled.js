@@ -39,6 +39,7 @@ Scheduled.handleExpired = async function () {
 
     await Promise.all([].concat(
         sendNotifications(uids, topicsData),
+        ...topicsData.filter(topicData => topicData.announcement).map(topics.announcements.notify),
         updateUserLastposttimes(uids, topicsData),
         ...topicsData.map(topicData => unpin(topicData.tid, topicData)),
         db.sortedSetsRemoveRangeByScore(['topics:scheduled'], '-inf', now)
@@ -168,6 +168,12 @@ module.exports = function (Topics) {
             tids = await Topics.filterNewTids(tids, uid);
         } else if (filter === 'unreplied') {
             tids = await Topics.filterUnrepliedTids(tids);
+        } else if (filter === 'resolved' || filter === 'unresolved') {
+            tids = await Topics.filterNotIgnoredTids(tids, uid);
+            tids = await Topics.filterResolvedTids(tids, filter === 'resolved');
+        } else if (filter === 'noinstructor') {
+            tids = await Topics.filterNotIgnoredTids(tids, uid);
+            tids = await Topics.filterNoInstructorTids(tids);
         } else {
             tids = await Topics.filterNotIgnoredTids(tids, uid);
         }
@@ -6,6 +6,17 @@ const db = require('../database');
 const user = require('../user');
 const privileges = require('../privileges');
 const search = require('../search');
+const utils = require('../utils');
+
+// Recent topics of the category compared by title when no search plugin is installed
+const similarCandidateCount = 500;
+const similarThreshold = 0.4;
+const stopWords = new Set([
+    'a', 'about', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does', 'for',
+    'from', 'get', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'me', 'my', 'not', 'of', 'on', 'or',
+    'should', 'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which',
+    'who', 'why', 'will', 'with', 'would', 'you',
+]);
 
 module.exports = function (Topics) {
     Topics.getSuggestedTopics = async function (tid, uid, start, stop, cutoff = 0) {
@@ -43,20 +54,83 @@ module.exports = function (Topics) {
         return _.shuffle(_.uniq(tids)).slice(0, 10).map(Number);
     }
 
+    /**
+     * Topics of a category whose title looks like the given one, most similar first.
+     * Candidates come from search.search when a search plugin is installed, and from the recent topics
+     * of the category otherwise, so it works with the database adapters alone.
+     */
+    Topics.getSimilarTopics = async function ({ cid, title, uid, limit = 5 }) {
+        const words = getTitleWords(title);
+        if (!words.size) {
+            return [];
+        }
+        const [searchTids, recentTids] = await Promise.all([
+            searchTitle(title, cid, uid, 0),
+            db.getSortedSetRevRange(`cid:${cid}:tids:lastposttime`, 0, similarCandidateCount - 1),
+        ]);
+        let tids = _.uniq(searchTids.concat(recentTids.map(Number)));
+        tids = await privileges.topics.filterTids('topics:read', tids, uid);
+
+        const topicsData = await Topics.getTopicsFields(tids, [
+            'tid', 'cid', 'title', 'slug', 'postcount', 'instructorcount', 'deleted', 'timestamp', 'scheduled',
+        ]);
+        const similarTopics = topicsData.filter(topic => topic && topic.tid && !topic.deleted && !topic.scheduled &&
+            topic.cid === parseInt(cid, 10))
+            .map((topic) => {
+                const topicWords = getTitleWords(utils.decodeHTMLEntities(topic.title));
+                return { topic, score: getSimilarity(words, topicWords) };
+            })
+            .filter(result => result.score >= similarThreshold);
+
+        return _.orderBy(similarTopics, ['score', 'topic.timestamp'], ['desc', 'desc'])
+            .slice(0, limit)
+            .map(({ topic, score }) => ({
+                tid: topic.tid,
+                title: topic.title,
+                slug: topic.slug,
+                replies: Math.max(0, topic.postcount - 1),
+                instructorcount: topic.instructorcount,
+                instructorReplied: topic.instructorcount > 0,
+                timestampISO: topic.timestampISO,
+                score: Math.round(score * 100) / 100,
+            }));
+    };
+
     async function getSearchTids(tid, uid, cutoff) {
         const topicData = await Topics.getTopicFields(tid, ['title', 'cid']);
+        const tids = await searchTitle(topicData.title, topicData.cid, uid, cutoff);
+        return _.shuffle(tids.filter(_tid => _tid !== tid)).slice(0, 10); // remove self
+    }
+
+    async function searchTitle(title, cid, uid, cutoff) {
         const data = await search.search({
-            query: topicData.title,
+            query: title,
             searchIn: 'titles',
             matchWords: 'any',
-            categories: [topicData.cid],
+            categories: [cid],
             uid,
             returnIds: true,
             timeRange: cutoff !== 0 ? cutoff / 1000 : 0,
             timeFilter: 'newer',
         });
-        data.tids = data.tids.filter(_tid => _tid !== tid); // remove self
-        return _.shuffle(data.tids).slice(0, 10).map(Number);
+        return data.tids.map(Number);
+    }
+
+    // Lowercased words of a title without stop words, with plurals folded so "loops" matches "loop"
+    function getTitleWords(title) {
+        const words = String(title || '').toLowerCase().split(/[^a-z0-9]+/)
+            .filter(word => word && !stopWords.has(word))
+            .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+        return new Set(words);
+    }
+
+    // Dice coefficient of the two sets of words
+    function getSimilarity(words, otherWords) {
+        if (!words.size || !otherWords.size) {
+            return 0;
+        }
+        const common = [...words].filter(word => otherWords.has(word)).length;
+        return (2 * common) / (words.size + otherWords.size);
     }
 
     async function getCategoryTids(tid, cutoff) {
@@ -42,7 +42,7 @@ module.exports = function (Topics) {
         });
 
         const [allPostData, callerSettings] = await Promise.all([
-            posts.getPostsFields(teaserPids, ['pid', 'uid', 'timestamp', 'tid', 'content']),
+            posts.getPostsFields(teaserPids, ['pid', 'uid', 'timestamp', 'tid', 'content', 'anonymous', 'anonymousName']),
             user.getSettings(uid),
         ]);
         let postData = allPostData.filter(post => post && post.pid);
@@ -67,6 +67,7 @@ module.exports = function (Topics) {
             post.timestampISO = utils.toISOString(post.timestamp);
             tidToPost[post.tid] = post;
         });
+        await posts.anonymize(postData, uid);
         await Promise.all(postData.map(p => posts.parsePost(p)));
 
         const { tags } = await plugins.hooks.fire('filter:teasers.configureStripTags', { tags: utils.stripTags.slice(0) });
@@ -79,6 +80,8 @@ module.exports = function (Topics) {
             const topicPost = tidToPost[topic.tid];
             if (topicPost) {
                 topicPost.index = calcTeaserIndex(teaserPost, counts[index], sortNewToOld);
+                topicPost.hasInstructorAnswer = topic.instructorAnswerPid > 0;
+                topicPost.hasStudentAnswer = topic.studentAnswerPid > 0;
                 if (topicPost.content) {
                     topicPost.content = utils.stripHTMLTags(replaceImgWithAltText(topicPost.content), tags);
                 }
@@ -112,13 +115,18 @@ module.exports = function (Topics) {
         }
 
         return await Promise.all(teasers.map(async (postData) => {
-            if (blockedUids.includes(parseInt(postData.uid, 10))) {
+            if (isBlocked(postData, blockedUids)) {
                 return await getPreviousNonBlockedPost(postData, blockedUids);
             }
             return postData;
         }));
     }
 
+    // Anonymous posts are never skipped, skipping them would tell that their author is blocked
+    function isBlocked(post, blockedUids) {
+        return !post.anonymous && blockedUids.includes(parseInt(post.uid, 10));
+    }
+
     async function getPreviousNonBlockedPost(postData, blockedUids) {
         let isBlocked = false;
         let prevPost = postData;
@@ -128,7 +136,7 @@ module.exports = function (Topics) {
         let checkedAllReplies = false;
 
         function checkBlocked(post) {
-            const isPostBlocked = blockedUids.includes(parseInt(post.uid, 10));
+            const isPostBlocked = isBlocked(post, blockedUids);
             prevPost = !isPostBlocked ? post : prevPost;
             return isPostBlocked;
         }
@@ -141,7 +149,7 @@ module.exports = function (Topics) {
                 const mainPid = await Topics.getTopicField(postData.tid, 'mainPid');
                 pids = [mainPid];
             }
-            const prevPosts = await posts.getPostsFields(pids, ['pid', 'uid', 'timestamp', 'tid', 'content']);
+            const prevPosts = await posts.getPostsFields(pids, ['pid', 'uid', 'timestamp', 'tid', 'content', 'anonymous', 'anonymousName']);
             isBlocked = prevPosts.every(checkBlocked);
             start += postsPerIteration;
             stop = start + postsPerIteration - 1;
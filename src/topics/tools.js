@@ -4,6 +4,7 @@ const _ = require('lodash');
 
 const db = require('../database');
 const topics = require('.');
+const posts = require('../posts');
 const categories = require('../categories');
 const user = require('../user');
 const plugins = require('../plugins');
@@ -560,6 +561,191 @@ module.exports = function (Topics) {
         return topicData;
     }
 
+    /**
+     * Marks a reply as the accepted answer, which resolves the topic.
+     * Accepting another reply replaces the previous answer.
+     *
+     * @param {string|number} tid - The ID of the topic.
+     * @param {string|number} pid - The ID of the reply to accept.
+     * @param {number} uid - The ID of the user performing the action, the topic owner or an instructor.
+     *
+     * @returns {Object} - The topic data object with properties:
+     *   - {string|number} tid - The ID of the topic.
+     *   - {number} uid - The ID of the topic owner.
+     *   - {number} cid - The ID of the category.
+     *   - {boolean} resolved - If the topic is resolved.
+     *   - {number} acceptedPid - The ID of the accepted post, 0 if there is none.
+     *   - {Array} events - The list of events associated with the topic.
+     */
+    topicTools.accept = async function (tid, pid, uid) {
+        if (!utils.isNumber(pid) || parseInt(pid, 10) <= 0) {
+            throw new Error('[[error:invalid-pid]]');
+        }
+        return await toggleAccept(tid, parseInt(pid, 10), uid);
+    };
+
+    /**
+     * Clears the accepted answer, which marks the topic as unresolved again.
+     *
+     * @param {string|number} tid - The ID of the topic.
+     * @param {number|string} uid - The ID of the user performing the action, or 'system'.
+     *
+     * @returns {Object} - The topic data object, see `topicTools.accept`.
+     */
+    topicTools.unaccept = async function (tid, uid) {
+        return await toggleAccept(tid, 0, uid);
+    };
+
+    // Called when a post leaves its topic, so the topic is not resolved by a post it no longer has
+    topicTools.unacceptRemovedPost = async function (tid, pid) {
+        const acceptedPid = await Topics.getTopicField(tid, 'acceptedPid');
+        if (acceptedPid && acceptedPid === parseInt(pid, 10)) {
+            await toggleAccept(tid, 0, 'system');
+        }
+    };
+
+    async function toggleAccept(tid, pid, uid) {
+        const topicData = await Topics.getTopicFields(tid, ['tid', 'uid', 'cid', 'mainPid', 'timestamp', 'acceptedPid']);
+        if (!topicData || !topicData.cid) {
+            throw new Error('[[error:no-topic]]');
+        }
+
+        if (uid !== 'system') {
+            const userPrivileges = await privileges.topics.get(tid, uid);
+            if (!userPrivileges['topics:accept']) {
+                throw new Error('[[error:no-privileges]]');
+            }
+        }
+
+        if (pid) {
+            const postData = await posts.getPostFields(pid, ['pid', 'tid', 'deleted']);
+            if (!postData || !postData.pid) {
+                throw new Error('[[error:no-post]]');
+            }
+            if (postData.tid !== topicData.tid || pid === topicData.mainPid) {
+                throw new Error('[[error:cant-accept-post]]');
+            }
+            if (postData.deleted) {
+                throw new Error('[[error:cant-accept-deleted-post]]');
+            }
+        } else if (!topicData.acceptedPid) {
+            throw new Error('[[error:topic-not-resolved]]');
+        }
+
+        const resolved = !!pid;
+        await Promise.all([
+            Topics.setTopicFields(tid, { resolved: resolved ? 1 : 0, acceptedPid: pid }),
+            db.sortedSetRemove(`cid:${topicData.cid}:tids:${resolved ? 'unresolved' : 'resolved'}`, tid),
+            db.sortedSetAdd(`cid:${topicData.cid}:tids:${resolved ? 'resolved' : 'unresolved'}`, topicData.timestamp, tid),
+        ]);
+        topicData.events = await Topics.events.log(tid, resolved ?
+            { type: 'accept', uid, href: `/post/${pid}` } :
+            { type: 'unaccept', uid });
+        topicData.resolved = resolved;
+        topicData.acceptedPid = pid;
+
+        plugins.hooks.fire(`action:topic.${resolved ? 'accept' : 'unaccept'}`, { topic: _.clone(topicData), uid });
+        return topicData;
+    }
+
+    /**
+     * Assigns an unanswered question to a member of the course staff, see Topics.getUnansweredTopics.
+     *
+     * @param {string|number} tid - The ID of the topic.
+     * @param {number} uid - The ID of the staff member taking the question.
+     *
+     * @returns {Object} - The topic data object with the new `assigneeUid` and the logged `events`.
+     */
+    topicTools.assign = async function (tid, uid) {
+        return await toggleAssign(tid, uid, uid);
+    };
+
+    /**
+     * Clears the assignee of a topic.
+     *
+     * @param {string|number} tid - The ID of the topic.
+     * @param {number} uid - The ID of the user performing the action.
+     *
+     * @returns {Object} - The topic data object, see `topicTools.assign`.
+     */
+    topicTools.unassign = async function (tid, uid) {
+        return await toggleAssign(tid, 0, uid);
+    };
+
+    async function toggleAssign(tid, assigneeUid, uid) {
+        const topicData = await Topics.getTopicFields(tid, ['tid', 'cid', 'assigneeUid']);
+        if (!topicData || !topicData.cid) {
+            throw new Error('[[error:no-topic]]');
+        }
+        const userPrivileges = await privileges.topics.get(tid, uid);
+        if (!userPrivileges['topics:assign']) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        if (assigneeUid && topicData.assigneeUid === assigneeUid) {
+            throw new Error('[[error:already-assigned]]');
+        }
+        if (!assigneeUid && !topicData.assigneeUid) {
+            throw new Error('[[error:topic-not-assigned]]');
+        }
+
+        await Topics.setTopicField(tid, 'assigneeUid', assigneeUid);
+        topicData.events = await Topics.events.log(tid, { type: assigneeUid ? 'assign' : 'unassign', uid });
+        topicData.assigneeUid = assigneeUid;
+
+        plugins.hooks.fire(`action:topic.${assigneeUid ? 'assign' : 'unassign'}`, { topic: _.clone(topicData), uid });
+        return topicData;
+    }
+
+    /**
+     * Makes a private topic readable by everyone who can read its category, see privileges.topics.filterPrivate.
+     *
+     * @param {string|number} tid - The ID of the topic.
+     * @param {number} uid - The ID of the instructor or moderator performing the action.
+     * @param {boolean} anonymize - Whether to hide the author of the topic behind their pseudonym first.
+     *
+     * @returns {Object} - The topic data object with the logged `events`.
+     */
+    topicTools.makePublic = async function (tid, uid, anonymize) {
+        const topicData = await Topics.getTopicFields(tid, ['tid', 'uid', 'cid', 'private', 'anonymous']);
+        if (!topicData || !topicData.cid) {
+            throw new Error('[[error:no-topic]]');
+        }
+        const userPrivileges = await privileges.topics.get(tid, uid);
+        if (!userPrivileges['topics:publish']) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        if (!topicData.private) {
+            throw new Error('[[error:topic-not-private]]');
+        }
+
+        if (anonymize) {
+            await anonymizeAuthor(topicData);
+        }
+        await Topics.setTopicField(tid, 'private', 0);
+        topicData.events = await Topics.events.log(tid, { type: 'public', uid });
+        topicData.private = 0;
+
+        plugins.hooks.fire('action:topic.makePublic', { topic: _.clone(topicData), uid, anonymize: !!anonymize });
+        return topicData;
+    };
+
+    // The topic and every post its author wrote in it go by the author's pseudonym
+    async function anonymizeAuthor(topicData) {
+        const { tid } = topicData;
+        const anonymousName = await posts.getAnonymousName(tid, topicData.uid);
+        const mainPid = await Topics.getTopicField(tid, 'mainPid');
+        const pids = [mainPid, ...await db.getSortedSetRange(`tid:${tid}:posts`, 0, -1)];
+        const postsData = await posts.getPostsFields(pids, ['pid', 'uid', 'anonymous']);
+        const authorPids = postsData.filter(post => post && post.pid && post.uid === topicData.uid && !post.anonymous)
+            .map(post => post.pid);
+
+        await Promise.all([
+            Topics.setTopicFields(tid, { anonymous: 1, anonymousName }),
+            db.setObjectBulk(authorPids.map(pid => [`post:${pid}`, { anonymous: 1, anonymousName }])),
+        ]);
+        topicData.anonymous = 1;
+    }
+
     /**
      * Orders pinned topics for a given user and category.
      *
@@ -653,6 +839,9 @@ module.exports = function (Topics) {
             `cid:${topicData.cid}:tids:posts`,
             `cid:${topicData.cid}:tids:votes`,
             `cid:${topicData.cid}:tids:views`,
+            `cid:${topicData.cid}:tids:resolved`,
+            `cid:${topicData.cid}:tids:unresolved`,
+            `cid:${topicData.cid}:tids:noinstructor`,
             `cid:${topicData.cid}:tids:lastposttime`,
             `cid:${topicData.cid}:recent_tids`,
             `cid:${topicData.cid}:uid:${topicData.uid}:tids`,
@@ -665,6 +854,8 @@ module.exports = function (Topics) {
         const bulk = [
             [`cid:${cid}:tids:lastposttime`, topicData.lastposttime, tid],
             [`cid:${cid}:uid:${topicData.uid}:tids`, topicData.timestamp, tid],
+            [`cid:${cid}:tids:${topicData.resolved ? 'resolved' : 'unresolved'}`, topicData.timestamp, tid],
+            ...(topicData.instructorcount > 0 ? [] : [[`cid:${cid}:tids:noinstructor`, topicData.timestamp, tid]]),
             ...tags.map(tag => [`cid:${cid}:tag:${tag}:topics`, topicData.timestamp, tid]),
         ];
         if (topicData.pinned) {
@@ -0,0 +1,97 @@
+'use strict';
+
+const _ = require('lodash');
+
+const db = require('../database');
+const user = require('../user');
+const categories = require('../categories');
+const privileges = require('../privileges');
+
+module.exports = function (Topics) {
+    Topics.unansweredFilters = ['', 'mine', 'unassigned'];
+    // The queue lists at most this many of the oldest questions
+    Topics.unansweredMaxTopics = 500;
+
+    /**
+     * The queue of questions waiting for course staff, oldest first.
+     * Topics come from the `cid:<cid>:tids:noinstructor` index, see Topics.updateInstructorIndex.
+     */
+    Topics.getUnansweredTopics = async function (params) {
+        const { uid } = params;
+        const tids = await Topics.getUnansweredTids(params);
+        const start = params.start || 0;
+        const stop = params.stop === undefined ? -1 : params.stop;
+        const pageTids = tids.slice(start, stop !== -1 ? stop + 1 : undefined);
+
+        const topicsData = await Topics.getTopicsByTids(pageTids, uid);
+        const assignees = await user.getUsersFields(
+            _.uniq(topicsData.map(topic => topic.assigneeUid).filter(Boolean)),
+            ['uid', 'username', 'userslug', 'picture']
+        );
+        const uidToAssignee = _.zipObject(assignees.map(u => u.uid), assignees);
+        const now = Date.now();
+        topicsData.forEach((topic) => {
+            topic.assignee = uidToAssignee[topic.assigneeUid] || null;
+            topic.isAssignee = !!topic.assigneeUid && topic.assigneeUid === parseInt(uid, 10);
+            topic.waitingTime = Math.max(0, now - topic.timestamp);
+        });
+        Topics.calculateTopicIndices(topicsData, start);
+
+        return {
+            topics: topicsData,
+            topicCount: tids.length,
+            nextStart: stop + 1,
+        };
+    };
+
+    // Oldest first, at most Topics.unansweredMaxTopics
+    Topics.getUnansweredTids = async function (params) {
+        const { uid, filter } = params;
+        let cids = await Topics.getUnansweredCids(uid);
+        if (params.cid) {
+            const selectedCids = (Array.isArray(params.cid) ? params.cid : [params.cid]).map(String);
+            cids = cids.filter(cid => selectedCids.includes(String(cid)));
+        }
+        if (!cids.length) {
+            return [];
+        }
+
+        // The index keeps deleted and locked topics, so it is read a range at a time until the queue is full
+        const sets = cids.map(cid => `cid:${cid}:tids:noinstructor`);
+        const batchSize = Topics.unansweredMaxTopics;
+        let tids = [];
+        for (let start = 0; tids.length < Topics.unansweredMaxTopics; start += batchSize) {
+            /* eslint-disable no-await-in-loop */
+            const batch = await db.getSortedSetRange(sets, start, start + batchSize - 1);
+            tids = tids.concat(await filterUnanswered(batch, uid, filter));
+            if (batch.length < batchSize) {
+                break;
+            }
+        }
+        return tids.slice(0, Topics.unansweredMaxTopics);
+    };
+
+    async function filterUnanswered(tids, uid, filter) {
+        tids = await privileges.topics.filterTids('topics:read', tids, uid);
+        const topicData = await Topics.getTopicsFields(tids, ['tid', 'deleted', 'scheduled', 'locked', 'assigneeUid']);
+        return topicData.filter(topic => topic && !topic.deleted && !topic.scheduled && !topic.locked && (
+            !filter ||
+            (filter === 'mine' && topic.assigneeUid === parseInt(uid, 10)) ||
+            (filter === 'unassigned' && !topic.assigneeUid)
+        )).map(topic => topic.tid);
+    }
+
+    // Global staff see every category they can read, category moderators and course instructors only their own
+    Topics.getUnansweredCids = async function (uid) {
+        const [cids, isAdminOrGlobalMod, moderatedCids] = await Promise.all([
+            categories.getCidsByPrivilege('categories:cid', uid, 'topics:read'),
+            user.isAdminOrGlobalMod(uid),
+            user.getModeratedCids(uid),
+        ]);
+        if (isAdminOrGlobalMod) {
+            return cids;
+        }
+        const isInstructor = await privileges.topics.isCourseInstructor(uid, cids);
+        return cids.filter((cid, index) => isInstructor[index] || moderatedCids.map(String).includes(String(cid)));
+    };
+};
@@ -385,4 +385,14 @@ module.exports = function (Topics) {
         const scores = await db.sortedSetScores('topics:posts', tids);
         return tids.filter((tid, index) => tid && scores[index] !== null && scores[index] <= 1);
     };
+
+    Topics.filterResolvedTids = async function (tids, resolved) {
+        const topicData = await Topics.getTopicsFields(tids, ['resolved']);
+        return tids.filter((tid, index) => tid && topicData[index] && !!topicData[index].resolved === resolved);
+    };
+
+    Topics.filterNoInstructorTids = async function (tids) {
+        const topicData = await Topics.getTopicsFields(tids, ['instructorcount']);
+        return tids.filter((tid, index) => tid && topicData[index] && topicData[index].instructorcount <= 0);
+    };
 };
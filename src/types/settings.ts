@@ -24,6 +24,7 @@ export type SettingsObject = {
   sendChatNotifications: boolean;
   sendPostNotifications: boolean;
   notificationType_upvote: string;
+  notificationType_endorse: string;
   'notificationType_new-topic': string;
   notificationType_follow: string;
   'notificationType_group-invite': string;
@@ -0,0 +1,24 @@
+'use strict';
+
+const db = require('../../database');
+const batch = require('../../batch');
+
+module.exports = {
+    name: 'Start the pseudonym counters of anonymous topics after the pseudonyms already handed out',
+    timestamp: Date.UTC(2023, 9, 24),
+    method: async function () {
+        const { progress } = this;
+
+        await batch.processSortedSet('topics:tid', async (tids) => {
+            progress.incr(tids.length);
+            const counts = await db.sortedSetsCard(tids.map(tid => `tid:${tid}:anonymous`));
+            await db.setObjectBulk(
+                tids.map((tid, index) => [`tid:${tid}:anonymous:counter`, { count: counts[index] }])
+                    .filter((item, index) => counts[index] > 0)
+            );
+        }, {
+            batch: 500,
+            progress,
+        });
+    },
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+const db = require('../../database');
+const batch = require('../../batch');
+
+module.exports = {
+    name: 'Store the anonymous flag on the posts of anonymous topics',
+    timestamp: Date.UTC(2023, 9, 2),
+    method: async function () {
+        const { progress } = this;
+
+        await batch.processSortedSet('topics:tid', async (tids) => {
+            progress.incr(tids.length);
+            const topicData = await db.getObjectsFields(tids.map(tid => `topic:${tid}`), ['anonymous']);
+            const anonTids = tids.filter(
+                (tid, index) => topicData[index] && parseInt(topicData[index].anonymous, 10) === 1
+            );
+
+            await Promise.all(anonTids.map(async (tid) => {
+                const [mainPid, pids] = await Promise.all([
+                    db.getObjectField(`topic:${tid}`, 'mainPid'),
+                    db.getSortedSetRange(`tid:${tid}:posts`, 0, -1),
+                ]);
+                const allPids = [mainPid, ...pids].filter(Boolean);
+                await db.setObjectBulk(allPids.map(pid => [`post:${pid}`, { anonymous: 1 }]));
+            }));
+        }, {
+            batch: 500,
+            progress,
+        });
+    },
+};
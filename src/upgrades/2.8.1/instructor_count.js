@@ -0,0 +1,54 @@
+'use strict';
+
+const _ = require('lodash');
+
+const db = require('../../database');
+const batch = require('../../batch');
+
+module.exports = {
+    name: 'Recompute the instructor count of topics from the role of each post and index topics without an instructor post',
+    timestamp: Date.UTC(2023, 9, 16),
+    method: async function () {
+        const { progress } = this;
+        const user = require('../../user');
+
+        await batch.processSortedSet('topics:tid', async (tids) => {
+            progress.incr(tids.length);
+            const topicData = await db.getObjectsFields(
+                tids.map(tid => `topic:${tid}`),
+                ['tid', 'cid', 'timestamp', 'mainPid']
+            );
+            await Promise.all(topicData.filter(topic => topic && topic.cid).map(async (topic) => {
+                const pids = await db.getSortedSetRange(`tid:${topic.tid}:posts`, 0, -1);
+                if (parseInt(topic.mainPid, 10)) {
+                    pids.unshift(topic.mainPid);
+                }
+                const postData = await db.getObjectsFields(pids.map(pid => `post:${pid}`), ['pid', 'uid', 'deleted', 'instructor']);
+
+                // older posts did not record the role of their author. The posts of self-declared instructors were
+                // marked by the instructors_group upgrade, for the rest the current role is the best guess left
+                const unknown = postData.filter(post => post && post.pid && post.instructor === null);
+                const uids = _.uniq(unknown.map(post => parseInt(post.uid, 10)));
+                const uidToInstructor = _.zipObject(uids, await user.instructors.isMember(uids));
+                const instructorPosts = unknown.filter(post => uidToInstructor[post.uid]);
+                instructorPosts.forEach((post) => {
+                    post.instructor = 1;
+                });
+                await db.setObjectBulk(instructorPosts.map(post => [`post:${post.pid}`, { instructor: 1 }]));
+
+                const instructorcount = postData.filter(
+                    post => post && parseInt(post.instructor, 10) === 1 && parseInt(post.deleted, 10) !== 1
+                ).length;
+                await db.setObjectField(`topic:${topic.tid}`, 'instructorcount', instructorcount);
+                if (instructorcount > 0) {
+                    await db.sortedSetRemove(`cid:${topic.cid}:tids:noinstructor`, topic.tid);
+                } else {
+                    await db.sortedSetAdd(`cid:${topic.cid}:tids:noinstructor`, topic.timestamp, topic.tid);
+                }
+            }));
+        }, {
+            batch: 500,
+            progress,
+        });
+    },
+};
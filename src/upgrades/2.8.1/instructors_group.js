@@ -0,0 +1,44 @@
+'use strict';
+
+const db = require('../../database');
+const batch = require('../../batch');
+
+module.exports = {
+    name: 'Move self-selected instructor account types into the Instructors group approval queue',
+    timestamp: Date.UTC(2023, 9, 1),
+    method: async function () {
+        const { progress } = this;
+        const user = require('../../user');
+
+        await user.instructors.createGroup();
+
+        await batch.processSortedSet('users:joindate', async (uids) => {
+            progress.incr(uids.length);
+            const userData = await db.getObjectsFields(uids.map(uid => `user:${uid}`), ['accounttype']);
+            const isMembers = await user.instructors.isMember(uids);
+            const instructorUids = uids.filter((uid, index) => userData[index] && userData[index].accounttype === 'instructor');
+            const requested = instructorUids.filter(uid => !isMembers[uids.indexOf(uid)]);
+
+            // Posts remember the role of their author (see Posts.create), the old account type is
+            // the only record of it, so it is saved on the posts before anyone is moved back to students
+            await Promise.all(instructorUids.map(markInstructorPosts));
+
+            // Unverified instructors go back to students until an administrator approves them
+            await db.setObjectBulk(requested.map(uid => [`user:${uid}`, { accounttype: 'student' }]));
+            await Promise.all(requested.map(uid => user.instructors.request(uid)));
+        }, {
+            batch: 500,
+            progress,
+        });
+    },
+};
+
+async function markInstructorPosts(uid) {
+    await batch.processSortedSet(`uid:${uid}:posts`, async (pids) => {
+        const postData = await db.getObjectsFields(pids.map(pid => `post:${pid}`), ['pid', 'instructor']);
+        const unknown = postData.filter(post => post && post.pid && post.instructor === null);
+        await db.setObjectBulk(unknown.map(post => [`post:${post.pid}`, { instructor: 1 }]));
+    }, {
+        batch: 500,
+    });
+}
@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = {
+    name: 'Create the Recruiters group that grants the recruiter role',
+    timestamp: Date.UTC(2023, 9, 20),
+    method: async function () {
+        const user = require('../../user');
+        await user.recruiters.createGroup();
+    },
+};
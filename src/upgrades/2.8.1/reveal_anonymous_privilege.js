@@ -0,0 +1,23 @@
+'use strict';
+
+const db = require('../../database');
+
+module.exports = {
+    name: 'Give the reveal anonymous authors privilege to administrators, global moderators and instructors',
+    timestamp: Date.UTC(2023, 9, 8),
+    method: async function () {
+        const { progress } = this;
+        const privileges = require('../../privileges');
+        const user = require('../../user');
+
+        const cids = await db.getSortedSetRange('categories:cid', 0, -1);
+        progress.total = cids.length;
+        for (const cid of cids) {
+            // eslint-disable-next-line no-await-in-loop
+            await privileges.categories.give(['groups:posts:reveal_anonymous'], cid, [
+                'administrators', 'Global Moderators', user.instructors.groupName,
+            ]);
+            progress.incr();
+        }
+    },
+};
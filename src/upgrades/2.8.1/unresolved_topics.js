@@ -0,0 +1,27 @@
+'use strict';
+
+const db = require('../../database');
+const batch = require('../../batch');
+
+module.exports = {
+    name: 'Add existing topics to the unresolved topics of their category',
+    timestamp: Date.UTC(2023, 9, 12),
+    method: async function () {
+        const { progress } = this;
+
+        await batch.processSortedSet('topics:tid', async (tids) => {
+            progress.incr(tids.length);
+            const topicData = await db.getObjectsFields(
+                tids.map(tid => `topic:${tid}`),
+                ['tid', 'cid', 'timestamp', 'resolved']
+            );
+            const bulkAdd = topicData
+                .filter(topic => topic && topic.cid && parseInt(topic.resolved, 10) !== 1)
+                .map(topic => [`cid:${topic.cid}:tids:unresolved`, topic.timestamp, topic.tid]);
+            await db.sortedSetAddBulk(bulkAdd);
+        }, {
+            batch: 500,
+            progress,
+        });
+    },
+};
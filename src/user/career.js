@@ -0,0 +1,85 @@
+'use strict';
+
+const _ = require('lodash');
+const nconf = require('nconf');
+
+const db = require('../database');
+const file = require('../file');
+
+/**
+ * Career profile fields are kept in the user hash next to the other profile fields.
+ * Students choose who sees each of them in `careerVisibility`: everyone (`public`),
+ * recruiters only (`recruiters`) or nobody but themselves and the forum staff (`private`).
+ * Career fields are not part of the default user data, see `User.getUserData(uid, callerUid)`.
+ * An uploaded résumé is a private file (`resumeFile`), `resume` then links to `/api/v3/users/<uid>/resume`.
+ */
+module.exports = function (User) {
+    User.careerFields = ['graduationYear', 'major', 'skills', 'portfolio', 'resume'];
+    User.careerVisibilities = ['public', 'recruiters', 'private'];
+
+    const defaultVisibility = 'recruiters';
+
+    // Fields without a valid setting fall back to recruiters only
+    User.parseCareerVisibility = function (value) {
+        let visibility = value;
+        if (typeof visibility === 'string') {
+            try {
+                visibility = JSON.parse(visibility);
+            } catch (err) {
+                visibility = {};
+            }
+        }
+        if (!visibility || typeof visibility !== 'object' || Array.isArray(visibility)) {
+            visibility = {};
+        }
+        return _.zipObject(User.careerFields, User.careerFields.map(
+            field => (User.careerVisibilities.includes(visibility[field]) ? visibility[field] : defaultVisibility)
+        ));
+    };
+
+    User.hideCareerData = async function (users, callerUid) {
+        let single = false;
+        if (!Array.isArray(users)) {
+            users = [users];
+            single = true;
+        }
+        const [isAdminOrGlobalMod, isRecruiter] = await Promise.all([
+            User.isAdminOrGlobalMod(callerUid),
+            User.isRecruiter(parseInt(callerUid, 10)),
+        ]);
+
+        users = users.map((userData) => {
+            if (!userData || isAdminOrGlobalMod || parseInt(callerUid, 10) === parseInt(userData.uid, 10)) {
+                return userData;
+            }
+            const visibility = User.parseCareerVisibility(userData.careerVisibility);
+            const _userData = { ...userData };
+            User.careerFields.forEach((field) => {
+                const visible = visibility[field] === 'public' || (visibility[field] === 'recruiters' && isRecruiter);
+                if (!visible && _userData.hasOwnProperty(field)) {
+                    _userData[field] = field === 'graduationYear' ? 0 : '';
+                }
+            });
+            return _userData;
+        });
+
+        return single ? users.pop() : users;
+    };
+
+    User.setResume = async function (uid, resume) {
+        const oldFile = await db.getObjectField(`user:${uid}`, 'resumeFile');
+        const url = `${nconf.get('relative_path')}/api/v3/users/${uid}/resume`;
+        await User.setUserFields(uid, { resume: url, resumeFile: resume.file });
+        if (oldFile && oldFile !== resume.file) {
+            await file.delete(file.getPrivatePath(oldFile));
+        }
+        return url;
+    };
+
+    // The uploaded résumé of `uid`, null when there is none or `callerUid` is not allowed to see it
+    User.getResumePath = async function (uid, callerUid) {
+        const userData = await User.getUserFields(uid, ['resume', 'resumeFile', 'careerVisibility']);
+        const { resume } = await User.hideCareerData(userData, callerUid);
+        return resume && userData.resumeFile ? file.getPrivatePath(userData.resumeFile) : null;
+    };
+};
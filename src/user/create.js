@@ -49,7 +49,7 @@ module.exports = function (User) {
         let userData = {
             username: data.username,
             userslug: data.userslug,
-            accounttype: data.accounttype || 'student',
+            accounttype: 'student',
             email: data.email || '',
             joindate: timestamp,
             lastonline: timestamp,
@@ -122,6 +122,12 @@ module.exports = function (User) {
         if (userNameChanged) {
             await User.notifications.sendNameChangeNotification(userData.uid, userData.username);
         }
+        // the instructor and recruiter roles are never self-granted, they have to be approved by an administrator
+        if (data.accounttype === 'instructor') {
+            await User.instructors.request(userData.uid);
+        } else if (data.accounttype === 'recruiter') {
+            await User.recruiters.request(userData.uid);
+        }
         plugins.hooks.fire('action:user.create', { user: userData, data });
         return userData.uid;
     }
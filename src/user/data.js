@@ -15,7 +15,7 @@ const intFields = [
     'uid', 'postcount', 'topiccount', 'reputation', 'profileviews',
     'banned', 'banned:expire', 'email:confirmed', 'joindate', 'lastonline',
     'lastqueuetime', 'lastposttime', 'followingCount', 'followerCount',
-    'blocksCount', 'passwordExpiry', 'mutedUntil',
+    'blocksCount', 'passwordExpiry', 'mutedUntil', 'graduationYear',
 ];
 
 module.exports = function (User) {
@@ -136,9 +136,15 @@ module.exports = function (User) {
         return users ? users[0] : null;
     };
 
-    User.getUserData = async function (uid) {
+    // Career profile fields are only added with a `callerUid`, those that user is not allowed to see are left empty
+    User.getUserData = async function (uid, callerUid) {
         const users = await User.getUsersData([uid]);
-        return users ? users[0] : null;
+        const userData = users ? users[0] : null;
+        if (!userData || callerUid === undefined) {
+            return userData;
+        }
+        const careerData = await User.getUserFields(uid, [...User.careerFields, 'careerVisibility']);
+        return await User.hideCareerData({ ...userData, ...careerData }, callerUid);
     };
 
     User.getUsersData = async function (uids) {
@@ -213,6 +219,15 @@ module.exports = function (User) {
                 parseGroupTitle(user);
             }
 
+            if (user.hasOwnProperty('careerVisibility')) {
+                user.careerVisibility = User.parseCareerVisibility(user.careerVisibility);
+            }
+            ['major', 'skills', 'portfolio', 'resume'].forEach((field) => {
+                if (user.hasOwnProperty(field)) {
+                    user[field] = user[field] ? String(user[field]) : '';
+                }
+            });
+
             if (user.picture && user.picture === user.uploadedpicture) {
                 user.uploadedpicture = user.picture.startsWith('http') ? user.picture : relative_path + user.picture;
                 user.picture = user.uploadedpicture;
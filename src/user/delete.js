@@ -8,6 +8,7 @@ const util = require('util');
 const rimrafAsync = util.promisify(require('rimraf'));
 
 const db = require('../database');
+const file = require('../file');
 const posts = require('../posts');
 const flags = require('../flags');
 const topics = require('../topics');
@@ -147,6 +148,7 @@ module.exports = function (User) {
             deleteUserIps(uid),
             deleteUserFromFollowers(uid),
             deleteImages(uid),
+            userData.resumeFile ? file.delete(file.getPrivatePath(userData.resumeFile)) : null,
             groups.leaveAllGroups(uid),
             flags.resolveFlag('user', uid, uid),
             User.reset.cleanByUid(uid),
@@ -0,0 +1,341 @@
+'use strict';
+
+const _ = require('lodash');
+const nconf = require('nconf');
+const winston = require('winston');
+const json2csvAsync = require('json2csv').parseAsync;
+
+const db = require('../database');
+const meta = require('../meta');
+const groups = require('../groups');
+const emailer = require('../emailer');
+const plugins = require('../plugins');
+const privileges = require('../privileges');
+const translator = require('../translator');
+const slugify = require('../slugify');
+const utils = require('../utils');
+
+const accounttypes = ['student', 'instructor'];
+const reportFields = ['row', 'username', 'email', 'accounttype', 'groups', 'status', 'uid', 'reason'];
+const reportExpiry = 604800000; // one week
+
+/**
+ * Roster imports provision course accounts in bulk from a CSV file with a header row.
+ * Recognised columns are `username`, `email`, `accounttype`, `groups` (separated by `;`) and `fullname`,
+ * a row needs a username or an email. Every import keeps a report of its rows for a week.
+ * Administrators can import anywhere, instructors only into a course they are an instructor of (`cid`),
+ * the accounts of a course import join its roster group.
+ */
+module.exports = function (User) {
+    User.importRoster = async function (csv, options) {
+        const { uid, cid, dryRun, sendInvitations } = options;
+        const importer = await getImporter(uid, cid);
+        const rows = parseRoster(csv);
+        if (importer.course) {
+            rows.forEach((row) => {
+                row.groups = _.uniq([...row.groups, importer.course.rosterGroup]);
+            });
+        }
+        const seen = new Set();
+        const report = [];
+        for (const row of rows) {
+            // eslint-disable-next-line no-await-in-loop
+            report.push(await importRow(row, { importer, dryRun, sendInvitations, seen }));
+        }
+
+        const importId = await saveReport(uid, dryRun, report);
+        plugins.hooks.fire('action:user.importRoster', { uid, importId, dryRun, rows: report });
+        return {
+            importId,
+            dryRun: !!dryRun,
+            ...countStatuses(report),
+            rows: report,
+        };
+    };
+
+    User.getRosterImport = async function (importId) {
+        const rosterImport = await db.getObject(`roster:import:${importId}`);
+        if (!rosterImport) {
+            return null;
+        }
+        db.parseIntFields(rosterImport, ['importId', 'uid', 'dryRun', 'timestamp'], []);
+        rosterImport.rows = JSON.parse(rosterImport.rows);
+        return rosterImport;
+    };
+
+    User.getRosterReportCSV = async function (importId) {
+        const rosterImport = await User.getRosterImport(importId);
+        if (!rosterImport) {
+            throw new Error('[[error:no-roster-import]]');
+        }
+        const rows = await Promise.all(rosterImport.rows.map(async row => ({
+            ...row,
+            reason: row.reason ? await translator.translate(row.reason, meta.config.defaultLang) : '',
+        })));
+        return await json2csvAsync(rows, { fields: reportFields });
+    };
+
+    // The courses `uid` can import a roster into
+    User.getRosterCourses = async function (uid) {
+        const categories = require('../categories');
+        const [isAdmin, cids] = await Promise.all([
+            privileges.admin.can('admin:users', uid),
+            categories.getCourseCids(),
+        ]);
+        const courses = (await Promise.all(cids.map(cid => categories.getCourse(cid)))).filter(Boolean);
+        if (isAdmin) {
+            return courses;
+        }
+        const isInstructor = await groups.isMemberOfGroups(uid, courses.map(course => course.instructorsGroup));
+        return courses.filter((course, index) => isInstructor[index]);
+    };
+
+    // Imported accounts have no password yet, the invitation sends them to the password reset form.
+    // It is only sent once the account confirmed its email address, see User.registerRosterHooks
+    User.sendRosterInvitation = async function (uid, inviterUid) {
+        const inviter = await User.getUserField(inviterUid, 'username');
+        const title = meta.config.title || meta.config.browserTitle || 'NodeBB';
+        await emailer.send('roster_invitation', uid, {
+            subject: `[[email:roster-invitation.subject, ${title}]]`,
+            template: 'roster_invitation',
+            site_title: title,
+            inviter,
+            reset_link: `${nconf.get('url')}/reset`,
+        });
+    };
+
+    User.registerRosterHooks = () => {
+        plugins.hooks.register('core', {
+            hook: 'action:user.email.confirmed',
+            method: async ({ uid }) => {
+                const inviterUid = await db.getObjectField('roster:invitations', uid);
+                if (!inviterUid) {
+                    return;
+                }
+                await db.deleteObjectField('roster:invitations', uid);
+                try {
+                    await User.sendRosterInvitation(uid, inviterUid);
+                } catch (err) {
+                    winston.error(`[user/importRoster] Invitation email failed to send\n[emailer.send] ${err.stack}`);
+                }
+            },
+        });
+    };
+
+    async function importRow(row, options) {
+        const result = {
+            row: row.line,
+            username: row.username,
+            email: row.email,
+            accounttype: row.accounttype,
+            groups: row.groups.join(';'),
+            status: 'failed',
+            uid: 0,
+            reason: '',
+        };
+        try {
+            const keys = [row.username, row.email].filter(Boolean).map(key => key.toLowerCase());
+            if (keys.some(key => options.seen.has(key))) {
+                return { ...result, status: 'skipped', reason: '[[roster:reason.duplicate-row]]' };
+            }
+            keys.forEach(key => options.seen.add(key));
+
+            await validateRow(row, options.importer);
+            const uid = await findAccount(row);
+            Object.assign(result, uid ? await updateAccount(uid, row, options) : await createAccount(row, options));
+        } catch (err) {
+            result.reason = err.message;
+        }
+        return result;
+    }
+
+    async function validateRow(row, importer) {
+        if (!row.username && !row.email) {
+            throw new Error('[[error:invalid-data]]');
+        }
+        if (row.email && !utils.isEmailValid(row.email)) {
+            throw new Error('[[error:invalid-email]]');
+        }
+        if (!accounttypes.includes(row.accounttype)) {
+            throw new Error('[[error:invalid-accounttype]]');
+        }
+        const exists = await groups.exists(row.groups);
+        if (exists.includes(false)) {
+            throw new Error('[[error:no-group]]');
+        }
+        const canManage = await Promise.all(row.groups.map(groupName => canManageGroup(importer, groupName)));
+        if (canManage.includes(false)) {
+            throw new Error('[[error:no-privileges]]');
+        }
+    }
+
+    async function findAccount(row) {
+        const uid = row.email ? await User.getUidByEmail(row.email) : null;
+        return parseInt(uid || (row.username ? await User.getUidByUsername(row.username) : 0), 10);
+    }
+
+    async function createAccount(row, options) {
+        const data = {
+            username: row.username || row.email.split('@')[0],
+            email: row.email || undefined,
+            fullname: row.fullname,
+        };
+        if (options.dryRun) {
+            await User.isDataValid({ ...data, userslug: slugify(data.username) });
+            return { status: 'created', uid: 0, reason: '' };
+        }
+
+        const uid = await User.create(data);
+        await groups.join(row.groups, uid);
+        if (row.accounttype === 'instructor') {
+            await setAccountType(uid, row.accounttype, options.importer);
+        }
+        let reason = '';
+        if (options.sendInvitations && row.email) {
+            await db.setObjectField('roster:invitations', uid, options.importer.uid);
+            reason = '[[roster:reason.invitation-pending]]';
+        }
+        return { status: 'created', uid, reason };
+    }
+
+    async function updateAccount(uid, row, options) {
+        const [isMembers, isInstructor] = await Promise.all([
+            groups.isMemberOfGroups(uid, row.groups),
+            User.isInstructor(uid),
+        ]);
+        const groupsToJoin = row.groups.filter((groupName, index) => !isMembers[index]);
+        const changeRole = (row.accounttype === 'instructor') !== isInstructor &&
+            (options.importer.isAdmin || row.accounttype === 'instructor');
+        if (!groupsToJoin.length && !changeRole) {
+            return { status: 'skipped', uid, reason: '[[roster:reason.up-to-date]]' };
+        }
+        if (!options.dryRun) {
+            await groups.join(groupsToJoin, uid);
+            if (changeRole) {
+                await setAccountType(uid, row.accounttype, options.importer);
+            }
+        }
+        return { status: 'updated', uid, reason: '' };
+    }
+
+    // Only administrators grant and revoke the instructor role, the rows imported by instructors request it
+    async function setAccountType(uid, accounttype, importer) {
+        if (!importer.isAdmin) {
+            return await User.instructors.request(uid);
+        }
+        await User.instructors.createGroup();
+        await groups[accounttype === 'instructor' ? 'join' : 'leave'](User.instructors.groupName, uid);
+    }
+
+    async function getImporter(uid, cid) {
+        const categories = require('../categories');
+        const [isAdmin, course] = await Promise.all([
+            privileges.admin.can('admin:users', uid),
+            cid ? categories.getCourse(cid) : null,
+        ]);
+        if (cid && !course) {
+            throw new Error('[[error:no-course]]');
+        }
+        if (!isAdmin && !(course && await groups.isMember(uid, course.instructorsGroup))) {
+            throw new Error('[[error:no-privileges]]');
+        }
+        return { uid, isAdmin, course };
+    }
+
+    // Roles go through the accounttype column, system groups can not be imported into
+    async function canManageGroup(importer, groupName) {
+        if (groups.systemGroups.includes(groupName) || groups.ephemeralGroups.includes(groupName) ||
+            groups.isPrivilegeGroup(groupName) || groupName === User.instructors.groupName) {
+            return false;
+        }
+        return importer.isAdmin || groupName === importer.course.rosterGroup;
+    }
+
+    async function saveReport(uid, dryRun, rows) {
+        const importId = await db.incrObjectField('global', 'nextRosterImportId');
+        const now = Date.now();
+        await db.setObject(`roster:import:${importId}`, {
+            importId,
+            uid,
+            dryRun: dryRun ? 1 : 0,
+            timestamp: now,
+            rows: JSON.stringify(rows),
+        });
+        await db.pexpireAt(`roster:import:${importId}`, now + reportExpiry);
+        return importId;
+    }
+
+    function countStatuses(rows) {
+        const counts = _.countBy(rows, 'status');
+        return {
+            created: counts.created || 0,
+            updated: counts.updated || 0,
+            skipped: counts.skipped || 0,
+            failed: counts.failed || 0,
+        };
+    }
+
+    function parseRoster(csv) {
+        if (typeof csv !== 'string') {
+            throw new Error('[[error:invalid-data]]');
+        }
+        const [header = [], ...records] = parseCSV(csv.replace(/^\uFEFF/, ''));
+        const columns = header.map(name => name.trim().toLowerCase().replace('account-type', 'accounttype'));
+        if (!columns.includes('username') && !columns.includes('email')) {
+            throw new Error('[[error:roster-missing-columns]]');
+        }
+        return records.map((record, index) => {
+            const values = _.zipObject(columns, record.map(value => value.trim()));
+            return {
+                line: index + 2,
+                blank: !record.some(value => value.trim()),
+                username: values.username || '',
+                email: values.email || '',
+                accounttype: (values.accounttype || 'student').toLowerCase(),
+                groups: (values.groups || '').split(';').map(groupName => groupName.trim()).filter(Boolean),
+                fullname: values.fullname || '',
+            };
+        }).filter(row => !row.blank);
+    }
+
+    // RFC 4180: quoted fields can hold commas, line breaks and doubled quotes
+    function parseCSV(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i += 1) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 1;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i += 1;
+                }
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+        return records;
+    }
+};
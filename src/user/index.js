@@ -17,6 +17,8 @@ User.notifications = require('./notifications');
 User.reset = require('./reset');
 User.digest = require('./digest');
 User.interstitials = require('./interstitials');
+User.instructors = require('./instructors');
+User.recruiters = require('./recruiters');
 
 require('./data')(User);
 require('./auth')(User);
@@ -27,6 +29,7 @@ require('./topics')(User);
 require('./categories')(User);
 require('./follow')(User);
 require('./profile')(User);
+require('./career')(User);
 require('./admin')(User);
 require('./delete')(User);
 require('./settings')(User);
@@ -40,6 +43,7 @@ require('./info')(User);
 require('./online')(User);
 require('./blocks')(User);
 require('./uploads')(User);
+require('./import')(User);
 
 /**
  * Checks if a user or users exist based on their user IDs.
@@ -413,20 +417,22 @@ User.getUsernameByEmail = async function (email) {
 /**
  * Checks account type by their uid
  * @param {number} uid
- * @returns {Promise<object>}
+ * @returns {Promise<string>}
  */
 User.getAccountTypeByUid = async function (uid) {
-    if (typeof uid !== 'number') {
-        throw new Error('[[error:invalid-username]]');
+    uid = parseInt(uid, 10);
+    if (!(uid > 0)) {
+        throw new Error('[[error:invalid-uid]]');
     }
 
-    const accounttype = User.getUserField(uid, 'accounttype');
-
-    if (typeof accounttype !== 'object') {
-        throw new TypeError('Expected accounttype to be a object');
+    const [isInstructor, isRecruiter] = await Promise.all([
+        User.isInstructor(uid),
+        User.isRecruiter(uid),
+    ]);
+    if (isInstructor) {
+        return 'instructor';
     }
-
-    return accounttype;
+    return isRecruiter ? 'recruiter' : 'student';
 };
 
 /**
@@ -512,7 +518,7 @@ User.isGlobalModerator = async function (uid) {
 };
 
 /**
- * Checks if user is an instructor
+ * Checks if user is an instructor, i.e. a member of the Instructors group
  * @param {number} uid
  * @returns {Promise<boolean>}
  */
@@ -521,8 +527,26 @@ User.isInstructor = async function (uid) {
         return false;
     }
 
-    const accounttype = await User.getAccountTypeByUid(uid);
-    const check = accounttype === 'instructor';
+    const check = await User.instructors.isMember(uid);
+
+    if (typeof check !== 'boolean') {
+        throw new TypeError('Expected check to be a boolean');
+    }
+
+    return check;
+};
+
+/**
+ * Checks if user is a recruiter, i.e. a member of the Recruiters group
+ * @param {number} uid
+ * @returns {Promise<boolean>}
+ */
+User.isRecruiter = async function (uid) {
+    if (typeof uid !== 'number') {
+        return false;
+    }
+
+    const check = await User.recruiters.isMember(uid);
 
     if (typeof check !== 'boolean') {
         throw new TypeError('Expected check to be a boolean');
@@ -0,0 +1,11 @@
+'use strict';
+
+const roles = require('./roles');
+
+// Membership in this group is the only source of the instructor role
+module.exports = roles.create({
+    role: 'instructor',
+    groupName: 'Instructors',
+    userTitle: 'Instructor',
+    description: 'Verified course instructors',
+});
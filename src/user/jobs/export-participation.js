@@ -0,0 +1,44 @@
+'use strict';
+
+const nconf = require('nconf');
+
+nconf.argv().env({
+    separator: '__',
+});
+
+const fs = require('fs');
+const path = require('path');
+const json2csvAsync = require('json2csv').parseAsync;
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+
+// Alternate configuration file support
+const configFile = path.resolve(__dirname, '../../../', nconf.any(['config', 'CONFIG']) || 'config.json');
+const prestart = require('../../prestart');
+
+prestart.loadConfig(configFile);
+prestart.setupWinston();
+
+const db = require('../../database');
+
+process.on('message', async (msg) => {
+    if (msg && msg.uid && msg.cid) {
+        await db.init();
+
+        const filePath = path.join(__dirname, '../../../build/export', `${msg.cid}_participation.csv`);
+
+        const categories = require('../../categories');
+        const { rows } = await categories.getParticipationReport(msg.cid, {
+            start: msg.start,
+            end: msg.end,
+            showAnonymous: msg.showAnonymous,
+        });
+
+        const fields = categories.participationFields.filter(field => msg.showAnonymous || field !== 'anonymous');
+        const csv = await json2csvAsync(rows, { fields });
+        await fs.promises.writeFile(filePath, csv);
+
+        await db.close();
+        process.exit(0);
+    }
+});
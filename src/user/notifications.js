@@ -169,6 +169,9 @@ UserNotifications.deleteAll = async function (uid) {
 };
 
 UserNotifications.sendTopicNotificationToFollowers = async function (uid, topicData, postData) {
+    if (topicData.anonymous || topicData.private) {
+        return;
+    }
     try {
         let followers = await db.getSortedSetRange(`followers:${uid}`, 0, -1);
         followers = await privileges.categories.filterUids('read', topicData.cid, followers);
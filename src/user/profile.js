@@ -16,6 +16,7 @@ module.exports = function (User) {
         let fields = [
             'username', 'email', 'fullname', 'website', 'location',
             'groupTitle', 'birthday', 'signature', 'aboutme',
+            ...User.careerFields, 'careerVisibility',
         ];
         if (Array.isArray(extraFields)) {
             fields = _.uniq(fields.concat(extraFields));
@@ -81,6 +82,7 @@ module.exports = function (User) {
         isLocationValid(data);
         isBirthdayValid(data);
         isGroupTitleValid(data);
+        isCareerProfileValid(data);
     }
 
     async function isEmailValid(data) {
@@ -219,6 +221,40 @@ module.exports = function (User) {
         }
     }
 
+    function isCareerProfileValid(data) {
+        if (data.graduationYear !== undefined && data.graduationYear !== null && data.graduationYear !== '') {
+            const year = parseInt(data.graduationYear, 10);
+            if (!utils.isNumber(data.graduationYear) || year < 1900 || year > 2100) {
+                throw new Error('[[error:invalid-graduation-year]]');
+            }
+            data.graduationYear = String(year);
+        }
+        if (typeof data.major === 'string' && (validator.isURL(data.major) || data.major.length > 255)) {
+            throw new Error('[[error:invalid-major]]');
+        }
+        if (typeof data.skills === 'string') {
+            const skills = _.uniq(data.skills.split(',').map(skill => skill.trim()).filter(Boolean));
+            if (skills.length > 20 || skills.some(skill => skill.length > 50)) {
+                throw new Error('[[error:invalid-skills]]');
+            }
+            data.skills = skills.join(', ');
+        }
+        if (typeof data.portfolio === 'string') {
+            const links = data.portfolio.split(/[\s,]+/).filter(Boolean);
+            if (links.length > 5 || links.some(link => !validator.isURL(link) || link.length > 255)) {
+                throw new Error('[[error:invalid-portfolio]]');
+            }
+            data.portfolio = links.join('\n');
+        }
+        if (typeof data.resume === 'string' && data.resume &&
+            ((!data.resume.startsWith('/') && !validator.isURL(data.resume)) || data.resume.length > 255)) {
+            throw new Error('[[error:invalid-resume]]');
+        }
+        if (data.careerVisibility !== undefined && data.careerVisibility !== null) {
+            data.careerVisibility = JSON.stringify(User.parseCareerVisibility(data.careerVisibility));
+        }
+    }
+
     User.checkMinReputation = async function (callerUid, uid, setting) {
         const isSelf = parseInt(callerUid, 10) === parseInt(uid, 10);
         if (!isSelf || meta.config['reputation:disabled']) {
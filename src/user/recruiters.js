@@ -0,0 +1,11 @@
+'use strict';
+
+const roles = require('./roles');
+
+// Membership in this group is the only source of the recruiter role, it lets users post jobs on the career page
+module.exports = roles.create({
+    role: 'recruiter',
+    groupName: 'Recruiters',
+    userTitle: 'Recruiter',
+    description: 'Verified recruiters who post job openings',
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const user = require('./index');
+const groups = require('../groups');
+const plugins = require('../plugins');
+const events = require('../events');
+
+/**
+ * A role is held by the members of a private group. Users request it by asking to join the group,
+ * and administrators accept them from its pending list. Joining or leaving the group logs
+ * `<role>-grant` or `<role>-revoke` and recomputes the accounttype of the user.
+ * @param {object} options - `role`, `groupName`, `userTitle` and `description` of the group
+ * @returns {object}
+ */
+exports.create = function ({ role, groupName, userTitle, description }) {
+    const Role = { groupName };
+
+    Role.createGroup = async function () {
+        const exists = await groups.exists(groupName);
+        if (exists) {
+            return;
+        }
+        await groups.create({
+            name: groupName,
+            userTitle,
+            description,
+            hidden: 0,
+            private: 1,
+            disableJoinRequests: 0,
+        });
+    };
+
+    Role.isMember = async function (uids) {
+        if (Array.isArray(uids)) {
+            return await groups.isMembers(uids, groupName);
+        }
+        return await groups.isMember(uids, groupName);
+    };
+
+    // Queues a request for the role, to be accepted by an administrator from the pending list of the group
+    Role.request = async function (uid) {
+        await Role.createGroup();
+        const [isMember, isPending] = await Promise.all([
+            Role.isMember(uid),
+            groups.isPending(uid, groupName),
+        ]);
+        if (isMember || isPending) {
+            return;
+        }
+        await groups.requestMembership(groupName, uid);
+        await events.log({
+            type: `${role}-request`,
+            uid,
+            targetUid: uid,
+        });
+    };
+
+    Role.registerHooks = () => {
+        plugins.hooks.register('core', {
+            hook: 'action:group.join',
+            method: async ({ groupNames, uid }) => {
+                if (groupNames.includes(groupName)) {
+                    await onRoleChange(uid, `${role}-grant`);
+                }
+            },
+        });
+
+        plugins.hooks.register('core', {
+            hook: 'action:group.leave',
+            method: async ({ groupNames, uid }) => {
+                if (groupNames.includes(groupName)) {
+                    await onRoleChange(uid, `${role}-revoke`);
+                }
+            },
+        });
+    };
+
+    return Role;
+};
+
+async function onRoleChange(uid, type) {
+    // accounttype mirrors the roles for display purposes only,
+    // an instructor who is also a recruiter shows as an instructor
+    await user.setUserField(uid, 'accounttype', await user.getAccountTypeByUid(parseInt(uid, 10)));
+    await events.log({
+        type,
+        uid,
+        targetUid: uid,
+    });
+}
@@ -0,0 +1,100 @@
+<div class="row webhooks">
+    <div class="col-lg-9">
+        <div class="panel panel-default">
+            <div class="panel-heading"><i class="fa fa-plug"></i> [[admin/advanced/webhooks:webhooks]]</div>
+            <div class="panel-body">
+                {{{ if !webhooks.length }}}
+                <div class="alert alert-info">[[admin/advanced/webhooks:no-webhooks]]</div>
+                {{{ end }}}
+                <table class="table table-striped">
+                    <tbody>
+                        {{{ each webhooks }}}
+                        <tr data-id="{./id}" data-enabled="{./enabled}">
+                            <td>
+                                <strong>{./url}</strong>
+                                {{{ if !./enabled }}}<span class="label label-default">[[admin/advanced/webhooks:disabled]]</span>{{{ end }}}
+                                <div>
+                                    {{{ each ./hooks }}}<span class="label label-info">{@value}</span> {{{ end }}}
+                                </div>
+                                <small class="text-muted">[[admin/advanced/webhooks:secret]] <code>{./secret}</code></small>
+                            </td>
+                            <td class="text-right">
+                                <div class="btn-group">
+                                    <button class="btn btn-default btn-sm" data-action="test">[[admin/advanced/webhooks:send-test]]</button>
+                                    <button class="btn btn-default btn-sm" data-action="toggle">{{{ if ./enabled }}}[[admin/advanced/webhooks:disable]]{{{ else }}}[[admin/advanced/webhooks:enable]]{{{ end }}}</button>
+                                    <button class="btn btn-danger btn-sm" data-action="delete"><i class="fa fa-trash-o"></i></button>
+                                </div>
+                            </td>
+                        </tr>
+                        {{{ end }}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+
+        <div class="panel panel-default">
+            <div class="panel-heading"><i class="fa fa-list"></i> [[admin/advanced/webhooks:deliveries]]</div>
+            <div class="panel-body">
+                <form class="form-inline" id="filters">
+                    <select name="webhookId" class="form-control">
+                        <option value="">[[admin/advanced/webhooks:all-webhooks]]</option>
+                        {{{ each webhooks }}}
+                        <option value="{./id}" {{{ if ./selected }}}selected{{{ end }}}>{./url}</option>
+                        {{{ end }}}
+                    </select>
+                </form>
+                {{{ if !deliveries.length }}}
+                <div class="alert alert-info">[[admin/advanced/webhooks:no-deliveries]]</div>
+                {{{ end }}}
+                <div class="deliveries-list">
+                    {{{ each deliveries }}}
+                    <div data-delivery-id="{./deliveryId}">
+                        <span class="label label-default">#{./deliveryId}</span>
+                        <span class="label label-info">{./event}</span>
+                        {{{ if ./success }}}
+                        <span class="label label-success">[[admin/advanced/webhooks:status-success, {./statusCode}]]</span>
+                        {{{ else }}}{{{ if ./failed }}}
+                        <span class="label label-danger">[[admin/advanced/webhooks:status-failed]]</span>
+                        {{{ else }}}
+                        <span class="label label-warning">[[admin/advanced/webhooks:status-pending]]</span>
+                        {{{ end }}}{{{ end }}}
+                        <span class="label label-default">[[admin/advanced/webhooks:attempts, {./attempts}]]</span>
+                        {{{ if ./error }}}<span class="text-danger">{./error}</span>{{{ end }}}
+                        {{{ if ./nextAttemptISO }}}<small class="text-muted">[[admin/advanced/webhooks:next-attempt]] {./nextAttemptISO}</small>{{{ end }}}
+                        <span class="pull-right">{./timestampISO}</span>
+                        <pre class="well">{./payload}</pre>
+                    </div>
+                    {{{ end }}}
+                    <!-- IMPORT partials/paginator.tpl -->
+                </div>
+            </div>
+        </div>
+    </div>
+    <div class="col-lg-3 acp-sidebar">
+        <div class="panel panel-default">
+            <div class="panel-heading">[[admin/advanced/webhooks:add]]</div>
+            <div class="panel-body">
+                <form role="form" id="create-webhook">
+                    <div class="form-group">
+                        <label for="webhook-url">[[admin/advanced/webhooks:url]]</label>
+                        <input type="url" id="webhook-url" name="url" class="form-control" placeholder="https://" />
+                    </div>
+                    <div class="form-group">
+                        <label>[[admin/advanced/webhooks:hooks]]</label>
+                        {{{ each hooks }}}
+                        <div class="checkbox">
+                            <label><input type="checkbox" name="hooks" value="{@value}" /> <code>{@value}</code></label>
+                        </div>
+                        {{{ end }}}
+                    </div>
+                    <div class="form-group">
+                        <label for="webhook-secret">[[admin/advanced/webhooks:secret]]</label>
+                        <input type="text" id="webhook-secret" name="secret" class="form-control" />
+                        <p class="help-block">[[admin/advanced/webhooks:secret-help]]</p>
+                    </div>
+                    <button type="submit" class="btn btn-primary btn-block">[[admin/advanced/webhooks:create]]</button>
+                </form>
+            </div>
+        </div>
+    </div>
+</div>
@@ -0,0 +1,60 @@
+<a class="btn btn-primary" href="{config.relative_path}/admin/manage/categories">
+    <i class="fa fa-fw fa-chevron-left"></i> [[admin/manage/categories:analytics.back]]
+</a>
+
+<h3>[[admin/manage/categories:participation.title, {name}]]</h3>
+<p class="help-block">[[admin/manage/categories:participation.help]]</p>
+<hr />
+
+<form class="form-inline" id="participation-range">
+    <div class="form-group">
+        <label for="participation-start">[[admin/manage/categories:participation.start]]</label>
+        <input class="form-control" type="date" id="participation-start">
+    </div>
+    <div class="form-group">
+        <label for="participation-end">[[admin/manage/categories:participation.end]]</label>
+        <input class="form-control" type="date" id="participation-end">
+    </div>
+    <button type="submit" class="btn btn-default">[[admin/manage/categories:participation.update]]</button>
+    <button type="button" class="btn btn-primary" data-action="export">[[admin/manage/categories:participation.export]]</button>
+    <a class="btn btn-link" href="{config.relative_path}/api/v3/categories/{cid}/participation/export">[[admin/manage/categories:participation.download]]</a>
+</form>
+<hr />
+
+{{{ if !showAnonymous }}}
+<p class="help-block">[[admin/manage/categories:participation.anonymous-total, {anonymousCount}]]</p>
+{{{ end }}}
+
+<table class="table table-striped participation-report">
+    <thead>
+        <tr>
+            <th>[[admin/manage/categories:participation.student]]</th>
+            <th class="text-right">[[admin/manage/categories:participation.topics]]</th>
+            <th class="text-right">[[admin/manage/categories:participation.replies]]</th>
+            <th class="text-right">[[admin/manage/categories:participation.endorsed]]</th>
+            {{{ if showAnonymous }}}
+            <th class="text-right">[[admin/manage/categories:participation.anonymous]]</th>
+            {{{ end }}}
+            <th class="text-right">[[admin/manage/categories:participation.office-hours]]</th>
+        </tr>
+    </thead>
+    <tbody>
+        {{{ each rows }}}
+        <tr>
+            <td><a href="{config.relative_path}/user/{./userslug}">{./username}</a></td>
+            <td class="text-right">{./topics}</td>
+            <td class="text-right">{./replies}</td>
+            <td class="text-right">{./endorsed}</td>
+            {{{ if showAnonymous }}}
+            <td class="text-right">{./anonymous}</td>
+            {{{ end }}}
+            <td class="text-right">{./officeHours}</td>
+        </tr>
+        {{{ end }}}
+        {{{ if !rows.length }}}
+        <tr>
+            <td colspan="6" class="text-muted">[[admin/manage/categories:participation.no-students]]</td>
+        </tr>
+        {{{ end }}}
+    </tbody>
+</table>
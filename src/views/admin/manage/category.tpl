@@ -116,6 +116,18 @@
                         </div>
                     </div>
                 </fieldset>
+                <fieldset class="row">
+                    <div class="col-lg-12">
+                        <div class="form-group">
+                            <label for="cid-{category.cid}-anonymousPosting">[[admin/manage/categories:anonymous-posting]]</label>
+                            <select id="cid-{category.cid}-anonymousPosting" class="form-control" data-name="anonymousPosting" data-value="{category.anonymousPosting}">
+                                <option value="allow">[[admin/manage/categories:anonymous-posting.allow]]</option>
+                                <option value="forbid">[[admin/manage/categories:anonymous-posting.forbid]]</option>
+                                <option value="force">[[admin/manage/categories:anonymous-posting.force]]</option>
+                            </select>
+                        </div>
+                    </div>
+                </fieldset>
                 <fieldset class="row">
                     <div class="col-lg-6">
                         <div class="form-group">
@@ -0,0 +1,117 @@
+<div class="row post-rules">
+    <div class="col-lg-9">
+        <div class="panel panel-default">
+            <div class="panel-heading"><i class="fa fa-filter"></i> [[admin/manage/post-rules:rules]]</div>
+            <div class="panel-body">
+                <p class="help-block">[[admin/manage/post-rules:rules-help]]</p>
+                {{{ if !rules.length }}}
+                <div class="alert alert-info">[[admin/manage/post-rules:no-rules]]</div>
+                {{{ end }}}
+                <table class="table table-striped">
+                    <tbody>
+                        {{{ each rules }}}
+                        <tr data-id="{./id}" data-enabled="{./enabled}">
+                            <td>
+                                <strong>{./name}</strong>
+                                {{{ if !./enabled }}}<span class="label label-default">[[admin/manage/post-rules:disabled]]</span>{{{ end }}}
+                                <div>
+                                    <span class="label label-info">[[admin/manage/post-rules:type-{./type}]]</span>
+                                    <span class="label label-warning">[[admin/manage/post-rules:action-{./action}]]</span>
+                                    {{{ if ./value }}}<code>{./value}</code>{{{ end }}}
+                                </div>
+                                <small class="text-muted">[[admin/manage/post-rules:hit-count, {./hits}, {./falsePositives}]]</small>
+                            </td>
+                            <td class="text-right">
+                                <div class="btn-group">
+                                    <button class="btn btn-default btn-sm" data-action="toggle">{{{ if ./enabled }}}[[admin/manage/post-rules:disable]]{{{ else }}}[[admin/manage/post-rules:enable]]{{{ end }}}</button>
+                                    <button class="btn btn-danger btn-sm" data-action="delete"><i class="fa fa-trash-o"></i></button>
+                                </div>
+                            </td>
+                        </tr>
+                        {{{ end }}}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+
+        <div class="panel panel-default">
+            <div class="panel-heading"><i class="fa fa-list"></i> [[admin/manage/post-rules:hits]]</div>
+            <div class="panel-body">
+                <form class="form-inline" id="filters">
+                    <select name="ruleId" class="form-control">
+                        <option value="">[[admin/manage/post-rules:all-rules]]</option>
+                        {{{ each rules }}}
+                        <option value="{./id}" {{{ if ./selected }}}selected{{{ end }}}>{./name}</option>
+                        {{{ end }}}
+                    </select>
+                </form>
+                {{{ if !hits.length }}}
+                <div class="alert alert-info">[[admin/manage/post-rules:no-hits]]</div>
+                {{{ end }}}
+                <div class="hits-list">
+                    {{{ each hits }}}
+                    <div data-hit-id="{./hitId}" data-false-positive="{./falsePositive}">
+                        <span class="label label-default">#{./hitId}</span>
+                        <span class="label label-info">{./ruleName}</span>
+                        <span class="label label-warning">[[admin/manage/post-rules:action-{./action}]]</span>
+                        {{{ if ./falsePositive }}}<span class="label label-success">[[admin/manage/post-rules:false-positive]]</span>{{{ end }}}
+                        {{{ if ./userslug }}}
+                        <a href="{config.relative_path}/user/{./userslug}" target="_blank">{./username}</a>
+                        {{{ else }}}
+                        <span class="text-muted">[[admin/manage/post-rules:anonymous]]</span>
+                        {{{ end }}}
+                        {{{ if ./pid }}}<a href="{config.relative_path}/post/{./pid}" target="_blank">[[admin/manage/post-rules:view-post]]</a>{{{ end }}}
+                        <span class="pull-right">
+                            {./timestampISO}
+                            <button class="btn btn-default btn-xs" data-action="false-positive">{{{ if ./falsePositive }}}[[admin/manage/post-rules:unmark-false-positive]]{{{ else }}}[[admin/manage/post-rules:mark-false-positive]]{{{ end }}}</button>
+                        </span>
+                        {{{ if ./title }}}<div><strong>{./title}</strong></div>{{{ end }}}
+                        <pre class="well">{./content}</pre>
+                    </div>
+                    {{{ end }}}
+                    <!-- IMPORT partials/paginator.tpl -->
+                </div>
+            </div>
+        </div>
+    </div>
+    <div class="col-lg-3 acp-sidebar">
+        <div class="panel panel-default">
+            <div class="panel-heading">[[admin/manage/post-rules:add]]</div>
+            <div class="panel-body">
+                <form role="form" id="create-rule">
+                    <div class="form-group">
+                        <label for="rule-name">[[admin/manage/post-rules:name]]</label>
+                        <input type="text" id="rule-name" name="name" class="form-control" />
+                    </div>
+                    <div class="form-group">
+                        <label for="rule-type">[[admin/manage/post-rules:type]]</label>
+                        <select id="rule-type" name="type" class="form-control">
+                            {{{ each types }}}
+                            <option value="{@value}">[[admin/manage/post-rules:type-{@value}]]</option>
+                            {{{ end }}}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="rule-value">[[admin/manage/post-rules:value]]</label>
+                        <textarea id="rule-value" name="value" class="form-control" rows="3"></textarea>
+                        <p class="help-block">[[admin/manage/post-rules:value-help]]</p>
+                    </div>
+                    <div class="form-group">
+                        <label for="rule-interval">[[admin/manage/post-rules:interval]]</label>
+                        <input type="number" min="1" id="rule-interval" name="interval" class="form-control" placeholder="60" />
+                        <p class="help-block">[[admin/manage/post-rules:interval-help]]</p>
+                    </div>
+                    <div class="form-group">
+                        <label for="rule-action">[[admin/manage/post-rules:action]]</label>
+                        <select id="rule-action" name="action" class="form-control">
+                            {{{ each actions }}}
+                            <option value="{@value}">[[admin/manage/post-rules:action-{@value}]]</option>
+                            {{{ end }}}
+                        </select>
+                    </div>
+                    <button type="submit" class="btn btn-primary btn-block">[[admin/manage/post-rules:create]]</button>
+                </form>
+            </div>
+        </div>
+    </div>
+</div>
@@ -1,6 +1,7 @@
 <form>
     <input type="hidden" name="token" />
     <input type="hidden" name="timestamp" />
+    <input type="hidden" name="expiry" />
     <div class="form-group">
         <label for="uid">[[admin/settings/api:uid]]</label>
         <input type="text" inputmode="numeric" pattern="\d+" name="uid" class="form-control" placeholder="1" />
@@ -12,4 +13,18 @@
         <label for="description">[[admin/settings/api:description]]</label>
         <input type="text" name="description" class="form-control" placeholder="Description" />
     </div>
-</form>
\ No newline at end of file
+    <div class="form-group">
+        <label for="scopes">[[admin/settings/api:scopes]]</label>
+        <input type="text" name="scopes" class="form-control" placeholder="topics:read,posts:write" />
+        <p class="help-text">
+            [[admin/settings/api:scopes-help-text]]
+        </p>
+    </div>
+    <div class="form-group">
+        <label for="expiryDate">[[admin/settings/api:expiry]]</label>
+        <input type="date" name="expiryDate" class="form-control" />
+        <p class="help-text">
+            [[admin/settings/api:expiry-help-text]]
+        </p>
+    </div>
+</form>
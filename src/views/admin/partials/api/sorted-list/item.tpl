@@ -2,6 +2,7 @@
     <div class="row">
         <div class="col-xs-9">
             <span class="label label-primary">{{{ if uid }}}uid {uid}{{{ else }}}master{{{ end }}}</span>
+            {{{ if expired }}}<span class="label label-danger">[[admin/settings/api:expired]]</span>{{{ end }}}
             {{{ if token }}}<input type="text" readonly="readonly" value="{token}" size="32" />{{{ else }}}<em class="text-warning">[[admin/settings/api:token-on-save]]</em>{{{ end }}}<br />
             <p>
                 {{{ if description }}}
@@ -10,7 +11,17 @@
                 <em>[[admin/settings/api:no-description]]</em>
                 {{{ end }}}
                 <br />
-                <small>{timestampISO}</small>
+                {{{ if scopes }}}
+                <strong>[[admin/settings/api:scopes]]</strong>: <code>{scopes}</code>
+                {{{ else }}}
+                <em class="text-warning">[[admin/settings/api:no-scopes]]</em>
+                {{{ end }}}
+                <br />
+                <small>
+                    {timestampISO}
+                    {{{ if expiryISO }}}&middot; [[admin/settings/api:expires, {expiryISO}]]{{{ end }}}
+                    &middot; {{{ if lastSeenISO }}}[[admin/settings/api:last-seen, {lastSeenISO}]]{{{ else }}}[[admin/settings/api:never-used]]{{{ end }}}
+                </small>
             </p>
         </div>
         <div class="col-xs-3 text-right">
@@ -18,4 +29,4 @@
             <button type="button" data-type="remove" class="btn btn-danger">Delete</button>
         </div>
     </div>
-</li>
\ No newline at end of file
+</li>
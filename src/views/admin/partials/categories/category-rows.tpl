@@ -28,6 +28,7 @@
                         <ul class="dropdown-menu dropdown-menu-right">
                             <li><a href="./categories/{categories.cid}">[[admin/manage/categories:edit]]</a></li>
                             <li><a href="./categories/{categories.cid}/analytics">[[admin/manage/categories:analytics]]</a></li>
+                            <li><a href="./categories/{categories.cid}/participation">[[admin/manage/categories:participation]]</a></li>
                             <li><a href="{config.relative_path}/admin/manage/privileges/{categories.cid}">[[admin/manage/categories:privileges]]</a></li>
 
                             <li><a href="{{{if categories.link}}}{categories.link}{{{else}}}{config.relative_path}/category/{categories.cid}{{{end}}}" target="_blank">[[admin/manage/categories:view-category]]</a></li>
@@ -25,6 +25,7 @@
             <li><a href="{relative_path}/admin/manage/registration">[[admin/menu:manage/registration]]</a></li>
             <li><a href="{relative_path}/admin/manage/uploads">[[admin/menu:manage/uploads]]</a></li>
             <li><a href="{relative_path}/admin/manage/digest">[[admin/menu:manage/digest]]</a></li>
+            <li><a href="{relative_path}/admin/manage/post-rules">[[admin/menu:manage/post-rules]]</a></li>
 
             <li><a target="_top" href="{relative_path}/post-queue">[[admin/menu:manage/post-queue]] <i class="fa fa-external-link"></i></a></li>
             <li><a target="_top" href="{relative_path}/ip-blacklist">[[admin/menu:manage/ip-blacklist]] <i class="fa fa-external-link"></i></a></li>
@@ -111,6 +112,7 @@
             <li><a href="{relative_path}/admin/advanced/database">[[admin/menu:advanced/database]]</a></li>
             <li><a href="{relative_path}/admin/advanced/events">[[admin/menu:advanced/events]]</a></li>
             <li><a href="{relative_path}/admin/advanced/hooks">[[admin/menu:advanced/hooks]]</a></li>
+            <li><a href="{relative_path}/admin/advanced/webhooks">[[admin/menu:advanced/webhooks]]</a></li>
             <li><a href="{relative_path}/admin/advanced/cache">[[admin/menu:advanced/cache]]</a></li>
             <li><a href="{relative_path}/admin/advanced/errors">[[admin/menu:advanced/errors]]</a></li>
             <li><a href="{relative_path}/admin/advanced/logs">[[admin/menu:advanced/logs]]</a></li>
@@ -203,6 +205,7 @@
                     <li><a href="{relative_path}/admin/manage/registration">[[admin/menu:manage/registration]]</a></li>
                     <li><a href="{relative_path}/admin/manage/uploads">[[admin/menu:manage/uploads]]</a></li>
                     <li><a href="{relative_path}/admin/manage/digest">[[admin/menu:manage/digest]]</a></li>
+                    <li><a href="{relative_path}/admin/manage/post-rules">[[admin/menu:manage/post-rules]]</a></li>
                     <li role="separator" class="divider"></li>
                     <li><a target="_top" href="{relative_path}/post-queue">[[admin/menu:manage/post-queue]] <i class="fa fa-external-link"></i></a></li>
                     <li><a target="_top" href="{relative_path}/ip-blacklist">[[admin/menu:manage/ip-blacklist]] <i class="fa fa-external-link"></i></a></li>
@@ -290,6 +293,7 @@
                     <li><a href="{relative_path}/admin/advanced/database">[[admin/menu:advanced/database]]</a></li>
                     <li><a href="{relative_path}/admin/advanced/events">[[admin/menu:advanced/events]]</a></li>
                     <li><a href="{relative_path}/admin/advanced/hooks">[[admin/menu:advanced/hooks]]</a></li>
+                    <li><a href="{relative_path}/admin/advanced/webhooks">[[admin/menu:advanced/webhooks]]</a></li>
                     <li><a href="{relative_path}/admin/advanced/cache">[[admin/menu:advanced/cache]]</a></li>
                     <li><a href="{relative_path}/admin/advanced/errors">[[admin/menu:advanced/errors]]</a></li>
                     <li><a href="{relative_path}/admin/advanced/logs">[[admin/menu:advanced/logs]]</a></li>
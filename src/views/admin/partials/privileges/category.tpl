@@ -4,9 +4,9 @@
                             <tr class="privilege-table-header">
                                 <th class="privilege-filters btn-toolbar" colspan="100">
                                     <!-- IF privileges.columnCountGroupOther -->
-                                    <button type="button" data-filter="19,99" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-other]]</button>
+                                    <button type="button" data-filter="20,99" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-other]]</button>
                                     <!-- END -->
-                                    <button type="button" data-filter="16,18" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-moderation]]</button>
+                                    <button type="button" data-filter="16,19" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-moderation]]</button>
                                     <button type="button" data-filter="6,15" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-posting]]</button>
                                     <button type="button" data-filter="3,5" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-viewing]]</button>
                                 </th>
@@ -87,9 +87,9 @@
                             <tr class="privilege-table-header">
                                 <th class="privilege-filters btn-toolbar" colspan="100">
                                     <!-- IF privileges.columnCountUserOther -->
-                                    <button type="button" data-filter="19,99" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-other]]</button>
+                                    <button type="button" data-filter="20,99" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-other]]</button>
                                     <!-- END -->
-                                    <button type="button" data-filter="16,18" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-moderation]]</button>
+                                    <button type="button" data-filter="16,19" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-moderation]]</button>
                                     <button type="button" data-filter="6,15" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-posting]]</button>
                                     <button type="button" data-filter="3,5" class="btn btn-default pull-right">[[admin/manage/categories:privileges.section-viewing]]</button>
                                 </th>
@@ -0,0 +1,18 @@
+<h5>[[topic:receipts.unread, {unreadCount}]]</h5>
+<ul class="list-unstyled">
+    {{{ each unread }}}
+    <li><a href="{config.relative_path}/user/{./userslug}">{./username}</a></li>
+    {{{ end }}}
+    {{{ if !unreadCount }}}
+    <li class="text-muted">[[topic:receipts.none]]</li>
+    {{{ end }}}
+</ul>
+<h5>[[topic:receipts.read, {readCount}]]</h5>
+<ul class="list-unstyled">
+    {{{ each read }}}
+    <li><a href="{config.relative_path}/user/{./userslug}">{./username}</a> <span class="timeago text-muted" title="{./readAtISO}"></span></li>
+    {{{ end }}}
+    {{{ if !readCount }}}
+    <li class="text-muted">[[topic:receipts.none]]</li>
+    {{{ end }}}
+</ul>
@@ -0,0 +1,352 @@
+'use strict';
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const winston = require('winston');
+const request = require('request-promise-native');
+const { CronJob } = require('cron');
+
+const db = require('./database');
+const plugins = require('./plugins');
+const utils = require('./utils');
+
+/**
+ * Webhooks POST a signed JSON payload to a URL every time one of the action hooks they subscribe to fires.
+ * Webhooks are in `webhook:<id>` (`webhooks:id` lists them), every POST is a delivery in
+ * `webhook:delivery:<deliveryId>`, logged in `webhooks:deliveries` and `webhook:<id>:deliveries`.
+ * Failed deliveries are retried with an exponential backoff by the retry job,
+ * `webhooks:retry` is scored by the time of their next attempt.
+ * The body is signed with the secret of the webhook, see `X-NodeBB-Signature`.
+ */
+const Webhooks = module.exports;
+
+const intFields = ['id', 'enabled', 'timestamp'];
+const deliveryIntFields = ['deliveryId', 'webhookId', 'attempts', 'statusCode', 'timestamp', 'lastAttempt', 'nextAttempt'];
+
+Webhooks.maxAttempts = 5;
+Webhooks.retryDelay = 60000;
+Webhooks.requestTimeout = 10000;
+Webhooks.logDuration = 30 * 86400000;
+
+/**
+ * Consumers of a webhook see what students see: posts of anonymous authors go out without their uid,
+ * and nothing is sent for private topics or for posts that a post rule is about to shadow-hide
+ * (the save hooks fire before the rule is applied) or has shadow-hidden, which deleted them.
+ * A payload of `null` skips the delivery.
+ */
+Webhooks.payloads = {
+    'action:topic.save': async ({ topic, data }) => {
+        if (topic.private || topic.deleted || isShadowHidden(data)) {
+            return null;
+        }
+        return {
+            tid: topic.tid,
+            cid: topic.cid,
+            uid: topic.anonymous ? 0 : topic.uid,
+            title: topic.title,
+            slug: topic.slug,
+            timestamp: topic.timestamp,
+            anonymous: topic.anonymous ? 1 : 0,
+        };
+    },
+    'action:post.save': async ({ post, data }) => {
+        const topics = require('./topics');
+        if (post.deleted || isShadowHidden(data) || parseInt(await topics.getTopicField(post.tid, 'private'), 10) === 1) {
+            return null;
+        }
+        return {
+            pid: post.pid,
+            tid: post.tid,
+            cid: post.cid,
+            uid: post.anonymous ? 0 : post.uid,
+            content: post.content,
+            timestamp: post.timestamp,
+            isMain: !!post.isMain,
+            anonymous: post.anonymous ? 1 : 0,
+        };
+    },
+    'action:post.upvote': async ({ pid, uid, owner }) => {
+        const posts = require('./posts');
+        const topics = require('./topics');
+        const post = await posts.getPostFields(pid, ['tid', 'deleted', 'anonymous']);
+        const topic = await topics.getTopicFields(post.tid, ['deleted', 'private']);
+        if (post.deleted || topic.deleted || topic.private) {
+            return null;
+        }
+        return { pid, uid, owner: post.anonymous ? 0 : owner };
+    },
+    'action:user.create': async ({ user }) => _.pick(user, ['uid', 'username', 'userslug', 'joindate']),
+    'action:flags.create': async ({ flag }) => _.pick(flag, ['flagId', 'type', 'targetId', 'state', 'datetime']),
+};
+
+Webhooks.hooks = Object.keys(Webhooks.payloads);
+
+Webhooks.startJobs = function () {
+    winston.verbose('[webhooks] Starting jobs.');
+    new CronJob('* * * * *', Webhooks.retryDeliveries, null, true);
+    new CronJob('0 0 * * *', Webhooks.pruneDeliveries, null, true);
+};
+
+Webhooks.registerHooks = () => {
+    Webhooks.hooks.forEach((hook) => {
+        plugins.hooks.register('core', {
+            hook,
+            method: async (data) => {
+                try {
+                    await Webhooks.trigger(hook, data);
+                } catch (err) {
+                    winston.error(`[webhooks] Could not queue ${hook}\n${err.stack}`);
+                }
+            },
+        });
+    });
+};
+
+Webhooks.exists = async function (id) {
+    return await db.isSortedSetMember('webhooks:id', id);
+};
+
+Webhooks.create = async function (data) {
+    const webhook = validate(data);
+    const id = await db.incrObjectField('global', 'nextWebhookId');
+    const webhookData = {
+        id,
+        ...webhook,
+        secret: data.secret ? String(data.secret) : crypto.randomBytes(32).toString('hex'),
+        timestamp: Date.now(),
+    };
+    await db.setObject(`webhook:${id}`, webhookData);
+    await db.sortedSetAdd('webhooks:id', webhookData.timestamp, id);
+    plugins.hooks.fire('action:webhook.create', { webhook: webhookData });
+    return await Webhooks.get(id);
+};
+
+Webhooks.update = async function (id, data) {
+    const webhookData = await Webhooks.get(id);
+    const webhook = validate({ ...webhookData, ...data });
+    if (data.secret) {
+        webhook.secret = String(data.secret);
+    }
+    await db.setObject(`webhook:${id}`, webhook);
+    plugins.hooks.fire('action:webhook.update', { id: webhookData.id, data: webhook });
+    return await Webhooks.get(id);
+};
+
+Webhooks.delete = async function (id) {
+    const webhookData = await Webhooks.get(id);
+    const deliveryIds = await db.getSortedSetRange(`webhook:${id}:deliveries`, 0, -1);
+    await Promise.all([
+        db.deleteAll([`webhook:${id}`, `webhook:${id}:deliveries`, ...deliveryIds.map(deliveryId => `webhook:delivery:${deliveryId}`)]),
+        db.sortedSetRemove('webhooks:id', id),
+        db.sortedSetRemove('webhooks:deliveries', deliveryIds),
+        db.sortedSetRemove('webhooks:retry', deliveryIds),
+    ]);
+    plugins.hooks.fire('action:webhook.delete', { webhook: webhookData });
+};
+
+Webhooks.get = async function (id) {
+    const [webhook] = await Webhooks.getWebhooks([id]);
+    if (!webhook) {
+        throw new Error('[[error:no-webhook]]');
+    }
+    return webhook;
+};
+
+Webhooks.getWebhooks = async function (ids) {
+    const webhooks = await db.getObjects(ids.map(id => `webhook:${id}`));
+    return webhooks.map((webhook) => {
+        if (!webhook) {
+            return null;
+        }
+        db.parseIntFields(webhook, intFields, []);
+        webhook.hooks = String(webhook.hooks || '').split(',').filter(Boolean);
+        webhook.timestampISO = utils.toISOString(webhook.timestamp);
+        return webhook;
+    });
+};
+
+Webhooks.list = async function () {
+    const ids = await db.getSortedSetRange('webhooks:id', 0, -1);
+    return (await Webhooks.getWebhooks(ids)).filter(Boolean);
+};
+
+// Called for every subscribed hook, the deliveries are sent in the background so the hook is not slowed down
+Webhooks.trigger = async function (hook, data) {
+    const webhooks = (await Webhooks.list()).filter(webhook => webhook.enabled && webhook.hooks.includes(hook));
+    if (!webhooks.length) {
+        return [];
+    }
+    const payload = await Webhooks.payloads[hook](data);
+    if (!payload) {
+        return [];
+    }
+    const deliveries = await Promise.all(webhooks.map(webhook => createDelivery(webhook.id, hook, payload)));
+    deliveries.forEach((delivery) => {
+        Webhooks.deliver(delivery.deliveryId).catch((err) => {
+            winston.error(`[webhooks] Delivery ${delivery.deliveryId} failed\n${err.stack}`);
+        });
+    });
+    return deliveries;
+};
+
+// The "send test event" button, the delivery is awaited so the result can be shown right away
+Webhooks.sendTest = async function (id, uid) {
+    const webhook = await Webhooks.get(id);
+    const delivery = await createDelivery(webhook.id, 'test', { uid, message: 'This is a test event' });
+    await Webhooks.deliver(delivery.deliveryId);
+    return (await Webhooks.getDeliveries([delivery.deliveryId]))[0];
+};
+
+Webhooks.sign = function (secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+};
+
+Webhooks.deliver = async function (deliveryId) {
+    const delivery = await db.getObject(`webhook:delivery:${deliveryId}`);
+    if (!delivery) {
+        return;
+    }
+    const webhook = await db.getObjectFields(`webhook:${delivery.webhookId}`, ['url', 'secret']);
+    const attempts = (parseInt(delivery.attempts, 10) || 0) + 1;
+    const now = Date.now();
+    const body = JSON.stringify({
+        id: parseInt(deliveryId, 10),
+        event: delivery.event,
+        timestamp: parseInt(delivery.timestamp, 10),
+        data: JSON.parse(delivery.payload),
+    });
+
+    let result;
+    try {
+        if (!webhook.url) {
+            throw new Error('[[error:no-webhook]]');
+        }
+        const response = await request(webhook.url, {
+            method: 'POST',
+            body,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'NodeBB Webhooks',
+                'X-NodeBB-Event': delivery.event,
+                'X-NodeBB-Delivery': String(deliveryId),
+                'X-NodeBB-Signature': Webhooks.sign(webhook.secret, body),
+            },
+            timeout: Webhooks.requestTimeout,
+            resolveWithFullResponse: true,
+        });
+        result = { status: 'success', statusCode: response.statusCode, error: '' };
+    } catch (err) {
+        const retry = webhook.url && attempts < Webhooks.maxAttempts;
+        result = {
+            status: retry ? 'pending' : 'failed',
+            statusCode: err.statusCode || 0,
+            error: String(err.statusCode ? `HTTP ${err.statusCode}` : err.message).slice(0, 255),
+        };
+        winston.verbose(`[webhooks] Delivery ${deliveryId} to ${webhook.url} failed: ${result.error}`);
+    }
+
+    const nextAttempt = result.status === 'pending' ? now + Webhooks.getRetryDelay(attempts) : 0;
+    await db.setObject(`webhook:delivery:${deliveryId}`, { ...result, attempts, lastAttempt: now, nextAttempt });
+    if (nextAttempt) {
+        await db.sortedSetAdd('webhooks:retry', nextAttempt, deliveryId);
+    } else {
+        await db.sortedSetRemove('webhooks:retry', deliveryId);
+    }
+    plugins.hooks.fire('action:webhook.deliver', { deliveryId: parseInt(deliveryId, 10), ...result, attempts });
+};
+
+// 1, 4, 16 and 64 minutes after the first, second, third and fourth failure
+Webhooks.getRetryDelay = function (attempts) {
+    return Webhooks.retryDelay * (4 ** (attempts - 1));
+};
+
+Webhooks.retryDeliveries = async function () {
+    const deliveryIds = await db.getSortedSetRangeByScore('webhooks:retry', 0, 50, '-inf', Date.now());
+    if (!deliveryIds.length) {
+        return;
+    }
+    await db.sortedSetRemove('webhooks:retry', deliveryIds);
+    for (const deliveryId of deliveryIds) {
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            await Webhooks.deliver(deliveryId);
+        } catch (err) {
+            winston.error(`[webhooks] Retrying delivery ${deliveryId} failed\n${err.stack}`);
+        }
+    }
+};
+
+// The delivery log keeps the last 30 days
+Webhooks.pruneDeliveries = async function () {
+    const deliveryIds = await db.getSortedSetRangeByScore('webhooks:deliveries', 0, -1, '-inf', Date.now() - Webhooks.logDuration);
+    if (!deliveryIds.length) {
+        return;
+    }
+    const deliveries = await db.getObjectsFields(deliveryIds.map(deliveryId => `webhook:delivery:${deliveryId}`), ['webhookId']);
+    await Promise.all([
+        db.deleteAll(deliveryIds.map(deliveryId => `webhook:delivery:${deliveryId}`)),
+        db.sortedSetRemove(['webhooks:deliveries', 'webhooks:retry'], deliveryIds),
+        db.sortedSetRemoveBulk(deliveries.map((delivery, index) => [`webhook:${delivery.webhookId}:deliveries`, deliveryIds[index]])),
+    ]);
+};
+
+Webhooks.getDeliveryLog = async function ({ webhookId, start, stop }) {
+    const set = webhookId ? `webhook:${webhookId}:deliveries` : 'webhooks:deliveries';
+    const [deliveryIds, count] = await Promise.all([
+        db.getSortedSetRevRange(set, start, stop),
+        db.sortedSetCard(set),
+    ]);
+    return { deliveries: await Webhooks.getDeliveries(deliveryIds), count };
+};
+
+Webhooks.getDeliveries = async function (deliveryIds) {
+    const deliveries = await db.getObjects(deliveryIds.map(deliveryId => `webhook:delivery:${deliveryId}`));
+    return deliveries.filter(Boolean).map((delivery) => {
+        db.parseIntFields(delivery, deliveryIntFields, []);
+        return {
+            ...delivery,
+            timestampISO: utils.toISOString(delivery.timestamp),
+            lastAttemptISO: delivery.lastAttempt ? utils.toISOString(delivery.lastAttempt) : '',
+            nextAttemptISO: delivery.nextAttempt ? utils.toISOString(delivery.nextAttempt) : '',
+        };
+    });
+};
+
+function isShadowHidden(data) {
+    const posts = require('./posts');
+    return !!data && posts.rules.isShadowHidden(data.postRules);
+}
+
+async function createDelivery(webhookId, event, payload) {
+    const deliveryId = await db.incrObjectField('global', 'nextWebhookDeliveryId');
+    const delivery = {
+        deliveryId,
+        webhookId,
+        event,
+        payload: JSON.stringify(payload),
+        status: 'pending',
+        attempts: 0,
+        timestamp: Date.now(),
+    };
+    await db.setObject(`webhook:delivery:${deliveryId}`, delivery);
+    await db.sortedSetsAdd(['webhooks:deliveries', `webhook:${webhookId}:deliveries`], delivery.timestamp, deliveryId);
+    return delivery;
+}
+
+function validate(data) {
+    const url = String(data.url || '').trim();
+    if (!/^https?:\/\/[^\s]+$/i.test(url)) {
+        throw new Error('[[error:invalid-webhook-url]]');
+    }
+    let hooks = Array.isArray(data.hooks) ? data.hooks : String(data.hooks || '').split(',');
+    hooks = _.uniq(hooks.map(hook => String(hook).trim()).filter(Boolean));
+    if (!hooks.length || hooks.some(hook => !Webhooks.hooks.includes(hook))) {
+        throw new Error('[[error:invalid-webhook-hooks]]');
+    }
+    return {
+        url,
+        hooks: hooks.join(','),
+        enabled: data.enabled === undefined || data.enabled === true || parseInt(data.enabled, 10) === 1 ||
+            data.enabled === 'true' ? 1 : 0,
+    };
+}
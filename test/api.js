@@ -22,7 +22,10 @@ const topics = require('../src/topics');
 const posts = require('../src/posts');
 const plugins = require('../src/plugins');
 const flags = require('../src/flags');
+const careers = require('../src/careers');
 const messaging = require('../src/messaging');
+const webhooks = require('../src/webhooks');
+const tokens = require('../src/tokens');
 const utils = require('../src/utils');
 
 describe('API', async () => {
@@ -48,11 +51,165 @@ describe('API', async () => {
                     }, nconf.get('secret')))(),
                 },
             ],
+            '/categories/{cid}/course': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/topics/{tid}/receipts': [
+                {
+                    in: 'path',
+                    name: 'tid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/categories/{cid}/officehours': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/categories/{cid}/officehours/history': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/users/imports/{importId}': [
+                {
+                    in: 'path',
+                    name: 'importId',
+                    example: '', // to be defined below...
+                },
+            ],
+        },
+        post: {
+            '/posts/{pid}/reveal': [
+                {
+                    in: 'path',
+                    name: 'pid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/categories/{cid}/course/clone': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/categories/{cid}/officehours/queue': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/admin/webhooks/{webhookId}/test': [
+                {
+                    in: 'path',
+                    name: 'webhookId',
+                    example: '', // to be defined below...
+                },
+            ],
+        },
+        put: {
+            '/categories/{cid}/course/archive': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/topics/{tid}/public': [
+                {
+                    in: 'path',
+                    name: 'tid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/categories/{cid}/officehours': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/categories/{cid}/officehours/queue/{entryId}': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+                {
+                    in: 'path',
+                    name: 'entryId',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/admin/webhooks/{webhookId}': [
+                {
+                    in: 'path',
+                    name: 'webhookId',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/admin/post-rules/{ruleId}': [
+                {
+                    in: 'path',
+                    name: 'ruleId',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/admin/post-rules/hits/{hitId}': [
+                {
+                    in: 'path',
+                    name: 'hitId',
+                    example: '', // to be defined below...
+                },
+            ],
         },
-        post: {},
-        put: {},
         delete: {
-            '/users/{uid}/tokens/{token}': [
+            '/categories/{cid}/course/archive': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/categories/{cid}/officehours': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/categories/{cid}/officehours/queue': [
+                {
+                    in: 'path',
+                    name: 'cid',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/admin/webhooks/{webhookId}': [
+                {
+                    in: 'path',
+                    name: 'webhookId',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/admin/post-rules/{ruleId}': [
+                {
+                    in: 'path',
+                    name: 'ruleId',
+                    example: '', // to be defined below...
+                },
+            ],
+            '/users/{uid}/tokens/{tokenId}': [
                 {
                     in: 'path',
                     name: 'uid',
@@ -60,8 +217,8 @@ describe('API', async () => {
                 },
                 {
                     in: 'path',
-                    name: 'token',
-                    example: utils.generateUUID(),
+                    name: 'tokenId',
+                    example: '', // to be defined below...
                 },
             ],
             '/users/{uid}/sessions/{uuid}': [
@@ -127,9 +284,11 @@ describe('API', async () => {
             name: 'Test Group',
         });
 
+        const deletedToken = utils.generateUUID();
+        mocks.delete['/users/{uid}/tokens/{tokenId}'][1].example = tokens.getId(deletedToken);
         await meta.settings.set('core.api', {
             tokens: [{
-                token: mocks.delete['/users/{uid}/tokens/{token}'][1].example,
+                token: deletedToken,
                 uid: 1,
                 description: 'for testing of token deletion route',
                 timestamp: Date.now(),
@@ -143,7 +302,7 @@ describe('API', async () => {
         const testCategory = await categories.create({ name: 'test' });
 
         // Post a new topic
-        await topics.post({
+        const adminTopic = await topics.post({
             uid: adminUid,
             cid: testCategory.cid,
             title: 'Test Topic',
@@ -172,11 +331,100 @@ describe('API', async () => {
         mocks.delete['/posts/{pid}/diffs/{timestamp}'][0].example = unprivTopic.postData.pid;
         mocks.delete['/posts/{pid}/diffs/{timestamp}'][1].example = (await posts.diffs.list(unprivTopic.postData.pid))[0];
 
+        // Create an anonymous reply to test revealing its author
+        const anonymousReply = await topics.reply({
+            uid: adminUid,
+            tid: adminTopic.topicData.tid,
+            content: 'Test anonymous reply content',
+        });
+        await posts.setPostField(anonymousReply.pid, 'anonymous', 1);
+        mocks.post['/posts/{pid}/reveal'][0].example = anonymousReply.pid;
+
+        // Create a private topic to test making it public
+        const privateTopic = await topics.post({
+            uid: adminUid,
+            cid: testCategory.cid,
+            title: 'Test Private Topic',
+            content: 'Test private topic content',
+            private: true,
+        });
+        mocks.put['/topics/{tid}/public'][0].example = privateTopic.topicData.tid;
+
+        // Create a course to test the course routes
+        const course = await categories.createCourse({ name: 'Test Course', term: 'Fall 2023', uid: adminUid });
+        mocks.get['/categories/{cid}/course'][0].example = course.cid;
+        mocks.put['/categories/{cid}/course/archive'][0].example = course.cid;
+        mocks.delete['/categories/{cid}/course/archive'][0].example = course.cid;
+        mocks.post['/categories/{cid}/course/clone'][0].example = course.cid;
+
+        // Post an announcement to the course to test its read receipts
+        const announcement = await topics.post({
+            uid: adminUid,
+            cid: course.cid,
+            title: 'Test Announcement',
+            content: 'Test announcement content',
+            announcement: true,
+        });
+        mocks.get['/topics/{tid}/receipts'][0].example = announcement.topicData.tid;
+
+        // Open office hours in another course with a student waiting, the admin calls them and joins the queue
+        const officeHoursCourse = await categories.createCourse({ name: 'Office Hours Course', term: 'Fall 2023', uid: adminUid });
+        await groups.join(officeHoursCourse.rosterGroup, unprivUid);
+        await categories.openOfficeHours(officeHoursCourse.cid, adminUid, 'GHC 4th floor');
+        const officeHoursEntry = await categories.joinOfficeHours(officeHoursCourse.cid, unprivUid, { question: 'Test question' });
+        mocks.get['/categories/{cid}/officehours'][0].example = officeHoursCourse.cid;
+        mocks.get['/categories/{cid}/officehours/history'][0].example = officeHoursCourse.cid;
+        mocks.post['/categories/{cid}/officehours/queue'][0].example = officeHoursCourse.cid;
+        mocks.put['/categories/{cid}/officehours'][0].example = officeHoursCourse.cid;
+        mocks.put['/categories/{cid}/officehours/queue/{entryId}'][0].example = officeHoursCourse.cid;
+        mocks.put['/categories/{cid}/officehours/queue/{entryId}'][1].example = officeHoursEntry.id;
+        mocks.delete['/categories/{cid}/officehours'][0].example = officeHoursCourse.cid;
+        mocks.delete['/categories/{cid}/officehours/queue'][0].example = officeHoursCourse.cid;
+
+        // Create a webhook pointing nowhere, its test event is logged as a failed attempt
+        const webhook = await webhooks.create({ url: 'http://127.0.0.1:9/webhook', hooks: ['action:user.create'] });
+        mocks.post['/admin/webhooks/{webhookId}/test'][0].example = webhook.id;
+        mocks.put['/admin/webhooks/{webhookId}'][0].example = webhook.id;
+        mocks.delete['/admin/webhooks/{webhookId}'][0].example = webhook.id;
+
+        // Create a post rule, and a disabled one with a hit to test marking false positives
+        const postRule = await posts.rules.create({ name: 'Test rule', type: 'first-post', action: 'queue', enabled: false });
+        mocks.put['/admin/post-rules/{ruleId}'][0].example = postRule.id;
+        mocks.delete['/admin/post-rules/{ruleId}'][0].example = postRule.id;
+        const hitRule = await posts.rules.create({ name: 'Test keywords', type: 'keywords', value: 'apirulekeyword', action: 'flag' });
+        const { hitIds } = await posts.rules.check(unprivUid, { cid: testCategory.cid, title: 'Rule test', content: 'apirulekeyword' });
+        await posts.rules.update(hitRule.id, { enabled: false });
+        mocks.put['/admin/post-rules/hits/{hitId}'][0].example = hitIds[0];
+
+        // Run a dry-run roster import to test downloading its report
+        const rosterImport = await user.importRoster('username\nroster-test-user', { uid: adminUid, dryRun: true });
+        mocks.get['/users/imports/{importId}'][0].example = rosterImport.importId;
+
+        // Queue a bulk job to test polling its progress
+        const bulkJob = await topics.createBulkJob(adminUid, 'unpin', [adminTopic.topicData.tid]);
+        mocks.get['/topics/bulk/{jobId}'][0].example = bulkJob.jobId;
+
         // Create a sample flag
         const { flagId } = await flags.create('post', 1, unprivUid, 'sample reasons', Date.now()); // deleted in DELETE /api/v3/flags/1
         await flags.appendNote(flagId, 1, 'test note', 1626446956652);
         await flags.create('post', 2, unprivUid, 'sample reasons', Date.now()); // for testing flag notes (since flag 1 deleted)
 
+        // Create a sample job posting
+        await careers.create({
+            uid: adminUid,
+            title: 'Sample job posting',
+            company: 'Sample company',
+            deadline: Date.now() + 86400000,
+            description: 'Sample job description',
+        }); // deleted in DELETE /api/v3/careers/1
+        await careers.create({
+            uid: unprivUid,
+            title: 'Sample job posting 2',
+            company: 'Sample company',
+            deadline: Date.now() + 86400000,
+            description: 'Sample job description',
+        }); // for testing applications (admin applies in POST /api/v3/careers/2/applications)
+
         // Create a new chat room
         await messaging.newRoom(1, [2]);
 
@@ -192,6 +440,7 @@ describe('API', async () => {
 
         const socketUser = require('../src/socket.io/user');
         const socketAdmin = require('../src/socket.io/admin');
+        const apiCategories = require('../src/api/categories');
         // export data for admin user
         await socketUser.exportProfile({ uid: adminUid }, { uid: adminUid });
         await wait(2000);
@@ -199,6 +448,8 @@ describe('API', async () => {
         await wait(2000);
         await socketUser.exportUploads({ uid: adminUid }, { uid: adminUid });
         await wait(2000);
+        await apiCategories.exportParticipation({ uid: adminUid }, { cid: 1 });
+        await wait(2000);
         await socketAdmin.user.exportUsersCSV({ uid: adminUid }, {});
         // wait for export child process to complete
         await wait(5000);
@@ -11,6 +11,7 @@ const user = require('../src/user');
 const utils = require('../src/utils');
 const meta = require('../src/meta');
 const privileges = require('../src/privileges');
+const tokens = require('../src/tokens');
 const helpers = require('./helpers');
 
 describe('authentication', () => {
@@ -635,5 +636,131 @@ describe('authentication', () => {
             assert.strictEqual(res.statusCode, 200);
             assert.strictEqual(body.username, 'apiUserTarget');
         });
+
+        describe('scopes and expiry', () => {
+            let readToken;
+            let writeToken;
+            before(async () => {
+                readToken = await tokens.generate({ uid: newUid, description: 'read only', scopes: ['users:read'] });
+                writeToken = await tokens.generate({ uid: newUid, scopes: 'users:read,users:write', expiry: Date.now() + 60000 });
+            });
+
+            it('should validate the scopes and the expiry', async () => {
+                assert.throws(() => tokens.parseScopes('topics:read,topics:delete'), { message: '[[error:invalid-token-scopes]]' });
+                await assert.rejects(
+                    tokens.generate({ uid: newUid, scopes: ['topics:read'], expiry: Date.now() - 1000 }),
+                    { message: '[[error:invalid-token-expiry]]' }
+                );
+                assert.deepStrictEqual(writeToken.scopeList, ['users:read', 'users:write']);
+                assert.strictEqual(writeToken.expired, false);
+            });
+
+            it('should map write api routes to scopes', () => {
+                assert.strictEqual(tokens.getScope('GET', '/api/v3/topics/1'), 'topics:read');
+                assert.strictEqual(tokens.getScope('put', '/api/v3/topics/1/pin'), 'topics:write');
+                assert.strictEqual(tokens.getScope('POST', '/api/v3/admin/webhooks/1/test'), 'admin:webhooks');
+            });
+
+            it('should allow the routes covered by the scopes and record when the token was used', async () => {
+                const { res, body } = await helpers.request('get', `/api/v3/users/${newUid}`, {
+                    json: true,
+                    headers: {
+                        Authorization: `Bearer ${readToken.token}`,
+                    },
+                });
+
+                assert.strictEqual(res.statusCode, 200);
+                assert.strictEqual(body.response.uid, newUid);
+                assert((await tokens.get(readToken.token)).lastSeen > 0);
+                assert.strictEqual(readToken.lastSeen, 0);
+            });
+
+            it('should list tokens without their secret', async () => {
+                const { res, body } = await helpers.request('get', `/api/v3/users/${newUid}/tokens`, {
+                    json: true,
+                    headers: {
+                        Authorization: `Bearer ${userToken.token}`,
+                    },
+                });
+
+                assert.strictEqual(res.statusCode, 200);
+                const tokenObj = body.response.tokens.find(t => t.tokenId === readToken.tokenId);
+                assert(tokenObj);
+                assert(body.response.tokens.every(t => !t.hasOwnProperty('token')));
+                assert.strictEqual(tokenObj.masked, `••••${readToken.token.slice(-4)}`);
+            });
+
+            it('should not let scoped tokens list tokens', async () => {
+                const { res, body } = await helpers.request('get', `/api/v3/users/${newUid}/tokens`, {
+                    json: true,
+                    headers: {
+                        Authorization: `Bearer ${readToken.token}`,
+                    },
+                });
+
+                assert.strictEqual(res.statusCode, 403);
+                assert.strictEqual(body.status.message, 'API tokens limited to scopes cannot list tokens');
+            });
+
+            it('should refuse the routes outside of the scopes', async () => {
+                const { res, body } = await helpers.request('post', `/api/v3/users/${newUid}/tokens`, {
+                    body: { scopes: ['users:read'] },
+                    json: true,
+                    headers: {
+                        Authorization: `Bearer ${readToken.token}`,
+                    },
+                });
+
+                assert.strictEqual(res.statusCode, 403);
+                assert.strictEqual(body.status.message, 'This API token does not have the users:write scope');
+            });
+
+            it('should refuse scoped tokens outside of the write api', async () => {
+                const { res, body } = await helpers.request('get', '/api/self', {
+                    json: true,
+                    headers: {
+                        Authorization: `Bearer ${readToken.token}`,
+                    },
+                });
+
+                assert.strictEqual(res.statusCode, 500);
+                assert.strictEqual(body.error, '[[error:api.token-write-api-only]]');
+            });
+
+            it('should not authenticate with an expired token', async () => {
+                const settings = await meta.settings.get('core.api');
+                const expiredToken = {
+                    token: utils.generateUUID(),
+                    uid: newUid,
+                    description: 'expired token',
+                    timestamp: Date.now() - 120000,
+                    expiry: Date.now() - 60000,
+                };
+                settings.tokens.push(expiredToken);
+                await meta.settings.set('core.api', settings);
+                assert.strictEqual((await tokens.get(expiredToken.token)).expired, true);
+
+                const { res } = await helpers.request('get', '/api/self', {
+                    json: true,
+                    headers: {
+                        Authorization: `Bearer ${expiredToken.token}`,
+                    },
+                });
+                assert.strictEqual(res.statusCode, 401);
+            });
+
+            it('should let users revoke their own tokens', async () => {
+                const { res } = await helpers.request('delete', `/api/v3/users/${newUid}/tokens/${writeToken.tokenId}`, {
+                    json: true,
+                    headers: {
+                        Authorization: `Bearer ${writeToken.token}`,
+                    },
+                });
+
+                assert.strictEqual(res.statusCode, 200);
+                assert.strictEqual(await tokens.get(writeToken.token), null);
+                assert.strictEqual(await db.sortedSetScore('tokens:lastSeen', writeToken.token), null);
+            });
+        });
     });
 });
@@ -0,0 +1,381 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const util = require('util');
+const nconf = require('nconf');
+const request = require('request-promise-native');
+
+const sleep = util.promisify(setTimeout);
+
+const db = require('./mocks/databasemock');
+
+const Careers = require('../src/careers');
+const User = require('../src/user');
+const Groups = require('../src/groups');
+const api = require('../src/api');
+const file = require('../src/file');
+const uploadsController = require('../src/controllers/uploads');
+const helpers = require('./helpers');
+
+describe('Careers', () => {
+    let adminUid;
+    let recruiterUid;
+    let otherRecruiterUid;
+    let studentUid;
+    const day = 86400000;
+
+    function jobData(data) {
+        return {
+            title: 'Backend intern',
+            company: 'Dragon Corp',
+            location: 'Pittsburgh, PA',
+            deadline: Date.now() + day,
+            tags: ['internship', 'backend'],
+            description: 'Build APIs',
+            ...data,
+        };
+    }
+
+    before(async () => {
+        adminUid = await User.create({ username: 'careersadmin', password: '123456' });
+        await Groups.join('administrators', adminUid);
+        recruiterUid = await User.create({ username: 'recruiter', password: '123456' });
+        otherRecruiterUid = await User.create({ username: 'otherrecruiter', password: '123456' });
+        await User.recruiters.createGroup();
+        await Groups.join(User.recruiters.groupName, recruiterUid);
+        await Groups.join(User.recruiters.groupName, otherRecruiterUid);
+        studentUid = await User.create({ username: 'careersstudent', password: '123456' });
+    });
+
+    describe('recruiter role', () => {
+        it('should set the account type of recruiters', async () => {
+            assert.strictEqual(await User.getUserField(recruiterUid, 'accounttype'), 'recruiter');
+            assert(await User.isRecruiter(recruiterUid));
+            assert(!await User.isRecruiter(studentUid));
+        });
+
+        it('should only let recruiters and administrators post jobs', async () => {
+            assert(await Careers.canPost(recruiterUid));
+            assert(await Careers.canPost(adminUid));
+            assert(!await Careers.canPost(studentUid));
+            assert(!await Careers.canPost(0));
+        });
+
+        it('should request the role when registering as a recruiter', async () => {
+            const uid = await User.create({ username: 'wantstorecruit', password: '123456', accounttype: 'recruiter' });
+            assert(!await User.isRecruiter(uid));
+            assert(await Groups.isPending(uid, User.recruiters.groupName));
+        });
+    });
+
+    describe('postings', () => {
+        let job;
+
+        before(async () => {
+            job = await Careers.create(jobData({ uid: recruiterUid }));
+        });
+
+        it('should create a posting', async () => {
+            assert(job.jobId);
+            assert.strictEqual(job.uid, recruiterUid);
+            assert.strictEqual(job.title, 'Backend intern');
+            assert.strictEqual(job.company, 'Dragon Corp');
+            assert.deepStrictEqual(job.tags, ['internship', 'backend']);
+            assert.strictEqual(job.expired, false);
+            assert.strictEqual(job.user.username, 'recruiter');
+            assert(await Careers.exists(job.jobId));
+        });
+
+        it('should escape the posting', async () => {
+            const escaped = await Careers.create(jobData({ uid: recruiterUid, title: '<b>Intern</b>' }));
+            assert.strictEqual(escaped.title, '&lt;b&gt;Intern&lt;&#x2F;b&gt;');
+            await Careers.purge(escaped.jobId, recruiterUid);
+        });
+
+        it('should not create a posting without a title or a company', async () => {
+            await assert.rejects(Careers.create(jobData({ uid: recruiterUid, title: '' })), { message: '[[error:invalid-data]]' });
+            await assert.rejects(Careers.create(jobData({ uid: recruiterUid, company: undefined })), { message: '[[error:invalid-data]]' });
+        });
+
+        it('should not create a posting with a deadline in the past', async () => {
+            await assert.rejects(
+                Careers.create(jobData({ uid: recruiterUid, deadline: Date.now() - 1000 })),
+                { message: '[[error:invalid-job-deadline]]' }
+            );
+            await assert.rejects(
+                Careers.create(jobData({ uid: recruiterUid, deadline: 'soon' })),
+                { message: '[[error:invalid-job-deadline]]' }
+            );
+        });
+
+        it('should edit only the given fields', async () => {
+            const edited = await Careers.edit(job.jobId, { title: 'Backend engineering intern', tags: 'internship' });
+            assert.strictEqual(edited.title, 'Backend engineering intern');
+            assert.strictEqual(edited.company, 'Dragon Corp');
+            assert.deepStrictEqual(edited.tags, ['internship']);
+            assert(edited.edited);
+        });
+
+        it('should only let the owner and administrators edit a posting', async () => {
+            assert(await Careers.canEdit(job.jobId, recruiterUid));
+            assert(await Careers.canEdit(job.jobId, adminUid));
+            assert(!await Careers.canEdit(job.jobId, otherRecruiterUid));
+            assert(!await Careers.canEdit(job.jobId, studentUid));
+        });
+    });
+
+    describe('expiry', () => {
+        let job;
+
+        before(async () => {
+            job = await Careers.create(jobData({ uid: recruiterUid, title: 'Short-lived posting' }));
+            // move the deadline into the past, as if it had passed
+            await db.setObjectField(`job:${job.jobId}`, 'deadline', Date.now() - 1000);
+            await db.sortedSetAdd('jobs:deadline', Date.now() - 1000, job.jobId);
+        });
+
+        it('should treat a posting past its deadline as expired', async () => {
+            const jobData = await Careers.get(job.jobId);
+            assert.strictEqual(jobData.expired, true);
+            const { jobs } = await Careers.getJobs({ uid: studentUid });
+            assert(!jobs.some(j => j.jobId === job.jobId));
+        });
+
+        it('should remove expired postings from the open postings', async () => {
+            await Careers.expireJobs();
+            assert(!await db.isSortedSetMember('jobs:open', job.jobId));
+            assert(!await db.isSortedSetMember('jobs:deadline', job.jobId));
+            assert.strictEqual(await db.getObjectField(`job:${job.jobId}`, 'expired'), '1');
+        });
+
+        it('should still list expired postings for their recruiter', async () => {
+            const { jobs } = await Careers.getJobs({ uid: recruiterUid, filter: 'mine' });
+            assert(jobs.some(j => j.jobId === job.jobId && j.expired));
+        });
+
+        it('should reopen a posting when its deadline moves into the future', async () => {
+            const reopened = await Careers.edit(job.jobId, { deadline: Date.now() + day });
+            assert.strictEqual(reopened.expired, false);
+            assert(await db.isSortedSetMember('jobs:open', job.jobId));
+        });
+    });
+
+    describe('listing', () => {
+        before(async () => {
+            await Careers.create(jobData({ uid: otherRecruiterUid, title: 'Data analyst', company: 'Numbers Inc', location: 'Remote', tags: ['data'] }));
+            await Careers.create(jobData({ uid: otherRecruiterUid, title: 'Frontend developer', company: 'Pixel Labs', tags: ['frontend'] }));
+        });
+
+        it('should list open postings newest first', async () => {
+            const { jobs, jobCount } = await Careers.getJobs({ uid: studentUid });
+            assert.strictEqual(jobs[0].title, 'Frontend developer');
+            assert.strictEqual(jobCount, jobs.length);
+        });
+
+        it('should filter postings by tag, company, location and query', async () => {
+            assert.deepStrictEqual((await Careers.getJobs({ tag: 'data' })).jobs.map(job => job.title), ['Data analyst']);
+            assert.deepStrictEqual((await Careers.getJobs({ company: 'pixel' })).jobs.map(job => job.title), ['Frontend developer']);
+            assert.deepStrictEqual((await Careers.getJobs({ location: 'remote' })).jobs.map(job => job.title), ['Data analyst']);
+            assert.deepStrictEqual((await Careers.getJobs({ query: 'ANALYST' })).jobs.map(job => job.title), ['Data analyst']);
+        });
+
+        it('should only list the postings of the calling recruiter with the mine filter', async () => {
+            const { jobs } = await Careers.getJobs({ uid: otherRecruiterUid, filter: 'mine' });
+            assert(jobs.length);
+            assert(jobs.every(job => job.uid === otherRecruiterUid));
+        });
+
+        it('should paginate postings', async () => {
+            const all = await Careers.getJobs({});
+            const { jobs, jobCount, nextStart } = await Careers.getJobs({ start: 1, stop: 1 });
+            assert.strictEqual(jobs.length, 1);
+            assert.strictEqual(jobs[0].jobId, all.jobs[1].jobId);
+            assert.strictEqual(jobCount, all.jobCount);
+            assert.strictEqual(nextStart, 2);
+        });
+
+        it('should list at most the newest searchMaxJobs postings of a search', async () => {
+            const { searchMaxJobs } = Careers;
+            Careers.searchMaxJobs = 1;
+            try {
+                const { jobs, jobCount } = await Careers.getJobs({ query: 'e', start: 0, stop: 9 });
+                assert.deepStrictEqual(jobs.map(job => job.title), ['Frontend developer']);
+                assert.strictEqual(jobCount, 1);
+            } finally {
+                Careers.searchMaxJobs = searchMaxJobs;
+            }
+        });
+
+        it('should return the tags of the open postings', async () => {
+            const tags = await Careers.getTags();
+            assert(tags.includes('data'));
+            assert(tags.includes('frontend'));
+        });
+    });
+
+    describe('api', () => {
+        let job;
+
+        before(async () => {
+            job = await api.careers.create({ uid: recruiterUid }, jobData({ deadline: '2099-12-31' }));
+        });
+
+        it('should keep a posting with a date deadline open until the end of the day', () => {
+            assert.strictEqual(job.deadline, Date.UTC(2099, 11, 31, 23, 59, 59, 999));
+        });
+
+        it('should not let students post jobs', async () => {
+            await assert.rejects(api.careers.create({ uid: studentUid }, jobData()), { message: '[[error:no-privileges]]' });
+        });
+
+        it('should not let other recruiters edit or delete a posting', async () => {
+            await assert.rejects(
+                api.careers.update({ uid: otherRecruiterUid }, { jobId: job.jobId, title: 'Taken over' }),
+                { message: '[[error:no-privileges]]' }
+            );
+            await assert.rejects(api.careers.delete({ uid: otherRecruiterUid }, { jobId: job.jobId }), { message: '[[error:no-privileges]]' });
+        });
+
+        it('should not show an expired posting to students', async () => {
+            await Careers.edit(job.jobId, { deadline: Date.now() + 1000 });
+            await db.setObjectField(`job:${job.jobId}`, 'expired', 1);
+            await assert.rejects(api.careers.get({ uid: studentUid }, { jobId: job.jobId }), { message: '[[error:no-job]]' });
+            const jobData = await api.careers.get({ uid: recruiterUid }, { jobId: job.jobId });
+            assert.strictEqual(jobData.expired, true);
+        });
+
+        it('should let an administrator delete a posting', async () => {
+            await api.careers.delete({ uid: adminUid }, { jobId: job.jobId });
+            assert(!await Careers.exists(job.jobId));
+            assert.strictEqual(await Careers.get(job.jobId), null);
+            assert(!await db.isSortedSetMember(`uid:${recruiterUid}:jobs`, job.jobId));
+        });
+    });
+
+    describe('applications', () => {
+        let job;
+        let application;
+        const resume = { file: 'resumes/resume.pdf', name: 'resume.pdf' };
+
+        before(async () => {
+            job = await Careers.create(jobData({ uid: recruiterUid, title: 'Applied posting' }));
+            application = await Careers.apply({ jobId: job.jobId, uid: studentUid, note: 'I <3 APIs', resume });
+        });
+
+        it('should apply to a posting', () => {
+            assert.strictEqual(application.jobId, job.jobId);
+            assert.strictEqual(application.uid, studentUid);
+            assert.strictEqual(application.status, 'submitted');
+            assert.strictEqual(application.note, 'I &lt;3 APIs');
+            assert.strictEqual(application.resumeUrl, `/api/v3/careers/${job.jobId}/applications/${application.applicationId}/resume`);
+            assert(!application.hasOwnProperty('resumeFile'));
+            assert.strictEqual(application.user.username, 'careersstudent');
+        });
+
+        it('should not apply twice, to an own posting or without a résumé', async () => {
+            await assert.rejects(Careers.apply({ jobId: job.jobId, uid: studentUid, resume }), { message: '[[error:already-applied]]' });
+            await assert.rejects(Careers.apply({ jobId: job.jobId, uid: recruiterUid, resume }), { message: '[[error:no-privileges]]' });
+            await assert.rejects(Careers.apply({ jobId: job.jobId, uid: otherRecruiterUid }), { message: '[[error:invalid-file]]' });
+        });
+
+        it('should not let a double submit overwrite the application', async () => {
+            const posting = await Careers.create(jobData({ uid: recruiterUid }));
+            const results = await Promise.allSettled([
+                Careers.apply({ jobId: posting.jobId, uid: studentUid, note: 'first', resume }),
+                Careers.apply({ jobId: posting.jobId, uid: studentUid, note: 'second', resume }),
+            ]);
+            assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+            assert.strictEqual(results.find(result => result.status === 'rejected').reason.message, '[[error:already-applied]]');
+            const { applicationCount } = await Careers.getApplications(posting.jobId, {});
+            assert.strictEqual(applicationCount, 1);
+        });
+
+        it('should not apply to an expired posting', async () => {
+            const expired = await Careers.create(jobData({ uid: recruiterUid }));
+            await db.setObjectField(`job:${expired.jobId}`, 'expired', 1);
+            await assert.rejects(Careers.apply({ jobId: expired.jobId, uid: studentUid, resume }), { message: '[[error:job-expired]]' });
+        });
+
+        it('should list the applications of a posting and the postings a user applied to', async () => {
+            const { applications, applicationCount } = await Careers.getApplications(job.jobId, {});
+            assert.strictEqual(applicationCount, 1);
+            assert.strictEqual(applications[0].applicationId, application.applicationId);
+
+            const { jobs } = await Careers.getJobs({ uid: studentUid, filter: 'applied' });
+            assert.deepStrictEqual(jobs.map(j => j.jobId), [job.jobId]);
+            const [own] = await Careers.getUserApplications([job.jobId], studentUid);
+            assert.strictEqual(own.applicationId, application.applicationId);
+            assert.deepStrictEqual(await Careers.getUserApplications([job.jobId], otherRecruiterUid), [null]);
+        });
+
+        it('should change the status of an application and notify the applicant', async () => {
+            const updated = await Careers.setApplicationStatus(application.applicationId, 'interview', recruiterUid);
+            assert.strictEqual(updated.status, 'interview');
+            assert(updated.updated);
+            await sleep(2000);
+            const nids = await User.notifications.getAll(studentUid);
+            assert(nids.includes(`job:${job.jobId}:application:${application.applicationId}:interview`));
+        });
+
+        it('should not set an invalid status', async () => {
+            await assert.rejects(
+                Careers.setApplicationStatus(application.applicationId, 'submitted', recruiterUid),
+                { message: '[[error:invalid-application-status]]' }
+            );
+            await assert.rejects(Careers.setApplicationStatus(9999, 'reviewed', recruiterUid), { message: '[[error:no-application]]' });
+        });
+
+        it('should only let the recruiter and the applicant see an application', async () => {
+            const data = { jobId: job.jobId, applicationId: application.applicationId };
+            assert(await api.careers.getApplication({ uid: studentUid }, data));
+            assert(await api.careers.getApplication({ uid: recruiterUid }, data));
+            await assert.rejects(api.careers.getApplication({ uid: otherRecruiterUid }, data), { message: '[[error:no-privileges]]' });
+            await assert.rejects(
+                api.careers.setApplicationStatus({ uid: studentUid }, { ...data, status: 'reviewed' }),
+                { message: '[[error:no-privileges]]' }
+            );
+            await assert.rejects(api.careers.listApplications({ uid: studentUid }, { jobId: job.jobId }), { message: '[[error:no-privileges]]' });
+        });
+
+        it('should store a résumé out of the public uploads and reject other file types', async () => {
+            const testFile = path.join(__dirname, 'files/test.png');
+            const stored = await uploadsController.uploadResume(studentUid, { name: 'resume.pdf', path: testFile, size: 100 });
+            assert.strictEqual(stored.name, 'resume.pdf');
+            assert(stored.file.startsWith('resumes/'));
+            const storedPath = file.getPrivatePath(stored.file);
+            assert(!storedPath.startsWith(nconf.get('upload_path')));
+            assert(await file.exists(storedPath));
+            await assert.rejects(
+                uploadsController.uploadResume(studentUid, { name: 'resume.exe', path: testFile, size: 100 }),
+                err => err.message.startsWith('[[error:invalid-file-type')
+            );
+        });
+
+        it('should only send the résumé to the recruiter and the applicant', async () => {
+            const testFile = path.join(__dirname, 'files/test.png');
+            const posting = await Careers.create(jobData({ uid: recruiterUid }));
+            const stored = await uploadsController.uploadResume(studentUid, { name: 'resume.pdf', path: testFile, size: 100 });
+            const { applicationId } = await Careers.apply({ jobId: posting.jobId, uid: studentUid, resume: stored });
+            const url = `${nconf.get('url')}/api/v3/careers/${posting.jobId}/applications/${applicationId}/resume`;
+
+            const { jar } = await helpers.loginUser('recruiter', '123456');
+            const res = await request(url, { jar, resolveWithFullResponse: true, simple: false });
+            assert.strictEqual(res.statusCode, 200);
+            assert(res.headers['content-disposition'].includes('resume.pdf'));
+
+            const { jar: otherJar } = await helpers.loginUser('otherrecruiter', '123456');
+            const forbidden = await request(url, { jar: otherJar, resolveWithFullResponse: true, simple: false });
+            assert.strictEqual(forbidden.statusCode, 403);
+
+            await Careers.purge(posting.jobId, recruiterUid);
+            assert(!await file.exists(file.getPrivatePath(stored.file)));
+        });
+
+        it('should delete the applications with their posting', async () => {
+            await Careers.purge(job.jobId, recruiterUid);
+            assert.strictEqual(await Careers.getApplication(application.applicationId), null);
+            assert(!await db.isSortedSetMember(`uid:${studentUid}:jobs:applied`, job.jobId));
+        });
+    });
+});
@@ -8,6 +8,7 @@ const request = require('request');
 const db = require('./mocks/databasemock');
 const Categories = require('../src/categories');
 const Topics = require('../src/topics');
+const Posts = require('../src/posts');
 const User = require('../src/user');
 const groups = require('../src/groups');
 const privileges = require('../src/privileges');
@@ -44,7 +45,10 @@ describe('Categories', () => {
             instructorUid = results.instructorUid;
             student1Uid = results.student1Uid;
             student2Uid = results.student2Uid;
-            groups.join('administrators', adminUid, done);
+            async.series([
+                next => groups.join('administrators', adminUid, next),
+                next => groups.join(User.instructors.groupName, instructorUid, next),
+            ], done);
         });
     });
 
@@ -607,19 +611,19 @@ describe('Categories', () => {
             assert.equal(result, true);
         });
 
-        it('admin / moderator endorse privilege granted', async () => {
+        it('admin upvote privilege granted', async () => {
             const result = await privileges.categories.can('posts:upvote', categoryObj.cid, adminUid);
             assert.equal(result, true);
         });
 
-        it('student upvote privilege denied.', async () => {
+        it('student upvote privilege granted.', async () => {
             const result = await privileges.categories.can('posts:upvote', categoryObj.cid, student1Uid);
-            assert.equal(result, false);
+            assert.equal(result, true);
         });
 
-        it('student without preset accounttype upvote privilege denied.', async () => {
+        it('student without preset accounttype upvote privilege granted.', async () => {
             const result = await privileges.categories.can('posts:upvote', categoryObj.cid, student2Uid);
-            assert.equal(result, false);
+            assert.equal(result, true);
         });
 
         it('should copy privileges from another category for a single group', async () => {
@@ -766,6 +770,7 @@ describe('Categories', () => {
                     'posts:downvote': false,
                     purge: false,
                     'posts:view_deleted': false,
+                    'posts:reveal_anonymous': false,
                     moderate: false,
                 });
             });
@@ -815,6 +820,7 @@ describe('Categories', () => {
                     'groups:topics:read': true,
                     'groups:purge': false,
                     'groups:posts:view_deleted': false,
+                    'groups:posts:reveal_anonymous': false,
                     'groups:moderate': false,
                 });
             });
@@ -936,4 +942,274 @@ describe('Categories', () => {
         assert.strictEqual(child1.cid, data.children[0].cid);
         assert.strictEqual(child2.cid, data.children[0].children[0].cid);
     });
+
+    describe('courses', () => {
+        let course;
+        let childCid;
+
+        before(async () => {
+            course = await Categories.createCourse({ name: '17-313', term: 'Fall 2023', uid: adminUid });
+            childCid = (await Categories.create({ name: 'Homework', parentCid: course.cid })).cid;
+            await groups.join(course.rosterGroup, student1Uid);
+            await groups.join(course.instructorsGroup, instructorUid);
+        });
+
+        it('should create a course category closed to its roster', async () => {
+            assert.strictEqual(course.term, 'Fall 2023');
+            assert.strictEqual(course.rosterGroup, '17-313 Fall 2023 Students');
+            assert(await groups.exists(course.rosterGroup));
+            assert(await groups.exists(course.instructorsGroup));
+            assert(await privileges.categories.can('topics:create', course.cid, student1Uid));
+            assert(!await privileges.categories.can('read', course.cid, student2Uid));
+            assert(await User.isModerator(instructorUid, course.cid));
+            assert.strictEqual(await Categories.getCourse(categoryObj.cid), null);
+        });
+
+        it('should make every category of an archived course read-only and restore it', async () => {
+            await Categories.archiveCourse(course.cid, adminUid);
+            assert.strictEqual((await Categories.getCourse(course.cid)).archived, 1);
+            assert(!await privileges.categories.can('topics:create', course.cid, student1Uid));
+            assert(!await privileges.categories.can('topics:create', childCid, student1Uid));
+            assert(await privileges.categories.can('topics:read', childCid, student1Uid));
+
+            await Categories.unarchiveCourse(course.cid, adminUid);
+            assert.strictEqual((await Categories.getCourse(course.cid)).archived, 0);
+            assert(await privileges.categories.can('topics:create', course.cid, student1Uid));
+            assert(await privileges.categories.can('topics:create', childCid, student1Uid));
+        });
+
+        it('should archive all courses of a term', async () => {
+            const other = await Categories.createCourse({ name: '15-213', term: 'Fall 2023', uid: adminUid });
+            const courses = await Categories.archiveTerm('Fall 2023', adminUid);
+            assert.deepStrictEqual(courses.map(c => c.cid).sort(), [course.cid, other.cid].sort());
+            assert(courses.every(c => c.archived === 1));
+            await Categories.unarchiveTerm('Fall 2023', adminUid);
+        });
+
+        it('should archive courses once their archive date has passed', async () => {
+            const expired = await Categories.createCourse({ name: '15-122', term: 'Summer 2023', archiveDate: Date.now() - 1000, uid: adminUid });
+            await Categories.archiveExpiredCourses();
+            assert.strictEqual((await Categories.getCourse(expired.cid)).archived, 1);
+        });
+
+        it('should clone a course for the next term with its tree, privileges and pinned topics', async () => {
+            const { topicData } = await Topics.post({ uid: adminUid, cid: childCid, title: 'Syllabus', content: 'Read me first' });
+            await Topics.tools.pin(topicData.tid, adminUid);
+            await Categories.archiveCourse(course.cid, adminUid);
+
+            const clone = await Categories.cloneCourse(course.cid, { term: 'Spring 2024', uid: adminUid });
+            assert.strictEqual(clone.term, 'Spring 2024');
+            assert.strictEqual(clone.archived, 0);
+            assert.strictEqual(clone.clonedFromCid, course.cid);
+            assert.strictEqual(clone.rosterGroup, '17-313 Spring 2024 Students');
+            assert.strictEqual(clone.instructorsGroup, course.instructorsGroup);
+
+            const [cloneChildCid] = await Categories.getChildrenCids(clone.cid);
+            assert.strictEqual(await Categories.getCategoryField(cloneChildCid, 'name'), 'Homework');
+            const pinnedTids = await db.getSortedSetRange(`cid:${cloneChildCid}:tids:pinned`, 0, -1);
+            assert.strictEqual(pinnedTids.length, 1);
+            assert.strictEqual(await Topics.getTopicField(pinnedTids[0], 'title'), 'Syllabus');
+
+            await groups.join(clone.rosterGroup, student2Uid);
+            assert(await privileges.categories.can('topics:create', cloneChildCid, student2Uid));
+            assert(!await privileges.categories.can('read', cloneChildCid, student1Uid));
+            assert(await User.isModerator(instructorUid, clone.cid));
+        });
+
+        it('should remove the course when its category is purged', async () => {
+            const other = await Categories.createCourse({ name: '05-391', term: 'Fall 2023', uid: adminUid });
+            await Categories.purge(other.cid, adminUid);
+            assert.strictEqual(await Categories.getCourse(other.cid), null);
+            assert(!(await Categories.getCourseCids('Fall 2023')).includes(other.cid));
+        });
+    });
+
+    describe('participation report', () => {
+        let course;
+        let childCid;
+        let lurkerUid;
+        let apiCategories;
+
+        before(async () => {
+            apiCategories = require('../src/api/categories');
+            course = await Categories.createCourse({ name: '17-214', term: 'Fall 2024', uid: adminUid });
+            childCid = (await Categories.create({ name: 'Labs', parentCid: course.cid })).cid;
+            lurkerUid = await User.create({ username: 'lurker' });
+            await Promise.all([student1Uid, student2Uid, lurkerUid].map(uid => groups.join(course.rosterGroup, uid)));
+            await groups.join(course.instructorsGroup, instructorUid);
+
+            const { topicData, postData } = await Topics.post({ uid: student1Uid, cid: course.cid, title: 'Question about HW1', content: 'How do I start?' });
+            await Topics.reply({ uid: student2Uid, tid: topicData.tid, content: 'Read the handout' });
+            const endorsedReply = await Topics.reply({ uid: student2Uid, tid: topicData.tid, content: 'Then run the tests' });
+            await Topics.reply({ uid: instructorUid, tid: topicData.tid, content: 'Good answers' });
+            await Posts.endorse(endorsedReply.pid, instructorUid);
+            await Posts.upvote(postData.pid, instructorUid);
+
+            const lab = await Topics.post({ uid: student2Uid, cid: childCid, title: 'Lab 1 setup', content: 'My build fails' });
+            await Topics.reply({ uid: student1Uid, tid: lab.topicData.tid, content: 'Same here', anonymous: 1 });
+
+            // not part of the course
+            await Topics.post({ uid: student1Uid, cid: categoryObj.cid, title: 'Elsewhere', content: 'Not counted' });
+        });
+
+        it('should count the topics, replies, endorsed and anonymous posts of every student', async () => {
+            const report = await Categories.getParticipationReport(course.cid, { showAnonymous: true });
+            const rows = Object.fromEntries(report.rows.map(row => [row.username, row]));
+            assert.deepStrictEqual(Object.keys(rows), ['lurker', 'student1', 'student2']);
+            assert.deepStrictEqual(
+                ['topics', 'replies', 'endorsed', 'anonymous'].map(field => rows.student1[field]),
+                [1, 1, 1, 1]
+            );
+            assert.deepStrictEqual(
+                ['topics', 'replies', 'endorsed', 'anonymous'].map(field => rows.student2[field]),
+                [1, 2, 1, 0]
+            );
+            assert.deepStrictEqual(
+                ['topics', 'replies', 'endorsed', 'anonymous'].map(field => rows.lurker[field]),
+                [0, 0, 0, 0]
+            );
+            assert.strictEqual(report.anonymousCount, 1);
+        });
+
+        it('should only count posts in the date range', async () => {
+            const day = 86400000;
+            const now = Date.now();
+            const report = await Categories.getParticipationReport(course.cid, {
+                start: now + day,
+                end: now + (2 * day),
+            });
+            assert(report.rows.every(row => !row.topics && !row.replies && !row.endorsed));
+            assert.strictEqual(report.anonymousCount, 0);
+            await assert.rejects(
+                Categories.getParticipationReport(course.cid, { start: Date.now(), end: Date.now() - 1000 }),
+                { message: '[[error:invalid-date-range]]' }
+            );
+        });
+
+        it('should count whole days', async () => {
+            const day = 86400000;
+            const now = Date.now();
+            const report = await Categories.getParticipationReport(course.cid, { start: now, end: now });
+            assert.strictEqual(report.start, Math.floor(now / day) * day);
+            assert.strictEqual(report.end, report.start + day - 1);
+            assert.strictEqual(report.anonymousCount, 1);
+        });
+
+        it('should not reveal anonymous posts', async () => {
+            const report = await Categories.getParticipationReport(childCid, { showAnonymous: true });
+            const row = report.rows.find(row => row.uid === student1Uid);
+            assert.deepStrictEqual(
+                Object.keys(row).sort(),
+                ['anonymous', 'endorsed', 'officeHours', 'replies', 'topics', 'uid', 'username', 'userslug']
+            );
+        });
+
+        it('should only give the anonymous posts of each student to users who can reveal authors', async () => {
+            const moderatorUid = await User.create({ username: 'participation moderator' });
+            await groups.join(`cid:${course.cid}:privileges:moderate`, moderatorUid);
+
+            const report = await apiCategories.getParticipation({ uid: moderatorUid }, { cid: course.cid });
+            assert.strictEqual(report.showAnonymous, false);
+            assert.strictEqual(report.anonymousCount, 1);
+            assert(report.rows.length);
+            assert(report.rows.every(row => !row.hasOwnProperty('anonymous')));
+
+            const adminReport = await apiCategories.getParticipation({ uid: adminUid }, { cid: course.cid });
+            assert.strictEqual(adminReport.showAnonymous, true);
+            assert.strictEqual(adminReport.rows.find(row => row.uid === student1Uid).anonymous, 1);
+        });
+
+        it('should only let category administrators and moderators see the report', async () => {
+            assert(await apiCategories.getParticipation({ uid: instructorUid }, { cid: course.cid }));
+            assert(await apiCategories.getParticipation({ uid: adminUid }, { cid: course.cid, start: '2020-01-01' }));
+            await assert.rejects(
+                apiCategories.getParticipation({ uid: student1Uid }, { cid: course.cid }),
+                { message: '[[error:no-privileges]]' }
+            );
+            await assert.rejects(
+                apiCategories.getParticipation({ uid: adminUid }, { cid: 99999 }),
+                { message: '[[error:no-category]]' }
+            );
+        });
+    });
+
+    describe('office hours', () => {
+        let course;
+        let tid;
+        let apiCategories;
+
+        before(async () => {
+            apiCategories = require('../src/api/categories');
+            course = await Categories.createCourse({ name: '15-150', term: 'Fall 2024', uid: adminUid });
+            await Promise.all([student1Uid, student2Uid].map(uid => groups.join(course.rosterGroup, uid)));
+            await groups.join(course.instructorsGroup, instructorUid);
+            tid = (await Topics.post({ uid: adminUid, cid: course.cid, title: 'Office hours notes', content: 'Answers' })).topicData.tid;
+        });
+
+        it('should only let staff open the queue', async () => {
+            await assert.rejects(apiCategories.joinOfficeHours({ uid: student1Uid }, { cid: course.cid }), { message: '[[error:office-hours-closed]]' });
+            await assert.rejects(apiCategories.openOfficeHours({ uid: student1Uid }, { cid: course.cid }), { message: '[[error:no-privileges]]' });
+            await apiCategories.openOfficeHours({ uid: instructorUid }, { cid: course.cid, location: 'GHC 4th floor' });
+            const data = await apiCategories.getOfficeHours({ uid: student1Uid }, { cid: course.cid });
+            assert.strictEqual(data.open, true);
+            assert.strictEqual(data.location, 'GHC 4th floor');
+        });
+
+        it('should let students join the queue once', async () => {
+            await apiCategories.joinOfficeHours({ uid: student1Uid }, { cid: course.cid, question: 'Induction proof', tid });
+            await apiCategories.joinOfficeHours({ uid: student2Uid }, { cid: course.cid, question: 'Type error' });
+            await assert.rejects(apiCategories.joinOfficeHours({ uid: student1Uid }, { cid: course.cid }), { message: '[[error:already-in-office-hours-queue]]' });
+        });
+
+        it('should only show the whole queue to staff', async () => {
+            const student = await apiCategories.getOfficeHours({ uid: student2Uid }, { cid: course.cid });
+            assert.strictEqual(student.position, 2);
+            assert.strictEqual(student.waitingCount, 2);
+            assert.strictEqual(student.entry.question, 'Type error');
+            assert.deepStrictEqual(student.queue, []);
+
+            const staff = await apiCategories.getOfficeHours({ uid: instructorUid }, { cid: course.cid });
+            assert.deepStrictEqual(staff.queue.map(entry => entry.uid), [student1Uid, student2Uid]);
+            assert.strictEqual(staff.queue[0].topic.tid, tid);
+        });
+
+        it('should let staff work through the queue', async () => {
+            const staff = await apiCategories.getOfficeHours({ uid: instructorUid }, { cid: course.cid });
+            const [first, second] = staff.queue;
+            await assert.rejects(
+                apiCategories.updateOfficeHoursEntry({ uid: student2Uid }, { cid: course.cid, id: first.id, status: 'done' }),
+                { message: '[[error:no-privileges]]' }
+            );
+            const helping = await apiCategories.updateOfficeHoursEntry({ uid: instructorUid }, { cid: course.cid, id: first.id, status: 'helping' });
+            assert.strictEqual(helping.status, 'helping');
+            assert.strictEqual(helping.helper.uid, instructorUid);
+            const student = await apiCategories.getOfficeHours({ uid: student2Uid }, { cid: course.cid });
+            assert.strictEqual(student.position, 1);
+
+            const done = await apiCategories.updateOfficeHoursEntry({ uid: instructorUid }, { cid: course.cid, id: first.id, status: 'done' });
+            assert.strictEqual(done.status, 'done');
+            await assert.rejects(
+                apiCategories.updateOfficeHoursEntry({ uid: instructorUid }, { cid: course.cid, id: first.id, status: 'done' }),
+                { message: '[[error:no-office-hours-entry]]' }
+            );
+            await apiCategories.leaveOfficeHours({ uid: student2Uid }, { cid: course.cid });
+            const { entries } = await apiCategories.getOfficeHoursHistory({ uid: instructorUid }, { cid: course.cid });
+            assert.deepStrictEqual(entries.map(entry => [entry.id, entry.status]), [[second.id, 'left'], [first.id, 'done']]);
+        });
+
+        it('should not attach topics from outside the course', async () => {
+            const other = await Topics.post({ uid: adminUid, cid: categoryObj.cid, title: 'Not in the course', content: 'Elsewhere' });
+            await assert.rejects(
+                apiCategories.joinOfficeHours({ uid: student2Uid }, { cid: course.cid, tid: other.topicData.tid }),
+                { message: '[[error:invalid-office-hours-topic]]' }
+            );
+        });
+
+        it('should count the sessions in the participation report', async () => {
+            const report = await Categories.getParticipationReport(course.cid, {});
+            const rows = Object.fromEntries(report.rows.map(row => [row.uid, row]));
+            assert.strictEqual(rows[student1Uid].officeHours, 1);
+            assert.strictEqual(rows[student2Uid].officeHours, 0);
+        });
+    });
 });
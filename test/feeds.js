@@ -182,6 +182,16 @@ describe('feeds', () => {
             });
         });
 
+        it('should load the topic feed with a correct token', (done) => {
+            request(`${nconf.get('url')}/topic/${tid}.rss?uid=${fooUid}&token=${rssToken}`, { }, (err, res, body) => {
+                assert.ifError(err);
+                assert.equal(res.statusCode, 200);
+                assert(body.startsWith('<?xml version="1.0"'));
+                assert(body.includes('test topic title'));
+                done();
+            });
+        });
+
         it('should not allow access if token is correct but has no privilege', (done) => {
             privileges.categories.rescind(['groups:read'], cid, 'registered-users', (err) => {
                 assert.ifError(err);
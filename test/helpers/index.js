@@ -4,6 +4,7 @@ const request = require('request');
 const requestAsync = require('request-promise-native');
 const nconf = require('nconf');
 const fs = require('fs');
+const util = require('util');
 const winston = require('winston');
 
 const utils = require('../../src/utils');
@@ -228,4 +229,21 @@ helpers.createFolder = function (path, folderName, jar, csrf_token) {
     });
 };
 
+// Resolves once check() returns a truthy value, for side effects of action hooks which are not awaited
+helpers.waitFor = async function (check, timeout = 5000) {
+    const sleep = util.promisify(setTimeout);
+    const deadline = Date.now() + timeout;
+    let result = await check();
+    while (!result) {
+        if (Date.now() > deadline) {
+            throw new Error(`condition not met within ${timeout}ms`);
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(10);
+        // eslint-disable-next-line no-await-in-loop
+        result = await check();
+    }
+    return result;
+};
+
 require('../../src/promisify')(helpers);
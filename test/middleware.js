@@ -192,4 +192,107 @@ describe('Middlewares', () => {
             assert.strictEqual(res.headers['cache-control'], 'private');
         });
     });
+
+    describe('OpenAPI validation', () => {
+        const middleware = require('../src/middleware');
+        let adminJar;
+
+        before(async () => {
+            ({ jar: adminJar } = await helpers.loginUser('admin', '123456'));
+        });
+
+        it('should have a spec entry for every route registered through setupApiRoute', () => {
+            const webserver = require('../src/webserver');
+            const missing = [];
+            const checkStack = (stack, prefix) => {
+                stack.forEach((layer) => {
+                    const isApiRoute = layer.route &&
+                        layer.route.stack.some(routeLayer => routeLayer.handle === middleware.validate.request);
+                    if (isApiRoute) {
+                        Object.keys(layer.route.methods).forEach((method) => {
+                            if (!middleware.validate.getOperation(method, prefix + layer.route.path)) {
+                                missing.push(`${method.toUpperCase()} ${prefix}${layer.route.path}`);
+                            }
+                        });
+                    } else if (layer.name === 'router') {
+                        const mountPath = layer.regexp.toString().replace('/^', '').replace('\\/?(?=\\/|$)/i', '').replace(/\\\//g, '/');
+                        checkStack(layer.handle.stack, prefix + mountPath);
+                    }
+                });
+            };
+            checkStack(webserver.app._router.stack, '');
+
+            assert.deepStrictEqual(missing, [], `These routes are not in public/openapi/write.yaml: ${missing.join(', ')}`);
+        });
+
+        it('should return a structured 400 when the body does not match the spec', async () => {
+            const { res, body } = await helpers.request('post', '/api/v3/flags', {
+                body: { type: 'topic', id: 'abc', reason: 'spam' },
+                json: true,
+                jar: adminJar,
+            });
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(body.status.code, 'bad-request');
+            assert.strictEqual(body.status.message, 'The request does not match the API specification, the response lists what is wrong with it');
+            assert.deepStrictEqual(body.response.errors.map(error => [error.in, error.field, error.keyword]), [
+                ['body', 'type', 'enum'],
+                ['body', 'id', 'type'],
+            ]);
+        });
+
+        it('should list the missing required properties', async () => {
+            const { res, body } = await helpers.request('post', '/api/v3/flags', {
+                body: { type: 'post' },
+                json: true,
+                jar: adminJar,
+            });
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.deepStrictEqual(body.response.params, ['id', 'reason']);
+            assert.deepStrictEqual(body.response.errors.map(error => error.field), ['id', 'reason']);
+        });
+
+        it('should validate the request before the middlewares of the route', async () => {
+            // The room does not exist, `assert.room` would answer with a 404
+            const { res, body } = await helpers.request('post', '/api/v3/chats/99999', {
+                body: {},
+                json: true,
+                jar: adminJar,
+            });
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.deepStrictEqual(body.response.params, ['message']);
+        });
+
+        it('should refuse a login without a password', async () => {
+            const { res, body } = await helpers.request('post', '/api/v3/utilities/login', {
+                body: { username: 'admin' },
+                json: true,
+                jar: adminJar,
+            });
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.deepStrictEqual(body.response.params, ['password']);
+        });
+
+        it('should validate the query string', async () => {
+            const { res, body } = await helpers.request('get', '/api/v3/admin/analytics/uniquevisitors?until=yesterday&units=days', {
+                json: true,
+                jar: adminJar,
+            });
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.deepStrictEqual(body.response.errors.map(error => [error.in, error.field]), [['query', 'until']]);
+        });
+
+        it('should treat empty query values as left out', async () => {
+            const { res } = await helpers.request('get', '/api/v3/admin/analytics/uniquevisitors?until=&units=days', {
+                json: true,
+                jar: adminJar,
+            });
+
+            assert.strictEqual(res.statusCode, 200);
+        });
+    });
 });
@@ -39,6 +39,7 @@ nconf.defaults({
     base_dir: path.join(__dirname, '../..'),
     themes_path: path.join(__dirname, '../../themes'),
     upload_path: 'test/uploads',
+    private_upload_path: 'test/private-uploads',
     views_dir: path.join(__dirname, '../../build/public/templates'),
     relative_path: '',
 });
@@ -49,6 +50,7 @@ nconf.set('relative_path', relativePath);
 nconf.set('asset_base_url', `${relativePath}/assets`);
 nconf.set('upload_path', path.join(nconf.get('base_dir'), nconf.get('upload_path')));
 nconf.set('upload_url', '/assets/uploads');
+nconf.set('private_upload_path', path.join(nconf.get('base_dir'), nconf.get('private_upload_path')));
 nconf.set('url_parsed', urlObject);
 nconf.set('base_url', `${urlObject.protocol}//${urlObject.host}`);
 nconf.set('secure', urlObject.protocol === 'https:');
@@ -205,6 +207,7 @@ async function setupMockDefaults() {
 
     const rimraf = util.promisify(require('rimraf'));
     await rimraf('test/uploads');
+    await rimraf('test/private-uploads');
 
     const mkdirp = require('mkdirp');
 
@@ -160,7 +160,81 @@ describe('Post\'s', () => {
         });
     });
 
-    // Removed all tests for voting because Upvote/Downvote has been repurposed to Endorsing for Instructors.
+    describe('voting', () => {
+        it('should upvote a post as a student', async () => {
+            const result = await apiPosts.upvote({ uid: voterUid }, { pid: postData.pid, room_id: 'topic_1' });
+            assert.equal(result.post.upvotes, 1);
+            assert.equal(result.post.downvotes, 0);
+            assert.equal(result.post.votes, 1);
+            assert.equal(result.user.reputation, 1);
+            const data = await posts.hasVoted(postData.pid, voterUid);
+            assert.equal(data.upvoted, true);
+            assert.equal(data.downvoted, false);
+        });
+
+        it('should unvote a post', async () => {
+            const result = await apiPosts.unvote({ uid: voterUid }, { pid: postData.pid, room_id: 'topic_1' });
+            assert.equal(result.post.upvotes, 0);
+            assert.equal(result.post.votes, 0);
+            assert.equal(result.user.reputation, 0);
+        });
+    });
+
+    describe('endorsing', () => {
+        let instructorUid;
+        let endorsedPost;
+
+        before(async () => {
+            instructorUid = await user.create({ username: 'endorseinstructor' });
+            const course = await categories.createCourse({ name: '15-251', term: 'Fall 2023', uid: globalModUid });
+            const { cid } = await categories.create({ name: 'proofs', parentCid: course.cid });
+            await groups.join([user.instructors.groupName, course.instructorsGroup], instructorUid);
+            ({ postData: endorsedPost } = await topics.post({
+                uid: voteeUid, cid, title: 'Is this proof right?', content: 'By induction on n',
+            }));
+        });
+
+        it('should not let students endorse a post', async () => {
+            await assert.rejects(
+                apiPosts.endorse({ uid: voterUid }, { pid: endorsedPost.pid, room_id: `topic_${endorsedPost.tid}` }),
+                { message: '[[error:no-privileges]]' },
+            );
+        });
+
+        it('should not let the instructors of other courses endorse a post', async () => {
+            const otherInstructorUid = await user.create({ username: 'endorseotherinstructor' });
+            await groups.join(user.instructors.groupName, otherInstructorUid);
+            await assert.rejects(
+                apiPosts.endorse({ uid: otherInstructorUid }, { pid: endorsedPost.pid, room_id: `topic_${endorsedPost.tid}` }),
+                { message: '[[error:no-privileges]]' },
+            );
+        });
+
+        it('should endorse a post as an instructor without changing its votes', async () => {
+            const data = await apiPosts.endorse({ uid: instructorUid }, { pid: endorsedPost.pid, room_id: `topic_${endorsedPost.tid}` });
+            assert.strictEqual(data.isEndorsed, true);
+            assert.deepStrictEqual(data.post.endorsedBy.map(u => u.username), ['endorseinstructor']);
+            assert.strictEqual(await posts.hasEndorsed(endorsedPost.pid, instructorUid), true);
+
+            const post = await apiPosts.get({ uid: voterUid }, { pid: endorsedPost.pid });
+            assert.strictEqual(post.votes, 0);
+            assert.strictEqual(post.endorsedBy[0].uid, instructorUid);
+            assert.strictEqual(await user.getUserField(voteeUid, 'reputation'), 0);
+        });
+
+        it('should error if the post is already endorsed', async () => {
+            await assert.rejects(
+                apiPosts.endorse({ uid: instructorUid }, { pid: endorsedPost.pid, room_id: `topic_${endorsedPost.tid}` }),
+                { message: '[[error:already-endorsed]]' },
+            );
+        });
+
+        it('should remove an endorsement', async () => {
+            const data = await apiPosts.unendorse({ uid: instructorUid }, { pid: endorsedPost.pid, room_id: `topic_${endorsedPost.tid}` });
+            assert.strictEqual(data.isEndorsed, false);
+            assert.deepStrictEqual(data.post.endorsedBy, []);
+        });
+    });
 
     describe('bookmarking', () => {
         it('should bookmark a post', async () => {
@@ -593,6 +667,209 @@ describe('Post\'s', () => {
         });
     });
 
+    describe('reveal anonymous author', () => {
+        let anonPid;
+        let instructorUid;
+
+        before(async () => {
+            instructorUid = await user.create({ username: 'revealinstructor' });
+            await groups.join(user.instructors.groupName, instructorUid);
+            await privileges.categories.give(['groups:posts:reveal_anonymous'], cid, user.instructors.groupName);
+            const reply = await topics.reply({
+                uid: voteeUid,
+                tid: topicData.tid,
+                content: 'an anonymous question',
+                anonymous: true,
+            });
+            anonPid = reply.pid;
+        });
+
+        it('should not leak the author of an anonymous post to moderators', async () => {
+            const data = await apiPosts.get({ uid: globalModUid }, { pid: anonPid });
+            assert.strictEqual(data.uid, 0);
+        });
+
+        it('should error without a reason', async () => {
+            await assert.rejects(
+                apiPosts.revealAuthor({ uid: instructorUid }, { pid: anonPid, reason: ' ' }),
+                { message: '[[error:reveal-reason-required]]' },
+            );
+        });
+
+        it('should error if the post is not anonymous', async () => {
+            await assert.rejects(
+                apiPosts.revealAuthor({ uid: instructorUid }, { pid: postData.pid, reason: 'integrity review' }),
+                { message: '[[error:post-not-anonymous]]' },
+            );
+        });
+
+        it('should error if user does not have the reveal privilege', async () => {
+            await assert.rejects(
+                apiPosts.revealAuthor({ uid: voterUid }, { pid: anonPid, reason: 'integrity review' }),
+                { message: '[[error:no-privileges]]' },
+            );
+        });
+
+        it('should error if user cannot read the post', async () => {
+            const privateTopic = await topics.post({
+                uid: voteeUid, cid, title: 'A private question', content: 'About my grade', private: 1,
+            });
+            const reply = await topics.reply({
+                uid: voteeUid, tid: privateTopic.topicData.tid, content: 'an anonymous private reply', anonymous: true,
+            });
+            await assert.rejects(
+                apiPosts.revealAuthor({ uid: instructorUid }, { pid: reply.pid, reason: 'integrity review' }),
+                { message: '[[error:no-privileges]]' },
+            );
+        });
+
+        it('should reveal the author and log the reveal', async () => {
+            const author = await apiPosts.revealAuthor({ uid: instructorUid }, { pid: anonPid, reason: 'integrity review' });
+            assert.strictEqual(author.uid, voteeUid);
+            assert.strictEqual(author.username, 'upvotee');
+
+            const events = require('../src/events');
+            const eventsData = await events.getEvents('anonymous-reveal', 0, 0);
+            assert.strictEqual(parseInt(eventsData[0].uid, 10), instructorUid);
+            assert.strictEqual(parseInt(eventsData[0].targetUid, 10), voteeUid);
+            assert.strictEqual(eventsData[0].reason, 'integrity review');
+        });
+
+        it('should list the reveal for the author without the reason', async () => {
+            const reveals = await posts.getAuthorReveals(voteeUid, 0, -1);
+            assert.strictEqual(reveals.length, 1);
+            assert.strictEqual(reveals[0].user.username, 'revealinstructor');
+            assert.strictEqual(reveals[0].post.pid, anonPid);
+            assert.strictEqual(reveals[0].reason, undefined);
+        });
+    });
+
+    describe('instructor attention', () => {
+        let attentionTid;
+        let attentionPid;
+        let attentionCid;
+        let instructorUid;
+        let studentUid;
+
+        before(async () => {
+            instructorUid = await user.create({ username: 'attentioninstructor' });
+            studentUid = await user.create({ username: 'attentionstudent' });
+            const course = await categories.createCourse({ name: '15-210', term: 'Fall 2023', uid: globalModUid });
+            attentionCid = (await categories.create({ name: 'midterm questions', parentCid: course.cid })).cid;
+            await groups.join([user.instructors.groupName, course.instructorsGroup], instructorUid);
+            const data = await topics.post({
+                uid: voteeUid,
+                cid: attentionCid,
+                title: 'When is the midterm?',
+                content: 'Is the midterm on Tuesday or Thursday?',
+            });
+            attentionTid = data.topicData.tid;
+            attentionPid = data.postData.pid;
+        });
+
+        it('should error without a reason', async () => {
+            await assert.rejects(
+                apiPosts.requestAttention({ uid: voterUid }, { pid: attentionPid, reason: ' ' }),
+                { message: '[[error:attention-reason-required]]' },
+            );
+        });
+
+        it('should error for guests', async () => {
+            await assert.rejects(
+                apiPosts.requestAttention({ uid: 0 }, { pid: attentionPid, reason: 'urgent' }),
+                { message: '[[error:not-logged-in]]' },
+            );
+        });
+
+        it('should request attention and dedupe requests on the same post', async () => {
+            await apiPosts.requestAttention({ uid: voterUid }, { pid: attentionPid, reason: 'about exam logistics' });
+            const attention = await apiPosts.requestAttention({ uid: studentUid }, { pid: attentionPid, reason: 'urgent' });
+            assert.strictEqual(attention.requestCount, 2);
+            assert.deepStrictEqual(attention.reasons.sort(), ['about exam logistics', 'urgent']);
+            assert.strictEqual(await db.sortedSetCard('posts:attention'), 1);
+            await assert.rejects(
+                apiPosts.requestAttention({ uid: voterUid }, { pid: attentionPid, reason: 'again' }),
+                { message: '[[error:already-requested-attention]]' },
+            );
+        });
+
+        it('should notify the instructors of the course', async () => {
+            // notifications are pushed in the background
+            await helpers.waitFor(async () => await db.isSortedSetMember(
+                `uid:${instructorUid}:notifications:unread`,
+                `attention:${attentionPid}`
+            ));
+        });
+
+        it('should not be a moderation flag', async () => {
+            const flagId = await posts.getPostField(attentionPid, 'flagId');
+            assert(!flagId);
+        });
+
+        it('should list the request in the queue of instructors without the requesters', async () => {
+            const data = await posts.getAttentionQueue({ uid: instructorUid });
+            assert.strictEqual(data.postCount, 1);
+            assert.strictEqual(data.posts[0].pid, attentionPid);
+            assert.strictEqual(data.posts[0].attention.requestCount, 2);
+            assert.strictEqual(data.posts[0].attention.uids, undefined);
+        });
+
+        it('should list at most the oldest attentionMaxPosts requests', async () => {
+            const { attentionMaxPosts } = posts;
+            const outside = await topics.post({ uid: voteeUid, cid, title: 'Not a course question', content: 'Outside of the course' });
+            const newer = await topics.post({ uid: voteeUid, cid: attentionCid, title: 'Another question', content: 'Asked later' });
+            const pids = [outside.postData.pid, newer.postData.pid];
+            await Promise.all(pids.map(pid => apiPosts.requestAttention({ uid: studentUid }, { pid, reason: 'urgent' })));
+            // the request the instructor cannot see comes first, the next range has to be read
+            await db.sortedSetAdd('posts:attention', 1, outside.postData.pid);
+            posts.attentionMaxPosts = 1;
+            try {
+                const data = await posts.getAttentionQueue({ uid: instructorUid });
+                assert.deepStrictEqual(data.posts.map(post => post.pid), [attentionPid]);
+                assert.strictEqual(data.postCount, 1);
+            } finally {
+                posts.attentionMaxPosts = attentionMaxPosts;
+                await posts.clearAttention(pids);
+            }
+        });
+
+        it('should not show the queue to students', async () => {
+            const data = await posts.getAttentionQueue({ uid: studentUid });
+            assert.strictEqual(data.postCount, 0);
+        });
+
+        it('should let a student withdraw their own request only', async () => {
+            await apiPosts.clearAttention({ uid: studentUid }, { pid: attentionPid });
+            const [attention] = await posts.getAttention([attentionPid]);
+            assert.strictEqual(attention.requestCount, 1);
+            await assert.rejects(
+                apiPosts.clearAttention({ uid: studentUid }, { pid: attentionPid }),
+                { message: '[[error:no-attention-request]]' },
+            );
+        });
+
+        it('should not clear the request when a student replies', async () => {
+            await topics.reply({ uid: studentUid, tid: attentionTid, content: 'I think it is on Tuesday' });
+            const [attention] = await posts.getAttention([attentionPid]);
+            assert(attention);
+        });
+
+        it('should clear the request once an instructor replies', async () => {
+            await topics.reply({ uid: instructorUid, tid: attentionTid, content: 'It is on Thursday' });
+            const [attention] = await posts.getAttention([attentionPid]);
+            assert.strictEqual(attention, null);
+            assert.strictEqual(await db.isSortedSetMember('posts:attention', attentionPid), false);
+            assert.strictEqual(await posts.hasRequestedAttention(attentionPid, voterUid), false);
+        });
+
+        it('should let instructors mark a request as handled', async () => {
+            await apiPosts.requestAttention({ uid: studentUid }, { pid: attentionPid, reason: 'still urgent' });
+            await apiPosts.clearAttention({ uid: instructorUid }, { pid: attentionPid });
+            const data = await posts.getAttentionQueue({ uid: instructorUid });
+            assert.strictEqual(data.postCount, 0);
+        });
+    });
+
     describe('getPostSummaryByPids', () => {
         it('should return empty array for empty pids', (done) => {
             posts.getPostSummaryByPids([], 0, {}, (err, data) => {
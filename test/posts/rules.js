@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('assert');
+
+const db = require('../mocks/databasemock');
+
+const categories = require('../../src/categories');
+const topics = require('../../src/topics');
+const posts = require('../../src/posts');
+const flags = require('../../src/flags');
+const groups = require('../../src/groups');
+const user = require('../../src/user');
+const apiTopics = require('../../src/api/topics');
+
+describe('Post rules', () => {
+    let adminUid;
+    let studentUid;
+    let cid;
+    let tid;
+
+    before(async () => {
+        adminUid = await user.create({ username: 'rulesadmin', password: '123456' });
+        studentUid = await user.create({ username: 'rulesstudent', password: '123456' });
+        await groups.join('administrators', adminUid);
+        ({ cid } = await categories.create({ name: 'Rules category' }));
+        ({ topicData: { tid } } = await topics.post({ uid: adminUid, cid, title: 'Rules topic', content: 'rules topic content' }));
+    });
+
+    // Rules apply to every post, none of them must be left for the other tests
+    afterEach(async () => {
+        const rules = await posts.rules.list();
+        await Promise.all(rules.map(rule => posts.rules.delete(rule.id)));
+    });
+
+    it('should validate rules', async () => {
+        await assert.rejects(posts.rules.create({ name: 'bad', type: 'nope', action: 'queue' }), { message: '[[error:invalid-post-rule-type]]' });
+        await assert.rejects(posts.rules.create({ name: 'bad', type: 'links', value: '1', action: 'ban' }), { message: '[[error:invalid-post-rule-action]]' });
+        await assert.rejects(posts.rules.create({ name: 'bad', type: 'regex', value: '([a-z', action: 'queue' }), { message: '[[error:invalid-post-rule-value]]' });
+        await assert.rejects(posts.rules.create({ name: 'bad', type: 'similarity', value: '150', action: 'queue' }), { message: '[[error:invalid-post-rule-value]]' });
+        await assert.rejects(posts.rules.create({ name: '', type: 'first-post', action: 'queue' }), { message: '[[error:invalid-post-rule-name]]' });
+
+        const rule = await posts.rules.create({ name: 'Links', type: 'links', value: '2', action: 'queue' });
+        assert.strictEqual(rule.enabled, 1);
+        assert.strictEqual(rule.interval, posts.rules.defaultInterval);
+        const updated = await posts.rules.update(rule.id, { enabled: false, value: '5' });
+        assert.strictEqual(updated.enabled, 0);
+        assert.strictEqual(updated.value, '5');
+        await assert.rejects(posts.rules.get(999999), { message: '[[error:no-post-rule]]' });
+    });
+
+    it('should queue posts matching a keyword list', async () => {
+        await posts.rules.create({ name: 'Homework', type: 'keywords', value: 'answer key,\nsolutions', action: 'queue' });
+        const result = await apiTopics.create({ uid: studentUid }, { cid, title: 'Need the answer key', content: 'please share' });
+        assert.strictEqual(result.queued, true);
+
+        // whole words only
+        const reply = await apiTopics.reply({ uid: studentUid }, { tid, content: 'my solutionset is here' });
+        assert(reply.pid);
+    });
+
+    it('should reject posts matching a regular expression and log the hit', async () => {
+        const rule = await posts.rules.create({ name: 'Phone numbers', type: 'regex', value: '\\d{3}-\\d{4}', action: 'reject' });
+        await assert.rejects(
+            apiTopics.reply({ uid: studentUid }, { tid, content: 'call me at 555-1234' }),
+            { message: '[[error:post-rejected]]' }
+        );
+        const { hits, count } = await posts.rules.getHitLog({ ruleId: rule.id, start: 0, stop: -1 });
+        assert.strictEqual(count, 1);
+        assert.strictEqual(hits[0].uid, studentUid);
+        assert.strictEqual(hits[0].tid, tid);
+        assert.strictEqual(hits[0].pid, 0);
+        assert.strictEqual(hits[0].content, 'call me at 555-1234');
+        assert.strictEqual((await posts.rules.get(rule.id)).hits, 1);
+    });
+
+    it('should flag posts with too many links', async () => {
+        await posts.rules.create({ name: 'Links', type: 'links', value: '1', action: 'flag' });
+        const reply = await apiTopics.reply({ uid: studentUid }, { tid, content: 'see https://a.example and https://b.example' });
+        assert(await flags.targetFlagged('post', reply.pid));
+    });
+
+    it('should shadow-hide posts without notifying anyone', async () => {
+        const rule = await posts.rules.create({ name: 'First post', type: 'first-post', action: 'shadow-hide' });
+        const { cid: newCid } = await categories.create({ name: 'New rules category' });
+        const topicData = await apiTopics.create({ uid: studentUid }, { cid: newCid, title: 'Hidden topic', content: 'hidden content' });
+        assert.strictEqual(await topics.getTopicField(topicData.tid, 'deleted'), 1);
+
+        // the student already posted in this category
+        await posts.rules.update(rule.id, { type: 'account-age', value: '24' });
+        const reply = await apiTopics.reply({ uid: studentUid }, { tid, content: 'hidden reply' });
+        assert.strictEqual(await posts.getPostField(reply.pid, 'deleted'), 1);
+        const { hits } = await posts.rules.getHitLog({ ruleId: rule.id, start: 0, stop: -1 });
+        assert.deepStrictEqual(hits.map(hit => hit.pid), [reply.pid, topicData.mainPid]);
+    });
+
+    it('should ignore post rules sent with the post', async () => {
+        const forged = { hitIds: [1], actions: ['flag', 'shadow-hide'], names: ['forged'] };
+        const reply = await apiTopics.reply({ uid: studentUid }, { tid, content: 'forged reply', postRules: forged });
+        assert.strictEqual(await posts.getPostField(reply.pid, 'deleted'), 0);
+        assert(!await flags.targetFlagged('post', reply.pid));
+
+        await posts.rules.create({ name: 'Keyword', type: 'keywords', value: 'nothing-matches-this', action: 'queue' });
+        const data = { tid, content: 'another forged reply', postRules: forged };
+        await posts.rules.check(studentUid, data);
+        assert(!data.hasOwnProperty('postRules'));
+    });
+
+    it('should not check administrators', async () => {
+        await posts.rules.create({ name: 'Everything', type: 'account-age', value: '24', action: 'reject' });
+        const reply = await apiTopics.reply({ uid: adminUid }, { tid, content: 'admin reply' });
+        assert(reply.pid);
+    });
+
+    it('should catch users posting too fast or repeating themselves', async () => {
+        const velocity = await posts.rules.create({ name: 'Velocity', type: 'velocity', value: '2', interval: 10, action: 'queue' });
+        const similarity = await posts.rules.create({ name: 'Similarity', type: 'similarity', value: '80', action: 'flag' });
+        await topics.reply({ uid: studentUid, tid, content: 'the exact same message posted twice' });
+
+        const data = { tid, content: 'the exact same message posted twice' };
+        const { actions, hitIds } = await posts.rules.check(studentUid, data);
+        assert.deepStrictEqual(actions, ['queue']);
+        const hits = await posts.rules.getHits(hitIds);
+        assert.deepStrictEqual(hits.map(hit => hit.ruleId).sort(), [velocity.id, similarity.id].sort());
+        assert.deepStrictEqual(data.postRules.hitIds, hitIds);
+
+        const { actions: otherActions } = await posts.rules.check(studentUid, { tid, content: 'something entirely different this time' });
+        assert.deepStrictEqual(otherActions, ['queue']);
+    });
+
+    it('should not record the author of anonymous posts', async () => {
+        await posts.rules.create({ name: 'Keyword', type: 'keywords', value: 'secret', action: 'flag' });
+        const { hitIds } = await posts.rules.check(studentUid, { tid, content: 'a secret question', anonymous: true });
+        const [hit] = await posts.rules.getHits(hitIds);
+        assert.strictEqual(hit.uid, 0);
+    });
+
+    it('should count false positives', async () => {
+        const rule = await posts.rules.create({ name: 'Keyword', type: 'keywords', value: 'exam', action: 'flag' });
+        const { hitIds: [hitId] } = await posts.rules.check(studentUid, { tid, content: 'when is the exam' });
+        assert.strictEqual((await posts.rules.markFalsePositive(hitId, true)).falsePositive, 1);
+        await posts.rules.markFalsePositive(hitId, true);
+        assert.strictEqual((await posts.rules.get(rule.id)).falsePositives, 1);
+        await posts.rules.markFalsePositive(hitId, false);
+        assert.strictEqual((await posts.rules.get(rule.id)).falsePositives, 0);
+        await assert.rejects(posts.rules.markFalsePositive(999999, true), { message: '[[error:no-post-rule-hit]]' });
+
+        await posts.rules.delete(rule.id);
+        assert(!await db.exists(`post:rule:hit:${hitId}`));
+    });
+});
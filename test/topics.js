@@ -24,6 +24,7 @@ const helpers = require('./helpers');
 const socketPosts = require('../src/socket.io/posts');
 const socketTopics = require('../src/socket.io/topics');
 const apiTopics = require('../src/api/topics');
+const apiPosts = require('../src/api/posts');
 const { post } = require('../src/controllers/composer');
 
 const requestType = util.promisify((type, url, opts, cb) => {
@@ -43,6 +44,7 @@ describe('Topic\'s', () => {
     before(async () => {
         adminUid = await User.create({ username: 'admin', password: '123456' });
         instructorUid = await User.create({ username: 'instructor', password: '123456', accounttype: 'instructor' });
+        await groups.join(User.instructors.groupName, instructorUid);
         studentUid = await User.create({ username: 'student', password: '123456' });
         fooUid = await User.create({ username: 'foo' });
         await groups.join('administrators', adminUid);
@@ -59,7 +61,6 @@ describe('Topic\'s', () => {
             categoryId: categoryObj.cid,
             title: 'Test Topic Title',
             content: 'The content of test topic',
-            tags: ['anonymous'],
         };
     });
 
@@ -142,16 +143,102 @@ describe('Topic\'s', () => {
                 title: topic.title,
                 content: topic.content,
                 cid: topic.categoryId,
-                tags: topic.tags,
+                anonymous: true,
             }, (err, result) => {
                 assert.ifError(err);
                 assert(result);
                 assert(result.topicData.anonymous);
+                assert(result.postData.anonymous);
                 topic.tid = result.topicData.tid;
                 done();
             });
         });
 
+        it('should hide the author of an anonymous topic from other users', async () => {
+            const topicData = await topics.getTopicData(topic.tid);
+            const data = await topics.getTopicWithPosts(topicData, `tid:${topic.tid}:posts`, fooUid, 0, -1, false);
+            assert.strictEqual(data.uid, 0);
+            assert.strictEqual(data.posts[0].uid, 0);
+            assert.strictEqual(data.posts[0].user.username, '[[global:anonymous]] Beaver');
+
+            const summaries = await posts.getPostSummaryByPids([topicData.mainPid], fooUid, {});
+            assert.strictEqual(summaries[0].uid, 0);
+            assert.strictEqual(summaries[0].topic.uid, 0);
+
+            const topicsData = await topics.getTopicsByTids([topic.tid], fooUid);
+            assert.strictEqual(topicsData[0].uid, 0);
+            assert.strictEqual(topicsData[0].user.username, '[[global:anonymous]] Beaver');
+        });
+
+        it('should show the author of an anonymous topic to the author', async () => {
+            const topicData = await topics.getTopicData(topic.tid);
+            const data = await topics.getTopicWithPosts(topicData, `tid:${topic.tid}:posts`, adminUid, 0, -1, false);
+            assert.strictEqual(data.uid, adminUid);
+            assert.strictEqual(data.posts[0].user.username, 'admin');
+
+            const apiPost = await apiPosts.get({ uid: fooUid }, { pid: topicData.mainPid });
+            assert.strictEqual(apiPost.uid, 0);
+        });
+
+        it('should not make a topic anonymous because of its tags', async () => {
+            const result = await topics.post({
+                uid: studentUid,
+                title: topic.title,
+                content: topic.content,
+                cid: topic.categoryId,
+                tags: ['anonymous'],
+            });
+            assert.strictEqual(result.topicData.anonymous, 0);
+            assert(!result.postData.anonymous);
+        });
+
+        it('should let each reply choose to be anonymous and keep a pseudonym per topic', async () => {
+            const named = await topics.reply({ uid: studentUid, tid: topic.tid, content: 'named reply' });
+            const anon1 = await topics.reply({ uid: studentUid, tid: topic.tid, content: 'anonymous reply', anonymous: true });
+            const anon2 = await topics.reply({ uid: studentUid, tid: topic.tid, content: 'another one', anonymous: 'true' });
+            const adminReply = await topics.reply({ uid: adminUid, tid: topic.tid, content: 'admin reply', anonymous: 1 });
+
+            const postsData = await posts.getPostsByPids([named.pid, anon1.pid, anon2.pid, adminReply.pid], fooUid);
+            await posts.anonymize(postsData, fooUid);
+            assert.strictEqual(postsData[0].uid, studentUid);
+            assert.strictEqual(postsData[1].uid, 0);
+            assert.strictEqual(postsData[1].anonymousName, 'Otter');
+            assert.strictEqual(postsData[2].anonymousName, 'Otter');
+            assert.strictEqual(postsData[2].user.displayname, '[[global:anonymous]] Otter');
+            assert.strictEqual(postsData[3].anonymousName, 'Beaver');
+        });
+
+        it('should give authors posting at the same time different pseudonyms', async () => {
+            const { topicData } = await topics.post({
+                uid: adminUid,
+                title: topic.title,
+                content: topic.content,
+                cid: topic.categoryId,
+            });
+            const uids = [adminUid, instructorUid, studentUid, fooUid];
+            const names = await Promise.all(uids.map(uid => posts.getAnonymousName(topicData.tid, uid)));
+            assert.deepStrictEqual(names.slice().sort(), ['Badger', 'Beaver', 'Heron', 'Otter']);
+
+            const again = await Promise.all(uids.map(uid => posts.getAnonymousName(topicData.tid, uid)));
+            assert.deepStrictEqual(again, names);
+        });
+
+        it('should enforce the anonymous posting policy of the category', async () => {
+            const { cid } = await categories.create({ name: 'Anonymous policy' });
+
+            await categories.setCategoryField(cid, 'anonymousPosting', 'forbid');
+            await assert.rejects(
+                topics.post({ uid: studentUid, cid, title: topic.title, content: topic.content, anonymous: true }),
+                { message: '[[error:anonymous-posting-forbidden]]' },
+            );
+
+            await categories.setCategoryField(cid, 'anonymousPosting', 'force');
+            const result = await topics.post({ uid: studentUid, cid, title: topic.title, content: topic.content });
+            assert.strictEqual(result.topicData.anonymous, 1);
+            const reply = await topics.reply({ uid: studentUid, tid: result.topicData.tid, content: 'forced reply' });
+            assert.strictEqual(reply.anonymous, 1);
+        });
+
         it('should fail to post a topic as guest with invalid csrf_token', async () => {
             const categoryObj = await categories.create({
                 name: 'Test Category',
@@ -717,9 +804,21 @@ describe('Topic\'s', () => {
             assert.strictEqual(pinned, 0);
         });
 
-        it('should show isInstructor privilege for instructor is true', async () => {
-            const result = await privileges.topics.get(newTopic.tid, instructorUid);
+        it('should show isInstructor privilege for the instructors of the course of the topic', async () => {
+            const course = await categories.createCourse({ name: '15-317', term: 'Fall 2023', uid: adminUid });
+            await groups.join(course.instructorsGroup, instructorUid);
+            const { topicData } = await topics.post({ uid: adminUid, cid: course.cid, title: 'course topic', content: 'course content' });
+            const result = await privileges.topics.get(topicData.tid, instructorUid);
             assert.strictEqual(result.isInstructor, true);
+            assert.strictEqual(result['topics:assign'], true);
+            assert.strictEqual(result['posts:endorse'], true);
+        });
+
+        it('should not show isInstructor privilege outside of the courses of an instructor', async () => {
+            const result = await privileges.topics.get(newTopic.tid, instructorUid);
+            assert.strictEqual(result.isInstructor, false);
+            assert.strictEqual(result['topics:assign'], false);
+            assert.strictEqual(result['posts:endorse'], false);
         });
 
         it('should show isInstructor privilege for instructor is false', async () => {
@@ -1525,6 +1624,56 @@ describe('Topic\'s', () => {
         });
     });
 
+    describe('similar topics', () => {
+        let category;
+        let loopTid;
+        let recursionTid;
+
+        async function getSimilar(uid, title) {
+            const data = await apiTopics.getSimilar({ uid }, { cid: category.cid, title });
+            return data.topics.map(t => t.tid);
+        }
+
+        before(async () => {
+            category = await categories.create({ name: 'similar questions' });
+            const otherCategory = await categories.create({ name: 'other questions' });
+            loopTid = (await topics.post({ uid: adminUid, cid: category.cid, title: 'Infinite loop in homework 2', content: 'help' })).topicData.tid;
+            recursionTid = (await topics.post({ uid: adminUid, cid: category.cid, title: 'Recursion in homework 2 question 3', content: 'help' })).topicData.tid;
+            await topics.post({ uid: adminUid, cid: category.cid, title: 'Office hours moved to Friday', content: 'see you there' });
+            await topics.post({ uid: adminUid, cid: otherCategory.cid, title: 'Infinite loops in homework 2', content: 'help' });
+            await topics.reply({ uid: instructorUid, tid: loopTid, content: 'check your exit condition' });
+        });
+
+        it('should return the most similar topics of the category first', async () => {
+            assert.deepStrictEqual(await getSimilar(studentUid, 'Why is there an infinite loop in homework 2?'), [loopTid, recursionTid]);
+            assert.deepStrictEqual(await getSimilar(studentUid, 'Infinite loops'), [loopTid]);
+            assert.deepStrictEqual(await getSimilar(studentUid, 'When is the midterm?'), []);
+        });
+
+        it('should return reply counts and whether an instructor replied', async () => {
+            const data = await apiTopics.getSimilar({ uid: studentUid }, { cid: category.cid, title: 'infinite loop homework 2' });
+            const [loop, recursion] = data.topics;
+            assert.strictEqual(loop.replies, 1);
+            assert.strictEqual(loop.instructorReplied, true);
+            assert.strictEqual(recursion.replies, 0);
+            assert.strictEqual(recursion.instructorReplied, false);
+            assert(loop.score > recursion.score);
+        });
+
+        it('should not return topics the user cannot read', async () => {
+            const privateTid = (await topics.post({
+                uid: adminUid, cid: category.cid, title: 'Infinite loop in my homework 2 grade', content: 'private', private: 1,
+            })).topicData.tid;
+            assert(!(await getSimilar(studentUid, 'infinite loop homework 2')).includes(privateTid));
+            assert((await getSimilar(adminUid, 'infinite loop homework 2')).includes(privateTid));
+        });
+
+        it('should fail with invalid data', async () => {
+            await assert.rejects(apiTopics.getSimilar({ uid: studentUid }, { title: 'infinite loop' }), { message: '[[error:invalid-data]]' });
+            await assert.rejects(apiTopics.getSimilar({ uid: studentUid }, { cid: category.cid }), { message: '[[error:invalid-data]]' });
+        });
+    });
+
     describe('unread', () => {
         const socketTopics = require('../src/socket.io/topics');
         let tid;
@@ -2439,6 +2588,27 @@ describe('Topic\'s', () => {
                 },
             ], done);
         });
+
+        it('should not skip the anonymous posts of blocked users', async () => {
+            const { tid } = topic2.topicData;
+            const blockedUid = await User.create({ username: 'blocked anonymous' });
+            await User.blocks.add(blockedUid, adminUid);
+            try {
+                await topics.reply({ uid: blockedUid, content: 'anonymous post from blocked user', tid, anonymous: 1 });
+                let teaser = await topics.getTeaser(tid, adminUid);
+                assert.strictEqual(teaser.content, 'anonymous post from blocked user');
+                assert.strictEqual(teaser.uid, 0);
+
+                // the anonymous post takes the place of a blocked one, its author stays hidden
+                await topics.reply({ uid: blockedUid, content: 'post from blocked user', tid });
+                teaser = await topics.getTeaser(tid, adminUid);
+                assert.strictEqual(teaser.content, 'anonymous post from blocked user');
+                assert.strictEqual(teaser.uid, 0);
+                assert(teaser.user.username.startsWith('[[global:anonymous]]'));
+            } finally {
+                await User.blocks.remove(blockedUid, adminUid);
+            }
+        });
     });
 
     describe('tag privilege', () => {
@@ -2636,6 +2806,590 @@ describe('Topic\'s', () => {
         });
     });
 
+    describe('accepted answer', () => {
+        let category;
+        let tid;
+        let mainPid;
+        let firstPid;
+        let secondPid;
+
+        before(async () => {
+            const course = await categories.createCourse({ name: '15-411', term: 'Fall 2023', uid: adminUid });
+            await groups.join(course.instructorsGroup, instructorUid);
+            category = await categories.create({ name: 'questions', parentCid: course.cid });
+            const result = await topics.post({ uid: studentUid, cid: category.cid, title: 'a question', content: 'how does this work?' });
+            tid = result.topicData.tid;
+            mainPid = result.postData.pid;
+            firstPid = (await topics.reply({ uid: fooUid, tid, content: 'first answer' })).pid;
+            secondPid = (await topics.reply({ uid: instructorUid, tid, content: 'second answer' })).pid;
+            await topics.post({ uid: studentUid, cid: category.cid, title: 'another question', content: 'and this?' });
+        });
+
+        it('should start unresolved', async () => {
+            const topicData = await topics.getTopicFields(tid, ['resolved', 'acceptedPid']);
+            assert.strictEqual(topicData.resolved, 0);
+            assert.strictEqual(topicData.acceptedPid, 0);
+        });
+
+        it('should not let other students accept an answer', async () => {
+            await assert.rejects(
+                apiTopics.accept({ uid: fooUid }, { tid, pid: firstPid }),
+                { message: '[[error:no-privileges]]' },
+            );
+        });
+
+        it('should not accept the main post or a post from another topic', async () => {
+            await assert.rejects(
+                apiTopics.accept({ uid: studentUid }, { tid, pid: mainPid }),
+                { message: '[[error:cant-accept-post]]' },
+            );
+            await assert.rejects(
+                apiTopics.accept({ uid: studentUid }, { tid, pid: 1 }),
+                { message: '[[error:cant-accept-post]]' },
+            );
+        });
+
+        it('should let the topic owner accept a reply', async () => {
+            await apiTopics.accept({ uid: studentUid }, { tid, pid: firstPid });
+            const topicData = await topics.getTopicFields(tid, ['resolved', 'acceptedPid']);
+            assert.strictEqual(topicData.resolved, 1);
+            assert.strictEqual(topicData.acceptedPid, firstPid);
+
+            const events = await topics.events.get(tid, studentUid);
+            const event = events.find(e => e.type === 'accept');
+            assert.strictEqual(parseInt(event.uid, 10), studentUid);
+            assert.strictEqual(event.href, `/post/${firstPid}`);
+        });
+
+        it('should let an instructor replace the accepted answer', async () => {
+            await apiTopics.accept({ uid: instructorUid }, { tid, pid: secondPid });
+            const acceptedPid = await topics.getTopicField(tid, 'acceptedPid');
+            assert.strictEqual(acceptedPid, secondPid);
+        });
+
+        it('should show the accepted answer right under the main post', async () => {
+            const topicData = await topics.getTopicData(tid);
+            const postsData = await topics.getTopicPosts(topicData, `tid:${tid}:posts`, 0, 9, studentUid, false);
+            assert.deepStrictEqual(postsData.map(p => p.pid), [mainPid, secondPid, firstPid]);
+            assert.deepStrictEqual(postsData.map(p => p.accepted), [false, true, false]);
+        });
+
+        it('should filter category topics by resolved state', async () => {
+            const resolved = await categories.getCategoryTopics({
+                cid: category.cid, uid: studentUid, start: 0, stop: 19, filter: 'resolved',
+            });
+            assert.deepStrictEqual(resolved.topics.map(t => t.tid), [tid]);
+
+            const unresolved = await categories.getCategoryTopics({
+                cid: category.cid, uid: studentUid, start: 0, stop: 19, filter: 'unresolved',
+            });
+            assert.deepStrictEqual(unresolved.topics.map(t => t.title), ['another question']);
+
+            const count = await categories.getTopicCount({ cid: category.cid, filter: 'unresolved', category: {} });
+            assert.strictEqual(count, 1);
+        });
+
+        it('should filter sorted topics by resolved state', async () => {
+            const data = await topics.getSortedTopics({
+                cids: [category.cid], uid: studentUid, start: 0, stop: -1, filter: 'resolved',
+            });
+            assert.deepStrictEqual(data.topics.map(t => t.tid), [tid]);
+        });
+
+        it('should list the topics of a category through the api', async () => {
+            const apiCategories = require('../src/api/categories');
+            const data = await apiCategories.getTopics({ uid: studentUid }, { cid: category.cid, filter: 'unresolved' });
+            assert.deepStrictEqual(data.topics.map(t => t.title), ['another question']);
+        });
+
+        it('should clear the accepted answer', async () => {
+            await apiTopics.unaccept({ uid: studentUid }, { tid });
+            const topicData = await topics.getTopicFields(tid, ['resolved', 'acceptedPid']);
+            assert.strictEqual(topicData.resolved, 0);
+            assert.strictEqual(topicData.acceptedPid, 0);
+            await assert.rejects(
+                apiTopics.unaccept({ uid: studentUid }, { tid }),
+                { message: '[[error:topic-not-resolved]]' },
+            );
+        });
+
+        it('should unresolve the topic when the accepted answer is purged', async () => {
+            await apiTopics.accept({ uid: studentUid }, { tid, pid: firstPid });
+            await posts.purge(firstPid, adminUid);
+            const topicData = await topics.getTopicFields(tid, ['resolved', 'acceptedPid']);
+            assert.strictEqual(topicData.resolved, 0);
+            const isUnresolved = await db.isSortedSetMember(`cid:${category.cid}:tids:unresolved`, tid);
+            assert(isUnresolved);
+        });
+    });
+
+    describe('answers', () => {
+        let tid;
+        let replyPid;
+
+        before(async () => {
+            meta.config.enablePostHistory = 1;
+            const category = await categories.create({ name: 'answered questions' });
+            const result = await topics.post({ uid: studentUid, cid: category.cid, title: 'what is a closure?', content: 'I keep hearing about them' });
+            tid = result.topicData.tid;
+            replyPid = (await topics.reply({ uid: fooUid, tid, content: 'follow up: is this on the exam?' })).pid;
+        });
+
+        it('should start without answers', async () => {
+            const answers = await apiTopics.getAnswers({ uid: studentUid }, { tid });
+            assert.strictEqual(answers.instructor, null);
+            assert.strictEqual(answers.student, null);
+            assert.deepStrictEqual(answers.canEdit, { instructor: false, student: true });
+        });
+
+        it('should not let students write the instructors\' answer', async () => {
+            await assert.rejects(
+                apiTopics.setAnswer({ uid: studentUid }, { tid, type: 'instructor', content: 'a function with its scope' }),
+                { message: '[[error:no-privileges]]' },
+            );
+        });
+
+        it('should reject unknown answer types', async () => {
+            await assert.rejects(
+                apiTopics.setAnswer({ uid: instructorUid }, { tid, type: 'ta', content: 'a function with its scope' }),
+                { message: '[[error:invalid-data]]' },
+            );
+        });
+
+        it('should let an instructor write the instructors\' answer', async () => {
+            const answers = await apiTopics.setAnswer({ uid: instructorUid }, { tid, type: 'instructor', content: 'a function with its scope' });
+            assert(answers.instructor.pid);
+            assert.strictEqual(answers.instructor.editor.uid, instructorUid);
+            assert.strictEqual(answers.student, null);
+
+            const topicData = await topics.getTopicFields(tid, ['instructorAnswerPid', 'postcount']);
+            assert.strictEqual(topicData.instructorAnswerPid, answers.instructor.pid);
+            assert.strictEqual(topicData.postcount, 2);
+        });
+
+        it('should let students edit each other\'s answer and keep the history', async () => {
+            await apiTopics.setAnswer({ uid: studentUid }, { tid, type: 'student', content: 'a function that remembers variables' });
+            await apiTopics.setAnswer({ uid: fooUid }, { tid, type: 'student', content: 'a function that remembers the variables of its scope' });
+
+            const pid = await topics.getTopicField(tid, 'studentAnswerPid');
+            const postData = await posts.getPostFields(pid, ['uid', 'editor', 'content']);
+            assert.strictEqual(postData.uid, studentUid);
+            assert.strictEqual(parseInt(postData.editor, 10), fooUid);
+            assert.strictEqual(postData.content, 'a function that remembers the variables of its scope');
+
+            const diffs = await posts.diffs.list(pid);
+            assert.strictEqual(diffs.length, 1);
+            const canEdit = await privileges.posts.canEdit(pid, studentUid);
+            assert.strictEqual(canEdit.flag, true);
+        });
+
+        it('should keep the answers out of the follow-up discussion', async () => {
+            const topicData = await topics.getTopicData(tid);
+            const postsData = await topics.getTopicPosts(topicData, `tid:${tid}:posts`, 0, 9, studentUid, false);
+            assert.deepStrictEqual(postsData.map(p => p.pid), [topicData.mainPid, replyPid]);
+
+            const topicsData = await topics.getTopicsByTids([tid], studentUid);
+            assert.strictEqual(topicsData[0].hasInstructorAnswer, true);
+            assert.strictEqual(topicsData[0].hasStudentAnswer, true);
+            assert.strictEqual(topicsData[0].teaser.hasInstructorAnswer, true);
+        });
+
+        it('should accept the uid of the reader as a string', async () => {
+            const answers = await topics.answers.get(tid, String(studentUid));
+            assert.deepStrictEqual(answers.canEdit, { instructor: false, student: true });
+        });
+
+        it('should purge the answers with the topic', async () => {
+            const answerPids = await topics.answers.getPids(tid);
+            await topics.purgePostsAndTopic(tid, adminUid);
+            const exists = await db.exists([
+                `post:${answerPids.instructor}`,
+                `post:${answerPids.student}`,
+                `post:${answerPids.student}:diffs`,
+            ]);
+            assert.deepStrictEqual(exists, [false, false, false]);
+        });
+    });
+
+    describe('instructor count', () => {
+        let category;
+        let tid;
+        let otherTid;
+
+        async function getCount(tid) {
+            return await topics.getTopicField(tid, 'instructorcount');
+        }
+
+        async function isIndexed(tid) {
+            return await db.isSortedSetMember(`cid:${category.cid}:tids:noinstructor`, tid);
+        }
+
+        before(async () => {
+            category = await categories.create({ name: 'instructor responses' });
+            tid = (await topics.post({ uid: studentUid, cid: category.cid, title: 'needs help', content: 'stuck on part 2' })).topicData.tid;
+            otherTid = (await topics.post({ uid: studentUid, cid: category.cid, title: 'also needs help', content: 'stuck on part 3' })).topicData.tid;
+        });
+
+        it('should index topics without an instructor post', async () => {
+            assert.strictEqual(await getCount(tid), 0);
+            assert(await isIndexed(tid));
+        });
+
+        it('should only count instructor posts and record the role on the post', async () => {
+            const studentPost = await topics.reply({ uid: fooUid, tid, content: 'same here' });
+            assert.strictEqual(await getCount(tid), 0);
+            const instructorPost = await topics.reply({ uid: instructorUid, tid, content: 'check the handout' });
+            assert.strictEqual(await getCount(tid), 1);
+            assert.strictEqual(await posts.getPostField(instructorPost.pid, 'instructor'), 1);
+            assert.strictEqual(await posts.getPostField(studentPost.pid, 'instructor'), 0);
+            assert(!await isIndexed(tid));
+        });
+
+        it('should not change the count when a student post is purged', async () => {
+            const { pid } = await topics.reply({ uid: fooUid, tid, content: 'thanks!' });
+            await posts.purge(pid, adminUid);
+            assert.strictEqual(await getCount(tid), 1);
+        });
+
+        it('should take deleted instructor posts out of the count', async () => {
+            const { pid } = await topics.reply({ uid: instructorUid, tid, content: 'see lecture 4' });
+            assert.strictEqual(await getCount(tid), 2);
+            await posts.delete(pid, adminUid);
+            assert.strictEqual(await getCount(tid), 1);
+            await posts.restore(pid, adminUid);
+            assert.strictEqual(await getCount(tid), 2);
+            await posts.delete(pid, adminUid);
+            await posts.purge(pid, adminUid);
+            assert.strictEqual(await getCount(tid), 1);
+        });
+
+        it('should use the role at posting time', async () => {
+            const formerUid = await User.create({ username: 'former instructor' });
+            await groups.join(User.instructors.groupName, formerUid);
+            const { pid } = await topics.reply({ uid: formerUid, tid: otherTid, content: 'try printing the values' });
+            await groups.leave(User.instructors.groupName, formerUid);
+            assert.strictEqual(await getCount(otherTid), 1);
+            await posts.purge(pid, adminUid);
+            assert.strictEqual(await getCount(otherTid), 0);
+            assert(await isIndexed(otherTid));
+        });
+
+        it('should move the count with moved and merged posts', async () => {
+            const { pid } = await topics.reply({ uid: instructorUid, tid: otherTid, content: 'answered in the other topic' });
+            await topics.movePostToTopic(adminUid, pid, tid);
+            assert.strictEqual(await getCount(otherTid), 0);
+            assert.strictEqual(await getCount(tid), 2);
+
+            await topics.merge([tid, otherTid], adminUid, { mainTid: otherTid });
+            assert.strictEqual(await getCount(tid), 0);
+            assert.strictEqual(await getCount(otherTid), 2);
+            assert(!await isIndexed(otherTid));
+        });
+
+        it('should filter category topics without an instructor post', async () => {
+            const noInstructor = await topics.post({ uid: studentUid, cid: category.cid, title: 'nobody answered', content: 'hello?' });
+            const data = await categories.getCategoryTopics({
+                cid: category.cid, uid: studentUid, start: 0, stop: 19, filter: 'noinstructor',
+            });
+            const tids = data.topics.map(t => t.tid);
+            assert(tids.includes(noInstructor.topicData.tid));
+            assert(!tids.includes(otherTid));
+        });
+    });
+
+    describe('unanswered queue', () => {
+        let category;
+        let oldTid;
+        let newTid;
+
+        async function getQueue(uid, filter) {
+            const data = await apiTopics.getUnanswered({ uid }, { cid: category.cid, filter });
+            return data.topics.map(t => t.tid);
+        }
+
+        before(async () => {
+            const course = await categories.createCourse({ name: '15-112', term: 'Fall 2023', uid: adminUid });
+            await groups.join(course.instructorsGroup, instructorUid);
+            category = await categories.create({ name: 'office hours', parentCid: course.cid });
+            oldTid = (await topics.post({ uid: studentUid, cid: category.cid, title: 'asked first', content: 'question 1' })).topicData.tid;
+            newTid = (await topics.post({ uid: studentUid, cid: category.cid, title: 'asked second', content: 'question 2' })).topicData.tid;
+            await db.sortedSetAdd(`cid:${category.cid}:tids:noinstructor`, Date.now() - 3600000, oldTid);
+        });
+
+        it('should list topics without an instructor reply oldest first', async () => {
+            const data = await apiTopics.getUnanswered({ uid: instructorUid }, { cid: category.cid });
+            assert.deepStrictEqual(data.topics.map(t => t.tid), [oldTid, newTid]);
+            assert.strictEqual(data.topicCount, 2);
+            assert.strictEqual(data.topics[0].assignee, null);
+            assert(data.topics[0].waitingTime >= 0);
+        });
+
+        it('should list at most the oldest unansweredMaxTopics questions', async () => {
+            const { unansweredMaxTopics } = topics;
+            topics.unansweredMaxTopics = 1;
+            try {
+                const data = await apiTopics.getUnanswered({ uid: instructorUid }, { cid: category.cid });
+                assert.deepStrictEqual(data.topics.map(t => t.tid), [oldTid]);
+                assert.strictEqual(data.topicCount, 1);
+
+                // Deleted topics stay in the index, the next range has to be read
+                await topics.delete(oldTid, adminUid);
+                assert.deepStrictEqual(await getQueue(instructorUid), [newTid]);
+            } finally {
+                topics.unansweredMaxTopics = unansweredMaxTopics;
+                await topics.restore(oldTid);
+            }
+        });
+
+        it('should only list the questions of the courses of an instructor', async () => {
+            const otherCourse = await categories.createCourse({ name: '15-122', term: 'Fall 2023', uid: adminUid });
+            const otherCategory = await categories.create({ name: 'other office hours', parentCid: otherCourse.cid });
+            const otherInstructorUid = await User.create({ username: 'unanswered other instructor' });
+            await groups.join([User.instructors.groupName, otherCourse.instructorsGroup], otherInstructorUid);
+            const { tid } = (await topics.post({
+                uid: studentUid, cid: otherCategory.cid, title: 'other course', content: 'question 3',
+            })).topicData;
+
+            const queue = (await apiTopics.getUnanswered({ uid: instructorUid }, {})).topics.map(t => t.tid);
+            assert(queue.includes(oldTid));
+            assert(!queue.includes(tid));
+            const otherQueue = (await apiTopics.getUnanswered({ uid: otherInstructorUid }, {})).topics.map(t => t.tid);
+            assert.deepStrictEqual(otherQueue, [tid]);
+        });
+
+        it('should not let students view the queue', async () => {
+            await assert.rejects(apiTopics.getUnanswered({ uid: studentUid }, {}), { message: '[[error:no-privileges]]' });
+        });
+
+        it('should assign a topic to the calling instructor', async () => {
+            await apiTopics.assign({ uid: instructorUid }, { tid: oldTid });
+            assert.strictEqual(await topics.getTopicField(oldTid, 'assigneeUid'), instructorUid);
+            const data = await apiTopics.getUnanswered({ uid: instructorUid }, { cid: category.cid });
+            assert.strictEqual(data.topics[0].assignee.uid, instructorUid);
+            assert.strictEqual(data.topics[0].isAssignee, true);
+            const events = await topics.events.get(oldTid, instructorUid);
+            assert(events.some(event => event.type === 'assign' && parseInt(event.uid, 10) === instructorUid));
+        });
+
+        it('should not assign a topic twice or let students assign topics', async () => {
+            await assert.rejects(apiTopics.assign({ uid: instructorUid }, { tid: oldTid }), { message: '[[error:already-assigned]]' });
+            await assert.rejects(apiTopics.assign({ uid: studentUid }, { tid: newTid }), { message: '[[error:no-privileges]]' });
+        });
+
+        it('should filter the queue by assignee', async () => {
+            assert.deepStrictEqual(await getQueue(instructorUid, 'mine'), [oldTid]);
+            assert.deepStrictEqual(await getQueue(instructorUid, 'unassigned'), [newTid]);
+            await assert.rejects(getQueue(instructorUid, 'invalid'), { message: '[[error:invalid-data]]' });
+        });
+
+        it('should unassign a topic', async () => {
+            await apiTopics.unassign({ uid: adminUid }, { tid: oldTid });
+            assert.strictEqual(await topics.getTopicField(oldTid, 'assigneeUid'), 0);
+            await assert.rejects(apiTopics.unassign({ uid: adminUid }, { tid: oldTid }), { message: '[[error:topic-not-assigned]]' });
+        });
+
+        it('should drop a topic from the queue once an instructor replies', async () => {
+            await topics.reply({ uid: instructorUid, tid: oldTid, content: 'see the handout' });
+            assert.deepStrictEqual(await getQueue(instructorUid), [newTid]);
+        });
+    });
+
+    describe('private topics', () => {
+        let category;
+        let moderatorUid;
+        let otherInstructorUid;
+        let privateTopic;
+
+        before(async () => {
+            const course = await categories.createCourse({ name: '15-213', term: 'Fall 2023', uid: adminUid });
+            await groups.join(course.instructorsGroup, instructorUid);
+            category = await categories.create({ name: 'private questions', parentCid: course.cid });
+            moderatorUid = await User.create({ username: 'private moderator' });
+            otherInstructorUid = await User.create({ username: 'private other instructor', accounttype: 'instructor' });
+            await privileges.categories.give(['moderate'], category.cid, [moderatorUid]);
+            privateTopic = await topics.post({
+                uid: studentUid, cid: category.cid, title: 'my grade', content: 'why did I lose points?', private: 1,
+            });
+        });
+
+        it('should store the topic as private', async () => {
+            assert.strictEqual(privateTopic.topicData.private, 1);
+            assert.strictEqual(await topics.getTopicField(privateTopic.topicData.tid, 'private'), 1);
+        });
+
+        it('should not let guests post private topics', async () => {
+            await assert.rejects(
+                topics.post({ uid: 0, cid: category.cid, title: 'guest question', content: 'hello there', private: 1 }),
+                { message: '[[error:not-logged-in]]' }
+            );
+        });
+
+        it('should only show the topic to its author, the instructors of the course and moderators', async () => {
+            const { tid } = privateTopic.topicData;
+            assert.deepStrictEqual(await privileges.topics.filterTids('topics:read', [tid], studentUid), [tid]);
+            assert.deepStrictEqual(await privileges.topics.filterTids('topics:read', [tid], instructorUid), [tid]);
+            assert.deepStrictEqual(await privileges.topics.filterTids('topics:read', [tid], moderatorUid), [tid]);
+            assert.deepStrictEqual(await privileges.topics.filterTids('topics:read', [tid], otherInstructorUid), []);
+            assert.deepStrictEqual(await privileges.topics.filterTids('topics:read', [tid], fooUid), []);
+            assert.deepStrictEqual(await privileges.topics.filterTids('topics:read', [tid], 0), []);
+        });
+
+        it('should not let other students read or reply to the topic', async () => {
+            const { tid } = privateTopic.topicData;
+            const userPrivileges = await privileges.topics.get(tid, fooUid);
+            assert.strictEqual(userPrivileges['topics:read'], false);
+            assert.strictEqual(userPrivileges['topics:reply'], false);
+            assert.strictEqual(await privileges.topics.can('topics:read', tid, fooUid), false);
+            assert.strictEqual(await privileges.topics.can('topics:read', tid, studentUid), true);
+        });
+
+        it('should hide the posts of the topic from other students', async () => {
+            const { pid } = privateTopic.postData;
+            assert.deepStrictEqual(await privileges.posts.filter('topics:read', [pid], fooUid), []);
+            assert.deepStrictEqual(await privileges.posts.filter('topics:read', [pid], instructorUid), [pid]);
+            assert.strictEqual(await privileges.posts.can('topics:read', pid, fooUid), false);
+        });
+
+        it('should only notify users who can see the topic', async () => {
+            const uids = await privileges.topics.filterUids(
+                'topics:read', privateTopic.topicData.tid, [studentUid, instructorUid, moderatorUid, otherInstructorUid, fooUid]
+            );
+            assert.deepStrictEqual(uids, [studentUid, instructorUid, moderatorUid]);
+        });
+
+        it('should only let instructors and moderators make the topic public', async () => {
+            const { tid } = privateTopic.topicData;
+            await assert.rejects(apiTopics.makePublic({ uid: studentUid }, { tid }), { message: '[[error:no-privileges]]' });
+            await assert.rejects(apiTopics.makePublic({ uid: fooUid }, { tid }), { message: '[[error:no-privileges]]' });
+        });
+
+        it('should make the topic public', async () => {
+            const { tid } = privateTopic.topicData;
+            await apiTopics.makePublic({ uid: instructorUid }, { tid });
+            assert.strictEqual(await topics.getTopicField(tid, 'private'), 0);
+            assert.strictEqual(await topics.getTopicField(tid, 'anonymous'), 0);
+            assert.deepStrictEqual(await privileges.topics.filterTids('topics:read', [tid], fooUid), [tid]);
+            const events = await topics.events.get(tid, instructorUid);
+            assert(events.some(event => event.type === 'public' && parseInt(event.uid, 10) === instructorUid));
+            await assert.rejects(apiTopics.makePublic({ uid: instructorUid }, { tid }), { message: '[[error:topic-not-private]]' });
+        });
+
+        it('should make the topic public anonymously', async () => {
+            const result = await topics.post({
+                uid: studentUid, cid: category.cid, title: 'about my project', content: 'is this allowed?', private: 1,
+            });
+            const { tid } = result.topicData;
+            await topics.reply({ uid: studentUid, tid, content: 'more details about it' });
+            await apiTopics.makePublic({ uid: moderatorUid }, { tid, anonymize: true });
+
+            assert.strictEqual(await topics.getTopicField(tid, 'private'), 0);
+            assert.strictEqual(await topics.getTopicField(tid, 'anonymous'), 1);
+            const pids = await topics.getPids(tid);
+            const postsData = await posts.getPostsFields(pids, ['anonymous']);
+            assert(postsData.every(post => post.anonymous === 1));
+        });
+    });
+
+    describe('announcements', () => {
+        let course;
+        let subCategory;
+        let readerUid;
+        let absentUid;
+        let announcement;
+
+        before(async () => {
+            course = await categories.createCourse({ name: '17-214', term: 'Fall 2023', uid: adminUid });
+            subCategory = await categories.create({ name: 'homework', parentCid: course.cid });
+            readerUid = await User.create({ username: 'announcement reader' });
+            absentUid = await User.create({ username: 'announcement absentee' });
+            await groups.join(course.rosterGroup, [readerUid, absentUid]);
+            await groups.join(course.instructorsGroup, instructorUid);
+        });
+
+        it('should not let students post announcements', async () => {
+            await assert.rejects(topics.post({
+                uid: readerUid, cid: course.cid, title: 'not an announcement', content: 'hello everyone', announcement: 1,
+            }), { message: '[[error:no-privileges]]' });
+        });
+
+        it('should only post announcements in a course', async () => {
+            await assert.rejects(topics.post({
+                uid: adminUid, cid: categoryObj.cid, title: 'no course', content: 'hello everyone', announcement: 1,
+            }), { message: '[[error:no-course]]' });
+        });
+
+        it('should not expire an announcement before it is published', async () => {
+            await assert.rejects(topics.post({
+                uid: instructorUid,
+                cid: course.cid,
+                title: 'expired',
+                content: 'hello everyone',
+                announcement: 1,
+                announcementExpiry: Date.now() - 1000,
+            }), { message: '[[error:invalid-announcement-expiry]]' });
+        });
+
+        it('should pin an announcement in every category of the course', async () => {
+            announcement = await topics.post({
+                uid: instructorUid, cid: subCategory.cid, title: 'exam moved', content: 'the exam is on friday', announcement: 1,
+            });
+            const { tid } = announcement.topicData;
+            assert.strictEqual(announcement.topicData.announcement, 1);
+            const [courseTids, subCategoryTids, otherTids] = await Promise.all([
+                categories.getTopicIds({ cid: course.cid, start: 0, stop: 19, uid: readerUid }),
+                categories.getTopicIds({ cid: subCategory.cid, start: 0, stop: 19, uid: readerUid }),
+                categories.getTopicIds({ cid: categoryObj.cid, start: 0, stop: 19, uid: readerUid }),
+            ]);
+            assert.strictEqual(String(courseTids[0]), String(tid));
+            assert.deepStrictEqual(subCategoryTids.map(String), [String(tid)]);
+            assert(!otherTids.map(String).includes(String(tid)));
+        });
+
+        it('should notify every member of the roster', async () => {
+            await sleep(2500);
+            const nid = `announcement:${announcement.topicData.tid}`;
+            assert(await db.isSortedSetMember(`uid:${readerUid}:notifications:unread`, nid));
+            assert(await db.isSortedSetMember(`uid:${absentUid}:notifications:unread`, nid));
+        });
+
+        it('should show who read the announcement to the course staff', async () => {
+            const { tid } = announcement.topicData;
+            await topics.announcements.markRead(tid, readerUid);
+            const receipts = await apiTopics.getReceipts({ uid: instructorUid }, { tid });
+            assert.deepStrictEqual(receipts.read.map(row => row.uid), [readerUid]);
+            assert.deepStrictEqual(receipts.unread.map(row => row.uid), [absentUid]);
+            assert.strictEqual(receipts.readCount, 1);
+            assert(receipts.read[0].readAt > 0);
+            await assert.rejects(apiTopics.getReceipts({ uid: readerUid }, { tid }), { message: '[[error:no-privileges]]' });
+        });
+
+        it('should keep when a student first opened the announcement', async () => {
+            const { tid } = announcement.topicData;
+            const [first] = await db.sortedSetScores(`tid:${tid}:readers`, [readerUid]);
+            await topics.announcements.markRead(tid, readerUid);
+            assert.strictEqual(await db.sortedSetScore(`tid:${tid}:readers`, readerUid), first);
+        });
+
+        it('should not pin scheduled announcements before they are published', async () => {
+            const scheduled = await topics.post({
+                uid: adminUid,
+                cid: course.cid,
+                title: 'next week',
+                content: 'coming soon',
+                announcement: 1,
+                timestamp: Date.now() + 86400000,
+            });
+            assert(!(await topics.announcements.getTids(course.cid)).includes(String(scheduled.topicData.tid)));
+        });
+
+        it('should stop pinning an announcement once it expires', async () => {
+            const { tid } = announcement.topicData;
+            await topics.setTopicField(tid, 'announcementExpiry', Date.now() - 1000);
+            assert(!(await topics.announcements.getTids(subCategory.cid)).includes(String(tid)));
+            assert(!await db.isSortedSetMember(`course:${course.cid}:announcements`, tid));
+        });
+    });
+
     describe('sorted topics', () => {
         let category;
         before(async () => {
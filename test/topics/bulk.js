@@ -0,0 +1,151 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('util');
+
+const sleep = util.promisify(setTimeout);
+
+const db = require('../mocks/databasemock');
+
+const categories = require('../../src/categories');
+const topics = require('../../src/topics');
+const groups = require('../../src/groups');
+const user = require('../../src/user');
+const apiTopics = require('../../src/api/topics');
+
+describe('Topic bulk jobs', () => {
+    let adminUid;
+    let studentUid;
+    let cid;
+    let otherCid;
+    let tids;
+
+    async function waitForJob(jobId) {
+        let job;
+        for (let i = 0; i < 50; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            job = await topics.getBulkJob(jobId);
+            if (job.status === 'complete') {
+                return job;
+            }
+            // eslint-disable-next-line no-await-in-loop
+            await sleep(50);
+        }
+        assert.fail(`bulk job ${jobId} did not complete`);
+    }
+
+    async function postTopics(uid, count) {
+        const created = [];
+        for (let i = 0; i < count; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            const { topicData } = await topics.post({ uid, cid, title: `bulk topic ${i}`, content: 'bulk content' });
+            created.push(topicData.tid);
+        }
+        return created;
+    }
+
+    before(async () => {
+        adminUid = await user.create({ username: 'bulkadmin', password: '123456' });
+        studentUid = await user.create({ username: 'bulkstudent', password: '123456' });
+        await groups.join('administrators', adminUid);
+        ({ cid } = await categories.create({ name: 'Bulk category' }));
+        ({ cid: otherCid } = await categories.create({ name: 'Bulk target category' }));
+        tids = await postTopics(studentUid, 3);
+    });
+
+    it('should lock every topic and report each result', async () => {
+        const job = await apiTopics.bulk({ uid: adminUid, ip: '127.0.0.1' }, { action: 'lock', tids });
+        assert.strictEqual(job.action, 'lock');
+        assert.strictEqual(job.total, 3);
+        assert.strictEqual(job.uid, adminUid);
+
+        const done = await waitForJob(job.jobId);
+        assert.strictEqual(done.processed, 3);
+        assert.strictEqual(done.succeeded, 3);
+        assert.strictEqual(done.failed, 0);
+        assert(done.finishedAt >= done.timestamp);
+        assert.deepStrictEqual(done.results.map(result => result.tid), tids);
+        const locked = await topics.getTopicsFields(tids, ['locked']);
+        assert(locked.every(topic => topic.locked === 1));
+    });
+
+    it('should check the privileges of the caller on every topic', async () => {
+        const job = await apiTopics.bulk({ uid: studentUid }, { action: 'unlock', tids: [tids[0], 999999] });
+        const done = await waitForJob(job.jobId);
+        assert.strictEqual(done.failed, 2);
+        assert.deepStrictEqual(done.results, [
+            { tid: tids[0], status: 'error', error: '[[error:no-privileges]]' },
+            { tid: 999999, status: 'error', error: '[[error:no-topic]]' },
+        ]);
+        assert.strictEqual(await topics.getTopicField(tids[0], 'locked'), 1);
+    });
+
+    it('should find topics by category, author and date range', async () => {
+        await sleep(10);
+        const [adminTid] = await postTopics(adminUid, 1);
+        assert.deepStrictEqual(
+            (await topics.getBulkTids(adminUid, { filter: { cid } })).sort((a, b) => a - b),
+            [...tids, adminTid]
+        );
+        assert.deepStrictEqual(await topics.getBulkTids(adminUid, { filter: { cid, uid: adminUid } }), [adminTid]);
+
+        const timestamp = await topics.getTopicField(adminTid, 'timestamp');
+        assert.deepStrictEqual(await topics.getBulkTids(adminUid, { filter: { cid, start: timestamp } }), [adminTid]);
+        await assert.rejects(topics.getBulkTids(adminUid, { filter: { cid, start: timestamp, end: 1 } }), { message: '[[error:invalid-date-range]]' });
+        await assert.rejects(topics.getBulkTids(adminUid, { filter: {} }), { message: '[[error:invalid-data]]' });
+        await assert.rejects(topics.getBulkTids(adminUid, { filter: { cid: otherCid } }), { message: '[[error:bulk-no-topics]]' });
+    });
+
+    it('should not find anonymous topics by their author', async () => {
+        await topics.setTopicField(tids[2], 'anonymous', 1);
+        const found = await topics.getBulkTids(adminUid, { filter: { uid: studentUid } });
+        assert(found.includes(tids[0]));
+        assert(!found.includes(tids[2]));
+        await topics.setTopicField(tids[2], 'anonymous', 0);
+    });
+
+    it('should refuse too many topics', async () => {
+        const tooMany = Array.from({ length: topics.bulkMaxTopics + 1 }, (v, index) => index + 1);
+        await assert.rejects(apiTopics.bulk({ uid: adminUid }, { action: 'pin', tids: tooMany }), {
+            message: `[[error:bulk-too-many-topics, ${topics.bulkMaxTopics}]]`,
+        });
+    });
+
+    it('should move topics to a category the caller moderates', async () => {
+        await assert.rejects(
+            apiTopics.bulk({ uid: studentUid }, { action: 'move', tids: [tids[0]], cid: otherCid }),
+            { message: '[[error:no-privileges]]' }
+        );
+        const job = await apiTopics.bulk({ uid: adminUid }, { action: 'move', tids: [tids[0]], cid: otherCid });
+        const done = await waitForJob(job.jobId);
+        assert.strictEqual(done.succeeded, 1);
+        assert.strictEqual(await topics.getTopicField(tids[0], 'cid'), otherCid);
+    });
+
+    it('should tag topics', async () => {
+        await assert.rejects(apiTopics.bulk({ uid: adminUid }, { action: 'tag', tids }), { message: '[[error:invalid-data]]' });
+        const job = await apiTopics.bulk({ uid: adminUid }, { action: 'tag', tids: tids.slice(1), tags: ['bulktag'] });
+        await waitForJob(job.jobId);
+        const tags = await topics.getTopicsTags(tids.slice(1));
+        assert(tags.every(topicTags => topicTags.includes('bulktag')));
+    });
+
+    it('should merge topics into the oldest one', async () => {
+        const mergeTids = await postTopics(adminUid, 3);
+        const job = await apiTopics.bulk({ uid: adminUid }, { action: 'merge', tids: mergeTids });
+        const done = await waitForJob(job.jobId);
+        assert.strictEqual(done.succeeded, 3);
+        const merged = await topics.getTopicsFields(mergeTids.slice(1), ['mergeIntoTid']);
+        assert(merged.every(topic => parseInt(topic.mergeIntoTid, 10) === mergeTids[0]));
+        assert.strictEqual(await topics.getTopicField(mergeTids[0], 'postcount'), 3);
+    });
+
+    it('should only show a job to its creator and administrators', async () => {
+        const job = await apiTopics.bulk({ uid: adminUid }, { action: 'unpin', tids });
+        await waitForJob(job.jobId);
+        assert.strictEqual((await apiTopics.getBulkJob({ uid: adminUid }, { jobId: job.jobId })).jobId, job.jobId);
+        await assert.rejects(apiTopics.getBulkJob({ uid: studentUid }, { jobId: job.jobId }), { message: '[[error:no-privileges]]' });
+        await assert.rejects(apiTopics.getBulkJob({ uid: adminUid }, { jobId: 999999 }), { message: '[[error:no-bulk-job]]' });
+        assert(await db.exists(`topics:bulk:${job.jobId}:results`));
+    });
+});
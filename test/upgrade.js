@@ -1,9 +1,15 @@
 'use strict';
 
 const assert = require('assert');
+const path = require('path');
 
 const db = require('./mocks/databasemock');
 const upgrade = require('../src/upgrade');
+const categories = require('../src/categories');
+const groups = require('../src/groups');
+const posts = require('../src/posts');
+const topics = require('../src/topics');
+const user = require('../src/user');
 
 describe('Upgrade', () => {
     it('should get all upgrade scripts', async () => {
@@ -32,4 +38,31 @@ describe('Upgrade', () => {
         await db.set('schemaDate', 1);
         await upgrade.runParticular(files.slice(0, 2));
     });
+
+    it('should keep the instructor flag of posts by instructors from before the Instructors group', async () => {
+        const { cid } = await categories.create({ name: 'Pre-migration course' });
+        const uid = await user.create({ username: 'oldinstructor' });
+        const { topicData, postData } = await topics.post({
+            uid,
+            cid,
+            title: 'Posted by a self-declared instructor',
+            content: 'the account type was the only record of the role',
+        });
+        // before the Instructors group the role was only the self-selected account type
+        await db.setObjectField(`user:${uid}`, 'accounttype', 'instructor');
+        await db.deleteObjectField(`post:${postData.pid}`, 'instructor');
+
+        const files = (await upgrade.getAll()).filter(
+            file => ['instructors_group', 'instructor_count'].includes(path.basename(file, '.js'))
+        );
+        assert.strictEqual(files.length, 2);
+        await db.set('schemaDate', 1);
+        await upgrade.process(files, 0);
+
+        assert.strictEqual(await posts.getPostField(postData.pid, 'instructor'), 1);
+        assert.strictEqual(await topics.getTopicField(topicData.tid, 'instructorcount'), 1);
+        assert(!await db.isSortedSetMember(`cid:${cid}:tids:noinstructor`, topicData.tid));
+        assert.strictEqual(await user.getUserField(uid, 'accounttype'), 'student');
+        assert(await groups.isPending(uid, user.instructors.groupName));
+    });
 });
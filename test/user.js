@@ -25,6 +25,7 @@ const socketUser = require('../src/socket.io/user');
 const apiUser = require('../src/api/users');
 const utils = require('../src/utils');
 const privileges = require('../src/privileges');
+const uploadsController = require('../src/controllers/uploads');
 
 describe('User', () => {
     let userData;
@@ -114,6 +115,8 @@ describe('User', () => {
             assert.ok(instructorUid);
             assert.ok(studentUid);
 
+            await groups.acceptMembership(User.instructors.groupName, instructorUid);
+
             await User.setUserField(testUid, 'email', userData.email);
             await User.email.confirmByUid(testUid);
         });
@@ -271,7 +274,45 @@ describe('User', () => {
     });
 
     describe('.isInstructor', () => {
-        it('true if accounttype is instructor', (done) => {
+        it('should not grant the instructor role on creation', async () => {
+            const uid = await User.create({ username: 'selfinstructor', accounttype: 'instructor' });
+            const [isInstructor, isPending, accounttype] = await Promise.all([
+                User.isInstructor(uid),
+                groups.isPending(uid, User.instructors.groupName),
+                User.getUserField(uid, 'accounttype'),
+            ]);
+            assert.strictEqual(isInstructor, false);
+            assert.strictEqual(isPending, true);
+            assert.strictEqual(accounttype, 'student');
+        });
+
+        it('should grant the instructor role once the request is accepted', async () => {
+            const uid = await User.create({ username: 'approvedinstructor', accounttype: 'instructor' });
+            await groups.acceptMembership(User.instructors.groupName, uid);
+            assert.strictEqual(await User.isInstructor(uid), true);
+            assert.strictEqual(await User.getAccountTypeByUid(uid), 'instructor');
+        });
+
+        it('should not get the account type of guests or invalid uids', async () => {
+            await assert.rejects(User.getAccountTypeByUid(0), { message: '[[error:invalid-uid]]' });
+            await assert.rejects(User.getAccountTypeByUid('abc'), { message: '[[error:invalid-uid]]' });
+        });
+
+        it('should keep the other roles of a user when the instructor role is revoked', async () => {
+            // accounttype is updated by the group hooks, which are not awaited
+            const uid = await User.create({ username: 'instructorrecruiter' });
+            const accounttypeIs = type => async () => await User.getUserField(uid, 'accounttype') === type;
+            await User.recruiters.createGroup();
+            await groups.join(User.recruiters.groupName, uid);
+            await groups.join(User.instructors.groupName, uid);
+            await helpers.waitFor(accounttypeIs('instructor'));
+            await groups.leave(User.instructors.groupName, uid);
+            await helpers.waitFor(accounttypeIs('recruiter'));
+            await groups.leave(User.recruiters.groupName, uid);
+            await helpers.waitFor(accounttypeIs('student'));
+        });
+
+        it('true if member of the Instructors group', (done) => {
             User.isInstructor(instructorUid, (err, isInstructor) => {
                 assert.equal(err, null);
                 assert.equal(isInstructor, true);
@@ -2652,6 +2693,292 @@ describe('User', () => {
         });
     });
 
+    describe('roster import', () => {
+        let adminUid;
+        let instructorUid;
+        let otherInstructorUid;
+        let rosterUid;
+        let course;
+
+        before(async () => {
+            adminUid = await User.create({ username: 'rosteradmin', password: '123456' });
+            await groups.join('administrators', adminUid);
+            course = await Categories.createCourse({ name: 'Roster Course', term: 'Fall 2023', uid: adminUid });
+            instructorUid = await User.create({ username: 'rosterinstructor', password: '123456' });
+            await groups.join([User.instructors.groupName, course.instructorsGroup], instructorUid);
+            otherInstructorUid = await User.create({ username: 'rosterotherinstructor', password: '123456' });
+            await groups.join(User.instructors.groupName, otherInstructorUid);
+            await groups.create({ name: 'Roster Section A', hidden: 1, private: 1 });
+            rosterUid = await User.create({ username: 'rosterexisting', email: 'rosterexisting@example.org' });
+        });
+
+        it('should create, update, skip and fail rows', async () => {
+            const csv = [
+                'username,email,accounttype,groups',
+                'rosternew,rosternew@example.org,student,Roster Section A',
+                'rosterexisting,rosterexisting@example.org,student,Roster Section A',
+                'rosternew,rosternew@example.org,student,',
+                'rosterbad,not-an-email,student,',
+                'rosternogroup,,student,Does Not Exist',
+            ].join('\n');
+            const result = await User.importRoster(csv, { uid: adminUid });
+
+            assert.strictEqual(result.created, 1);
+            assert.strictEqual(result.updated, 1);
+            assert.strictEqual(result.skipped, 1);
+            assert.strictEqual(result.failed, 2);
+            assert.deepStrictEqual(result.rows.map(row => row.status), ['created', 'updated', 'skipped', 'failed', 'failed']);
+            assert.strictEqual(result.rows[3].reason, '[[error:invalid-email]]');
+            assert.strictEqual(result.rows[4].reason, '[[error:no-group]]');
+
+            const uid = await User.getUidByEmail('rosternew@example.org');
+            assert.strictEqual(result.rows[0].uid, uid);
+            assert(await groups.isMember(uid, 'Roster Section A'));
+            assert(await groups.isMember(rosterUid, 'Roster Section A'));
+        });
+
+        it('should skip accounts that are already up to date', async () => {
+            const result = await User.importRoster('email,groups\nrosterexisting@example.org,Roster Section A', { uid: adminUid });
+            assert.strictEqual(result.rows[0].status, 'skipped');
+            assert.strictEqual(result.rows[0].uid, rosterUid);
+        });
+
+        it('should not change anything on a dry run', async () => {
+            const result = await User.importRoster('username,email\nrosterdryrun,"rosterdryrun@example.org"', { uid: adminUid, dryRun: true });
+            assert.strictEqual(result.dryRun, true);
+            assert.strictEqual(result.created, 1);
+            assert.strictEqual(result.rows[0].uid, 0);
+            assert.strictEqual(await User.getUidByUsername('rosterdryrun'), null);
+        });
+
+        it('should grant the instructor role only when an administrator imports it', async () => {
+            const csv = 'username,accounttype\nrosterta,instructor';
+            await User.importRoster(csv, { uid: adminUid });
+            const uid = await User.getUidByUsername('rosterta');
+            assert.strictEqual(await User.isInstructor(uid), true);
+
+            await User.importRoster('username,accounttype\nrosterta2,instructor', { uid: instructorUid, cid: course.cid });
+            const uid2 = await User.getUidByUsername('rosterta2');
+            assert.strictEqual(await User.isInstructor(uid2), false);
+            assert(await groups.isPending(uid2, User.instructors.groupName));
+        });
+
+        it('should not let instructors import into groups they do not manage', async () => {
+            const result = await User.importRoster('username,groups\nrosterother,Roster Section A', { uid: instructorUid, cid: course.cid });
+            assert.strictEqual(result.rows[0].status, 'failed');
+            assert.strictEqual(result.rows[0].reason, '[[error:no-privileges]]');
+        });
+
+        it('should add the accounts of a course import to its roster group', async () => {
+            const result = await User.importRoster('username\nrostercourse', { uid: instructorUid, cid: course.cid });
+            assert.strictEqual(result.rows[0].status, 'created');
+            assert.strictEqual(result.rows[0].groups, course.rosterGroup);
+            assert(await groups.isMember(result.rows[0].uid, course.rosterGroup));
+        });
+
+        it('should only email the invitation once the account confirmed its email address', async () => {
+            const result = await User.importRoster('username,email\nrosterinvite,rosterinvite@example.org', {
+                uid: adminUid,
+                sendInvitations: true,
+            });
+            const { uid } = result.rows[0];
+            assert.strictEqual(result.rows[0].reason, '[[roster:reason.invitation-pending]]');
+            assert.strictEqual(parseInt(await db.getObjectField('roster:invitations', uid), 10), adminUid);
+
+            await User.email.confirmByUid(uid);
+            // the invitation is sent by a hook of the confirmation, which is not awaited
+            await helpers.waitFor(async () => await db.getObjectField('roster:invitations', uid) === null);
+        });
+
+        it('should reject a roster without a username or email column', async () => {
+            await assert.rejects(
+                User.importRoster('fullname\nSomeone', { uid: adminUid }),
+                { message: '[[error:roster-missing-columns]]' }
+            );
+        });
+
+        it('should keep a downloadable report of the import', async () => {
+            const result = await User.importRoster('username\nrosterreport', { uid: adminUid, dryRun: true });
+            const csv = await User.getRosterReportCSV(result.importId);
+            assert(csv.startsWith('"row","username","email","accounttype","groups","status","uid","reason"'));
+            assert(csv.includes('"rosterreport"'));
+        });
+
+        it('should only let administrators and the instructors of the course import rosters', async () => {
+            const studentUid = await User.create({ username: 'rosterstudent' });
+            await assert.rejects(
+                apiUser.importRoster({ uid: studentUid }, { csv: 'username\nfoo' }),
+                { message: '[[error:no-privileges]]' }
+            );
+            await assert.rejects(
+                apiUser.importRoster({ uid: otherInstructorUid }, { csv: 'username\nfoo', cid: course.cid }),
+                { message: '[[error:no-privileges]]' }
+            );
+            await assert.rejects(
+                apiUser.importRoster({ uid: instructorUid }, { csv: 'username\nfoo' }),
+                { message: '[[error:no-privileges]]' }
+            );
+            assert.deepStrictEqual((await User.getRosterCourses(instructorUid)).map(c => c.cid), [course.cid]);
+            assert.deepStrictEqual(await User.getRosterCourses(otherInstructorUid), []);
+
+            const result = await apiUser.importRoster({ uid: instructorUid }, { csv: 'username\nrosterapi', dryRun: true, cid: course.cid });
+            await assert.rejects(
+                apiUser.getRosterReport({ uid: studentUid }, { importId: result.importId }),
+                { message: '[[error:no-privileges]]' }
+            );
+            assert(await apiUser.getRosterReport({ uid: instructorUid }, { importId: result.importId }));
+        });
+    });
+
+    describe('career profile', () => {
+        let studentUid;
+        let recruiterUid;
+        let otherUid;
+        let adminUid;
+
+        before(async () => {
+            studentUid = await User.create({ username: 'careerstudent' });
+            recruiterUid = await User.create({ username: 'careerrecruiter' });
+            otherUid = await User.create({ username: 'careerother', password: '123456' });
+            adminUid = await User.create({ username: 'careeradmin' });
+            await groups.join('administrators', adminUid);
+            await User.recruiters.createGroup();
+            await groups.join(User.recruiters.groupName, recruiterUid);
+
+            await User.updateProfile(studentUid, {
+                uid: studentUid,
+                graduationYear: '2025',
+                major: 'Computer Science',
+                skills: 'Java, SQL, Java,  Public Speaking',
+                portfolio: 'https://example.org/one\nhttps://example.org/two',
+                resume: 'https://example.org/resume.pdf',
+                careerVisibility: JSON.stringify({
+                    graduationYear: 'public',
+                    major: 'public',
+                    skills: 'recruiters',
+                    portfolio: 'private',
+                }),
+            });
+        });
+
+        it('should save the career fields', async () => {
+            const userData = await User.getUserData(studentUid, studentUid);
+            assert.strictEqual(userData.graduationYear, 2025);
+            assert.strictEqual(userData.major, 'Computer Science');
+            assert.strictEqual(userData.skills, 'Java, SQL, Public Speaking');
+            assert.strictEqual(userData.portfolio, 'https://example.org/one\nhttps://example.org/two');
+            assert.strictEqual(userData.resume, 'https://example.org/resume.pdf');
+        });
+
+        it('should leave the career fields out of the default user data', async () => {
+            const [userData, [listed]] = await Promise.all([
+                User.getUserData(studentUid),
+                User.getUsersData([studentUid]),
+            ]);
+            for (const field of [...User.careerFields, 'careerVisibility']) {
+                assert(!userData.hasOwnProperty(field));
+                assert(!listed.hasOwnProperty(field));
+            }
+        });
+
+        it('should default the visibility of a field to recruiters only', async () => {
+            const userData = await User.getUserData(studentUid, studentUid);
+            assert.deepStrictEqual(userData.careerVisibility, {
+                graduationYear: 'public',
+                major: 'public',
+                skills: 'recruiters',
+                portfolio: 'private',
+                resume: 'recruiters',
+            });
+            assert.deepStrictEqual(User.parseCareerVisibility('not json'), {
+                graduationYear: 'recruiters',
+                major: 'recruiters',
+                skills: 'recruiters',
+                portfolio: 'recruiters',
+                resume: 'recruiters',
+            });
+            assert.strictEqual(User.parseCareerVisibility({ major: 'everyone' }).major, 'recruiters');
+        });
+
+        it('should only show public fields to other users and guests', async () => {
+            for (const callerUid of [otherUid, 0]) {
+                // eslint-disable-next-line no-await-in-loop
+                const userData = await User.getUserData(studentUid, callerUid);
+                assert.strictEqual(userData.graduationYear, 2025);
+                assert.strictEqual(userData.major, 'Computer Science');
+                assert.strictEqual(userData.skills, '');
+                assert.strictEqual(userData.portfolio, '');
+                assert.strictEqual(userData.resume, '');
+            }
+        });
+
+        it('should show public and recruiters only fields to recruiters', async () => {
+            const userData = await User.getUserData(studentUid, recruiterUid);
+            assert.strictEqual(userData.major, 'Computer Science');
+            assert.strictEqual(userData.skills, 'Java, SQL, Public Speaking');
+            assert.strictEqual(userData.resume, 'https://example.org/resume.pdf');
+            assert.strictEqual(userData.portfolio, '');
+        });
+
+        it('should show every field to the user and to administrators', async () => {
+            for (const callerUid of [studentUid, adminUid]) {
+                // eslint-disable-next-line no-await-in-loop
+                const userData = await User.getUserData(studentUid, callerUid);
+                assert.strictEqual(userData.skills, 'Java, SQL, Public Speaking');
+                assert.strictEqual(userData.portfolio, 'https://example.org/one\nhttps://example.org/two');
+            }
+        });
+
+        it('should hide fields in /api/v3/users/:uid', async () => {
+            const { jar } = await helpers.loginUser('careerother', '123456');
+            const { body } = await requestAsync(`${nconf.get('url')}/api/v3/users/${studentUid}`, { jar, json: true });
+            assert.strictEqual(body.response.major, 'Computer Science');
+            assert.strictEqual(body.response.skills, '');
+            assert.strictEqual(body.response.resume, '');
+        });
+
+        it('should only send an uploaded résumé to those who can see it', async () => {
+            const resume = await uploadsController.uploadResume(studentUid, {
+                name: 'resume.pdf', path: path.join(__dirname, 'files/test.png'), size: 100,
+            });
+            const url = await User.setResume(studentUid, resume);
+            assert.strictEqual(url, `${nconf.get('relative_path')}/api/v3/users/${studentUid}/resume`);
+            assert.strictEqual((await User.getUserData(studentUid, recruiterUid)).resume, url);
+            assert(!(await User.getUserData(studentUid, recruiterUid)).hasOwnProperty('resumeFile'));
+
+            assert.strictEqual(await User.getResumePath(studentUid, recruiterUid), file.getPrivatePath(resume.file));
+            assert.strictEqual(await User.getResumePath(studentUid, otherUid), null);
+
+            const { jar } = await helpers.loginUser('careerother', '123456');
+            const res = await requestAsync(`${nconf.get('url')}/api/v3/users/${studentUid}/resume`, {
+                jar, resolveWithFullResponse: true, simple: false,
+            });
+            assert.strictEqual(res.statusCode, 404);
+
+            // a new upload replaces the old file
+            const newResume = await uploadsController.uploadResume(studentUid, {
+                name: 'resume.pdf', path: path.join(__dirname, 'files/test.png'), size: 100,
+            });
+            await User.setResume(studentUid, newResume);
+            assert(!await file.exists(file.getPrivatePath(resume.file)));
+        });
+
+        it('should reject invalid career fields', async () => {
+            const cases = [
+                [{ graduationYear: '20x5' }, '[[error:invalid-graduation-year]]'],
+                [{ graduationYear: '1800' }, '[[error:invalid-graduation-year]]'],
+                [{ major: 'https://example.org' }, '[[error:invalid-major]]'],
+                [{ skills: new Array(22).fill(0).map((v, i) => `skill${i}`).join(',') }, '[[error:invalid-skills]]'],
+                [{ portfolio: 'not a link' }, '[[error:invalid-portfolio]]'],
+                [{ resume: 'resume.pdf' }, '[[error:invalid-resume]]'],
+            ];
+            for (const [data, message] of cases) {
+                // eslint-disable-next-line no-await-in-loop
+                await assert.rejects(User.updateProfile(studentUid, { uid: studentUid, ...data }), { message });
+            }
+        });
+    });
+
     describe('hideEmail/hideFullname', () => {
         const COMMON_PW = '123456';
         const hidingUser = {
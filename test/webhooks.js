@@ -0,0 +1,238 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const util = require('util');
+
+const sleep = util.promisify(setTimeout);
+
+const db = require('./mocks/databasemock');
+
+const Webhooks = require('../src/webhooks');
+const Categories = require('../src/categories');
+const Topics = require('../src/topics');
+const Posts = require('../src/posts');
+const User = require('../src/user');
+
+describe('Webhooks', () => {
+    let server;
+    let url;
+    let received = [];
+    let statusCode = 200;
+    let uid;
+    let cid;
+
+    async function waitForRequests(count) {
+        for (let i = 0; i < 50 && received.length < count; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            await sleep(100);
+        }
+        assert.strictEqual(received.length, count);
+    }
+
+    before(async () => {
+        // a local HTTP stub standing in for the course tooling
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body, json: JSON.parse(body) });
+                res.writeHead(statusCode);
+                res.end();
+            });
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+
+        uid = await User.create({ username: 'webhookuser', password: '123456' });
+        ({ cid } = await Categories.create({ name: 'Webhooks category' }));
+    });
+
+    after((done) => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        received = [];
+        statusCode = 200;
+        await Promise.all((await Webhooks.list()).map(webhook => Webhooks.delete(webhook.id)));
+    });
+
+    describe('.create()', () => {
+        it('should validate the URL and the hooks', async () => {
+            await assert.rejects(Webhooks.create({ url: 'ftp://example.org', hooks: ['action:post.save'] }), { message: '[[error:invalid-webhook-url]]' });
+            await assert.rejects(Webhooks.create({ url, hooks: [] }), { message: '[[error:invalid-webhook-hooks]]' });
+            await assert.rejects(Webhooks.create({ url, hooks: ['action:user.delete'] }), { message: '[[error:invalid-webhook-hooks]]' });
+        });
+
+        it('should generate a secret when none is given', async () => {
+            const webhook = await Webhooks.create({ url, hooks: ['action:post.save'] });
+            assert.strictEqual(webhook.enabled, 1);
+            assert.deepStrictEqual(webhook.hooks, ['action:post.save']);
+            assert.strictEqual(webhook.secret.length, 64);
+        });
+    });
+
+    describe('deliveries', () => {
+        it('should POST a signed payload when a subscribed hook fires', async () => {
+            const webhook = await Webhooks.create({ url, hooks: ['action:topic.save'], secret: 'secret' });
+            const { topicData } = await Topics.post({ uid, cid, title: 'Webhook topic', content: 'Some content' });
+            await waitForRequests(1);
+
+            const [{ headers, body, json }] = received;
+            assert.strictEqual(headers['x-nodebb-event'], 'action:topic.save');
+            assert.strictEqual(headers['x-nodebb-signature'], Webhooks.sign('secret', body));
+            assert.strictEqual(json.event, 'action:topic.save');
+            assert.strictEqual(json.data.tid, topicData.tid);
+            assert.strictEqual(json.data.uid, uid);
+            assert.strictEqual(json.data.title, 'Webhook topic');
+
+            const { deliveries } = await Webhooks.getDeliveryLog({ webhookId: webhook.id, start: 0, stop: -1 });
+            assert.strictEqual(deliveries.length, 1);
+            assert.strictEqual(deliveries[0].status, 'success');
+            assert.strictEqual(deliveries[0].statusCode, 200);
+            assert.strictEqual(deliveries[0].attempts, 1);
+        });
+
+        it('should not send the author of anonymous posts', async () => {
+            await Webhooks.create({ url, hooks: ['action:post.save'] });
+            const { topicData } = await Topics.post({ uid, cid, title: 'Another topic', content: 'Some content' });
+            await waitForRequests(1);
+            await Topics.reply({ uid, tid: topicData.tid, content: 'anonymous reply', anonymous: 1 });
+            await waitForRequests(2);
+
+            assert.strictEqual(received[0].json.data.uid, uid);
+            assert.strictEqual(received[1].json.data.uid, 0);
+            assert.strictEqual(received[1].json.data.anonymous, 1);
+        });
+
+        it('should not send private topics or their posts', async () => {
+            await Webhooks.create({ url, hooks: ['action:topic.save', 'action:post.save'] });
+            const { topicData } = await Topics.post({ uid, cid, title: 'Private topic', content: 'my grade', private: 1 });
+            await Topics.reply({ uid, tid: topicData.tid, content: 'private reply' });
+            await Topics.post({ uid, cid, title: 'Public topic', content: 'Some content' });
+            await waitForRequests(2);
+            assert.deepStrictEqual(received.map(request => request.json.event).sort(), ['action:post.save', 'action:topic.save']);
+            assert(received.every(request => request.json.data.tid !== topicData.tid));
+        });
+
+        it('should not send posts that a post rule shadow-hides', async () => {
+            await Webhooks.create({ url, hooks: ['action:topic.save', 'action:post.save'] });
+            const rule = await Posts.rules.create({ name: 'Hide', type: 'keywords', value: 'hideme', action: 'shadow-hide' });
+            try {
+                const data = { uid, cid, title: 'Hidden webhook topic', content: 'please hideme' };
+                await Posts.rules.check(uid, data);
+                assert.deepStrictEqual(await Webhooks.trigger('action:topic.save', { topic: { tid: 1 }, data }), []);
+                assert.deepStrictEqual(await Webhooks.trigger('action:post.save', { post: { pid: 1, tid: 1 }, data }), []);
+            } finally {
+                await Posts.rules.delete(rule.id);
+            }
+        });
+
+        it('should not send upvotes of private topics or shadow-hidden posts', async () => {
+            await Webhooks.create({ url, hooks: ['action:post.upvote'] });
+            const rule = await Posts.rules.create({ name: 'Hide upvoted', type: 'keywords', value: 'hideme', action: 'shadow-hide' });
+            try {
+                const privateTopic = await Topics.post({ uid, cid, title: 'Private upvoted topic', content: 'my grade', private: 1 });
+                const hiddenData = { uid, cid, title: 'Hidden upvoted topic', content: 'please hideme' };
+                await Posts.rules.check(uid, hiddenData);
+                const hidden = await Topics.post(hiddenData);
+                const visible = await Topics.post({ uid, cid, title: 'Upvoted topic', content: 'Some content' });
+                const trigger = pid => Webhooks.trigger('action:post.upvote', { pid, uid: 1, owner: uid });
+
+                assert.deepStrictEqual(await trigger(privateTopic.postData.pid), []);
+                assert.deepStrictEqual(await trigger(hidden.postData.pid), []);
+                assert.strictEqual((await trigger(visible.postData.pid)).length, 1);
+                await waitForRequests(1);
+                assert.strictEqual(received[0].json.data.pid, visible.postData.pid);
+            } finally {
+                await Posts.rules.delete(rule.id);
+            }
+        });
+
+        it('should not POST anything for disabled webhooks', async () => {
+            const webhook = await Webhooks.create({ url, hooks: ['action:topic.save'] });
+            await Webhooks.update(webhook.id, { enabled: false });
+            assert.deepStrictEqual(await Webhooks.trigger('action:topic.save', { topic: { tid: 1 } }), []);
+        });
+
+        it('should retry failed deliveries with a backoff', async () => {
+            const webhook = await Webhooks.create({ url, hooks: ['action:user.create'] });
+            statusCode = 500;
+            await User.create({ username: 'webhookretry' });
+            await waitForRequests(1);
+            await sleep(100);
+
+            let [delivery] = (await Webhooks.getDeliveryLog({ webhookId: webhook.id, start: 0, stop: 0 })).deliveries;
+            assert.strictEqual(delivery.status, 'pending');
+            assert.strictEqual(delivery.statusCode, 500);
+            assert.strictEqual(delivery.error, 'HTTP 500');
+            assert(delivery.nextAttempt >= delivery.lastAttempt + Webhooks.retryDelay);
+            assert.strictEqual(await db.sortedSetScore('webhooks:retry', delivery.deliveryId), delivery.nextAttempt);
+            assert.strictEqual(Webhooks.getRetryDelay(3), Webhooks.retryDelay * 16);
+
+            statusCode = 200;
+            await db.sortedSetAdd('webhooks:retry', Date.now() - 1, delivery.deliveryId);
+            await Webhooks.retryDeliveries();
+            assert.strictEqual(received.length, 2);
+            assert.strictEqual(received[1].json.id, delivery.deliveryId);
+            [delivery] = (await Webhooks.getDeliveries([delivery.deliveryId]));
+            assert.strictEqual(delivery.status, 'success');
+            assert.strictEqual(delivery.attempts, 2);
+            assert.strictEqual(await db.sortedSetScore('webhooks:retry', delivery.deliveryId), null);
+        });
+
+        it('should give up after the last attempt', async () => {
+            const webhook = await Webhooks.create({ url, hooks: ['action:user.create'] });
+            statusCode = 500;
+            const delivery = await Webhooks.sendTest(webhook.id, uid);
+            await db.setObjectField(`webhook:delivery:${delivery.deliveryId}`, 'attempts', Webhooks.maxAttempts - 1);
+            await Webhooks.deliver(delivery.deliveryId);
+
+            const [failed] = await Webhooks.getDeliveries([delivery.deliveryId]);
+            assert.strictEqual(failed.status, 'failed');
+            assert.strictEqual(failed.nextAttempt, 0);
+            assert.strictEqual(await db.sortedSetScore('webhooks:retry', delivery.deliveryId), null);
+        });
+    });
+
+    describe('.sendTest()', () => {
+        it('should send a test event and return its delivery', async () => {
+            const webhook = await Webhooks.create({ url, hooks: ['action:flags.create'], secret: 'test' });
+            const delivery = await Webhooks.sendTest(webhook.id, uid);
+            assert.strictEqual(delivery.status, 'success');
+            assert.strictEqual(received.length, 1);
+            assert.strictEqual(received[0].json.event, 'test');
+            assert.strictEqual(received[0].headers['x-nodebb-signature'], Webhooks.sign('test', received[0].body));
+        });
+
+        it('should log a failed attempt when the URL cannot be reached', async () => {
+            const webhook = await Webhooks.create({ url: 'http://127.0.0.1:9/hook', hooks: ['action:flags.create'] });
+            const delivery = await Webhooks.sendTest(webhook.id, uid);
+            assert.strictEqual(delivery.status, 'pending');
+            assert.strictEqual(delivery.statusCode, 0);
+            assert(delivery.error);
+        });
+    });
+
+    describe('.delete()', () => {
+        it('should delete the webhook and its delivery log', async () => {
+            const webhook = await Webhooks.create({ url, hooks: ['action:flags.create'] });
+            const delivery = await Webhooks.sendTest(webhook.id, uid);
+            await Webhooks.delete(webhook.id);
+            await assert.rejects(Webhooks.get(webhook.id), { message: '[[error:no-webhook]]' });
+            assert.deepStrictEqual(await Webhooks.getDeliveries([delivery.deliveryId]), []);
+            assert(!await db.isSortedSetMember('webhooks:deliveries', delivery.deliveryId));
+        });
+    });
+
+    it('should not break posting when a hook cannot be delivered', async () => {
+        await Webhooks.create({ url: 'http://127.0.0.1:9/hook', hooks: ['action:post.save'] });
+        const { postData } = await Topics.post({ uid, cid, title: 'Still posted', content: 'Some content' });
+        assert(await Posts.exists(postData.pid));
+    });
+});
@@ -59,6 +59,7 @@ define('persona/quickreply', [
                 tid: ajaxify.data.tid,
                 handle: undefined,
                 content: replyMsg,
+                anonymous: components.get('topic/quickreply/anonymous').is(':checked'),
             };
 
             ready = false;
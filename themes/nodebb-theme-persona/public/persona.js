@@ -6,6 +6,7 @@ $(document).ready(function () {
     setupEditedByIcon();
     setupMobileMenu();
     setupQuickReply();
+    setupAnonymousPosting();
     configureNavbarHiding();
 
     $(window).on('resize', utils.debounce(configureNavbarHiding, 200));
@@ -468,6 +469,118 @@ $(document).ready(function () {
         });
     }
 
+    // category policy is 'allow' (default), 'forbid' or 'force', the server enforces it either way
+    function getAnonymousPolicy() {
+        var category = ajaxify.data.category || ajaxify.data;
+        return (category && category.anonymousPosting) || 'allow';
+    }
+
+    function applyAnonymousPolicy(checkbox) {
+        var policy = getAnonymousPolicy();
+        checkbox.closest('.checkbox').toggleClass('hidden', policy === 'forbid');
+        if (policy === 'force') {
+            checkbox.prop('checked', true).prop('disabled', true);
+        }
+    }
+
+    function setupAnonymousPosting() {
+        $(window).on('action:ajaxify.end', function () {
+            applyAnonymousPolicy($('[component="topic/quickreply/anonymous"]'));
+        });
+
+        require(['hooks', 'translator'], (hooks, translator) => {
+            hooks.on('action:composer.loaded', (data) => {
+                if (!app.user.uid || data.composerData.action === 'posts.edit') {
+                    return;
+                }
+                var composerEl = $('.composer[data-uuid="' + data.post_uuid + '"]');
+                if (composerEl.find('[component="composer/anonymous"]').length) {
+                    return;
+                }
+                translator.translate('[[topic:composer.post_anonymously]]', function (label) {
+                    var checkbox = $('<input type="checkbox" component="composer/anonymous" />');
+                    $('<div class="checkbox"></div>')
+                        .append($('<label></label>').append(checkbox, ' ' + label))
+                        .insertAfter(composerEl.find('.title-container'));
+                    applyAnonymousPolicy(checkbox);
+                });
+                if (data.composerData.action === 'topics.post') {
+                    translator.translate('[[topic:composer.private]]', function (label) {
+                        var checkbox = $('<input type="checkbox" component="composer/private" />');
+                        $('<div class="checkbox"></div>')
+                            .append($('<label></label>').append(checkbox, ' ' + label))
+                            .insertAfter(composerEl.find('.title-container'));
+                    });
+                }
+                if (data.composerData.action === 'topics.post' && isCourseStaff()) {
+                    setupAnnouncement(composerEl, translator);
+                }
+                if (data.composerData.action === 'topics.post') {
+                    setupSimilarTopics(composerEl, data.composerData);
+                }
+            });
+
+            hooks.on('filter:composer.submit', (data) => {
+                data.composerData.anonymous = data.composerEl.find('[component="composer/anonymous"]').is(':checked');
+                if (data.composerData.action === 'topics.post') {
+                    data.composerData.private = data.composerEl.find('[component="composer/private"]').is(':checked') ? 1 : 0;
+                    data.composerData.announcement = data.composerEl.find('[component="composer/announcement"]').is(':checked') ? 1 : 0;
+                    // the date picker gives midnight UTC, the announcement stays pinned until the end of that day
+                    var expiry = data.composerEl.find('[component="composer/announcement-expiry"]').val();
+                    if (data.composerData.announcement && expiry) {
+                        data.composerData.announcementExpiry = new Date(expiry).getTime() + 86400000;
+                    }
+                }
+                return data;
+            });
+        });
+    }
+
+    // the server checks that the category belongs to a course the user teaches or moderates
+    function isCourseStaff() {
+        return app.user.isAdmin || app.user.isGlobalMod || app.user.isMod || app.user.isInstructor;
+    }
+
+    function setupAnnouncement(composerEl, translator) {
+        translator.translate('[[topic:composer.announcement]]', function (label) {
+            var checkbox = $('<input type="checkbox" component="composer/announcement" />');
+            var expiry = $('<input type="date" class="form-control input-sm hidden" component="composer/announcement-expiry" />');
+            translator.translate('[[topic:composer.announcement-expiry]]', function (title) {
+                expiry.attr('title', title);
+            });
+            checkbox.on('change', function () {
+                expiry.toggleClass('hidden', !checkbox.is(':checked'));
+            });
+            $('<div class="checkbox"></div>')
+                .append($('<label></label>').append(checkbox, ' ' + label), expiry)
+                .insertAfter(composerEl.find('.title-container'));
+        });
+    }
+
+    // students see the questions of the category that look like theirs while typing the title
+    function setupSimilarTopics(composerEl, composerData) {
+        var container = $('<div component="composer/similar-topics"></div>').insertAfter(composerEl.find('.title-container'));
+        var timeout;
+        composerEl.find('.title').on('input', function () {
+            var title = $(this).val().trim();
+            clearTimeout(timeout);
+            timeout = setTimeout(function () {
+                if (title.length < 10 || !composerData.cid) {
+                    return container.empty();
+                }
+                require(['api'], function (api) {
+                    api.get('/topics/similar', { cid: composerData.cid, title: title }).then(function (data) {
+                        app.parseAndTranslate('partials/composer-similar-topics', data, function (html) {
+                            container.html(html);
+                        });
+                    }).catch(function () {
+                        container.empty();
+                    });
+                });
+            }, 500);
+        });
+    }
+
     function setupQuickReply() {
         $(window).on('action:ajaxify.end', function (ev, data) {
             if (data.url && data.url.match('^topic/')) {
@@ -71,6 +71,64 @@
                         <input class="form-control" type="date" id="birthday" name="birthday" value="{birthday}" placeholder="mm/dd/yyyy">
                     </div>
 
+                    <h4>[[user:career.profile]]</h4>
+                    <p class="help-block">[[user:career.visibility-help]]</p>
+
+                    <div class="form-group">
+                        <label for="graduationYear">[[user:career.graduation-year]]</label>
+                        <input class="form-control" type="number" id="graduationYear" name="graduationYear" min="1900" max="2100" value="{{{ if graduationYear }}}{graduationYear}{{{ end }}}">
+                        <select class="form-control input-sm" data-career-visibility="graduationYear" title="[[user:career.visibility]]">
+                            {{{ each careerVisibilityOptions.graduationYear }}}
+                            <option value="{./value}" {{{ if ./selected }}}selected{{{ end }}}>[[user:career.visibility.{./value}]]</option>
+                            {{{ end }}}
+                        </select>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="major">[[user:career.major]]</label>
+                        <input class="form-control" type="text" id="major" name="major" value="{major}">
+                        <select class="form-control input-sm" data-career-visibility="major" title="[[user:career.visibility]]">
+                            {{{ each careerVisibilityOptions.major }}}
+                            <option value="{./value}" {{{ if ./selected }}}selected{{{ end }}}>[[user:career.visibility.{./value}]]</option>
+                            {{{ end }}}
+                        </select>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="skills">[[user:career.skills]]</label>
+                        <input class="form-control" type="text" id="skills" name="skills" placeholder="[[user:career.skills-placeholder]]" value="{skills}">
+                        <select class="form-control input-sm" data-career-visibility="skills" title="[[user:career.visibility]]">
+                            {{{ each careerVisibilityOptions.skills }}}
+                            <option value="{./value}" {{{ if ./selected }}}selected{{{ end }}}>[[user:career.visibility.{./value}]]</option>
+                            {{{ end }}}
+                        </select>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="portfolio">[[user:career.portfolio]]</label>
+                        <textarea class="form-control" id="portfolio" name="portfolio" rows="3" placeholder="[[user:career.portfolio-placeholder]]">{portfolio}</textarea>
+                        <select class="form-control input-sm" data-career-visibility="portfolio" title="[[user:career.visibility]]">
+                            {{{ each careerVisibilityOptions.portfolio }}}
+                            <option value="{./value}" {{{ if ./selected }}}selected{{{ end }}}>[[user:career.visibility.{./value}]]</option>
+                            {{{ end }}}
+                        </select>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="resume">[[user:career.resume]]</label>
+                        <div class="input-group">
+                            <input class="form-control" type="text" id="resume" name="resume" placeholder="http://..." value="{resume}">
+                            <span class="input-group-btn">
+                                <button id="uploadResumeBtn" class="btn btn-default" type="button"><i class="fa fa-upload"></i> [[user:career.upload-resume]]</button>
+                            </span>
+                        </div>
+                        <select class="form-control input-sm" data-career-visibility="resume" title="[[user:career.visibility]]">
+                            {{{ each careerVisibilityOptions.resume }}}
+                            <option value="{./value}" {{{ if ./selected }}}selected{{{ end }}}>[[user:career.visibility.{./value}]]</option>
+                            {{{ end }}}
+                        </select>
+                    </div>
+
                     <div class="form-group">
                         <label for="groupTitle">[[user:grouptitle]]</label>
 
@@ -87,6 +87,41 @@
             <strong>{age}</strong>
             <!-- ENDIF age -->
         </div>
+
+        {{{ if hasCareerProfile }}}
+        <div class="text-center profile-meta career-profile">
+            {{{ if graduationYear }}}
+            <span>[[user:career.graduation-year]]</span>
+            <strong>{graduationYear}</strong>
+            {{{ end }}}
+
+            {{{ if major }}}
+            <span>[[user:career.major]]</span>
+            <strong>{major}</strong>
+            {{{ end }}}
+
+            {{{ if resumeLink }}}
+            <span>[[user:career.resume]]</span>
+            <strong><a href="{resumeLink}" target="_blank" rel="nofollow noopener noreferrer">[[user:career.view-resume]]</a></strong>
+            {{{ end }}}
+            <br />
+
+            {{{ if skillList.length }}}
+            <span>[[user:career.skills]]</span>
+            {{{ each skillList }}}
+            <span class="label label-default">{@value}</span>
+            {{{ end }}}
+            <br />
+            {{{ end }}}
+
+            {{{ if portfolioLinks.length }}}
+            <span>[[user:career.portfolio]]</span>
+            {{{ each portfolioLinks }}}
+            <strong><a href="{./url}" rel="nofollow noopener noreferrer">{./name}</a></strong>
+            {{{ end }}}
+            {{{ end }}}
+        </div>
+        {{{ end }}}
     </div>
 
 
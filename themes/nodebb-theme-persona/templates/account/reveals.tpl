@@ -0,0 +1,30 @@
+<div class="account">
+    <!-- IMPORT partials/account/header.tpl -->
+    <div class="row">
+        <h1>{title}</h1>
+
+        <div class="col-xs-12">
+            <p class="lead">[[user:anonymous-reveals.description]]</p>
+            <hr />
+
+            <!-- IF !reveals.length -->
+            <div class="alert alert-info text-center">[[user:anonymous-reveals.none]]</div>
+            <!-- ENDIF !reveals.length -->
+
+            <ul class="list-group" component="user/anonymous-reveals">
+                {{{each reveals}}}
+                <li class="list-group-item">
+                    <span class="timeago pull-right" title="{reveals.timestampISO}"></span>
+                    [[user:anonymous-reveals.revealed-by, {config.relative_path}, {reveals.user.userslug}, {reveals.user.username}]]
+                    <!-- IF reveals.post -->
+                    <br />
+                    <a href="{config.relative_path}/post/{reveals.post.pid}">{reveals.post.topic.title}</a>
+                    <!-- ENDIF reveals.post -->
+                </li>
+                {{{end}}}
+            </ul>
+
+            <!-- IMPORT partials/paginator.tpl -->
+        </div>
+    </div>
+</div>
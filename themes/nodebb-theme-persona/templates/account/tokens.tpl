@@ -0,0 +1,42 @@
+<div class="account">
+    <!-- IMPORT partials/account/header.tpl -->
+    <div class="row">
+        <h1>{title}</h1>
+
+        <div class="col-xs-12">
+            <p class="lead">[[user:api-tokens.description]]</p>
+            <hr />
+
+            <!-- IF !tokens.length -->
+            <div class="alert alert-info text-center">[[user:api-tokens.none]]</div>
+            <!-- ENDIF !tokens.length -->
+
+            <ul class="list-group" component="user/tokens">
+                {{{each tokens}}}
+                <li class="list-group-item" data-token-id="{tokens.tokenId}">
+                    <button class="btn btn-xs btn-danger pull-right" type="button" data-action="revokeToken">[[user:api-tokens.revoke]]</button>
+                    <strong>{tokens.description}</strong> <code>{tokens.masked}</code>
+                    <!-- IF tokens.expired -->
+                    <span class="label label-danger">[[user:api-tokens.expired]]</span>
+                    <!-- ENDIF tokens.expired -->
+                    <br />
+                    {{{ if tokens.scopes }}}
+                    {{{ each tokens.scopeList }}}<code>{@value}</code> {{{ end }}}
+                    {{{ else }}}
+                    <span class="text-warning">[[user:api-tokens.full-access]]</span>
+                    {{{ end }}}
+                    <ul class="list-unstyled text-muted">
+                        <!-- IF tokens.timestampISO -->
+                        <li><small>[[user:api-tokens.created, <span class="timeago" title="{tokens.timestampISO}"></span>]]</small></li>
+                        <!-- ENDIF tokens.timestampISO -->
+                        <!-- IF tokens.expiryISO -->
+                        <li><small>[[user:api-tokens.expires, {tokens.expiryISO}]]</small></li>
+                        <!-- ENDIF tokens.expiryISO -->
+                        <li><small><!-- IF tokens.lastSeenISO -->[[user:api-tokens.last-seen, <span class="timeago" title="{tokens.lastSeenISO}"></span>]]<!-- ELSE -->[[user:api-tokens.never-used]]<!-- ENDIF tokens.lastSeenISO --></small></li>
+                    </ul>
+                </li>
+                {{{end}}}
+            </ul>
+        </div>
+    </div>
+</div>
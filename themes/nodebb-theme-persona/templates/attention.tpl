@@ -0,0 +1,43 @@
+<!-- IMPORT partials/breadcrumbs.tpl -->
+<div data-widget-area="header">
+    {{{each widgets.header}}}
+    {{widgets.header.html}}
+    {{{end}}}
+</div>
+<div class="attention">
+    <div class="topic-list-header btn-toolbar">
+        <div class="pull-left">
+            <span class="text-muted">[[attention:description, {postCount}]]</span>
+        </div>
+
+        <!-- IMPORT partials/category-filter-right.tpl -->
+    </div>
+
+    <div class="alert alert-info <!-- IF posts.length -->hidden<!-- ENDIF posts.length -->">[[attention:no-posts]]</div>
+
+    <ul component="attention/list" class="list-group">
+        {{{each posts}}}
+        <li component="attention/post" class="list-group-item clearfix" data-pid="{./pid}">
+            <div class="pull-right">
+                <button component="attention/dismiss" class="btn btn-sm btn-default">[[attention:dismiss]]</button>
+            </div>
+            <h4 class="title">
+                <a href="{config.relative_path}/post/{./pid}"><!-- IF !./isMainPost -->RE: <!-- ENDIF -->{./topic.title}</a>
+            </h4>
+            <div class="content">{./content}</div>
+            <ul class="list-unstyled">
+                {{{each ./attention.reasons}}}
+                <li><i class="fa fa-fw fa-hand-paper-o"></i> {@value}</li>
+                {{{end}}}
+            </ul>
+            <small class="text-muted">
+                <a href="{config.relative_path}/category/{./category.slug}">{./category.name}</a> &bull;
+                [[attention:requested]] <span class="timeago" title="{./attention.timestampISO}"></span> &bull;
+                [[attention:request-count, {./attention.requestCount}]]
+            </small>
+        </li>
+        {{{end}}}
+    </ul>
+
+    <!-- IMPORT partials/paginator.tpl -->
+</div>
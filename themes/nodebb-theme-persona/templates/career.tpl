@@ -6,12 +6,72 @@
 </div>
 <div class="row">
     <div class="<!-- IF widgets.sidebar.length -->col-lg-9 col-sm-12<!-- ELSE -->col-lg-12<!-- ENDIF widgets.sidebar.length -->">
-        <h1 class="career-title">Career</h1>
-        <p>
-            Welcome to the careers page! This is a brand new feature added to allow 
-            students to connect with various job recruiters.
-        </p>
-        This page is still under development.
+        <h1 class="career-title">[[career:title]]</h1>
+        <p class="text-muted">[[career:description]]</p>
+
+        <div class="btn-toolbar">
+            <form component="career/search" class="form-inline pull-left" method="get" action="{config.relative_path}/career">
+                {{{ if filter }}}<input type="hidden" name="filter" value="{filter}" />{{{ end }}}
+                {{{ if search.tag }}}<input type="hidden" name="tag" value="{search.tag}" />{{{ end }}}
+                <input type="text" class="form-control" name="query" value="{search.query}" placeholder="[[career:search]]" />
+                <input type="text" class="form-control" name="company" value="{search.company}" placeholder="[[career:company]]" />
+                <input type="text" class="form-control" name="location" value="{search.location}" placeholder="[[career:location]]" />
+                <button type="submit" class="btn btn-default"><i class="fa fa-search"></i></button>
+            </form>
+
+            <div class="pull-right">
+                <a class="btn btn-default {{{ if (filter == "applied") }}}active{{{ end }}}" href="{config.relative_path}/career{{{ if (filter != "applied") }}}?filter=applied{{{ end }}}">[[career:my-applications]]</a>
+                {{{ if canPost }}}
+                <a class="btn btn-default {{{ if (filter == "mine") }}}active{{{ end }}}" href="{config.relative_path}/career{{{ if (filter != "mine") }}}?filter=mine{{{ end }}}">[[career:my-postings]]</a>
+                <button component="career/post" class="btn btn-primary">[[career:post-job]]</button>
+                {{{ end }}}
+            </div>
+        </div>
+
+        {{{ if tags.length }}}
+        <div class="career-tags">
+            <a href="{config.relative_path}/{allTagsUrl}" class="label {{{ if !search.tag }}}label-primary{{{ else }}}label-default{{{ end }}}">[[career:all-tags]]</a>
+            {{{ each tags }}}
+            <a href="{config.relative_path}/{./url}" class="label {{{ if ./selected }}}label-primary{{{ else }}}label-default{{{ end }}}">{./tag}</a>
+            {{{ end }}}
+        </div>
+        {{{ end }}}
+
+        <div class="alert alert-info {{{ if jobs.length }}}hidden{{{ end }}}">[[career:no-jobs]]</div>
+
+        <ul component="career/list" class="list-group">
+            {{{ each jobs }}}
+            <li component="career/job" class="list-group-item career-job" data-job-id="{./jobId}">
+                <div class="pull-right">
+                    {{{ if ./canEdit }}}
+                    <a class="btn btn-sm btn-default" href="{config.relative_path}/career/{./jobId}/applications">[[career:applications, {./applicationCount}]]</a>
+                    <button component="career/edit" class="btn btn-sm btn-default">[[career:edit]]</button>
+                    <button component="career/delete" class="btn btn-sm btn-danger">[[career:delete]]</button>
+                    {{{ end }}}
+                    {{{ if ./canApply }}}
+                    <button component="career/apply" class="btn btn-sm btn-primary">[[career:apply]]</button>
+                    {{{ end }}}
+                    {{{ if ./application }}}
+                    <span class="label career-status career-status-{./application.status}">[[career:applied, [[career:status.{./application.status}]]]]</span>
+                    {{{ end }}}
+                </div>
+                <h4 class="title">{./title}</h4>
+                <p>
+                    <strong>{./company}</strong>
+                    {{{ if ./location }}}&bull; <i class="fa fa-map-marker"></i> {./location}{{{ end }}}
+                    &bull; {{{ if ./expired }}}<span class="label label-default">[[career:expired]]</span>{{{ else }}}[[career:deadline]] <span class="timeago" title="{./deadlineISO}"></span>{{{ end }}}
+                </p>
+                <p class="career-description">{./description}</p>
+                <small class="text-muted">
+                    [[career:posted-by]] <a href="{config.relative_path}/user/{./user.userslug}">{buildAvatar(./user, "20", true)} {./user.username}</a>
+                    <span class="timeago" title="{./timestampISO}"></span>
+                    {{{ each ./tags }}}<span class="label label-default">{@value}</span> {{{ end }}}
+                </small>
+            </li>
+            {{{ end }}}
+        </ul>
+
+        <!-- IMPORT partials/paginator.tpl -->
     </div>
     <div data-widget-area="sidebar" class="col-lg-3 col-sm-12 <!-- IF !widgets.sidebar.length -->hidden<!-- ENDIF !widgets.sidebar.length -->">
         {{{each widgets.sidebar}}}
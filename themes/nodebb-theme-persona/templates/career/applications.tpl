@@ -0,0 +1,45 @@
+<!-- IMPORT partials/breadcrumbs.tpl -->
+<div class="row">
+    <div class="col-lg-12">
+        <h1 class="career-title">[[career:applications-title]]</h1>
+        <p>
+            <strong>{job.title}</strong> &bull; {job.company}
+            &bull; {{{ if job.expired }}}<span class="label label-default">[[career:expired]]</span>{{{ else }}}[[career:deadline]] <span class="timeago" title="{job.deadlineISO}"></span>{{{ end }}}
+        </p>
+
+        <div class="career-tags">
+            <a href="{config.relative_path}/career/{job.jobId}/applications" class="label {{{ if !status }}}label-primary{{{ else }}}label-default{{{ end }}}">[[career:all-statuses]]</a>
+            {{{ each statuses }}}
+            <a href="{config.relative_path}/career/{job.jobId}/applications?status={./name}" class="label {{{ if ./selected }}}label-primary{{{ else }}}label-default{{{ end }}}">[[career:status.{./name}]]</a>
+            {{{ end }}}
+        </div>
+
+        <div class="alert alert-info {{{ if applications.length }}}hidden{{{ end }}}">[[career:no-applications]]</div>
+
+        <ul component="career/applications" class="list-group" data-job-id="{job.jobId}">
+            {{{ each applications }}}
+            <li component="career/application" class="list-group-item career-application" data-application-id="{./applicationId}">
+                <div class="pull-right form-inline">
+                    <span class="label career-status career-status-{./status}">[[career:status.{./status}]]</span>
+                    <select component="career/application-status" class="form-control input-sm">
+                        <option value="" disabled {{{ if (./status == "submitted") }}}selected{{{ end }}}>[[career:set-status]]</option>
+                        {{{ each ./statuses }}}
+                        <option value="{./name}" {{{ if ./selected }}}selected{{{ end }}}>[[career:status.{./name}]]</option>
+                        {{{ end }}}
+                    </select>
+                </div>
+                <h4>
+                    <a href="{config.relative_path}/user/{./user.userslug}">{buildAvatar(./user, "24", true)} {./user.username}</a>
+                </h4>
+                <p><a href="{./resumeUrl}" target="_blank" rel="noopener"><i class="fa fa-file-text-o"></i> {{{ if ./resumeName }}}{./resumeName}{{{ else }}}[[career:resume]]{{{ end }}}</a></p>
+                {{{ if ./note }}}
+                <p class="career-description">{./note}</p>
+                {{{ end }}}
+                <small class="text-muted">[[career:applied-on]] <span class="timeago" title="{./timestampISO}"></span></small>
+            </li>
+            {{{ end }}}
+        </ul>
+
+        <!-- IMPORT partials/paginator.tpl -->
+    </div>
+</div>
@@ -23,6 +23,7 @@
 
             <span class="pull-right" component="category/controls">
                 <!-- IMPORT partials/category/watch.tpl -->
+                <!-- IMPORT partials/category/filter.tpl -->
                 <!-- IMPORT partials/category/sort.tpl -->
                 <!-- IMPORT partials/category/tools.tpl -->
             </span>
@@ -0,0 +1,21 @@
+<!-- IMPORT partials/breadcrumbs.tpl -->
+<div class="officehours">
+    <div class="alert alert-info {{{ if courses.length }}}hidden{{{ end }}}">[[officehours:no-courses]]</div>
+
+    <ul class="list-group">
+        {{{ each courses }}}
+        <li class="list-group-item clearfix">
+            <div class="pull-right">
+                {{{ if ./open }}}
+                <span class="label label-success">[[officehours:open]]</span>
+                <span class="text-muted">[[officehours:waiting-count, {./waitingCount}]]</span>
+                {{{ else }}}
+                <span class="label label-default">[[officehours:closed]]</span>
+                {{{ end }}}
+            </div>
+            <h4 class="title"><a href="{config.relative_path}/officehours/{./cid}">{./name}</a></h4>
+            <small class="text-muted">{./term}{{{ if ./open }}}{{{ if ./location }}} &bull; {./location}{{{ end }}}{{{ end }}}</small>
+        </li>
+        {{{ end }}}
+    </ul>
+</div>
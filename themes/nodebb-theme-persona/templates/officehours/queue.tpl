@@ -0,0 +1,99 @@
+<!-- IMPORT partials/breadcrumbs.tpl -->
+<div class="officehours" component="officehours" data-cid="{cid}">
+    <div class="clearfix">
+        <h3 class="pull-left">
+            {name}
+            {{{ if open }}}<span class="label label-success">[[officehours:open]]</span>{{{ else }}}<span class="label label-default">[[officehours:closed]]</span>{{{ end }}}
+        </h3>
+        {{{ if isStaff }}}
+        <form component="officehours/toggle" class="form-inline pull-right">
+            {{{ if open }}}
+            <button type="submit" class="btn btn-default">[[officehours:close-queue]]</button>
+            {{{ else }}}
+            <input type="text" class="form-control" name="location" placeholder="[[officehours:location-placeholder]]" />
+            <button type="submit" class="btn btn-primary">[[officehours:open-queue]]</button>
+            {{{ end }}}
+        </form>
+        {{{ end }}}
+    </div>
+
+    {{{ if open }}}
+    {{{ if location }}}<p><strong>[[officehours:location]]:</strong> {location}</p>{{{ end }}}
+    {{{ else }}}
+    <p class="text-muted">[[officehours:closed-description]]</p>
+    {{{ end }}}
+    <p class="text-muted">[[officehours:waiting-count, {waitingCount}]]</p>
+
+    {{{ if entry }}}
+    <div class="well clearfix">
+        <button component="officehours/leave" class="btn btn-default pull-right">[[officehours:leave]]</button>
+        {{{ if position }}}
+        <p>[[officehours:position, {position}]]</p>
+        {{{ else }}}
+        <p>[[officehours:being-helped, {entry.helper.username}]]</p>
+        {{{ end }}}
+        {{{ if entry.question }}}<p>{entry.question}</p>{{{ end }}}
+        {{{ if entry.topic }}}<a href="{config.relative_path}/topic/{entry.topic.slug}">{entry.topic.title}</a>{{{ end }}}
+    </div>
+    {{{ else }}}
+    {{{ if open }}}
+    <form component="officehours/join" class="well">
+        <div class="form-group">
+            <label for="officehours-question">[[officehours:question]]</label>
+            <input type="text" id="officehours-question" class="form-control" name="question" maxlength="255" placeholder="[[officehours:question-placeholder]]" />
+        </div>
+        <div class="form-group">
+            <label for="officehours-topic">[[officehours:topic]]</label>
+            <input type="number" id="officehours-topic" class="form-control" name="tid" placeholder="[[officehours:topic-placeholder]]" />
+        </div>
+        <button type="submit" class="btn btn-primary">[[officehours:join]]</button>
+    </form>
+    {{{ end }}}
+    {{{ end }}}
+
+    {{{ if isStaff }}}
+    <div class="alert alert-info {{{ if queue.length }}}hidden{{{ end }}}">[[officehours:no-students]]</div>
+    <ul component="officehours/queue" class="list-group">
+        {{{ each queue }}}
+        <li component="officehours/entry" class="list-group-item clearfix" data-id="{./id}">
+            <div class="pull-right">
+                {{{ if (./status == "waiting") }}}
+                <button component="officehours/help" class="btn btn-sm btn-primary">[[officehours:help]]</button>
+                {{{ end }}}
+                <button component="officehours/done" class="btn btn-sm btn-success">[[officehours:done]]</button>
+            </div>
+            <a href="{config.relative_path}/user/{./user.userslug}">{./user.username}</a>
+            <span class="label label-default">[[officehours:status.{./status}]]</span>
+            {{{ if ./question }}}<div>{./question}</div>{{{ end }}}
+            {{{ if ./topic }}}<a href="{config.relative_path}/topic/{./topic.slug}">{./topic.title}</a>{{{ end }}}
+            <div>
+                <small class="text-muted">
+                    [[officehours:joined]] <span class="timeago" title="{./joinedAtISO}"></span>
+                    {{{ if ./helper }}}&bull; [[officehours:helped-by, {./helper.username}]]{{{ end }}}
+                </small>
+            </div>
+        </li>
+        {{{ end }}}
+    </ul>
+
+    {{{ if history.length }}}
+    <h4>[[officehours:history]]</h4>
+    <ul class="list-group">
+        {{{ each history }}}
+        <li class="list-group-item">
+            <a href="{config.relative_path}/user/{./user.userslug}">{./user.username}</a>
+            <span class="label label-default">[[officehours:status.{./status}]]</span>
+            {{{ if ./question }}}<div>{./question}</div>{{{ end }}}
+            {{{ if ./topic }}}<a href="{config.relative_path}/topic/{./topic.slug}">{./topic.title}</a>{{{ end }}}
+            <div>
+                <small class="text-muted">
+                    <span class="timeago" title="{./doneAtISO}"></span>
+                    {{{ if ./helper }}}&bull; [[officehours:helped-by, {./helper.username}]]{{{ end }}}
+                </small>
+            </div>
+        </li>
+        {{{ end }}}
+    </ul>
+    {{{ end }}}
+    {{{ end }}}
+</div>
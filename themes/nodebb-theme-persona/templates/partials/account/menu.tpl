@@ -89,6 +89,8 @@
         <!-- ENDIF !downvote:disabled -->
         <!-- ENDIF !reputation:disabled -->
         <li><a href="{config.relative_path}/user/{userslug}/uploads">[[global:uploads]] <span class="badge badge-default pull-right formatted-number" title="{counts.uploaded}">{counts.uploaded}</span></a></li>
+        <li><a href="{config.relative_path}/user/{userslug}/reveals">[[user:anonymous-reveals]]</a></li>
+        <li><a href="{config.relative_path}/user/{userslug}/tokens">[[user:api-tokens]]</a></li>
         <!-- ENDIF canEdit -->
 
         {{{each profile_links}}}
@@ -0,0 +1,15 @@
+<div class="btn-group bottom-sheet" component="category/filter">
+    <button class="btn btn-default dropdown-toggle" data-toggle="dropdown" type="button">
+        <span class="visible-sm-inline visible-md-inline visible-lg-inline">{selectedFilter.name}</span>
+        <span class="visible-xs-inline"><i class="fa fa-fw {selectedFilter.icon}"></i></span>
+        <span class="caret"></span>
+    </button>
+
+    <ul class="dropdown-menu pull-right" role="menu">
+        {{{each filters}}}
+        <li role="presentation" class="{{{if filters.selected}}}selected{{{end}}}">
+            <a role="menu-item" href="{config.relative_path}/{filters.url}"><i class="fa fa-fw <!-- IF filters.selected -->fa-check<!-- ENDIF filters.selected -->"></i> {filters.name}</a>
+        </li>
+        {{{end}}}
+    </ul>
+</div>
@@ -0,0 +1,14 @@
+{{{ if topics.length }}}
+<div class="alert alert-info">
+    <strong>[[topic:composer.similar-topics]]</strong>
+    <ul class="list-unstyled">
+        {{{ each topics }}}
+        <li>
+            <a href="{config.relative_path}/topic/{./slug}" target="_blank">{./title}</a>
+            <span class="text-muted">[[topic:composer.similar-replies, {./replies}]]</span>
+            {{{ if ./instructorReplied }}}<span class="label label-success"><i class="fa fa-check"></i> [[topic:composer.similar-instructor-replied]]</span>{{{ end }}}
+        </li>
+        {{{ end }}}
+    </ul>
+</div>
+{{{ end }}}
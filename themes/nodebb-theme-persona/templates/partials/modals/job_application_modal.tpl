@@ -0,0 +1,12 @@
+<form component="career/application-form" method="post" enctype="multipart/form-data" action="{config.relative_path}/api/v3/careers/{job.jobId}/applications">
+    <p><strong>{job.title}</strong> &bull; {job.company}</p>
+    <div class="form-group">
+        <label for="application-resume">[[career:resume]]</label>
+        <input type="file" id="application-resume" name="files[]" required />
+        <p class="help-block">[[career:resume-help]]</p>
+    </div>
+    <div class="form-group">
+        <label for="application-note">[[career:cover-note]]</label>
+        <textarea class="form-control" id="application-note" name="note" rows="6"></textarea>
+    </div>
+</form>
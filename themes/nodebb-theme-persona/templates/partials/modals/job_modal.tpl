@@ -0,0 +1,26 @@
+<form component="career/job-form">
+    <div class="form-group">
+        <label for="job-title">[[career:job-title]]</label>
+        <input type="text" class="form-control" id="job-title" name="title" value="{job.title}" required />
+    </div>
+    <div class="form-group">
+        <label for="job-company">[[career:company]]</label>
+        <input type="text" class="form-control" id="job-company" name="company" value="{job.company}" required />
+    </div>
+    <div class="form-group">
+        <label for="job-location">[[career:location]]</label>
+        <input type="text" class="form-control" id="job-location" name="location" value="{job.location}" />
+    </div>
+    <div class="form-group">
+        <label for="job-deadline">[[career:deadline]]</label>
+        <input type="date" class="form-control" id="job-deadline" name="deadline" value="{deadline}" required />
+    </div>
+    <div class="form-group">
+        <label for="job-tags">[[career:tags]]</label>
+        <input type="text" class="form-control" id="job-tags" name="tags" value="{tags}" placeholder="[[career:tags-help]]" />
+    </div>
+    <div class="form-group">
+        <label for="job-description">[[career:job-description]]</label>
+        <textarea class="form-control" id="job-description" name="description" rows="8" required>{job.description}</textarea>
+    </div>
+</form>
@@ -1,19 +1,17 @@
 <div class="clearfix post-header">
     <div class="icon pull-left">
-        <!-- Conditional statement for Anonymous feature  -->
         <a href="#">
-            <div style = "width:50px;
-                          height:48px;
-                          background-color: #817a6e;
-                          border-radius: 50%">
-            </div>
+            {buildAvatar(posts.user, "sm2x", true, "", "user/picture")}
         </a>
     </div>
 
     <small class="pull-left">
         <strong>
-            <a itemprop="author">Anonymous</a>
+            <a itemprop="author">{posts.user.displayname}</a>
         </strong>
+        <!-- IF posts.user.userslug -->
+        <span class="label label-default">[[global:anonymous]]</span>
+        <!-- ENDIF posts.user.userslug -->
 
         <!-- IMPORT partials/topic/badge.tpl -->
 
@@ -0,0 +1,43 @@
+<div component="topic/answers" class="topic-answers">
+    <div component="topic/answer" data-type="instructor" data-pid="{answers.instructor.pid}" class="panel panel-default topic-answer">
+        <div class="panel-heading clearfix">
+            <strong><i class="fa fa-graduation-cap"></i> [[topic:instructors-answer]]</strong>
+            <span class="pull-right">
+                {{{ if answers.instructor }}}
+                <small>[[global:last_edited_by, {answers.instructor.editor.username}]] <span class="timeago" title="{answers.instructor.editedISO}"></span></small>
+                {{{ if config.enablePostHistory }}}
+                <a component="topic/answer/history" href="#" class="btn btn-xs btn-link"><i class="fa fa-history"></i> [[topic:view-history]]</a>
+                {{{ end }}}
+                {{{ end }}}
+                {{{ if answers.canEdit.instructor }}}
+                <a component="topic/answer/edit" href="#" class="btn btn-xs btn-default"><i class="fa fa-pencil"></i> {{{ if answers.instructor }}}[[topic:edit-answer]]{{{ else }}}[[topic:write-answer]]{{{ end }}}</a>
+                {{{ end }}}
+            </span>
+        </div>
+        <div class="panel-body content" component="topic/answer/content">
+            {{{ if answers.instructor }}}{answers.instructor.content}{{{ else }}}<em class="text-muted">[[topic:no-instructors-answer]]</em>{{{ end }}}
+        </div>
+    </div>
+
+    <div component="topic/answer" data-type="student" data-pid="{answers.student.pid}" class="panel panel-default topic-answer">
+        <div class="panel-heading clearfix">
+            <strong><i class="fa fa-users"></i> [[topic:students-answer]]</strong>
+            <span class="pull-right">
+                {{{ if answers.student }}}
+                <small>[[global:last_edited_by, {answers.student.editor.username}]] <span class="timeago" title="{answers.student.editedISO}"></span></small>
+                {{{ if config.enablePostHistory }}}
+                <a component="topic/answer/history" href="#" class="btn btn-xs btn-link"><i class="fa fa-history"></i> [[topic:view-history]]</a>
+                {{{ end }}}
+                {{{ end }}}
+                {{{ if answers.canEdit.student }}}
+                <a component="topic/answer/edit" href="#" class="btn btn-xs btn-default"><i class="fa fa-pencil"></i> {{{ if answers.student }}}[[topic:edit-answer]]{{{ else }}}[[topic:write-answer]]{{{ end }}}</a>
+                {{{ end }}}
+            </span>
+        </div>
+        <div class="panel-body content" component="topic/answer/content">
+            {{{ if answers.student }}}{answers.student.content}{{{ else }}}<em class="text-muted">[[topic:no-students-answer]]</em>{{{ end }}}
+        </div>
+    </div>
+
+    <h4 class="topic-followups">[[topic:followup-discussion]]</h4>
+</div>
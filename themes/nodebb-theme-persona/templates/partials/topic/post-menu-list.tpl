@@ -55,6 +55,36 @@
 <!-- ENDIF posts.ip -->
 <!-- ENDIF posts.display_moderator_tools -->
 
+<!-- IF posts.display_reveal_tools -->
+<li>
+    <a component="post/reveal-author" role="menuitem" tabindex="-1" href="#">
+        <span class="menu-icon"><i class="fa fa-fw fa-user-secret"></i></span> [[topic:reveal-author]]
+    </a>
+</li>
+<!-- ENDIF posts.display_reveal_tools -->
+
+{{{ if posts.attention.canRequest }}}
+<li>
+    <a component="post/request-attention" role="menuitem" tabindex="-1" href="#">
+        <span class="menu-icon"><i class="fa fa-fw fa-hand-paper-o"></i></span> [[topic:attention.request]]
+    </a>
+</li>
+{{{ end }}}
+{{{ if posts.attention.requested }}}
+<li>
+    <a component="post/withdraw-attention" role="menuitem" tabindex="-1" href="#">
+        <span class="menu-icon"><i class="fa fa-fw fa-hand-paper-o"></i></span> [[topic:attention.withdraw]]
+    </a>
+</li>
+{{{ end }}}
+{{{ if posts.attention.canClear }}}
+<li>
+    <a component="post/clear-attention" role="menuitem" tabindex="-1" href="#">
+        <span class="menu-icon"><i class="fa fa-fw fa-check"></i></span> [[topic:attention.clear]]
+    </a>
+</li>
+{{{ end }}}
+
 {{{each posts.tools}}}
 <li {{{ if ./disabled }}}class="disabled" {{{ end }}}>
     <a {{{ if ./action}}}component="{./action}"{{{ end }}} role="menuitem" tabindex="-1" href="{{{ if ./href }}}{./href}{{{ else }}}#{{{ end }}}">
@@ -86,12 +86,30 @@
 
         </span>
 
+        <span component="post/accepted" class="label label-success <!-- IF !posts.accepted -->hidden<!-- ENDIF !posts.accepted -->">
+            <i class="fa fa-check"></i> [[topic:accepted-answer]]
+        </span>
+        {{{ if privileges.topics:accept }}}{{{ if posts.index }}}
+        <a component="post/accept" href="#" data-accepted="{posts.accepted}" class="no-select">
+            <span class="<!-- IF !posts.accepted -->hidden<!-- ENDIF !posts.accepted -->">[[topic:unaccept-answer]]</span>
+            <span class="<!-- IF posts.accepted -->hidden<!-- ENDIF posts.accepted -->">[[topic:accept-answer]]</span>
+        </a>
+        {{{ end }}}{{{ end }}}
+        <span component="post/endorsed" class="label label-success <!-- IF !posts.endorsedBy.length -->hidden<!-- ENDIF !posts.endorsedBy.length -->" title="{{{ each posts.endorsedBy }}}{posts.endorsedBy.username} {{{ end }}}">
+            <i class="fa fa-check-circle"></i> [[topic:endorsed]]
+        </span>
+        {{{ if privileges.posts:endorse }}}
+        <a component="post/endorse" href="#" data-endorsed="{posts.endorsed}" class="no-select">
+            <span component="post/endorse/on" class="<!-- IF !posts.endorsed -->hidden<!-- ENDIF !posts.endorsed -->">[[topic:unendorse]]</span>
+            <span component="post/endorse/off" class="<!-- IF posts.endorsed -->hidden<!-- ENDIF posts.endorsed -->">[[topic:endorse]]</span>
+        </a>
+        {{{ end }}}
+
         <!-- IF !reputation:disabled -->
         <span class="votes">
-            <a component="post/upvote" href="#" class="<!-- IF posts.upvoted -->upvoted<!-- ENDIF posts.upvoted -->" style="color: #326077;">
-                <!-- <i class="fa fa-chevron-up"></i> -->
-                Endorse
-            </a> 
+            <a component="post/upvote" href="#" class="<!-- IF posts.upvoted -->upvoted<!-- ENDIF posts.upvoted -->">
+                <i class="fa fa-chevron-up"></i>
+            </a>
             <span component="post/vote-count" data-votes="{posts.votes}">{posts.votes}</span>
 
             <!-- <!-- IF !downvote:disabled -->
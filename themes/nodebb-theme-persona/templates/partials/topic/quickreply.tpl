@@ -1,23 +1,12 @@
 <!-- IF privileges.topics:reply -->
 <div component="topic/quickreply/container" class="clearfix quick-reply">
     <div class="icon pull-left hidden-xs">
-            <!-- Conditional statement for Anonymous feature  -->
-            {{{if isAnonymous}}}
-            <a href="#">
-                <div style = "width:50px;
-                                height:48px;
-                                background-color: #817a6e;
-                                border-radius: 50%">
-                </div>
-            </a>
-            {{{else}}}
         <a href="<!-- IF posts.user.userslug -->{config.relative_path}/user/{posts.user.userslug}<!-- ELSE -->#<!-- ENDIF posts.user.userslug -->">
             {buildAvatar(loggedInUser, "46", true, "", "user/picture")}
             <!-- IF loggedInUser.status -->
             <i component="user/status" class="fa fa-circle status {loggedInUser.status}" title="[[global:{loggedInUser.status}]]"></i>
             <!-- ENDIF loggedInUser.status -->
         </a>
-        {{{end}}}            
     </div>
     <form method="post" action="{config.relative_path}/compose">
         <input type="hidden" name="tid" value="{tid}" />
@@ -26,6 +15,13 @@
             <textarea name="content" component="topic/quickreply/text" class="form-control mousetrap" rows="5" placeholder="[[modules:composer.textarea.placeholder]]"></textarea>
             <div class="imagedrop"><div>[[topic:composer.drag_and_drop_images]]</div></div>
         </div>
+        <!-- IF loggedIn -->
+        <div class="checkbox pull-left">
+            <label>
+                <input type="checkbox" component="topic/quickreply/anonymous" /> [[topic:composer.post_anonymously]]
+            </label>
+        </div>
+        <!-- ENDIF loggedIn -->
         <div class="btn-group pull-right">
             <button type="submit" component="topic/quickreply/button" class="btn btn-primary">[[topic:post-quick-reply]]</button>
             <button type="submit" component="topic/quickreply/expand" class="btn btn-default" formmethod="get"><i class="fa fa-expand"></i></button>
@@ -9,10 +9,10 @@
     <span class="human-readable-number" title="{viewcount}">{viewcount}</span>
 
     <!-- BEGIN posts -->
-    <!-- IF posts.votes --> 
+    <!-- IF posts.endorsedBy.length -->
     <div class="stats endorsed" style="border: 3px solid green; background-color: #d1f9d5; text-align: center; color: #333; height: 25px; margin-top: 20px; font-weight: bold;">
-        ENDORSED
+        [[topic:endorsed]]
     </div>
-    <!-- ENDIF posts.votes --> 
+    <!-- ENDIF posts.endorsedBy.length -->
     <!-- END posts -->
 </div>
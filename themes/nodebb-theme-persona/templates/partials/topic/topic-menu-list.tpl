@@ -9,6 +9,13 @@
 <li><a component="topic/move-posts" href="#"><i class="fa fa-fw fa-arrows"></i> [[topic:thread_tools.move-posts]]</a></li>
 {{{ end }}}
 <li><a component="topic/mark-unread-for-all" href="#"><i class="fa fa-fw fa-inbox"></i> [[topic:thread_tools.markAsUnreadForAll]]</a></li>
+{{{ if private }}}{{{ if privileges.topics:publish }}}
+<li><a component="topic/make-public" href="#"><i class="fa fa-fw fa-eye"></i> [[topic:thread_tools.make-public]]</a></li>
+<li><a component="topic/make-public-anonymous" href="#"><i class="fa fa-fw fa-user-secret"></i> [[topic:thread_tools.make-public-anonymous]]</a></li>
+{{{ end }}}{{{ end }}}
+{{{ if announcement }}}{{{ if privileges.topics:receipts }}}
+<li><a component="topic/receipts" href="#"><i class="fa fa-fw fa-check-square-o"></i> [[topic:thread_tools.receipts]]</a></li>
+{{{ end }}}{{{ end }}}
 <li class="divider"></li>
 <!-- ENDIF privileges.editable -->
 
@@ -73,6 +73,11 @@
                 <i component="topic/scheduled" class="fa fa-clock-o <!-- IF !topics.scheduled -->hide<!-- ENDIF !topics.scheduled -->" title="[[topic:scheduled]]"></i>
                 <i component="topic/pinned" class="fa fa-thumb-tack <!-- IF (topics.scheduled || !topics.pinned) -->hide<!-- ENDIF (topics.scheduled || !topics.pinned) -->" title="{{{ if !../pinExpiry }}}[[topic:pinned]]{{{ else }}}[[topic:pinned-with-expiry, {../pinExpiryISO}]]{{{ end }}}"></i>
                 <i component="topic/locked" class="fa fa-lock <!-- IF !topics.locked -->hide<!-- ENDIF !topics.locked -->" title="[[topic:locked]]"></i>
+                <i component="topic/private" class="fa fa-eye-slash <!-- IF !topics.private -->hide<!-- ENDIF !topics.private -->" title="[[topic:private]]"></i>
+                <i component="topic/announcement" class="fa fa-bullhorn <!-- IF !topics.announcement -->hide<!-- ENDIF !topics.announcement -->" title="[[topic:announcement]]"></i>
+                <i component="topic/resolved" class="fa fa-check-circle text-success <!-- IF !topics.resolved -->hide<!-- ENDIF !topics.resolved -->" title="[[topic:resolved]]"></i>
+                <i component="topic/instructor-answer" class="fa fa-graduation-cap <!-- IF !topics.hasInstructorAnswer -->hide<!-- ENDIF !topics.hasInstructorAnswer -->" title="[[topic:has-instructors-answer]]"></i>
+                <i component="topic/student-answer" class="fa fa-users <!-- IF !topics.hasStudentAnswer -->hide<!-- ENDIF !topics.hasStudentAnswer -->" title="[[topic:has-students-answer]]"></i>
                 <i component="topic/moved" class="fa fa-arrow-circle-right <!-- IF !topics.oldCid -->hide<!-- ENDIF !topics.oldCid -->" title="[[topic:moved]]"></i>
                 {{{each topics.icons}}}{@value}{{{end}}}
 
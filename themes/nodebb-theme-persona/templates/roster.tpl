@@ -0,0 +1,62 @@
+<!-- IMPORT partials/breadcrumbs.tpl -->
+<div class="roster">
+    <p class="text-muted">[[roster:description]]</p>
+
+    <form component="roster/form" class="well">
+        <div class="form-group">
+            <label for="roster-course">[[roster:course]]</label>
+            <select id="roster-course" name="cid" class="form-control">
+                {{{ if canImportWithoutCourse }}}
+                <option value="">[[roster:no-course]]</option>
+                {{{ end }}}
+                {{{ each courses }}}
+                <option value="{./cid}">{./name} ({./term})</option>
+                {{{ end }}}
+            </select>
+        </div>
+        <div class="form-group">
+            <label for="roster-file">[[roster:file]]</label>
+            <input type="file" id="roster-file" name="file" accept=".csv,text/csv" />
+        </div>
+        <div class="checkbox">
+            <label><input type="checkbox" name="dryRun" checked /> [[roster:dry-run]]</label>
+        </div>
+        <div class="checkbox">
+            <label><input type="checkbox" name="sendInvitations" /> [[roster:send-invitations]]</label>
+        </div>
+        <button type="submit" component="roster/import" class="btn btn-primary">[[roster:import]]</button>
+    </form>
+
+    <div component="roster/results" class="hidden">
+        <div class="clearfix">
+            <p class="pull-left" component="roster/summary"></p>
+            <a component="roster/report" class="btn btn-default btn-sm pull-right" href="#"><i class="fa fa-download"></i> [[roster:download-report]]</a>
+        </div>
+        <table class="table table-striped">
+            <thead>
+                <tr>
+                    <th>[[roster:row]]</th>
+                    <th>[[roster:username]]</th>
+                    <th>[[roster:email]]</th>
+                    <th>[[roster:accounttype]]</th>
+                    <th>[[roster:groups]]</th>
+                    <th>[[roster:status]]</th>
+                    <th>[[roster:reason]]</th>
+                </tr>
+            </thead>
+            <tbody component="roster/rows">
+                {{{ each rows }}}
+                <tr class="{{{ if (./status == "failed") }}}danger{{{ end }}}{{{ if (./status == "skipped") }}}warning{{{ end }}}">
+                    <td>{./row}</td>
+                    <td>{{{ if ./uid }}}<a href="{config.relative_path}/uid/{./uid}">{./username}</a>{{{ else }}}{./username}{{{ end }}}</td>
+                    <td>{./email}</td>
+                    <td>{./accounttype}</td>
+                    <td>{./groups}</td>
+                    <td>[[roster:status.{./status}]]</td>
+                    <td>{./reason}</td>
+                </tr>
+                {{{ end }}}
+            </tbody>
+        </table>
+    </div>
+</div>
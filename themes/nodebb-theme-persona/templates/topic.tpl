@@ -12,6 +12,9 @@
                         <i component="topic/scheduled" class="fa fa-clock-o <!-- IF !scheduled -->hidden<!-- ENDIF !scheduled -->" title="[[topic:scheduled]]"></i>
                         <i component="topic/pinned" class="fa fa-thumb-tack <!-- IF (scheduled || !pinned) -->hidden<!-- ENDIF (scheduled || !pinned) -->" title="{{{ if !pinExpiry }}}[[topic:pinned]]{{{ else }}}[[topic:pinned-with-expiry, {pinExpiryISO}]]{{{ end }}}"></i>
                         <i component="topic/locked" class="fa fa-lock <!-- IF !locked -->hidden<!-- ENDIF !locked -->" title="[[topic:locked]]"></i>
+                        <i component="topic/private" class="fa fa-eye-slash <!-- IF !private -->hidden<!-- ENDIF !private -->" title="[[topic:private]]"></i>
+                        <i component="topic/announcement" class="fa fa-bullhorn <!-- IF !announcement -->hidden<!-- ENDIF !announcement -->" title="[[topic:announcement]]"></i>
+                        <i component="topic/resolved" class="fa fa-check-circle text-success <!-- IF !resolved -->hidden<!-- ENDIF !resolved -->" title="[[topic:resolved]]"></i>
                         <i class="fa fa-arrow-circle-right <!-- IF !oldCid -->hidden<!-- ENDIF !oldCid -->" title="{{{ if privileges.isAdminOrMod }}}[[topic:moved-from, {oldCategory.name}]]{{{ else }}}[[topic:moved]]{{{ end }}}"></i>
                         {{{each icons}}}{@value}{{{end}}}
                     </span>
@@ -69,12 +72,17 @@
 
                     <meta itemprop="datePublished" content="{posts.timestampISO}">
                     <meta itemprop="dateModified" content="{posts.editedISO}">
-                    {{{if anonymous}}}
+                    {{{ if posts.anonymous }}}
                         <!-- IMPORT partials/topic/anonpost.tpl -->
                     {{{ else }}}
                         <!-- IMPORT partials/topic/post.tpl -->
                     {{{ end }}}
                 </li>
+                {{{ if !posts.index }}}
+                <li component="topic/answers/container">
+                    <!-- IMPORT partials/topic/answers.tpl -->
+                </li>
+                {{{ end }}}
                 {renderTopicEvents(@index, config.topicPostSort)}
             {{{end}}}
         </ul>
@@ -0,0 +1,59 @@
+<!-- IMPORT partials/breadcrumbs.tpl -->
+<div data-widget-area="header">
+    {{{each widgets.header}}}
+    {{widgets.header.html}}
+    {{{end}}}
+</div>
+<div class="unanswered">
+    <div class="topic-list-header btn-toolbar">
+        <div class="pull-left">
+            <span class="text-muted">[[unanswered:description, {topicCount}]]</span>
+        </div>
+
+        <!-- IMPORT partials/category-filter-right.tpl -->
+
+        <div class="btn-group pull-right bottom-sheet">
+            <button type="button" class="btn btn-default dropdown-toggle" data-toggle="dropdown">
+                <span class="visible-sm-inline visible-md-inline visible-lg-inline">{selectedFilter.name}</span><span class="visible-xs-inline"><i class="fa fa-fw {selectedFilter.icon}"></i></span> <span class="caret"></span>
+            </button>
+            <ul class="dropdown-menu" role="menu">
+                {{{each filters}}}
+                <li role="presentation" class="category {{{if filters.selected}}}selected{{{end}}}">
+                    <a role="menu-item" href="{config.relative_path}/{filters.url}"><i class="fa fa-fw <!-- IF filters.selected -->fa-check<!-- ENDIF filters.selected -->"></i>{filters.name}</a>
+                </li>
+                {{{end}}}
+            </ul>
+        </div>
+    </div>
+
+    <div id="category-no-topics" class="alert alert-info <!-- IF topics.length -->hidden<!-- ENDIF topics.length -->">[[unanswered:no-topics]]</div>
+
+    <ul component="unanswered/list" class="list-group">
+        {{{each topics}}}
+        <li component="unanswered/topic" class="list-group-item clearfix" data-tid="{./tid}" data-index="{./index}">
+            <div class="pull-right">
+                {{{ if ./assignee }}}
+                <span class="text-muted" component="unanswered/assignee">
+                    [[unanswered:assigned-to]] <a href="{config.relative_path}/user/{./assignee.userslug}">{buildAvatar(./assignee, "20", true)} {./assignee.username}</a>
+                </span>
+                {{{ if ./isAssignee }}}
+                <button component="unanswered/unassign" class="btn btn-sm btn-default">[[unanswered:unassign]]</button>
+                {{{ end }}}
+                {{{ else }}}
+                <button component="unanswered/assign" class="btn btn-sm btn-primary">[[unanswered:assign-to-me]]</button>
+                {{{ end }}}
+            </div>
+            <h4 class="title">
+                <a href="{config.relative_path}/topic/{./slug}">{./title}</a>
+            </h4>
+            <small class="text-muted">
+                <a href="{config.relative_path}/category/{./category.slug}">{./category.name}</a> &bull;
+                <i class="fa fa-clock-o"></i> [[unanswered:waiting-since]] <span class="timeago" title="{./timestampISO}"></span> &bull;
+                [[unanswered:replies, {./postcount}]]
+            </small>
+        </li>
+        {{{end}}}
+    </ul>
+
+    <!-- IMPORT partials/paginator.tpl -->
+</div>